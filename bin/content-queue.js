@@ -0,0 +1,12 @@
+#!/usr/bin/env node
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+"use strict";
+
+const { run } = require("../lib/cli");
+
+// Data stores keep timers running, so exit explicitly once the command is done.
+run(process.argv.slice(2)).then((exitCode) => process.exit(exitCode)); // eslint-disable-line no-process-exit
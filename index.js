@@ -11,20 +11,64 @@ const { loadConfig } = require("./lib/config");
 const ContentQueue = require("./lib/content-queue");
 const AccountManager = require("./lib/accounts/manager");
 const Repository = require("./lib/repo");
+const UpdateManager = require("./lib/update-manager");
+const WebhookServer = require("./lib/webhook-server");
+const PersistenceManager = require("./lib/persistence/manager");
+const DryRun = require("./lib/dry-run");
 
 class QueueManager {
     static init() {
         this.repositories = new Map();
+        this.queues = [];
 
         loadConfig(path.join(__dirname, "./config.json")).then((config) => this.createQueues(config)).catch(console.error);
     }
 
     static async createQueues(config) {
+        if(config.persistence) {
+            PersistenceManager.configure(config.persistence);
+        }
+        DryRun.enabled = Boolean(config.dryRun);
         this.accountManager = new AccountManager(config.accounts);
+        // Has to be set before any GitHub data stores are created.
+        UpdateManager.webhooksEnabled = config.hasOwnProperty("webhooks");
         for(const project of config.boards) {
             const repo = await this.getRepository(project, config);
-            new ContentQueue(this.accountManager, project, repo);
+            this.queues.push(new ContentQueue(this.accountManager, project, repo));
+        }
+        if(UpdateManager.webhooksEnabled) {
+            await this.startWebhookServer(config.webhooks);
+        }
+    }
+
+    static startWebhookServer(webhookConfig) {
+        this.webhookServer = new WebhookServer(webhookConfig);
+        this.webhookServer.onAny((event, payload) => this.dispatchWebhook(event, payload));
+        return this.webhookServer.listen();
+    }
+
+    static async dispatchWebhook(event, payload) {
+        if(!payload.repository) {
+            // Projects (v2) belong to the owner, so their events have no
+            // repository. Boards check if the project is theirs.
+            if(event === "projects_v2_item") {
+                await Promise.all(this.queues.map((queue) => queue.board.handleWebhook(event, payload)));
+            }
+            return;
+        }
+        const repoName = payload.repository.full_name;
+        const targets = [];
+        for(const repository of this.repositories.values()) {
+            if(`${repository.config.owner}/${repository.config.repo}` === repoName) {
+                targets.push(repository.handleWebhook(event, payload));
+            }
+        }
+        for(const queue of this.queues) {
+            if(`${queue.config.owner}/${queue.config.repo}` === repoName) {
+                targets.push(queue.board.handleWebhook(event, payload));
+            }
         }
+        await Promise.all(targets);
     }
 
     static getBoardsInRepo(boards, repo) {
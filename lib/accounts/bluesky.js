@@ -0,0 +1,672 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+/**
+ * @module accounts/bluesky
+ * @license MPL-2.0
+ */
+"use strict";
+
+const querystring = require("querystring");
+const nodeFetch = require("node-fetch");
+const self = require("../self");
+const ContentAccount = require("./content-account");
+const BlueskyFormatter = require("../formatters/bluesky");
+const DryRun = require("../dry-run");
+const Media = require("../media");
+
+/**
+ * Default PDS to log in to.
+ *
+ * @const {string}
+ */
+const DEFAULT_SERVICE = "https://bsky.social";
+
+/**
+ * Maximum size of an image blob in bytes.
+ *
+ * @const {number}
+ */
+const MAX_IMAGE_SIZE = 1000000;
+
+/**
+ * Maximum length of a post in graphemes.
+ *
+ * @const {number}
+ */
+const POST_LENGTH = 300;
+
+const MAX_IMAGES = 4;
+
+const POST_COLLECTION = "app.bsky.feed.post";
+const REPOST_COLLECTION = "app.bsky.feed.repost";
+const REPOST_REASON = "app.bsky.feed.defs#reasonRepost";
+const LINK_FEATURE = "app.bsky.richtext.facet#link";
+const MENTION_FEATURE = "app.bsky.richtext.facet#mention";
+
+/**
+ * @param {Object} item - Feed item.
+ * @returns {string} Key that is unique for each post and repost in the feed.
+ */
+const getItemKey = (item) => {
+    if(item.reason && item.reason.indexedAt) {
+        return `${item.post.uri}#${item.reason.indexedAt}`;
+    }
+    return item.post.uri;
+};
+
+/**
+ * @param {{ uri: string, cid: string }} record - Record to reference.
+ * @returns {{ uri: string, cid: string }} Strong reference to the record.
+ */
+const getStrongRef = (record) => ({
+    uri: record.uri,
+    cid: record.cid
+});
+
+/**
+ * @this module:accounts/bluesky.BlueskyAccount
+ * @param {[Object]} [posts=[]] - Previous feed items.
+ * @returns {[Object]} Updated list of feed items, newest first.
+ */
+async function getPosts(posts = []) {
+    await this.ready;
+    //TODO pagination?
+    const result = await this.query("app.bsky.feed.getAuthorFeed", {
+        actor: this.did,
+        limit: 100
+    });
+    const knownPosts = new Set(posts.map(getItemKey));
+    const newPosts = result.feed.filter((item) => !knownPosts.has(getItemKey(item)));
+    if(newPosts.length) {
+        return newPosts.concat(posts);
+    }
+    return posts;
+}
+
+/**
+ * @typedef {Object} BlueskyConfig
+ * @property {string} name - Name of the account in the config.
+ * @property {string} identifier - Handle or email to log in with.
+ * @property {string} password - App password for the account.
+ * @property {string} [service="https://bsky.social"] - URL of the PDS.
+ */
+
+/**
+ * Content account publishing to Bluesky through the AT Protocol XRPC API.
+ *
+ * @alias module:accounts/bluesky.BlueskyAccount
+ * @extends module:accounts/content-account.ContentAccount
+ */
+class BlueskyAccount extends ContentAccount {
+    static get Formatter() {
+        return BlueskyFormatter;
+    }
+
+    /**
+     * @type {number}
+     * @readonly
+     */
+    static get POST_LENGTH() {
+        return POST_LENGTH;
+    }
+
+    /**
+     * Only images are supported, GIFs are posted as still images.
+     *
+     * @type {module:media~MediaLimits}
+     * @readonly
+     */
+    static get MEDIA_LIMITS() {
+        return {
+            size: {
+                image: MAX_IMAGE_SIZE,
+                gif: MAX_IMAGE_SIZE
+            },
+            exclusive: []
+        };
+    }
+
+    /**
+     * @param {string} text - Text to count.
+     * @returns {number} Amount of graphemes in the text.
+     */
+    static getGraphemeLength(text) {
+        if(typeof Intl !== "undefined" && Intl.Segmenter) {
+            return Array.from(new Intl.Segmenter().segment(text)).length;
+        }
+        return Array.from(text).length;
+    }
+
+    /**
+     * @param {string} content - Text content of the post.
+     * @returns {boolean} Whether the post content is too long.
+     */
+    static postTooLong(content) {
+        return this.getGraphemeLength(content) > POST_LENGTH;
+    }
+
+    /**
+     * Separate media and text content of a post authored in GitHub Flavoured
+     * Markdown.
+     *
+     * @param {string} post - Content of the post.
+     * @returns {[string, [{ url: string, alt: string }]]} An array with the
+     *          first item being the cleaned up text content and the second
+     *          item being the images with their alt text.
+     * @throws {Error} When more than 4 images are given.
+     */
+    static getMediaAndContent(post) {
+        const media = [];
+        const pureText = post.replace(/!\[([^\]]*)\]\(([^)]+)\)/g, (match, alt, url) => {
+            media.push({
+                url,
+                alt
+            });
+            return '';
+        });
+        if(media.length > MAX_IMAGES) {
+            throw new Error(`Can not upload more than ${MAX_IMAGES} images per post`);
+        }
+        return [ pureText.trim(), media ];
+    }
+
+    /**
+     * Extract the author and record key from a post permalink.
+     *
+     * @param {string} url - URL of the post, like
+     *                       https://bsky.app/profile/handle/post/rkey.
+     * @returns {{ actor: string, rkey: string }?} Handle or DID of the author
+     *          and record key of the post, if the URL is a post URL.
+     */
+    static getPostFromURL(url) {
+        const matches = url.trim().match(/^https?:\/\/(?:www\.)?bsky\.app\/profile\/([^/]+)\/post\/([a-zA-Z0-9._~:-]+)\/?$/);
+        if(!matches) {
+            return null;
+        }
+        return {
+            actor: matches[1],
+            rkey: matches[2]
+        };
+    }
+
+    /**
+     * @param {string} handle - Handle or DID of the author.
+     * @param {string} uri - AT URI of the post.
+     * @returns {string} Permalink to the post.
+     */
+    static makePostPermalink(handle, uri) {
+        const rkey = uri.split('/').pop();
+        return `https://bsky.app/profile/${handle}/post/${rkey}`;
+    }
+
+    /**
+     * @param {string} text - Text to get the offset in.
+     * @param {number} index - Index of the character in the string.
+     * @returns {number} Offset of the character in the UTF-8 encoded text.
+     */
+    static getByteOffset(text, index) {
+        return Buffer.byteLength(text.slice(0, index), "utf8");
+    }
+
+    /**
+     * Detects links and mentions in the text of a post. Mention features hold
+     * the handle instead of the DID, since that has to be resolved first.
+     *
+     * @param {string} text - Text of the post.
+     * @returns {[Object]} Facets sorted by their position in the text.
+     */
+    static detectFacets(text) {
+        const facets = [];
+        const addFacet = (start, value, feature) => {
+            facets.push({
+                index: {
+                    byteStart: this.getByteOffset(text, start),
+                    byteEnd: this.getByteOffset(text, start + value.length)
+                },
+                features: [ feature ]
+            });
+        };
+
+        const linkPattern = /(^|[\s(])(https?:\/\/[^\s]+)/g;
+        let match;
+        while((match = linkPattern.exec(text)) !== null) {
+            let uri = match[2].replace(/[.,;:!?"']+$/, '');
+            if(uri.endsWith(')') && !uri.includes('(')) {
+                uri = uri.slice(0, -1);
+            }
+            addFacet(match.index + match[1].length, uri, {
+                $type: LINK_FEATURE,
+                uri
+            });
+        }
+
+        const mentionPattern = /(^|[\s(])@([a-zA-Z0-9](?:[a-zA-Z0-9-]*[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]*[a-zA-Z0-9])?)+)/g;
+        while((match = mentionPattern.exec(text)) !== null) {
+            addFacet(match.index + match[1].length, `@${match[2]}`, {
+                $type: MENTION_FEATURE,
+                handle: match[2]
+            });
+        }
+
+        return facets.sort((a, b) => a.index.byteStart - b.index.byteStart);
+    }
+
+    /**
+     * @param {module:accounts/bluesky~BlueskyConfig} config - Account config.
+     * @param {function} [client] - Fetch implementation to use for testing.
+     */
+    constructor(config, client) {
+        super({
+            posts: getPosts
+        });
+        /**
+         * Name of the account in the config.
+         *
+         * @type {string}
+         */
+        this.name = config.name;
+        /**
+         * @type {module:accounts/bluesky~BlueskyConfig}
+         * @private
+         */
+        this._config = config;
+        /**
+         * @type {function}
+         * @private
+         */
+        this._fetch = client ? client : nodeFetch;
+        /**
+         * @type {string}
+         */
+        this.service = (config.service || DEFAULT_SERVICE).replace(/\/$/, '');
+        /**
+         * @type {Promise}
+         */
+        this.ready = this.checkLogin().catch((e) => {
+            console.error("BlueskyAccount checkLogin", e);
+            throw e;
+        });
+    }
+
+    /**
+     * Sends an XRPC request to the PDS.
+     *
+     * @param {string} method - HTTP method, "GET" for queries, "POST" for
+     *                          procedures.
+     * @param {string} nsid - Lexicon ID of the method to call.
+     * @param {Object} [options={}] - Request options.
+     * @param {Object} [options.params] - Query parameters.
+     * @param {Object|Buffer} [options.body] - Body, buffers are sent as is.
+     * @param {string} [options.encoding] - Content type of a buffer body.
+     * @param {string} [options.token] - Token to authenticate with instead of
+     *                                   the access token of the session.
+     * @returns {Object} Response data.
+     * @throws {Error} When the request fails. The XRPC error name is in the
+     *         error property.
+     * @private
+     */
+    async _request(method, nsid, options = {}) {
+        let url = `${this.service}/xrpc/${nsid}`;
+        if(options.params) {
+            url += `?${querystring.stringify(options.params)}`;
+        }
+        const headers = {};
+        let body;
+        if(Buffer.isBuffer(options.body)) {
+            headers['Content-Type'] = options.encoding;
+            body = options.body;
+        }
+        else if(options.body) {
+            headers['Content-Type'] = 'application/json';
+            body = JSON.stringify(options.body);
+        }
+        const token = options.token || (this.session && this.session.accessJwt);
+        if(token) {
+            headers.Authorization = `Bearer ${token}`;
+        }
+        const response = await this._fetch(url, {
+            method,
+            headers,
+            body
+        });
+        const data = await response.json().catch(() => ({}));
+        if(!response.ok) {
+            const error = new Error(`${nsid} failed: ${data.message || response.status}`);
+            error.error = data.error;
+            error.status = response.status;
+            throw error;
+        }
+        return data;
+    }
+
+    /**
+     * Runs an XRPC request, refreshing the session once if the access token
+     * expired.
+     *
+     * @param {string} method - HTTP method.
+     * @param {string} nsid - Lexicon ID of the method to call.
+     * @param {Object} options - Request options.
+     * @returns {Object} Response data.
+     * @private
+     */
+    async _authenticatedRequest(method, nsid, options) {
+        await this.ready;
+        try {
+            return await this._request(method, nsid, options);
+        }
+        catch(e) {
+            if(e.error !== "ExpiredToken") {
+                throw e;
+            }
+            await this.refreshSession();
+            return this._request(method, nsid, options);
+        }
+    }
+
+    /**
+     * @param {string} nsid - Lexicon ID of the query.
+     * @param {Object} [params] - Query parameters.
+     * @returns {Object} Response data.
+     */
+    query(nsid, params) {
+        return this._authenticatedRequest("GET", nsid, {
+            params
+        });
+    }
+
+    /**
+     * @param {string} nsid - Lexicon ID of the procedure.
+     * @param {Object|Buffer} [body] - Input of the procedure.
+     * @param {string} [encoding] - Content type if the body is a buffer.
+     * @returns {Object} Response data.
+     */
+    procedure(nsid, body, encoding) {
+        return this._authenticatedRequest("POST", nsid, {
+            body,
+            encoding
+        });
+    }
+
+    /**
+     * @param {Object} session - Session returned by the PDS.
+     * @returns {undefined}
+     * @private
+     */
+    _setSession(session) {
+        this.session = session;
+        this.did = session.did;
+        this.handle = session.handle;
+    }
+
+    /**
+     * Creates a session with the configured app password.
+     *
+     * @returns {undefined}
+     */
+    async checkLogin() {
+        const session = await this._request("POST", "com.atproto.server.createSession", {
+            body: {
+                identifier: this._config.identifier,
+                password: this._config.password
+            }
+        });
+        this._setSession(session);
+    }
+
+    /**
+     * Gets a new access token with the refresh token of the session.
+     *
+     * @returns {undefined}
+     */
+    async refreshSession() {
+        const session = await this._request("POST", "com.atproto.server.refreshSession", {
+            token: this.session.refreshJwt
+        });
+        this._setSession(session);
+    }
+
+    async getAccountLink() {
+        await this.ready;
+        return `[@${this.handle}](https://bsky.app/profile/${this.handle})`;
+    }
+
+    /**
+     * @param {string} actor - Handle or DID.
+     * @returns {string} DID of the actor.
+     */
+    async resolveActor(actor) {
+        if(actor.startsWith("did:")) {
+            return actor;
+        }
+        const { did } = await this.query("com.atproto.identity.resolveHandle", {
+            handle: actor
+        });
+        return did;
+    }
+
+    /**
+     * @param {string} url - Permalink of the post.
+     * @returns {{ uri: string, cid: string, value: Object }} Record of the post.
+     * @throws {Error} When the URL is not a post URL.
+     */
+    async getPostRecord(url) {
+        const post = self(this).getPostFromURL(url);
+        if(!post) {
+            throw new Error(`Not a Bluesky post URL: ${url}`);
+        }
+        const did = await this.resolveActor(post.actor);
+        return this.query("com.atproto.repo.getRecord", {
+            repo: did,
+            collection: POST_COLLECTION,
+            rkey: post.rkey
+        });
+    }
+
+    /**
+     * @param {string} collection - Collection to add the record to.
+     * @param {Object} record - The record.
+     * @returns {{ uri: string, cid: string }} Reference to the new record.
+     */
+    async createRecord(collection, record) {
+        await this.ready;
+        return this.procedure("com.atproto.repo.createRecord", {
+            repo: this.did,
+            collection,
+            record: Object.assign({
+                $type: collection,
+                createdAt: new Date().toISOString()
+            }, record)
+        });
+    }
+
+    /**
+     * Upload an image to the PDS.
+     *
+     * @param {string} mediaUrl - URL of the image to upload.
+     * @returns {Object} Blob reference of the image.
+     */
+    async uploadMedia(mediaUrl) {
+        const image = await Media.load(mediaUrl, self(this).MEDIA_LIMITS, this._fetch);
+        const res = await this.procedure("com.atproto.repo.uploadBlob", image.data, image.mimeType);
+        return res.blob;
+    }
+
+    /**
+     * Detects facets in the text and resolves the mentioned handles. Mentions
+     * of handles that can not be resolved are dropped.
+     *
+     * @param {string} text - Text of the post.
+     * @returns {[Object]} Facets for the post.
+     */
+    async getFacets(text) {
+        const facets = await Promise.all(self(this).detectFacets(text).map(async (facet) => {
+            const [ feature ] = facet.features;
+            if(feature.$type !== MENTION_FEATURE) {
+                return facet;
+            }
+            try {
+                const did = await this.resolveActor(feature.handle);
+                return {
+                    index: facet.index,
+                    features: [ {
+                        $type: MENTION_FEATURE,
+                        did
+                    } ]
+                };
+            }
+            catch(e) {
+                console.warn("Could not resolve mentioned handle", feature.handle, e.message);
+                return null;
+            }
+        }));
+        return facets.filter((f) => f !== null);
+    }
+
+    /**
+     * Builds the post record for a card, uploading the images.
+     *
+     * @param {module:card.Card} card - Card to build the post for.
+     * @returns {Object} Post record.
+     * @throws {Error} When the post is too long.
+     */
+    async buildPost(card) {
+        const staticRef = self(this);
+        const [ text, media ] = staticRef.getMediaAndContent(staticRef.GetContentSection(card));
+        if(staticRef.postTooLong(text)) {
+            throw new Error("Post content too long");
+        }
+        const record = {
+            text
+        };
+        const facets = await this.getFacets(text);
+        if(facets.length) {
+            record.facets = facets;
+        }
+        if(card.content.hasSection(BlueskyFormatter.REPLY_TO)) {
+            const parent = await this.getPostRecord(card.content.getSection(BlueskyFormatter.REPLY_TO));
+            record.reply = {
+                root: parent.value.reply ? parent.value.reply.root : getStrongRef(parent),
+                parent: getStrongRef(parent)
+            };
+        }
+        let embed;
+        if(media.length) {
+            const images = await Promise.all(media.map(async (m) => ({
+                image: await this.uploadMedia(m.url),
+                alt: m.alt
+            })));
+            embed = {
+                $type: "app.bsky.embed.images",
+                images
+            };
+        }
+        if(card.content.hasSection(BlueskyFormatter.QUOTE)) {
+            const quoted = await this.getPostRecord(card.content.getSection(BlueskyFormatter.QUOTE));
+            const recordEmbed = {
+                $type: "app.bsky.embed.record",
+                record: getStrongRef(quoted)
+            };
+            embed = embed ? {
+                $type: "app.bsky.embed.recordWithMedia",
+                record: recordEmbed,
+                media: embed
+            } : recordEmbed;
+        }
+        if(embed) {
+            record.embed = embed;
+        }
+        return record;
+    }
+
+    /**
+     * @param {string} url - Permalink of the post to repost.
+     * @returns {{ uri: string, cid: string }} Reference to the repost.
+     */
+    async repost(url) {
+        const post = await this.getPostRecord(url);
+        return this.createRecord(REPOST_COLLECTION, {
+            subject: getStrongRef(post)
+        });
+    }
+
+    async checkPosts(column, markPublished) {
+        const staticRef = self(this);
+        const posts = await this.posts;
+        const cards = await column.cards;
+
+        for(const card of cards) {
+            if(card.content.hasSection(BlueskyFormatter.REPOST)) {
+                const target = staticRef.getPostFromURL(card.content.getSection(BlueskyFormatter.REPOST));
+                const didRepost = target && posts.some((item) => item.reason && item.reason.$type === REPOST_REASON &&
+                    item.post.uri.split('/').pop() === target.rkey &&
+                    (item.post.author.handle === target.actor || item.post.author.did === target.actor));
+                if(didRepost) {
+                    await markPublished(card, 'Already reposted.');
+                }
+            }
+            else {
+                const [ content ] = staticRef.getMediaAndContent(staticRef.GetContentSection(card));
+                const item = posts.find((i) => !i.reason && i.post.author.did === this.did && i.post.record.text.includes(content));
+                if(item) {
+                    await markPublished(card, staticRef.makePostPermalink(item.post.author.handle, item.post.uri));
+                }
+            }
+        }
+    }
+
+    isCardHighPrio(card) {
+        return card.content.hasSection(BlueskyFormatter.REPLY_TO);
+    }
+
+    /**
+     * Logs the post or repost a card would be published as.
+     *
+     * @param {module:card.Card} card - Card to log.
+     * @returns {string} Success message.
+     * @throws {Error} When the post is too long.
+     */
+    logPublish(card) {
+        const staticRef = self(this);
+        if(card.content.hasSection(BlueskyFormatter.REPOST)) {
+            DryRun.log(`Repost on ${this.name}`, {
+                url: card.content.getSection(BlueskyFormatter.REPOST)
+            });
+            return "Would have reposted (dry run).";
+        }
+        const [ text, media ] = staticRef.getMediaAndContent(staticRef.GetContentSection(card));
+        if(staticRef.postTooLong(text)) {
+            throw new Error("Post content too long");
+        }
+        const payload = {
+            text,
+            media,
+            facets: staticRef.detectFacets(text)
+        };
+        if(card.content.hasSection(BlueskyFormatter.REPLY_TO)) {
+            payload.replyTo = card.content.getSection(BlueskyFormatter.REPLY_TO);
+        }
+        if(card.content.hasSection(BlueskyFormatter.QUOTE)) {
+            payload.quote = card.content.getSection(BlueskyFormatter.QUOTE);
+        }
+        DryRun.log(`Post on ${this.name}`, payload);
+        return "Would have posted (dry run).";
+    }
+
+    async publish(card, dryRun = DryRun.enabled) {
+        if(dryRun) {
+            return this.logPublish(card);
+        }
+        if(card.content.hasSection(BlueskyFormatter.REPOST)) {
+            await this.repost(card.content.getSection(BlueskyFormatter.REPOST));
+            return "Successfully reposted.";
+        }
+        const record = await this.buildPost(card);
+        const res = await this.createRecord(POST_COLLECTION, record);
+        return "Successfully posted. See " + self(this).makePostPermalink(this.handle, res.uri);
+    }
+}
+
+module.exports = BlueskyAccount;
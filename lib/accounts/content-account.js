@@ -7,6 +7,23 @@
 
 const Formatter = require("../formatters/formatter");
 const DataStoreHolder = require("../data-store-holder");
+const DryRun = require("../dry-run");
+const self = require("../self");
+
+/**
+ * @typedef {Object} PollLimits
+ * @property {number} options - Options per poll at most.
+ * @property {number} length - Characters per option at most.
+ * @property {number} minDuration - Minutes a poll is open at least.
+ * @property {number} maxDuration - Minutes a poll is open at most.
+ * @property {boolean} multiple - If polls can allow several answers.
+ */
+
+/**
+ * @typedef {Object} PollResults
+ * @property {boolean} closed - If voting ended.
+ * @property {[{title: string, votes: number}]} options - Votes per option.
+ */
 
 class ContentAccount extends DataStoreHolder {
     static get Formatter() {
@@ -17,6 +34,38 @@ class ContentAccount extends DataStoreHolder {
         return this.Formatter.TYPE;
     }
 
+    /**
+     * Limits of polls on the service, null if the account can't publish
+     * polls.
+     *
+     * @type {PollLimits?}
+     * @readonly
+     */
+    static get POLL_LIMITS() {
+        return null;
+    }
+
+    /**
+     * Post options the service supports, with the values they can have. A
+     * pattern matches the valid values of free form options.
+     *
+     * @type {Object.<string, ([(string|boolean)]|RegExp)>}
+     * @readonly
+     */
+    static get OPTIONS() {
+        return {};
+    }
+
+    /**
+     * Gets the content to publish for a card. Sections specific to the
+     * service, like "Tweet Content", override the generic "Content" section,
+     * so a card can be published on multiple services.
+     *
+     * @param {Card} card - Card to get the content of.
+     * @return {string} Content of the first section in CONTENT_SECTIONS the
+     *         card has.
+     * @throws {Error} When the card has no content.
+     */
     static GetContentSection(card) {
         for(const section of this.Formatter.CONTENT_SECTIONS) {
             if(card.content.hasSection(section)) {
@@ -26,6 +75,28 @@ class ContentAccount extends DataStoreHolder {
         throw new Error("Card has no content");
     }
 
+    /**
+     * Gets the posts to publish for a card. Returns all posts of a thread if
+     * the content is in a thread section, else the content section as only
+     * post.
+     *
+     * @param {Card} card - Card to get the posts of.
+     * @return {[string]} Content of the posts to publish in order.
+     * @throws {Error} When the card has no content.
+     */
+    static GetThread(card) {
+        for(const section of this.Formatter.CONTENT_SECTIONS) {
+            if(card.content.hasSection(section)) {
+                const content = card.content.getSection(section);
+                if(section === this.Formatter.THREAD) {
+                    return this.Formatter.SplitThread(content);
+                }
+                return [ content ];
+            }
+        }
+        throw new Error("Card has no content");
+    }
+
     /**
      * Used to build a list of accounts used in a repository in the readme.
      *
@@ -64,14 +135,210 @@ class ContentAccount extends DataStoreHolder {
     }
 
     /**
-     * Publish a card on the account.
+     * Accounts that emit a "mention" event can be used by the mentions source.
+     * The event data is the raw mention from the service.
+     *
+     * @param {Object} mention - Mention emitted by the account.
+     * @return {string} Permalink to the mention, used as post to reply to.
+     */
+    getMentionPermalink(mention) { // eslint-disable-line no-unused-vars
+        throw new Error("Default content account has no mentions");
+    }
+
+    /**
+     * @param {Object} mention - Mention emitted by the account.
+     * @return {string} Name of the user that mentioned the account.
+     */
+    getMentionAuthor(mention) { // eslint-disable-line no-unused-vars
+        throw new Error("Default content account has no mentions");
+    }
+
+    /**
+     * @param {Object} mention - Mention emitted by the account.
+     * @return {string} Mention rendered as Markdown quote.
+     */
+    formatMention(mention) { // eslint-disable-line no-unused-vars
+        throw new Error("Default content account has no mentions");
+    }
+
+    /**
+     * Checks if the account replied to a post without the queue.
+     *
+     * @param {string} url - Permalink of the post.
+     * @return {boolean} Whether the account has a reply to the post.
+     */
+    async hasRepliedTo(url) { // eslint-disable-line no-unused-vars
+        return false;
+    }
+
+    /**
+     * Accounts that can schedule posts on the service get scheduled cards
+     * handed over ahead of time by the publish source.
+     *
+     * @param {Card} card - Scheduled card.
+     * @return {boolean} If the card can be scheduled on the service.
+     */
+    canSchedule(card) { // eslint-disable-line no-unused-vars
+        return false;
+    }
+
+    /**
+     * Schedule a card to be published by the service.
+     *
+     * @param {Card} card - Card to schedule.
+     * @param {Date} date - Time to publish the card at.
+     * @param {boolean} [dryRun=DryRun.enabled] - Only log what would be scheduled.
+     * @return {string} ID of the scheduled post.
+     */
+    async schedule(card, date, dryRun = DryRun.enabled) { // eslint-disable-line no-unused-vars
+        throw new Error("Default content account can not schedule");
+    }
+
+    /**
+     * Move a scheduled post to a different time.
+     *
+     * @param {string} id - ID of the scheduled post.
+     * @param {Date} date - New time to publish at.
+     * @param {boolean} [dryRun=DryRun.enabled] - Only log the change.
+     * @return {undefined}
+     */
+    async reschedule(id, date, dryRun = DryRun.enabled) { // eslint-disable-line no-unused-vars
+        throw new Error("Default content account can not schedule");
+    }
+
+    /**
+     * @param {string} id - ID of the scheduled post.
+     * @param {boolean} [dryRun=DryRun.enabled] - Only log the cancellation.
+     * @return {undefined}
+     */
+    async cancelScheduled(id, dryRun = DryRun.enabled) { // eslint-disable-line no-unused-vars
+        throw new Error("Default content account can not schedule");
+    }
+
+    /**
+     * @param {string} id - ID of the scheduled post.
+     * @return {boolean} If the post is still waiting to be published.
+     */
+    async isScheduled(id) { // eslint-disable-line no-unused-vars
+        return false;
+    }
+
+    /**
+     * Looks for the post a scheduled card was published as, once the post is
+     * no longer scheduled.
+     *
+     * @param {Card} card - Card that was scheduled.
+     * @param {Date} date - Time the post was scheduled for.
+     * @return {string?} Permalink of the published post, null if the account
+     *         has no such post.
+     */
+    async findScheduledPost(card, date) { // eslint-disable-line no-unused-vars
+        return null;
+    }
+
+    /**
+     * Name of the marker storing the poll the account published for a card,
+     * with its ID and the time it closes.
+     *
+     * @type {string}
+     * @readonly
+     */
+    get pollMarker() {
+        return `poll:${self(this).TYPE.toLowerCase()}:${this.name}`;
+    }
+
+    /**
+     * @param {module:card.Card} card - Card to publish.
+     * @returns {module:formatters/formatter~PostOptions} Options of the card
+     *          that the service supports.
+     */
+    getOptions(card) {
+        const supported = self(this).OPTIONS;
+        const options = {};
+        for(const [ key, value ] of Object.entries(card.content.getOptions())) {
+            if(key in supported) {
+                options[key] = value;
+            }
+        }
+        return options;
+    }
+
+    /**
+     * @param {string} id - ID of the poll, as stored in the poll marker.
+     * @return {PollResults} Current results of the poll.
+     */
+    async getPollResults(id) { // eslint-disable-line no-unused-vars
+        throw new Error("Default content account has no polls");
+    }
+
+    /**
+     * Publish a card on the account. In dry run mode the rendered payload is
+     * logged instead of published.
      *
      * @param {Card} card - Card to publish.
+     * @param {boolean} [dryRun=DryRun.enabled] - Only log what would be published.
      * @return {string} Success message.
      * @throws When something isn't right.
      */
-    async publish(card) { // eslint-disable-line no-unused-vars
+    async publish(card, dryRun = DryRun.enabled) { // eslint-disable-line no-unused-vars
         throw new Error("Default content account can not publish");
     }
+
+    /**
+     * Name of the marker storing the posts of a thread the account already
+     * published for a card, while the rest of the thread is still missing.
+     *
+     * @type {string}
+     * @readonly
+     */
+    get threadMarker() {
+        return `thread:${self(this).TYPE.toLowerCase()}:${this.name}`;
+    }
+
+    /**
+     * @param {module:card.Card} card - Card that is being published.
+     * @returns {[string]} Permalinks of the posts of the thread that were
+     *          published before publishing the card failed.
+     */
+    getPublishedThread(card) {
+        return (card.content.getMarker(this.threadMarker) || []).map((post) => post.url);
+    }
+
+    /**
+     * Publishes the posts of a thread one after the other. Every post is
+     * recorded on the card as soon as it is published, so publishing again
+     * after a failure continues after the last published post. Call
+     * {@link module:accounts/content-account.ContentAccount#clearThread}
+     * once nothing else about the card can fail anymore.
+     *
+     * @param {module:card.Card} card - Card the thread belongs to.
+     * @param {[string]} posts - Posts of the thread.
+     * @param {function} publishPost - Publishes a post, gets the post, its
+     *        index and the previously published post. Resolves to the
+     *        published post as an object with an id and a url.
+     * @returns {[Object]} All posts of the thread.
+     */
+    async publishThread(card, posts, publishPost) {
+        const published = card.content.getMarker(this.threadMarker) || [];
+        for(let index = published.length; index < posts.length; ++index) {
+            const post = await publishPost(posts[index], index, published[index - 1]);
+            published.push(post);
+            await card.setMarker(this.threadMarker, published, false);
+        }
+        return published;
+    }
+
+    /**
+     * Forgets the published posts of a thread once the card is completely
+     * published.
+     *
+     * @param {module:card.Card} card - Card the thread belongs to.
+     * @returns {undefined}
+     */
+    async clearThread(card) {
+        if(card.content.getMarker(this.threadMarker)) {
+            await card.setMarker(this.threadMarker, undefined, false);
+        }
+    }
 }
 module.exports = ContentAccount;
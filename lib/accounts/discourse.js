@@ -41,6 +41,7 @@ async function getThreads(threads = []) {
     return result.topic_list.topics;
 }
 getThreads.emitsEvents = true;
+getThreads.persist = true;
 
 class DiscourseThreads extends DataStoreHolder {
     /**
@@ -55,6 +56,11 @@ class DiscourseThreads extends DataStoreHolder {
         this.promisedGetCategory = util.promisify(this.discourse.getCategoryLatestTopic.bind(this.discourse));
         //TODO have a factory for thread watchers or something
         this.forum = config.forum;
+        this.url = config.url;
+    }
+
+    getStorageKey(property) {
+        return `discourse:${this.url}:${this.forum}:${property}`;
     }
 }
 
@@ -11,11 +11,107 @@ const self = require("../self");
 const FormData = require("form-data");
 const fetch = require("node-fetch");
 const MastodonFormatter = require("../formatters/mastodon");
+const DryRun = require("../dry-run");
+const Media = require("../media");
 
-//TODO mention events
-//TODO schedule on mastodon :O (scheduled_at)
 //TODO use streaming for toots
 
+/**
+ * Time to wait before reconnecting to the streaming API in ms.
+ *
+ * @const {number}
+ */
+const STREAM_RECONNECT_DELAY = 30000;
+
+const MB = 1024 * 1024;
+/**
+ * Time between checks if uploaded media has been processed in ms.
+ *
+ * @const {number}
+ */
+const PROCESSING_CHECK_INTERVAL = 2000;
+/**
+ * Checks before giving up on media being processed.
+ *
+ * @const {number}
+ */
+const MAX_PROCESSING_CHECKS = 60;
+
+/**
+ * Time a published scheduled toot may have been created before the time it
+ * was scheduled for in ms, to allow for clock differences.
+ *
+ * @const {number}
+ */
+const SCHEDULE_CLOCK_MARGIN = 60000;
+
+/**
+ * @param {string} html - HTML content of a toot.
+ * @returns {string} Plain text content of the toot.
+ */
+const htmlToText = (html) => html
+    .replace(/<br\s*\/?>/g, "\n")
+    .replace(/<\/p>\s*<p>/g, "\n\n")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, "&")
+    .trim();
+
+/**
+ * @fires MastodonAccount#mention
+ * @this MastodonAccount
+ * @param {string?} lastMention - ID of the latest mention notification.
+ * @returns {string} ID of the latest mention notification.
+ */
+async function getMentions(lastMention) {
+    await this.ready;
+    const args = {
+        limit: 30,
+        exclude_types: [
+            'follow',
+            'favourite',
+            'reblog',
+            'poll'
+        ]
+    };
+    if(lastMention !== undefined) {
+        args.since_id = lastMention;
+    }
+    const [ result, toots ] = await Promise.all([
+        this._client.get('/notifications', args),
+        this.toots
+    ]);
+    const all = result.data.slice();
+    // Page back to the last known notification, so no mention of a burst is
+    // skipped. The first run only looks at the latest page.
+    for(let page = result.data; lastMention !== undefined && page.length === args.limit;) {
+        const res = await this._client.get('/notifications', Object.assign({}, args, {
+            max_id: page[page.length - 1].id
+        }));
+        page = res.data;
+        all.push(...page);
+    }
+    const notifications = all.filter((n) => n.type === 'mention');
+    if(notifications.length) {
+        // Mentions from before the oldest known toot may have been replied
+        // to already, without toots every mention is new.
+        const oldestToot = toots.length ? Date.parse(toots.slice().pop().created_at) : -Infinity;
+        for(const notification of notifications.reverse()) {
+            const { status } = notification;
+            if(Date.parse(status.created_at) > oldestToot && toots.every((t) => t.in_reply_to_id !== status.id)) {
+                this.emitMention(status);
+            }
+        }
+        return all[0].id;
+    }
+    return lastMention;
+}
+getMentions.emitsEvents = true;
+getMentions.persist = true;
+
 /**
  * @this MastodonAccount
  * @param {[Object]} [toots=[]] - Previous toots.
@@ -30,24 +126,98 @@ async function getToots(toots = []) {
         args.since_id = toots[0].id;
     }
     //TODO pagination?
-    const result = await this._client.get(`/accounts/${this.id}/statuses`);
+    const result = await this._client.get(`/accounts/${this.id}/statuses`, args);
     if(result.data.length) {
         return result.data.concat(toots);
     }
     return toots;
 }
 
+/**
+ * A new mention of the account was found. Holds the status from the API.
+ *
+ * @event MastodonAccount#mention
+ * @type {Object}
+ */
 
 class MastodonAccount extends ContentAccount {
     static get Formatter() {
         return MastodonFormatter;
     }
 
+    /**
+     * Minimum time a status has to be scheduled ahead. Mastodon requires
+     * at least five minutes, the rest is a margin for the request.
+     *
+     * @type {number}
+     * @readonly
+     */
+    static get MIN_SCHEDULE_DELAY() {
+        return 360000;
+    }
+
+    /**
+     * Default limits of Mastodon instances. GIFs are converted to videos.
+     *
+     * @type {module:media~MediaLimits}
+     * @readonly
+     */
+    static get MEDIA_LIMITS() {
+        return {
+            size: {
+                image: 16 * MB,
+                gif: 16 * MB,
+                video: 99 * MB
+            },
+            exclusive: [
+                "gif",
+                "video"
+            ]
+        };
+    }
+
+    /**
+     * Default limits of Mastodon instances.
+     *
+     * @type {module:accounts/content-account~PollLimits}
+     * @readonly
+     */
+    static get POLL_LIMITS() {
+        return {
+            options: 4,
+            length: 50,
+            minDuration: 5,
+            maxDuration: 30 * 24 * 60,
+            multiple: true
+        };
+    }
+
+    /**
+     * @type {Object.<string, ([(string|boolean)]|RegExp)>}
+     * @readonly
+     */
+    static get OPTIONS() {
+        return {
+            visibility: [ "public", "unlisted", "private", "direct" ],
+            language: /^[a-z]{2,3}$/,
+            sensitive: [ true, false ]
+        };
+    }
+
+    /**
+     * @param {string} content - Content of the toot.
+     * @returns {[string, [{url: string, alt: string}]]} Text content and the
+     *          media items with their URL and alt text.
+     * @throws {Error} When more than 4 images are given.
+     */
     static getMediaAndContent(content) {
         if(content.search(/!\[[^\]]*\]\([^)]+\)/) !== -1) {
             const media = [];
-            const pureText = content.replace(/!\[[^\]]*\]\(([^)]+)\)/g, (match, url) => {
-                media.push(url);
+            const pureText = content.replace(/!\[([^\]]*)\]\(([^)]+)\)/g, (match, alt, url) => {
+                media.push({
+                    url,
+                    alt: alt.trim()
+                });
                 return '';
             });
             if(media.length > 4) {
@@ -78,16 +248,123 @@ class MastodonAccount extends ContentAccount {
 
     constructor(config, client) {
         super({
+            lastMention: getMentions,
             toots: getToots
         });
 
+        this.name = config.name;
         this._client = client ? client : new Mastodon(config.accessToken, config.url);
         this._config = config;
+        /**
+         * IDs of mentioned statuses that were already emitted, so a mention
+         * from the stream is not emitted again when polling.
+         *
+         * @type {Set<string>}
+         * @private
+         */
+        this._emittedMentions = new Set();
 
         this.ready = this.checkLogin().catch((e) => {
             console.error("MastodonAccount checkLogin", e);
             throw e;
         });
+
+        if(config.streaming) {
+            this.ready.then(() => this.startStreaming()).catch(console.error);
+        }
+    }
+
+    getStorageKey(property) {
+        if(this.name) {
+            return `mastodon:${this.name}:${property}`;
+        }
+        return undefined;
+    }
+
+    /**
+     * @param {Object} status - Status that mentions the account.
+     * @returns {undefined}
+     * @fires MastodonAccount#mention
+     */
+    emitMention(status) {
+        if(!this._emittedMentions.has(status.id)) {
+            this._emittedMentions.add(status.id);
+            this.emit("mention", status);
+        }
+    }
+
+    /**
+     * Handles an event from the notification stream.
+     *
+     * @param {string} event - Server sent event with its event and data lines.
+     * @returns {undefined}
+     */
+    handleStreamEvent(event) {
+        let type;
+        const data = [];
+        for(const line of event.split("\n")) {
+            if(line.startsWith("event:")) {
+                type = line.substr(6).trim();
+            }
+            else if(line.startsWith("data:")) {
+                data.push(line.substr(5).trim());
+            }
+        }
+        if(type === "notification" && data.length) {
+            const notification = JSON.parse(data.join("\n"));
+            if(notification.type === "mention") {
+                this.emitMention(notification.status);
+            }
+        }
+    }
+
+    /**
+     * Listens for notifications on the streaming API until the connection
+     * closes.
+     *
+     * @returns {undefined}
+     */
+    async stream() {
+        const response = await fetch(`${this._config.url}/streaming/user/notification`, {
+            headers: {
+                Authorization: `Bearer ${this._config.accessToken}`
+            }
+        });
+        if(!response.ok) {
+            throw new Error(`Could not connect to the streaming API: ${response.status}`);
+        }
+        let buffer = '';
+        response.body.on('data', (chunk) => {
+            buffer += chunk.toString().replace(/\r\n/g, "\n");
+            const events = buffer.split("\n\n");
+            buffer = events.pop();
+            for(const event of events) {
+                try {
+                    this.handleStreamEvent(event);
+                }
+                catch(e) {
+                    console.error("MastodonAccount stream event", e);
+                }
+            }
+        });
+        return new Promise((resolve, reject) => {
+            response.body.on('end', resolve);
+            response.body.on('error', reject);
+        });
+    }
+
+    /**
+     * Streams notifications, reconnecting when the connection is lost.
+     * Mentions are still polled, so none are lost while reconnecting.
+     *
+     * @returns {undefined}
+     */
+    startStreaming() {
+        this.stream()
+            .catch((e) => console.error("MastodonAccount stream", e))
+            .then(() => {
+                setTimeout(() => this.startStreaming(), STREAM_RECONNECT_DELAY);
+            });
     }
 
     async checkLogin() {
@@ -97,19 +374,40 @@ class MastodonAccount extends ContentAccount {
         this.id = res.data.id;
     }
 
-    async uploadMedia(url) {
+    /**
+     * Uploads media and waits for the instance to process it.
+     *
+     * @param {string} url - URL of the media to upload.
+     * @param {string} [description] - Alt text of the media.
+     * @returns {string} ID of the uploaded media.
+     * @throws {Error} When the media isn't processed in time.
+     */
+    async uploadMedia(url, description) {
+        const media = await Media.load(url, self(this).MEDIA_LIMITS);
         const data = new FormData();
-        const image = await fetch(url);
-        data.append('file', image.body);
-        const res = await this._client.post('/media', data);
+        const [ path ] = url.split(/[?#]/);
+        data.append('file', media.data, {
+            filename: path.slice(path.lastIndexOf('/') + 1) || 'media',
+            contentType: media.mimeType
+        });
+        if(description) {
+            data.append('description', description);
+        }
+        let res = await this._client.post('/media', data);
+        // Large media is processed asynchronously and has no URL until done.
+        for(let checks = 0; res.status === 202 || res.status === 206 || res.data.url === null; ++checks) {
+            if(checks >= MAX_PROCESSING_CHECKS) {
+                throw new Error(`Media ${url} was not processed in time`);
+            }
+            await Media.wait(PROCESSING_CHECK_INTERVAL);
+            res = await this._client.get(`/media/${res.data.id}`);
+        }
         return res.data.id;
     }
 
-    async separateContentAndMedia(card) {
-        const staticRef = self(this);
-        const contentSection = staticRef.GetContentSection(card);
-        const [ content, media ] = staticRef.getMediaAndContent(contentSection);
-        const mediaIds = await Promise.all(media.map((m) => this.uploadMedia(m)));
+    async separateContentAndMedia(toot) {
+        const [ content, media ] = self(this).getMediaAndContent(toot);
+        const mediaIds = await Promise.all(media.map((m) => this.uploadMedia(m.url, m.alt)));
         return [ content, mediaIds ];
     }
 
@@ -118,11 +416,43 @@ class MastodonAccount extends ContentAccount {
         return this.url;
     }
 
+    /**
+     * Links to the status on the instance of the account, so its ID is the
+     * local one that can be replied to.
+     *
+     * @param {Object} status - Status that mentions the account.
+     * @returns {string} Permalink to the status.
+     */
+    getMentionPermalink(status) {
+        const [ origin ] = this.url.match(/^https?:\/\/[^/]+/);
+        return `${origin}/@${status.account.acct}/${status.id}`;
+    }
+
+    getMentionAuthor(status) {
+        return status.account.acct;
+    }
+
+    formatMention(status) {
+        const content = `[@${status.account.acct}](${status.account.url}):
+
+${htmlToText(status.content)}`;
+        return content.split("\n").map((l) => "> " + l).join("\n");
+    }
+
+    async hasRepliedTo(url) {
+        const id = self(this).getTootID(url);
+        if(id === null) {
+            return false;
+        }
+        const toots = await this.toots;
+        return toots.some((t) => t.in_reply_to_id == id);
+    }
+
     async checkPosts(column, markPublished) {
         const toots = await this.toots;
         const cards = await column.cards;
 
-        for(const card of Object.values(cards)) {
+        for(const card of cards) {
             if(card.content.hasSection(MastodonFormatter.REBLOG)) {
                 const id = self(this).getTootID(card.content.getSection(MastodonFormatter.REBLOG));
                 const didReblog = toots.some((t) => t.id == id);
@@ -132,7 +462,8 @@ class MastodonAccount extends ContentAccount {
             }
             else {
                 const staticRef = self(this);
-                const [ content ] = staticRef.getMediaAndContent(staticRef.GetContentSection(card));
+                const [ firstToot ] = staticRef.GetThread(card);
+                const [ content ] = staticRef.getMediaAndContent(firstToot);
                 const toot = toots.find((t) => t.content.includes(content));
                 if(toot) {
                     await markPublished(card, toot.url);
@@ -145,32 +476,253 @@ class MastodonAccount extends ContentAccount {
         return card.content.hasSection(self(this).Formatter.REPLY_TO);
     }
 
-    async publish(card) {
+    /**
+     * Logs the toot or reblog a card would be published as.
+     *
+     * @param {module:card.Card} card - Card to log.
+     * @returns {string} Success message.
+     */
+    logPublish(card) {
         const staticRef = self(this);
-        let successMsg;
         if(card.content.hasSection(staticRef.Formatter.REBLOG)) {
-            const id = staticRef.getTootID(card.content.getSection(staticRef.Formatter.REBLOG));
-            await this._client.post(`/statuses/${id}/reblog`);
-            successMsg = "Successfully reblogged.";
+            DryRun.log(`Reblog on ${this._config.name}`, {
+                url: card.content.getSection(staticRef.Formatter.REBLOG)
+            });
+            return "Would have reblogged (dry run).";
         }
-        else {
-            const [ content, media ] = await this.separateContentAndMedia(card);
-            const params = {
-                status: content
+        const toots = staticRef.GetThread(card).map((toot) => {
+            const [ content, media ] = staticRef.getMediaAndContent(toot);
+            return {
+                status: content,
+                media
             };
-            if(media.length) {
-                params.media_ids = media;
+        });
+        const payload = toots.length === 1 ? toots[0] : {
+            thread: toots
+        };
+        if(card.content.hasSection(staticRef.Formatter.REPLY_TO)) {
+            payload.replyTo = card.content.getSection(staticRef.Formatter.REPLY_TO);
+        }
+        if(card.content.hasSection(staticRef.Formatter.SPOILER)) {
+            payload.spoiler_text = card.content.getSection(staticRef.Formatter.SPOILER);
+        }
+        if(card.content.hasSection(staticRef.Formatter.QUOTE)) {
+            payload.quote = card.content.getSection(staticRef.Formatter.QUOTE);
+        }
+        if(card.content.hasSection(staticRef.Formatter.POLL)) {
+            payload.poll = staticRef.Formatter.ParsePoll(card.content.getSection(staticRef.Formatter.POLL));
+        }
+        const options = this.getOptions(card);
+        if(Object.keys(options).length) {
+            payload.options = options;
+        }
+        DryRun.log(`Toot on ${this._config.name}`, payload);
+        return "Would have posted (dry run).";
+    }
+
+    /**
+     * Builds the parameters to create a status, uploading its media. Quotes
+     * are native quotes on instances configured with `nativeQuotes`, else the
+     * permalink of the quoted toot is appended to the content. The poll is
+     * attached to the first status as well. Every status of a thread gets the
+     * options of the card.
+     *
+     * @param {module:card.Card} card - Card the status is for.
+     * @param {string} toot - Content of the toot.
+     * @param {string} [replyTo] - ID of the status this replies to.
+     * @param {boolean} [first=false] - If the status is the first of the
+     *                                  card and gets its quote and poll.
+     * @returns {Object} Parameters for the statuses endpoint.
+     */
+    async getStatusParams(card, toot, replyTo, first = false) {
+        const staticRef = self(this);
+        const [ content, media ] = await this.separateContentAndMedia(toot);
+        const params = {
+            status: content
+        };
+        if(first && card.content.hasSection(staticRef.Formatter.POLL)) {
+            const poll = staticRef.Formatter.ParsePoll(card.content.getSection(staticRef.Formatter.POLL));
+            params.poll = {
+                options: poll.options,
+                expires_in: poll.duration * 60,
+                multiple: poll.multiple
+            };
+        }
+        if(first && card.content.hasSection(staticRef.Formatter.QUOTE)) {
+            const quoteUrl = card.content.getSection(staticRef.Formatter.QUOTE);
+            if(this._config.nativeQuotes) {
+                params.quoted_status_id = staticRef.getTootID(quoteUrl);
             }
-            if(card.content.hasSection(staticRef.Formatter.REPLY_TO)) {
-                params.in_reply_to_id = staticRef.getTootID(card.content.getSection(staticRef.Formatter.REPLY_TO));
+            else {
+                params.status = `${content}\n\n${quoteUrl}`;
             }
-            if(card.content.hasSection(staticRef.Formatter.SPOILER)) {
-                params.spoiler_text = card.content.getSection(staticRef.Formatter.SPOILER);
+        }
+        if(media.length) {
+            params.media_ids = media;
+        }
+        if(replyTo) {
+            params.in_reply_to_id = replyTo;
+        }
+        if(card.content.hasSection(staticRef.Formatter.SPOILER)) {
+            params.spoiler_text = card.content.getSection(staticRef.Formatter.SPOILER);
+        }
+        const { visibility, language, sensitive } = this.getOptions(card);
+        if(visibility) {
+            params.visibility = visibility;
+        }
+        if(language) {
+            params.language = language;
+        }
+        if(sensitive) {
+            params.sensitive = true;
+        }
+        return params;
+    }
+
+    /**
+     * Only single toots that are due far enough in the future can be
+     * scheduled, threads need the ID of the previous toot. Polls are
+     * published by the queue, so their results can be reported.
+     *
+     * @param {module:card.Card} card - Scheduled card.
+     * @returns {boolean} If the card can be scheduled on the instance.
+     */
+    canSchedule(card) {
+        const staticRef = self(this);
+        if(card.content.hasSection(staticRef.Formatter.REBLOG) || card.content.hasSection(staticRef.Formatter.POLL) || staticRef.GetThread(card).length !== 1) {
+            return false;
+        }
+        return card.content.date.getTime() >= Date.now() + staticRef.MIN_SCHEDULE_DELAY;
+    }
+
+    async schedule(card, date, dryRun = DryRun.enabled) {
+        if(dryRun) {
+            this.logPublish(card);
+            DryRun.log(`Schedule toot on ${this._config.name}`, {
+                scheduled_at: date.toISOString()
+            });
+            return null;
+        }
+        const staticRef = self(this);
+        let replyTo;
+        if(card.content.hasSection(staticRef.Formatter.REPLY_TO)) {
+            replyTo = staticRef.getTootID(card.content.getSection(staticRef.Formatter.REPLY_TO));
+        }
+        const [ toot ] = staticRef.GetThread(card);
+        const params = await this.getStatusParams(card, toot, replyTo, true);
+        params.scheduled_at = date.toISOString();
+        const res = await this._client.post('/statuses', params);
+        return res.data.id;
+    }
+
+    async reschedule(id, date, dryRun = DryRun.enabled) {
+        if(dryRun) {
+            DryRun.log(`Reschedule toot ${id} on ${this._config.name}`, {
+                scheduled_at: date.toISOString()
+            });
+            return;
+        }
+        await this._client.put(`/scheduled_statuses/${id}`, {
+            scheduled_at: date.toISOString()
+        });
+    }
+
+    async cancelScheduled(id, dryRun = DryRun.enabled) {
+        if(dryRun) {
+            DryRun.log(`Cancel scheduled toot ${id} on ${this._config.name}`);
+            return;
+        }
+        await this._client.del(`/scheduled_statuses/${id}`);
+    }
+
+    async isScheduled(id) {
+        try {
+            await this._client.get(`/scheduled_statuses/${id}`);
+            return true;
+        }
+        catch(e) {
+            if(e.response && e.response.status === 404) {
+                return false;
             }
+            throw e;
+        }
+    }
+
+    /**
+     * Scheduled statuses get a new ID once they are published, so the toot is
+     * found by its content in the latest toots of the account.
+     *
+     * @param {module:card.Card} card - Card that was scheduled.
+     * @param {Date} date - Time the toot was scheduled for.
+     * @returns {string?} URL of the toot, null if it wasn't published.
+     */
+    async findScheduledPost(card, date) {
+        const staticRef = self(this);
+        const [ content ] = staticRef.getMediaAndContent(staticRef.GetThread(card)[0]);
+        this.invalidate('toots');
+        const toots = await this.toots;
+        const toot = toots.find((t) => Date.parse(t.created_at) >= date.getTime() - SCHEDULE_CLOCK_MARGIN && htmlToText(t.content).includes(content));
+        return toot ? toot.url : null;
+    }
+
+    async publish(card, dryRun = DryRun.enabled) {
+        if(dryRun) {
+            return this.logPublish(card);
+        }
+        const staticRef = self(this);
+        if(card.content.hasSection(staticRef.Formatter.REBLOG)) {
+            const id = staticRef.getTootID(card.content.getSection(staticRef.Formatter.REBLOG));
+            await this._client.post(`/statuses/${id}/reblog`);
+            return "Successfully reblogged.";
+        }
+        let replyTo;
+        if(card.content.hasSection(staticRef.Formatter.REPLY_TO)) {
+            replyTo = staticRef.getTootID(card.content.getSection(staticRef.Formatter.REPLY_TO));
+        }
+        // Each toot of a thread replies to the previous one, only the first
+        // one quotes. Toots published before a failure are not posted again.
+        const toots = await this.publishThread(card, staticRef.GetThread(card), async (toot, index, previous) => {
+            const params = await this.getStatusParams(card, toot, previous ? previous.id : replyTo, index === 0);
             const res = await this._client.post('/statuses', params);
-            successMsg = "Successfully posted. See " + res.data.url;
+            const post = {
+                id: res.data.id,
+                url: res.data.url
+            };
+            if(res.data.poll) {
+                post.poll = {
+                    id: res.data.poll.id,
+                    closes: Date.parse(res.data.poll.expires_at)
+                };
+            }
+            return post;
+        });
+        const withPoll = toots.find((toot) => toot.poll);
+        if(withPoll) {
+            await card.setMarker(this.pollMarker, withPoll.poll, false);
+        }
+        await this.clearThread(card);
+        const urls = toots.map((toot) => toot.url);
+        if(urls.length === 1) {
+            return "Successfully posted. See " + urls[0];
         }
-        return successMsg;
+        return `Successfully posted a thread of ${urls.length} toots. See
+${urls.map((url) => `- ${url}`).join("\n")}`;
+    }
+
+    /**
+     * @param {string} id - ID of the poll.
+     * @returns {module:accounts/content-account~PollResults} Results of the
+     *          poll.
+     */
+    async getPollResults(id) {
+        const res = await this._client.get(`/polls/${id}`);
+        return {
+            closed: res.data.expired,
+            options: res.data.options.map((option) => ({
+                title: option.title,
+                votes: option.votes_count
+            }))
+        };
     }
 
     async pin(statusUrl) {
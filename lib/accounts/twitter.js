@@ -10,12 +10,47 @@
 "use strict";
 
 const twitter = require("twitter-text");
-const fetch = require("fetch-base64");
+const renderTweet = require("tweet.md");
 const pagination = require("./pagination");
 const Twitter = require("twitter");
 const self = require("../self");
 const ContentAccount = require("./content-account");
 const TwitterFormatter = require("../formatters/twitter");
+const DryRun = require("../dry-run");
+const Media = require("../media");
+
+const MB = 1024 * 1024;
+/**
+ * Size of the chunks videos and GIFs are uploaded in.
+ *
+ * @const {number}
+ */
+const CHUNK_SIZE = MB;
+/**
+ * Status checks before giving up on uploaded media being processed.
+ *
+ * @const {number}
+ */
+const MAX_PROCESSING_CHECKS = 60;
+
+/**
+ * Base URL of the v2 API, which polls are only available on.
+ *
+ * @const {string}
+ */
+const API_V2 = "https://api.twitter.com/2";
+
+/**
+ * Values of the reply_settings of the v2 API by the replies option. Anyone
+ * can reply without reply settings.
+ *
+ * @const {Object.<string, string?>}
+ */
+const REPLY_SETTINGS = {
+    everyone: null,
+    following: "following",
+    mentioned: "mentionedUsers"
+};
 
 /**
  * @fires module:twitter-account.TwitterAccount#mention
@@ -47,6 +82,7 @@ async function getMentions(lastMention) {
     return lastMention;
 }
 getMentions.emitsEvents = true;
+getMentions.persist = true;
 
 /**
  * @this module:twitter-account.TwitterAccount
@@ -88,6 +124,49 @@ class TwitterAccount extends ContentAccount {
         return TwitterFormatter;
     }
 
+    /**
+     * @type {module:media~MediaLimits}
+     * @readonly
+     */
+    static get MEDIA_LIMITS() {
+        return {
+            size: {
+                image: 5 * MB,
+                gif: 15 * MB,
+                video: 512 * MB
+            },
+            exclusive: [
+                "gif",
+                "video"
+            ]
+        };
+    }
+
+    /**
+     * @type {module:accounts/content-account~PollLimits}
+     * @readonly
+     */
+    static get POLL_LIMITS() {
+        return {
+            options: 4,
+            length: 25,
+            minDuration: 5,
+            maxDuration: 7 * 24 * 60,
+            multiple: false
+        };
+    }
+
+    /**
+     * @type {Object.<string, ([(string|boolean)]|RegExp)>}
+     * @readonly
+     */
+    static get OPTIONS() {
+        return {
+            sensitive: [ true, false ],
+            replies: Object.keys(REPLY_SETTINGS)
+        };
+    }
+
     /**
      * @param {Object} config - Twitter client config.
      * @param {Twitter} [client] - Twitter client to use for testing.
@@ -97,6 +176,12 @@ class TwitterAccount extends ContentAccount {
             lastMention: getMentions,
             tweets: getTweets
         });
+        /**
+         * Name of the account in the config.
+         *
+         * @type {string}
+         */
+        this.name = config.name;
         /**
          * @type {external:Twitter}
          * @private
@@ -111,6 +196,13 @@ class TwitterAccount extends ContentAccount {
         });
     }
 
+    getStorageKey(property) {
+        if(this.name) {
+            return `twitter:${this.name}:${property}`;
+        }
+        return undefined;
+    }
+
     /**
      * Extract the Tweet id from the url if it's a valid tweet URL.
      *
@@ -169,17 +261,20 @@ class TwitterAccount extends ContentAccount {
      * Markdown.
      *
      * @param {string} tweet - Content of the tweet.
-     * @returns {[string, [string]]} An array with the first item being the
-     *          cleaned up text content and the second item being an array of
-     *          media item URLs.
+     * @returns {[string, [{url: string, alt: string}]]} An array with the
+     *          first item being the cleaned up text content and the second
+     *          item being an array of media items with their URL and alt text.
      * @throws {Error} When more than 4 images are given, as Twitter only
      *         supports up to 4 images.
      */
     static getMediaAndContent(tweet) {
         if(tweet.search(/!\[[^\]]*\]\([^)]+\)/) !== -1) {
             const media = [];
-            const pureTweet = tweet.replace(/!\[[^\]]*\]\(([^)]+)\)/g, (match, url) => {
-                media.push(url);
+            const pureTweet = tweet.replace(/!\[([^\]]*)\]\(([^)]+)\)/g, (match, alt, url) => {
+                media.push({
+                    url,
+                    alt: alt.trim()
+                });
                 return '';
             });
             if(media.length > 4) {
@@ -190,10 +285,39 @@ class TwitterAccount extends ContentAccount {
         return [ tweet.trim(), [] ];
     }
 
+    /**
+     * @param {Object} tweet - Twitter API Tweet JSON object.
+     * @returns {string} Tweet rendered as Markdown quote.
+     */
+    static formatTweet(tweet) {
+        return renderTweet(tweet).split("\n").map((l) => "> " + l).join("\n");
+    }
+
     static makeTweetPermalink(username, id) {
         return `https://twitter.com/${username}/status/${id}`;
     }
 
+    getMentionPermalink(tweet) {
+        return self(this).makeTweetPermalink(tweet.user.screen_name, tweet.id_str);
+    }
+
+    getMentionAuthor(tweet) {
+        return tweet.user.screen_name;
+    }
+
+    formatMention(tweet) {
+        return self(this).formatTweet(tweet);
+    }
+
+    async hasRepliedTo(url) {
+        const tweetId = self(this).getTweetIDFromURL(url);
+        if(!tweetId) {
+            return false;
+        }
+        const tweets = await this.tweets;
+        return tweets.some((t) => t.in_reply_to_status_id_str === tweetId);
+    }
+
     async getAccountLink() {
         const username = await this.getUsername();
         return `[@${username}](https://twitter.com/${username})`;
@@ -203,26 +327,136 @@ class TwitterAccount extends ContentAccount {
      * Upload an image to Twitter and get its media id.
      *
      * @param {string} mediaUrl - URL of the image to upload.
+     * @param {string} [altText] - Description of the image.
      * @returns {string} Media ID of the image on Twitter.
      */
-    async uploadMedia(mediaUrl) {
-        const [ media_data ] = await fetch.remote(mediaUrl);
-        const args = {
-            media_data
-        };
-        const response = await this._twitterClient.post('media/upload', args);
-        return response.media_id_string;
+    async uploadMedia(mediaUrl, altText) {
+        const media = await Media.load(mediaUrl, self(this).MEDIA_LIMITS);
+        let mediaId;
+        if(media.type === "image") {
+            const response = await this._twitterClient.post('media/upload', {
+                media_data: media.data.toString('base64')
+            });
+            mediaId = response.media_id_string;
+        }
+        else {
+            mediaId = await this.uploadChunked(media);
+        }
+        if(altText) {
+            await this.setAltText(mediaId, altText);
+        }
+        return mediaId;
+    }
+
+    /**
+     * Uploads videos and GIFs in chunks and waits for Twitter to process
+     * them.
+     *
+     * @param {module:media~LoadedMedia} media - Media to upload.
+     * @returns {string} Media ID of the upload.
+     * @throws {Error} When Twitter fails to process the media or does not
+     *         finish processing it in time.
+     */
+    async uploadChunked(media) {
+        const init = await this._twitterClient.post('media/upload', {
+            command: 'INIT',
+            total_bytes: media.size,
+            media_type: media.mimeType,
+            media_category: media.type === "gif" ? 'tweet_gif' : 'tweet_video'
+        });
+        const mediaId = init.media_id_string;
+        for(let segment = 0; segment * CHUNK_SIZE < media.size; ++segment) {
+            await this._twitterClient.post('media/upload', {
+                command: 'APPEND',
+                media_id: mediaId,
+                segment_index: segment,
+                media_data: media.data.slice(segment * CHUNK_SIZE, (segment + 1) * CHUNK_SIZE).toString('base64')
+            });
+        }
+        let { processing_info: processingInfo } = await this._twitterClient.post('media/upload', {
+            command: 'FINALIZE',
+            media_id: mediaId
+        });
+        for(let checks = 0; processingInfo && processingInfo.state !== 'succeeded'; ++checks) {
+            if(processingInfo.state === 'failed') {
+                const reason = processingInfo.error ? processingInfo.error.message : 'unknown error';
+                throw new Error(`Twitter could not process the media: ${reason}`);
+            }
+            if(checks >= MAX_PROCESSING_CHECKS) {
+                throw new Error(`Media ${mediaId} was not processed in time`);
+            }
+            await Media.wait((processingInfo.check_after_secs || 1) * 1000);
+            ({ processing_info: processingInfo } = await this._twitterClient.get('media/upload', {
+                command: 'STATUS',
+                media_id: mediaId
+            }));
+        }
+        return mediaId;
+    }
+
+    /**
+     * Sets the alt text of an uploaded image. The metadata endpoint only
+     * accepts a JSON body, which the client's post method can not send, so
+     * this uses its authenticated request instance directly.
+     *
+     * @param {string} mediaId - Media ID of the image.
+     * @param {string} altText - Description of the image.
+     * @returns {undefined}
+     */
+    setAltText(mediaId, altText) {
+        return new Promise((resolve, reject) => {
+            this._twitterClient.request.post({
+                url: `${this._twitterClient.options.media_base}/media/metadata/create.json`,
+                json: {
+                    media_id: mediaId,
+                    alt_text: {
+                        text: altText
+                    }
+                }
+            }, (error, response) => {
+                if(error) {
+                    reject(error);
+                }
+                else if(response.statusCode >= 400) {
+                    reject(new Error(`Could not set alt text: HTTP ${response.statusCode}`));
+                }
+                else {
+                    resolve();
+                }
+            });
+        });
     }
 
     /**
      * Sends a tweet with the given content to the authenticated account.
+     * Tweets with restricted replies are sent through the v2 API.
      *
      * @param {string} content - Tweet content. Should not be over 140 chars.
      * @param {string} [media=''] - List of media ids to associate with the tweet.
      * @param {string} [inReplyTo] - Tweet this is a reply to.
+     * @param {string} [quote] - Permalink of the tweet this quotes.
+     * @param {module:formatters/formatter~PostOptions} [options={}] - Options
+     *        of the tweet.
      * @returns {string} URL of the tweet.
      */
-    async tweet(content, media = '', inReplyTo = null) {
+    async tweet(content, media = '', inReplyTo = null, quote = null, options = {}) {
+        const replySettings = options.replies ? REPLY_SETTINGS[options.replies] : null;
+        if(replySettings) {
+            // The v2 API can't mark media as sensitive, the validator rejects
+            // sensitive media with restricted replies.
+            const fields = {
+                reply_settings: replySettings
+            };
+            if(quote) {
+                fields.quote_tweet_id = self(this).getTweetIDFromURL(quote);
+            }
+            if(media.length) {
+                fields.media = {
+                    media_ids: media.split(",")
+                };
+            }
+            return this.tweetV2(content, inReplyTo, fields);
+        }
         if(self(this).tweetTooLong(content)) {
             return Promise.reject(new Error("Tweet content too long"));
         }
@@ -242,8 +476,14 @@ class TwitterAccount extends ContentAccount {
                 }
             }
         }
+        if(quote) {
+            args.attachment_url = quote;
+        }
         if(media.length) {
             args.media_ids = media;
+            if(options.sensitive) {
+                args.possibly_sensitive = true;
+            }
         }
         await this.ready;
 
@@ -257,6 +497,123 @@ class TwitterAccount extends ContentAccount {
         return self(this).makeTweetPermalink(username, res.id_str);
     }
 
+    /**
+     * Sends a request to the v2 API with the authentication of the client.
+     *
+     * @param {string} method - HTTP method.
+     * @param {string} path - Path of the endpoint, relative to the v2 API.
+     * @param {Object} [params] - JSON body of a POST, query of a GET request.
+     * @returns {Object} Response data.
+     */
+    requestV2(method, path, params = {}) {
+        const options = {
+            method,
+            url: `${API_V2}/${path}`,
+            json: true
+        };
+        if(method === "GET") {
+            options.qs = params;
+        }
+        else {
+            options.body = params;
+        }
+        return new Promise((resolve, reject) => {
+            this._twitterClient.request(options, (error, response, data) => {
+                if(error) {
+                    reject(error);
+                }
+                else if(data && data.errors) {
+                    reject(data.errors);
+                }
+                else if(response.statusCode < 200 || response.statusCode > 299) {
+                    reject(new Error(`HTTP Error: ${response.statusCode} ${response.statusMessage}`));
+                }
+                else {
+                    resolve(data);
+                }
+            });
+        });
+    }
+
+    /**
+     * Sends a tweet through the v2 API, which polls and reply settings are
+     * only available on.
+     *
+     * @param {string} content - Tweet content.
+     * @param {string} [inReplyTo] - Tweet this is a reply to.
+     * @param {Object} [fields={}] - Further fields of the tweet, like its
+     *        poll.
+     * @returns {string} URL of the tweet.
+     */
+    async tweetV2(content, inReplyTo = null, fields = {}) {
+        if(self(this).tweetTooLong(content)) {
+            throw new Error("Tweet content too long");
+        }
+        const body = Object.assign({
+            text: content
+        }, fields);
+        const replyId = inReplyTo ? self(this).getTweetIDFromURL(inReplyTo) : null;
+        if(replyId) {
+            body.reply = {
+                in_reply_to_tweet_id: replyId
+            };
+        }
+        await this.ready;
+        const [
+            res,
+            username
+        ] = await Promise.all([
+            this.requestV2("POST", "tweets", body),
+            this.getUsername()
+        ]);
+        return self(this).makeTweetPermalink(username, res.data.id);
+    }
+
+    /**
+     * Sends a tweet with a poll. Polls can't have media or quote a tweet.
+     *
+     * @param {string} content - Tweet content, the question of the poll.
+     * @param {module:formatters/formatter~Poll} poll - Poll to attach.
+     * @param {string} [inReplyTo] - Tweet this is a reply to.
+     * @param {module:formatters/formatter~PostOptions} [options={}] - Options
+     *        of the tweet.
+     * @returns {string} URL of the tweet.
+     */
+    tweetPoll(content, poll, inReplyTo = null, options = {}) {
+        const fields = {
+            poll: {
+                options: poll.options,
+                duration_minutes: poll.duration
+            }
+        };
+        const replySettings = options.replies ? REPLY_SETTINGS[options.replies] : null;
+        if(replySettings) {
+            fields.reply_settings = replySettings;
+        }
+        return this.tweetV2(content, inReplyTo, fields);
+    }
+
+    /**
+     * @param {string} id - ID of the tweet with the poll.
+     * @returns {module:accounts/content-account~PollResults} Results of the
+     *          poll.
+     */
+    async getPollResults(id) {
+        await this.ready;
+        const res = await this.requestV2("GET", `tweets/${id}`, {
+            "expansions": "attachments.poll_ids",
+            "poll.fields": "options,voting_status"
+        });
+        const [ poll ] = res.includes.polls;
+        return {
+            closed: poll.voting_status === "closed",
+            options: poll.options.map((option) => ({
+                title: option.label,
+                votes: option.votes
+            }))
+        };
+    }
+
     /**
      * Retweet a tweet based on its URL.
      *
@@ -305,11 +662,16 @@ class TwitterAccount extends ContentAccount {
         return this.id;
     }
 
-    async separateContentAndMedia(card) {
-        const staticRef = self(this);
-        const contentSection = staticRef.GetContentSection(card);
-        const [ content, media ] = staticRef.getMediaAndContent(contentSection);
-        const mediaIds = await Promise.all(media.map((m) => this.uploadMedia(m)));
+    /**
+     * Uploads the media of a post.
+     *
+     * @param {string} post - Content of a single tweet.
+     * @returns {[string, string]} Text content of the tweet and the comma
+     *          separated media IDs.
+     */
+    async separateContentAndMedia(post) {
+        const [ content, media ] = self(this).getMediaAndContent(post);
+        const mediaIds = await Promise.all(media.map((m) => this.uploadMedia(m.url, m.alt)));
         return [ content, mediaIds.join(",") ];
     }
 
@@ -319,7 +681,8 @@ class TwitterAccount extends ContentAccount {
 
         for(const card of Object.values(cards)) {
             if(!card.content.hasSection(TwitterFormatter.RETWEET)) {
-                const [ content ] = self(this).getMediaAndContent(self(this).GetContentSection(card));
+                const [ firstTweet ] = self(this).GetThread(card);
+                const [ content ] = self(this).getMediaAndContent(firstTweet);
                 const tweet = tweets.find((t) => 'full_text' in t ? t.full_text.includes(content) : t.text.includes(content));
                 if(tweet) {
                     await markPublished(card, self(this).makeTweetPermalink(tweet.user.screen_name, tweet.id_str));
@@ -339,24 +702,106 @@ class TwitterAccount extends ContentAccount {
         return card.content.hasSection(TwitterFormatter.REPLY_TO);
     }
 
-    async publish(card) {
-        let url;
+    /**
+     * Logs the tweet or retweet a card would be published as.
+     *
+     * @param {module:card.Card} card - Card to log.
+     * @returns {string} Success message.
+     * @throws {Error} When the tweet is too long.
+     */
+    logPublish(card) {
+        const staticRef = self(this);
         if(card.content.hasSection(TwitterFormatter.RETWEET)) {
-            url = await this.retweet(card.content.getSection(TwitterFormatter.RETWEET));
+            DryRun.log(`Retweet on ${this.name}`, {
+                url: card.content.getSection(TwitterFormatter.RETWEET)
+            });
+            return "Would have retweeted (dry run).";
         }
-        else {
-            let replyTo = null;
-            if(card.content.hasSection(TwitterFormatter.REPLY_TO)) {
-                replyTo = card.content.getSection(TwitterFormatter.REPLY_TO);
+        const tweets = staticRef.GetThread(card).map((tweet) => {
+            const [ content, media ] = staticRef.getMediaAndContent(tweet);
+            if(staticRef.tweetTooLong(content)) {
+                throw new Error("Tweet content too long");
             }
-            const [ content, media ] = await this.separateContentAndMedia(card);
-            url = await this.tweet(content, media, replyTo);
+            return {
+                status: content,
+                media
+            };
+        });
+        const payload = tweets.length === 1 ? tweets[0] : {
+            thread: tweets
+        };
+        if(card.content.hasSection(TwitterFormatter.REPLY_TO)) {
+            payload.replyTo = card.content.getSection(TwitterFormatter.REPLY_TO);
+        }
+        if(card.content.hasSection(TwitterFormatter.QUOTE)) {
+            payload.quote = card.content.getSection(TwitterFormatter.QUOTE);
+        }
+        if(card.content.hasSection(TwitterFormatter.POLL)) {
+            payload.poll = TwitterFormatter.ParsePoll(card.content.getSection(TwitterFormatter.POLL));
+        }
+        const options = this.getOptions(card);
+        if(Object.keys(options).length) {
+            payload.options = options;
+        }
+        DryRun.log(`Tweet on ${this.name}`, payload);
+        return "Would have tweeted (dry run).";
+    }
+
+    async publish(card, dryRun = DryRun.enabled) {
+        if(dryRun) {
+            return this.logPublish(card);
         }
-        let successMsg = "Successfully tweeted. See " + url;
         if(card.content.hasSection(TwitterFormatter.RETWEET)) {
-            successMsg = "Successfully retweeted.";
+            await this.retweet(card.content.getSection(TwitterFormatter.RETWEET));
+            return "Successfully retweeted.";
+        }
+        let replyTo = null;
+        if(card.content.hasSection(TwitterFormatter.REPLY_TO)) {
+            replyTo = card.content.getSection(TwitterFormatter.REPLY_TO);
+        }
+        const thread = self(this).GetThread(card);
+        // Don't start a thread that can't be completed.
+        if(thread.some((tweet) => self(this).tweetTooLong(tweet))) {
+            throw new Error("Tweet content too long");
+        }
+        // Only the first tweet of a thread quotes.
+        const quote = card.content.hasSection(TwitterFormatter.QUOTE) ? card.content.getSection(TwitterFormatter.QUOTE) : null;
+        // The poll is attached to the first tweet as well.
+        const poll = card.content.hasSection(TwitterFormatter.POLL) ? TwitterFormatter.ParsePoll(card.content.getSection(TwitterFormatter.POLL)) : null;
+        const options = this.getOptions(card);
+        // Each tweet of a thread replies to the previous one. Tweets published
+        // before a failure are not tweeted again.
+        const tweets = await this.publishThread(card, thread, async (tweet, index, previous) => {
+            const inReplyTo = previous ? previous.url : replyTo;
+            if(index === 0 && poll) {
+                const url = await this.tweetPoll(self(this).getMediaAndContent(tweet)[0], poll, inReplyTo, options);
+                const id = self(this).getTweetIDFromURL(url);
+                return {
+                    id,
+                    url,
+                    poll: {
+                        id,
+                        closes: Date.now() + poll.duration * 60000
+                    }
+                };
+            }
+            const [ content, media ] = await this.separateContentAndMedia(tweet);
+            const url = await this.tweet(content, media, inReplyTo, index === 0 ? quote : null, options);
+            return {
+                id: self(this).getTweetIDFromURL(url),
+                url
+            };
+        });
+        if(tweets[0].poll) {
+            await card.setMarker(this.pollMarker, tweets[0].poll, false);
+        }
+        await this.clearThread(card);
+        const urls = tweets.map((tweet) => tweet.url);
+        if(urls.length === 1) {
+            return "Successfully tweeted. See " + urls[0];
         }
-        return successMsg;
+        return `Successfully tweeted a thread of ${urls.length} tweets. See
+${urls.map((url) => `- ${url}`).join("\n")}`;
     }
 }
 
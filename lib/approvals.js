@@ -0,0 +1,264 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+/**
+ * @module approvals
+ * @license MPL-2.0
+ */
+"use strict";
+
+const crypto = require("crypto");
+const Formatter = require("./formatters/formatter");
+const DryRun = require("./dry-run");
+const PersistenceManager = require("./persistence/manager");
+const self = require("./self");
+
+/**
+ * Name of the marker recording that the queue has seen the card.
+ *
+ * @const {string}
+ */
+const MARKER = "approval";
+
+/**
+ * How long the members of a team are cached in ms.
+ *
+ * @const {number}
+ */
+const TEAM_CACHE_TIME = 60 * 60 * 1000;
+
+const APPROVE_COMMAND = /^\/approve\s*$/m;
+
+// Sections that don't change what is published.
+const IGNORED_SECTIONS = [
+    Formatter.META,
+    Formatter.SCHEDULED
+];
+
+/**
+ * @typedef {Object} ApprovalConfig
+ * @property {number} [count=1] - Approvals needed to publish a card.
+ * @property {[string]} [users] - Users that can approve cards.
+ * @property {[string]} [teams] - Teams whose members can approve cards.
+ */
+
+/**
+ * @typedef {Object} ApprovalState
+ * @property {boolean} approved - If the card has enough approvals.
+ * @property {[string]} approvers - Users that approved the current content.
+ * @property {number} required - Approvals needed to publish the card.
+ */
+
+/**
+ * Approvals required before cards on a board are published. Approvals are
+ * thumbs up reactions on the issue or comments with "/approve". The hash of
+ * the content is persisted when a card is first checked and whenever it
+ * changes, so only approvals given after the last change count. It is not
+ * stored in the issue, where anyone who can edit it could change it.
+ *
+ * @alias module:approvals.Approvals
+ */
+class Approvals {
+    /**
+     * @param {module:card-content.CardContent} content - Content of a card.
+     * @returns {string} Hash of the sections that are published.
+     */
+    static getContentHash(content) {
+        const sections = content.withoutMarkers.split(/^## /m)
+            .filter((section) => !IGNORED_SECTIONS.some((title) => section.startsWith(`${title}\n`)));
+        return crypto.createHash("sha1").update(sections.join("## "))
+            .digest("hex");
+    }
+
+    /**
+     * @param {module:approvals~ApprovalConfig} config - Approval settings of
+     *                                                   the board.
+     * @param {module:repo.Repository} repo - Repository of the board.
+     * @param {string} storageKey - Key the approved content is persisted
+     *                              under, per issue.
+     */
+    constructor(config, repo, storageKey) {
+        /**
+         * @type {module:approvals~ApprovalConfig}
+         */
+        this.config = config;
+        /**
+         * @type {module:repo.Repository}
+         */
+        this.repo = repo;
+        /**
+         * @type {string}
+         */
+        this.storageKey = storageKey;
+        /**
+         * Members of teams with the time they were fetched at.
+         *
+         * @type {Map.<string, {time: number, members: Promise.<[string]>}>}
+         * @private
+         */
+        this._teams = new Map();
+    }
+
+    /**
+     * @type {number}
+     * @readonly
+     */
+    get required() {
+        return this.config.count || 1;
+    }
+
+    /**
+     * @param {string} team - Name of the team.
+     * @returns {[string]} Usernames of the team members.
+     */
+    getTeamMembers(team) {
+        const cached = this._teams.get(team);
+        if(!cached || cached.time + TEAM_CACHE_TIME < Date.now()) {
+            const members = this.repo.getUsersInTeam(team);
+            members.catch(() => this._teams.delete(team));
+            this._teams.set(team, {
+                time: Date.now(),
+                members
+            });
+        }
+        return this._teams.get(team).members;
+    }
+
+    /**
+     * Anyone can approve when neither users nor teams are configured.
+     *
+     * @param {string} user - Username to check.
+     * @returns {boolean} If the user can approve cards.
+     */
+    async canApprove(user) {
+        const users = this.config.users || [];
+        const teams = this.config.teams || [];
+        if(!users.length && !teams.length) {
+            return true;
+        }
+        if(users.includes(user)) {
+            return true;
+        }
+        for(const team of teams) {
+            const members = await this.getTeamMembers(team);
+            if(members.includes(user)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Collects the users that approved an issue since a given time.
+     *
+     * @param {module:issue.Issue} issue - Issue to get approvals for.
+     * @param {number} since - Only approvals from this time on count.
+     * @returns {[string]} Usernames that approved the issue.
+     */
+    async getApprovers(issue, since) {
+        const [ reactions, comments ] = await Promise.all([
+            issue.getApprovingReactions(),
+            issue.getComments()
+        ]);
+        const candidates = new Set();
+        for(const reaction of reactions) {
+            if(Date.parse(reaction.created_at) >= since) {
+                candidates.add(reaction.user.login);
+            }
+        }
+        for(const comment of comments) {
+            // Edited comments count from their last edit.
+            if(APPROVE_COMMAND.test(comment.body) && Date.parse(comment.updated_at) >= since) {
+                candidates.add(comment.user.login);
+            }
+        }
+        const approvers = [];
+        for(const user of candidates) {
+            if(await this.canApprove(user)) {
+                approvers.push(user);
+            }
+        }
+        return approvers;
+    }
+
+    /**
+     * @param {module:issue.Issue} issue - Issue to get the key for.
+     * @returns {string} Key the approved content of the issue is stored under.
+     */
+    getStorageKey(issue) {
+        return `${this.storageKey}:${issue.number}`;
+    }
+
+    /**
+     * Gets the approved content of a card without recording anything. A card
+     * without the marker the queue adds counts as changed, unless the queue
+     * has never seen it.
+     *
+     * @param {module:card.Card} card - Card to get the approved content of.
+     * @returns {{hash: string, since: number, changed: boolean}} Hash of the
+     *          content, the time approvals count from and if that has to be
+     *          recorded.
+     */
+    async getApproval(card) {
+        const hash = self(this).getContentHash(card.content);
+        const seen = card.content.getMarker(MARKER);
+        const approval = await PersistenceManager.get(this.getStorageKey(card.issue));
+        if(approval && approval.hash === hash && seen) {
+            return {
+                hash,
+                since: approval.since,
+                changed: false
+            };
+        }
+        // Approvals given before the queue first saw the card still count.
+        return {
+            hash,
+            since: approval || seen ? Date.now() : 0,
+            changed: true
+        };
+    }
+
+    /**
+     * Checks if a card has enough approvals for its current content, without
+     * recording content changes.
+     *
+     * @param {module:card.Card} card - Card to check.
+     * @returns {module:approvals~ApprovalState} Approval state of the card.
+     */
+    async getState(card) {
+        const approval = await this.getApproval(card);
+        const approvers = await this.getApprovers(card.issue, approval.since);
+        return {
+            approved: approvers.length >= this.required,
+            approvers,
+            required: this.required
+        };
+    }
+
+    /**
+     * Checks if a card has enough approvals for its current content. Records
+     * content changes, which invalidates earlier approvals.
+     *
+     * @param {module:card.Card} card - Card to check.
+     * @param {boolean} [dryRun=DryRun.enabled] - Only log the changes.
+     * @returns {module:approvals~ApprovalState} Approval state of the card.
+     */
+    async check(card, dryRun = DryRun.enabled) {
+        const approval = await this.getApproval(card);
+        if(approval.changed) {
+            if(!dryRun) {
+                await PersistenceManager.set(this.getStorageKey(card.issue), {
+                    hash: approval.hash,
+                    since: approval.since
+                });
+            }
+            if(!card.content.getMarker(MARKER)) {
+                await card.setMarker(MARKER, true, dryRun);
+            }
+        }
+        return this.getState(card);
+    }
+}
+module.exports = Approvals;
@@ -27,3 +27,14 @@ exports.NoProjectsError = class extends Error {
         super(`No projects in repo ${owner}/${repo}`);
     }
 };
+
+exports.MissingStatusOptionError = class extends Error {
+    /**
+     * @param {string} fieldName - Name of the single select field of the
+     *                             project.
+     * @param {string} optionName - Name of the missing option.
+     */
+    constructor(fieldName, optionName) {
+        super(`The "${fieldName}" field of the project has no option "${optionName}". Add it in the project settings, options can not be added without resetting the field of every item.`);
+    }
+};
@@ -13,6 +13,7 @@ const Column = require("./column");
 const Card = require("./card");
 const DataStoreHolder = require("./data-store-holder");
 const UpdateManager = require("./update-manager");
+const DryRun = require("./dry-run");
 const { ProjectNotFoundError, NoProjectsError } = require("./board-errors");
 
 /**
@@ -24,23 +25,7 @@ const { ProjectNotFoundError, NoProjectsError } = require("./board-errors");
  * @returns {Object<module:column.Column>} New columns object.
  */
 function fetchColumns(oldColumns = {}) {
-    return this.getBoardID().then((id) => {
-        const opts = this.githubClient.projects.listColumns.endpoint.merge({
-            project_id: id
-        });
-        return this.githubClient.paginate(opts);
-    }).then((res) => {
-        const columns = {};
-        for(const column of res) {
-            if(column.id in oldColumns) {
-                columns[column.id] = oldColumns[column.id];
-                //updates.push(columns[column.id].update());
-            } else {
-                columns[column.id] = new Column(this.githubClient, column.id, column.name, this.cards);
-            }
-        }
-        return columns;
-    });
+    return this.fetchColumns(oldColumns);
 }
 
 /**
@@ -76,13 +61,15 @@ class Board extends DataStoreHolder {
      * @param {external:GitHub} githubClient - GitHub Client.
      * @param {module:config~Config} config - Config for the project board.
      * @param {module:repo~Repository} repo - GH repo this board is in.
+     * @param {boolean} [readOnly=false] - Only reads the board, without
+     *                                     creating the project or columns.
      * @fires module:board.Board#opened
      */
-    constructor(githubClient, config, repo) {
+    constructor(githubClient, config, repo, readOnly = false) {
         super({
             columns: fetchColumns,
             columnIds: buildColumnIds
-        });
+        }, UpdateManager.getCacheTime(true));
 
         /**
          * @type {external:GitHub}
@@ -93,6 +80,10 @@ class Board extends DataStoreHolder {
          */
         this.config = config;
         this.repo = repo;
+        /**
+         * @type {boolean}
+         */
+        this.readOnly = readOnly;
 
         /**
          * All cards accross all columns, indexed by card id.
@@ -108,6 +99,31 @@ class Board extends DataStoreHolder {
         this.ready = this.setup().catch((e) => console.error("Board setup", e));
     }
 
+    /**
+     * Loads the columns of the project from GitHub.
+     *
+     * @param {Object<module:column.Column>} oldColumns - Previous columns,
+     *        which are kept if they still exist.
+     * @returns {Object<module:column.Column>} Columns by their ID.
+     */
+    async fetchColumns(oldColumns) {
+        const id = await this.getBoardID();
+        const opts = this.githubClient.projects.listColumns.endpoint.merge({
+            project_id: id
+        });
+        const res = await this.githubClient.paginate(opts);
+        const columns = {};
+        for(const column of res) {
+            if(column.id in oldColumns) {
+                columns[column.id] = oldColumns[column.id];
+            }
+            else {
+                columns[column.id] = new Column(this.githubClient, column.id, column.name, this.cards);
+            }
+        }
+        return columns;
+    }
+
     /**
      * Gets the ID of the project.
      *
@@ -151,6 +167,23 @@ class Board extends DataStoreHolder {
         });
     }
 
+    /**
+     * Checks if the user of the token may change the project.
+     *
+     * @returns {boolean} Whether the token can update the project.
+     */
+    async canUpdate() {
+        const [ id, { data: user } ] = await Promise.all([
+            this.getBoardID(),
+            this.githubClient.users.getAuthenticated()
+        ]);
+        const { data } = await this.githubClient.projects.reviewUserPermissionLevel({
+            project_id: id,
+            username: user.login
+        });
+        return data.permission === "admin" || data.permission === "write";
+    }
+
     /**
      * Gets missing columns for the project.
      *
@@ -216,12 +249,16 @@ class Board extends DataStoreHolder {
     }
 
     /**
-     * Creates a project and the required columns.
+     * Creates a project and the required columns. In read only mode the
+     * project has to exist already and missing columns are not created.
      *
      * @returns {undefined}
      */
     async setup() {
-        if(!(await this.boardExists())) {
+        if(this.readOnly) {
+            await this.getBoardID();
+        }
+        else if(!(await this.boardExists())) {
             await this.createBoard();
         }
 
@@ -232,13 +269,15 @@ class Board extends DataStoreHolder {
             }
         });
 
-        const missingColumns = await this.missingColumns();
+        if(!this.readOnly) {
+            const missingColumns = await this.missingColumns();
 
-        await Promise.all(missingColumns.map((column) => {
-            return this.createColumn(column);
-        }));
+            await Promise.all(missingColumns.map((column) => {
+                return this.createColumn(column);
+            }));
 
-        UpdateManager.register(this);
+            UpdateManager.register(this);
+        }
 
         await this.repo.ready;
         const columns = Object.values(await this.columns);
@@ -271,9 +310,17 @@ class Board extends DataStoreHolder {
      *                            ideas column.
      * @param {boolean} [localOnly=false] - If the card should only be added
      *                                      on the local column model.
-     * @returns {module:card.Card} Card that was added to the column.
+     * @param {boolean} [dryRun=DryRun.enabled] - Only log adding the card, if
+     *                                            it isn't on the board yet.
+     * @returns {module:card.Card?} Card that was added to the column.
      */
-    async addCard(issue, column, localOnly = false) {
+    async addCard(issue, column, localOnly = false, dryRun = DryRun.enabled) {
+        if(dryRun && !localOnly && !(await column.hasIssue(issue.number))) {
+            DryRun.log(`Add card for #${issue.number}`, {
+                column: column.name
+            });
+            return null;
+        }
         const card = await column.addCard(new Card(issue, this.config), localOnly);
         this.cards.set(card.id, card);
         return card;
@@ -287,15 +334,19 @@ class Board extends DataStoreHolder {
      * @param {boolean} [localOnly=false] - If the card should only be moved locally.
      * @param {string} [insertionPoint="bottom"] - Where to insert the card in the
      *                                           column. top, bottom or after.
+     * @param {boolean} [dryRun=DryRun.enabled] - Only log moving the card.
      * @returns {undefined}
      */
-    async moveCardToColumn(card, column, localOnly = false, insertionPoint = "bottom") {
-        if(!localOnly) {
-            await this.githubClient.projects.moveCard({
-                card_id: card.id,
-                position: insertionPoint,
-                column_id: column.id
+    async moveCardToColumn(card, column, localOnly = false, insertionPoint = "bottom", dryRun = DryRun.enabled) {
+        if(dryRun && !localOnly) {
+            DryRun.log(`Move card for #${card.issue.number}`, {
+                column: column.name,
+                position: insertionPoint
             });
+            return;
+        }
+        if(!localOnly) {
+            await this.moveRemoteCard(card, column, insertionPoint);
         }
 
         if(card.column) {
@@ -304,6 +355,136 @@ class Board extends DataStoreHolder {
         await column.addCard(card, true);
     }
 
+    /**
+     * Moves a card to a different column on GitHub.
+     *
+     * @param {module:card.Card} card - Card to move.
+     * @param {module:column.Column} column - Column to move the card to.
+     * @param {string} insertionPoint - Where to insert the card in the column.
+     * @returns {undefined}
+     */
+    async moveRemoteCard(card, column, insertionPoint) {
+        await this.githubClient.projects.moveCard({
+            card_id: card.id,
+            position: insertionPoint,
+            column_id: column.id
+        });
+    }
+
+    /**
+     * Checks if a webhook payload object belongs to this board.
+     *
+     * @param {string} projectUrl - API URL of the project the payload is for.
+     * @returns {boolean} If the project URL points to this board.
+     */
+    async isOwnProject(projectUrl) {
+        const id = await this.getBoardID();
+        return typeof projectUrl === "string" && projectUrl.endsWith(`/projects/${id}`);
+    }
+
+    /**
+     * Applies changes pushed by a GitHub webhook to the local board model.
+     *
+     * @param {string} event - GitHub event type.
+     * @param {Object} payload - Webhook payload.
+     * @returns {undefined}
+     * @fires module:data-store-holder.DataStoreHolder#storesupdated
+     */
+    async handleWebhook(event, payload) {
+        if(event === "project_card" && (await this.isOwnProject(payload.project_card.project_url))) {
+            await this.ready;
+            await this.receiveCard(payload.action, payload.project_card, payload.changes);
+        }
+        else if(event === "project_column" && (await this.isOwnProject(payload.project_column.project_url))) {
+            await this.ready;
+            await this.receiveColumn(payload.action, payload.project_column, payload.changes);
+        }
+        else {
+            return;
+        }
+        await this.emitSerial("storesupdated");
+    }
+
+    /**
+     * Updates the local column models for a card changed on GitHub.
+     *
+     * @param {string} action - Webhook action.
+     * @param {Object} cardData - Card data from the webhook.
+     * @param {Object} [changes] - Previous values of changed properties.
+     * @returns {undefined}
+     */
+    async receiveCard(action, cardData, changes) {
+        const issueNumber = Column.getIssueNumber(cardData.content_url);
+        if(issueNumber === null) {
+            return;
+        }
+        const columns = await this.columns;
+        const column = columns[cardData.column_id];
+        const card = this.cards.get(cardData.id);
+
+        if(action === "moved" && changes && changes.column_id && changes.column_id.from in columns) {
+            const previousColumn = columns[changes.column_id.from];
+            const previousIssues = await previousColumn.issues;
+            delete previousIssues[issueNumber];
+        }
+
+        if(action === "deleted") {
+            if(column) {
+                const issues = await column.issues;
+                delete issues[issueNumber];
+                if(card) {
+                    await column.removeCard(card, true);
+                }
+            }
+            return;
+        }
+
+        if(!column) {
+            return;
+        }
+        const issues = await column.issues;
+        issues[issueNumber] = cardData;
+        if(card) {
+            await this.moveCardToColumn(card, column, true);
+        }
+        else {
+            const openIssues = await this.repo.issues.issues;
+            const issue = openIssues.get(parseInt(issueNumber, 10));
+            if(issue) {
+                await this.addCard(issue, column, true);
+            }
+        }
+    }
+
+    /**
+     * Updates the local columns for a column changed on GitHub.
+     *
+     * @param {string} action - Webhook action.
+     * @param {Object} columnData - Column data from the webhook.
+     * @param {Object} [changes] - Previous values of changed properties.
+     * @returns {undefined}
+     */
+    async receiveColumn(action, columnData, changes) {
+        const [ columns, columnIds ] = await Promise.all([
+            this.columns,
+            this.columnIds
+        ]);
+        if(action === "created" && !(columnData.id in columns)) {
+            columns[columnData.id] = new Column(this.githubClient, columnData.id, columnData.name, this.cards);
+            columnIds[columnData.name] = columnData.id;
+        }
+        else if(action === "edited" && columnData.id in columns) {
+            if(changes && changes.name) {
+                delete columnIds[changes.name.from];
+            }
+            columns[columnData.id].name = columnData.name;
+            columnIds[columnData.name] = columnData.id;
+        }
+        else if(action === "deleted") {
+            delete columns[columnData.id];
+            delete columnIds[columnData.name];
+        }
+    }
 
     /**
      * Creates a card in a column.
@@ -312,9 +493,19 @@ class Board extends DataStoreHolder {
      * @param {string} text - Text for a card to add.
      * @param {module:column.Column} column - Column to add the card to.
      * @param {string} [position] - Where to insert the card in the column.
-     * @returns {module:tweet-card.TweetCard} Created card.
+     * @param {boolean} [dryRun=DryRun.enabled] - Only log creating the card.
+     * @returns {module:tweet-card.TweetCard?} Created card.
      */
-    async createCard(title, text, column, position) {
+    async createCard(title, text, column, position, dryRun = DryRun.enabled) {
+        if(dryRun) {
+            DryRun.log("Create card", {
+                title,
+                body: text,
+                column: column.name,
+                position
+            });
+            return null;
+        }
         const issue = await this.repo.issues.createIssue(title, text);
         const card = await this.addCard(issue, column);
         if(position) {
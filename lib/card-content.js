@@ -12,6 +12,22 @@
 const ScheduledDate = require("./scheduled-date");
 const Formatter = require("./formatters/formatter");
 
+/**
+ * Prefix of the HTML comments holding data of the queue in the issue body.
+ *
+ * @const {string}
+ */
+const MARKER_PREFIX = "content-queue:";
+
+/**
+ * @param {string} name - Name of the marker.
+ * @returns {RegExp} Pattern matching the marker line.
+ */
+const getMarkerPattern = (name) => {
+    const escapedName = name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    return new RegExp(`^<!-- ${MARKER_PREFIX}${escapedName} (.*) -->\n?`, "m");
+};
+
 /**
  * Abstraction over the cards used on the actual board. Represents a planned
  * tweet. Uses GitHub issues with a specific format to extract the data.
@@ -71,6 +87,38 @@ class CardContent {
         );
     }
 
+    /**
+     * Sets the content of a section and appends the section if the card
+     * doesn't have it yet.
+     *
+     * @param {string} title - Title of the section.
+     * @param {string} content - Content of the section.
+     * @returns {undefined}
+     */
+    addSection(title, content) {
+        if(this.hasSection(title)) {
+            this.setSection(title, content);
+        }
+        else {
+            this.raw = `${this.raw.trimRight()}\n\n${Formatter.CreateSection(title, content)}`;
+        }
+    }
+
+    /**
+     * Removes a section with its title. Does not do anything if the section
+     * does not exist.
+     *
+     * @param {string} title - Title of the section to remove.
+     * @returns {undefined}
+     */
+    removeSection(title) {
+        if(this.hasSection(title)) {
+            this.raw = this.raw.replace(Formatter.CreateSection(title, this.getSection(title)).trim(), '')
+                .replace(/\n{3,}/g, '\n\n')
+                .trim() + '\n';
+        }
+    }
+
     /**
      * Checks if the card contains a section.
      *
@@ -82,6 +130,55 @@ class CardContent {
 `);
     }
 
+    /**
+     * Hidden data stored in the issue body by the queue.
+     *
+     * @param {string} name - Name of the marker.
+     * @returns {?} Value of the marker or undefined if it's not set.
+     */
+    getMarker(name) {
+        const match = this.raw.match(getMarkerPattern(name));
+        if(match) {
+            try {
+                return JSON.parse(match[1]);
+            }
+            catch(e) {
+                return undefined;
+            }
+        }
+        return undefined;
+    }
+
+    /**
+     * Stores hidden data in the issue body. Markers are kept at the top of
+     * the body, so they are not part of any section.
+     *
+     * @param {string} name - Name of the marker.
+     * @param {?} [value] - JSON serializable value of the marker. Removes the
+     *                      marker if undefined.
+     * @returns {undefined}
+     */
+    setMarker(name, value) {
+        const pattern = getMarkerPattern(name);
+        const body = this.raw.replace(pattern, '');
+        if(value === undefined) {
+            this.raw = body;
+        }
+        else {
+            this.raw = `<!-- ${MARKER_PREFIX}${name} ${JSON.stringify(value)} -->\n${body}`;
+        }
+    }
+
+    /**
+     * Content of the card without any markers.
+     *
+     * @type {string}
+     * @readonly
+     */
+    get withoutMarkers() {
+        return this.raw.replace(new RegExp(`^<!-- ${MARKER_PREFIX}.* -->\n?`, "gm"), '');
+    }
+
     /**
      * @type {boolean}
      * @readonly
@@ -100,6 +197,34 @@ class CardContent {
         const d = this.getSection(Formatter.SCHEDULED);
         return new ScheduledDate(d, this.config);
     }
+
+    /**
+     * Priority of the card from its priority section. Only the leading number
+     * of the section counts, so "1 - Urgent" has the priority 1.
+     *
+     * @type {number?}
+     * @readonly
+     */
+    get priority() {
+        if(!this.hasSection(Formatter.PRIORITY)) {
+            return null;
+        }
+        const priority = parseFloat(this.getSection(Formatter.PRIORITY));
+        return Number.isNaN(priority) ? null : priority;
+    }
+
+    /**
+     * Options of the post, from the options section on top of the post
+     * options of the board.
+     *
+     * @returns {module:formatters/formatter~PostOptions} Options of the post.
+     * @throws {Error} When the options section can't be parsed.
+     */
+    getOptions() {
+        const defaults = this.config && this.config.postOptions;
+        const options = this.hasSection(Formatter.OPTIONS) ? Formatter.ParseOptions(this.getSection(Formatter.OPTIONS)) : {};
+        return Object.assign({}, defaults, options);
+    }
 }
 
 module.exports = CardContent;
@@ -11,6 +11,9 @@
 
 const CardContent = require("./card-content");
 const Validator = require("./validators/validator");
+const DryRun = require("./dry-run");
+const StatusComment = require("./status-comment");
+const PreviewComment = require("./preview-comment");
 
 /**
  * @alias module:card.Card
@@ -29,6 +32,14 @@ class Card {
          * @type {module:config~Config}
          */
         this.config = config;
+        /**
+         * @type {module:status-comment.StatusComment}
+         */
+        this.status = new StatusComment(issue);
+        /**
+         * @type {module:preview-comment.PreviewComment}
+         */
+        this.preview = new PreviewComment(issue);
         //TODO check card validity?
 
         this.updateContent();
@@ -47,69 +58,84 @@ class Card {
     }
 
     /**
-     * Checks the card for its validity and sets the relevant labels.
+     * Checks the card for its validity and sets the relevant labels. The
+     * errors are kept up to date in the status comment.
      *
      * @param {[string]} contentErrors - Errors in the card content.
-     * @param {string} [title] - Validator the errors are from.
+     * @param {string} [title=Validator.TITLE] - Validator the errors are from.
+     * @param {boolean} [dryRun=DryRun.enabled] - Only log the changes.
+     * @async
      * @returns {undefined}
      */
-    setValidity(contentErrors, title) {
+    setValidity(contentErrors, title = Validator.TITLE, dryRun = DryRun.enabled) {
         //TODO try to consolidate error comment with other instances. Should also consider validity decision from other instances?
-        if(contentErrors.length && (this.valid || (!this.issue.hasLabel(this.config.labels.ready) && !this.issue.hasLabel(this.config.labels.invalid)))) {
-            this.reportErrors(contentErrors, title);
-
-            this.issue.addLabel(this.config.labels.invalid);
-            this.issue.removeLabel(this.config.labels.ready);
+        const wasInvalid = this.issue.hasLabel(this.config.labels.invalid);
+        if(contentErrors.length) {
+            if(this.valid || (!this.issue.hasLabel(this.config.labels.ready) && !wasInvalid)) {
+                this.issue.addLabel(this.config.labels.invalid, dryRun);
+                this.issue.removeLabel(this.config.labels.ready, dryRun);
+            }
+            return this.reportErrors(contentErrors, title, dryRun);
         }
-        else if(contentErrors.length === 0 && !this.valid) {
-            this.issue.addLabel(this.config.labels.ready);
-            this.issue.removeLabel(this.config.labels.invalid);
+        if(!this.valid) {
+            this.issue.addLabel(this.config.labels.ready, dryRun);
+            this.issue.removeLabel(this.config.labels.invalid, dryRun);
         }
-        else {
-            //TODO update the existing error comment.
+        // Avoid looking up the status comment of cards that never had errors.
+        if(wasInvalid || this.status.loaded) {
+            return this.resolveStatus(`validation ${title}`, dryRun);
         }
+        return Promise.resolve();
     }
 
     /**
-     * Post a comment to remind people to work on the card.
+     * Remind people to work on the card in the status comment.
      *
      * @param {string} msg - Message to remind about.
+     * @param {boolean} [dryRun=DryRun.enabled] - Only log the reminder.
      * @async
      * @returns {undefined}
      */
-    remind(msg) {
-        return this.comment(`:bell: *Friendly reminder*: ${msg}`);
+    remind(msg, dryRun = DryRun.enabled) {
+        return this.setStatus("reminder", ":bell: Friendly reminder", msg, dryRun);
     }
 
     /**
      * Assign a user to be responsible for this card.
      *
      * @param {string} user - User to assign.
+     * @param {boolean} [dryRun=DryRun.enabled] - Only log the assignment.
      * @async
      * @returns {undefined}
      */
-    assign(user) {
-        return this.issue.assign(user);
+    assign(user, dryRun = DryRun.enabled) {
+        return this.issue.assign(user, dryRun);
     }
 
     /**
-     * Report an error that happened with this card. Posts a comment on the
-     * issue.
+     * Report errors in the card content in the status comment.
      *
      * @async
      * @param {[string]} errors - Errors to report.
      * @param {string} [title=Validator.TITLE] - Subsection in comment these errors are for.
+     * @param {boolean} [dryRun=DryRun.enabled] - Only log the comment.
      * @returns {undefined}
      */
-    reportErrors(errors, title = Validator.TITLE) {
-        //TODO add some error info test
-        return this.comment(`:warning: **Some actions have to be taken before this is ready:**
-
-## ${title}
-${errors.map((e) => " - "+e).join("\n")}`);
+    reportErrors(errors, title = Validator.TITLE, dryRun = DryRun.enabled) {
+        return this.setStatus(`validation ${title}`, `:warning: Some actions have to be taken before this is ready (${title}):`, errors.map((e) => " - "+e).join("\n"), dryRun);
     }
 
-    reportError(action, error) {
+    /**
+     * Report an error that happened with this card in the status comment. It
+     * replaces the status of the action.
+     *
+     * @async
+     * @param {string} action - Action that failed.
+     * @param {?} error - Error that was caught.
+     * @param {boolean} [dryRun=DryRun.enabled] - Only log the comment.
+     * @returns {undefined}
+     */
+    reportError(action, error, dryRun = DryRun.enabled) {
         let stringified;
         if(error instanceof Error) {
             stringified = error.toString();
@@ -120,22 +146,61 @@ ${errors.map((e) => " - "+e).join("\n")}`);
         else if(typeof error === "string") {
             stringified = error;
         }
-        return this.comment(`:warning: **An error was caught when trying to ${action} this issue:**
-\`\`\`
+        return this.setStatus(action, `:warning: An error was caught when trying to ${action} this issue:`, `\`\`\`
 ${stringified}
-\`\`\`
-`);
+\`\`\``, dryRun);
+    }
+
+    /**
+     * Sets a section of the status comment.
+     *
+     * @param {string} name - Name of the section.
+     * @param {string} title - Title of the section.
+     * @param {string} body - Content of the section.
+     * @param {boolean} [dryRun=DryRun.enabled] - Only log the comment.
+     * @async
+     * @returns {undefined}
+     */
+    setStatus(name, title, body, dryRun = DryRun.enabled) {
+        return this.status.update(name, title, body, dryRun);
+    }
+
+    /**
+     * Collapses a section of the status comment that no longer applies.
+     *
+     * @param {string} name - Name of the section.
+     * @param {boolean} [dryRun=DryRun.enabled] - Only log the comment.
+     * @async
+     * @returns {undefined}
+     */
+    resolveStatus(name, dryRun = DryRun.enabled) {
+        return this.status.resolve(name, dryRun);
+    }
+
+    /**
+     * Shows how the card will be published on a service in the preview
+     * comment.
+     *
+     * @param {string} service - Service the preview is for.
+     * @param {string} preview - Preview of the card on the service.
+     * @param {boolean} [dryRun=DryRun.enabled] - Only log the comment.
+     * @async
+     * @returns {undefined}
+     */
+    setPreview(service, preview, dryRun = DryRun.enabled) {
+        return this.preview.update(service, service, preview, dryRun);
     }
 
     /**
      * Posts a comment on the issue.
      *
      * @param {string} msg - Comment to post.
+     * @param {boolean} [dryRun=DryRun.enabled] - Only log the comment.
      * @async
      * @returns {undefined}
      */
-    comment(msg) {
-        return this.issue.comment(msg);
+    comment(msg, dryRun = DryRun.enabled) {
+        return this.issue.comment(msg, dryRun);
     }
 
     /**
@@ -145,6 +210,31 @@ ${stringified}
         return this._content;
     }
 
+    /**
+     * Stores hidden data in the issue description.
+     *
+     * @param {string} name - Name of the marker.
+     * @param {?} [value] - Value to store, removes the marker if undefined.
+     * @param {boolean} [dryRun=DryRun.enabled] - Only log the change.
+     * @async
+     * @returns {undefined}
+     */
+    setMarker(name, value, dryRun = DryRun.enabled) {
+        this._content.setMarker(name, value);
+        return this.saveContent(dryRun);
+    }
+
+    /**
+     * Saves changes to the content to GitHub and waits for the update.
+     *
+     * @param {boolean} [dryRun=DryRun.enabled] - Only log the change.
+     * @async
+     * @returns {undefined}
+     */
+    saveContent(dryRun = DryRun.enabled) {
+        return this.issue.setContent(this._content.raw, dryRun);
+    }
+
     /**
      * Saves the content from the TweetCardContent to GitHub.
      *
@@ -0,0 +1,508 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+/**
+ * @module cli
+ * @license MPL-2.0
+ */
+"use strict";
+
+const path = require("path");
+const { loadConfig } = require("./config");
+const AccountManager = require("./accounts/manager");
+const Repository = require("./repo");
+const Card = require("./card");
+const ContentQueue = require("./content-queue");
+const PublishSource = require("./sources/publish");
+const ValidatorSource = require("./sources/validator");
+const PersistenceManager = require("./persistence/manager");
+const DryRun = require("./dry-run");
+
+/**
+ * Exit codes of the CLI.
+ *
+ * @const
+ * @enum {number}
+ */
+const EXIT_CODES = {
+    success: 0,
+    failure: 1,
+    usage: 2
+};
+
+/**
+ * Options that take a value.
+ *
+ * @const {[string]}
+ */
+const VALUE_OPTIONS = [
+    'config',
+    'board',
+    'account'
+];
+
+/**
+ * Options that are flags without a value.
+ *
+ * @const {[string]}
+ */
+const FLAG_OPTIONS = [
+    'help',
+    'dry-run'
+];
+
+/**
+ * Error in the invocation of the CLI. Leads to the usage being printed.
+ *
+ * @extends external:Error
+ */
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+    }
+}
+
+/**
+ * @typedef {Object} Arguments
+ * @property {string} command - Subcommand to run.
+ * @property {[string]} params - Positional parameters of the subcommand.
+ * @property {Object.<string, string>} options - Options passed with --name.
+ */
+
+/**
+ * @typedef {Object} Output
+ * @property {function} log - Prints regular output.
+ * @property {function} error - Prints errors.
+ */
+
+/**
+ * @typedef {Object} Context
+ * @property {module:config~Config} config - Board config.
+ * @property {module:accounts/manager.AccountManager} accountManager - Accounts.
+ * @property {module:repo.Repository} repo - Repository the board is in.
+ * @property {module:board.Board} board - Board in read only mode.
+ */
+
+/**
+ * Parses the command line arguments.
+ *
+ * @param {[string]} argv - Arguments without the node binary and script.
+ * @returns {module:cli~Arguments} Parsed arguments.
+ * @throws {module:cli~UsageError} When an option is unknown or misses its value.
+ */
+const parseArgs = (argv) => {
+    const args = {
+        command: undefined,
+        params: [],
+        options: {}
+    };
+    for(let i = 0; i < argv.length; ++i) {
+        const arg = argv[i];
+        if(arg.startsWith("--")) {
+            const [ name, inlineValue ] = arg.slice(2).split("=", 2);
+            if(FLAG_OPTIONS.includes(name)) {
+                args.options[name] = true;
+                continue;
+            }
+            if(!VALUE_OPTIONS.includes(name)) {
+                throw new UsageError(`Unknown option --${name}`);
+            }
+            let value = inlineValue;
+            if(value === undefined) {
+                value = argv[++i];
+            }
+            if(value === undefined) {
+                throw new UsageError(`Option --${name} needs a value`);
+            }
+            args.options[name] = value;
+        }
+        else if(args.command === undefined) {
+            args.command = arg;
+        }
+        else {
+            args.params.push(arg);
+        }
+    }
+    return args;
+};
+
+/**
+ * @param {string} param - Issue number parameter, optionally prefixed with #.
+ * @returns {number} Issue number.
+ * @throws {module:cli~UsageError} When the parameter is not an issue number.
+ */
+const parseIssueNumber = (param) => {
+    if(!param || !(/^#?\d+$/).test(param)) {
+        throw new UsageError("Expected an issue number");
+    }
+    return parseInt(param.replace("#", ""), 10);
+};
+
+/**
+ * Selects the boards matching the --board option. Boards are matched by
+ * project name or by repo and project name, like "owner/repo/Project".
+ *
+ * @param {module:config~Config} config - Global config.
+ * @param {string} [name] - Value of the --board option.
+ * @returns {[Object]} Matching board configs.
+ * @throws {module:cli~UsageError} When no board matches.
+ */
+const selectBoards = (config, name) => {
+    if(name === undefined) {
+        return config.boards;
+    }
+    const boards = config.boards.filter((board) => {
+        const repo = board.hasOwnProperty("owner") ? `${board.owner}/${board.repo}` : board.repo;
+        return board.projectName === name || `${repo}/${board.projectName}` === name;
+    });
+    if(!boards.length) {
+        throw new UsageError(`No board ${name} configured`);
+    }
+    return boards;
+};
+
+/**
+ * @param {module:config~Config} config - Global config.
+ * @param {string} [name] - Value of the --board option.
+ * @returns {Object} The only matching board config.
+ * @throws {module:cli~UsageError} When not exactly one board matches.
+ */
+const selectBoard = (config, name) => {
+    const boards = selectBoards(config, name);
+    if(boards.length > 1) {
+        throw new UsageError("Multiple boards configured, select one with --board");
+    }
+    return boards[0];
+};
+
+/**
+ * Sets up the repository and board of a board config without modifying them.
+ *
+ * @param {module:accounts/manager.AccountManager} accountManager - Accounts.
+ * @param {Object} boardConfig - Config of the board.
+ * @returns {module:cli~Context} Board context.
+ */
+const openBoard = async (accountManager, boardConfig) => {
+    const config = ContentQueue.normalizeConfig(boardConfig);
+    const githubClient = accountManager.getAccount('github', config.githubAccount).client;
+    const repo = new Repository(githubClient, {
+        owner: config.owner,
+        repo: config.repo
+    }, "", "", true);
+    const board = ContentQueue.createBoard(githubClient, config, repo, true);
+    return {
+        config,
+        accountManager,
+        repo,
+        board
+    };
+};
+
+/**
+ * Waits until the board is fully loaded.
+ *
+ * @param {module:cli~Context} context - Board context.
+ * @returns {undefined}
+ */
+const boardReady = async (context) => {
+    await context.repo.ready;
+    await context.board.getBoardID();
+    await context.board.ready;
+};
+
+/**
+ * @param {module:cli~Context} context - Board context.
+ * @param {number} issueNumber - Number of the issue.
+ * @returns {module:card.Card?} Card of the issue on the board.
+ */
+const findCard = (context, issueNumber) => {
+    for(const card of context.board.cards.values()) {
+        if(card.issue.number === issueNumber) {
+            return card;
+        }
+    }
+    return null;
+};
+
+/**
+ * Gets the publish source config to use.
+ *
+ * @param {Object} boardConfig - Config of the board.
+ * @param {string} [accountName] - Value of the --account option.
+ * @returns {[Object]} Publish source configs.
+ * @throws {module:cli~UsageError} When no publish source matches.
+ */
+const selectPublishSources = (boardConfig, accountName) => {
+    const sources = boardConfig.sources.filter((s) => s.type === "publish" && (accountName === undefined || s.accountName === accountName));
+    if(!sources.length) {
+        throw new UsageError(accountName ? `No publish source for account ${accountName}` : "Board has no publish source");
+    }
+    return sources;
+};
+
+/**
+ * @param {module:cli~Context} context - Board context.
+ * @param {Object} sourceConfig - Config of the publish source.
+ * @param {boolean} [dryRun=DryRun.enabled] - Force dry run mode.
+ * @returns {module:sources/publish.PublishSource} Publish source.
+ */
+const getPublishSource = (context, sourceConfig, dryRun = DryRun.enabled) => {
+    // --dry-run also overrides sources that disable dry run mode.
+    if(dryRun) {
+        sourceConfig = Object.assign({}, sourceConfig, {
+            dryRun: true
+        });
+    }
+    return new PublishSource(context.repo, context.accountManager, context.board, sourceConfig, () => Promise.resolve([]));
+};
+
+/**
+ * @param {module:card.Card} card - Card to describe.
+ * @returns {string} Single line description of the card.
+ */
+const describeCard = (card) => {
+    let state = card.valid ? "ready" : "not ready";
+    if(card.content.isScheduled) {
+        state += `, scheduled for ${card.content.date.toISOString()}`;
+    }
+    return `#${card.issue.number} ${card.issue.title} (${state})`;
+};
+
+const commands = {
+    "validate-config": {
+        usage: "validate-config",
+        description: "Checks that the configuration is valid.",
+        async run(args, config, output) {
+            output.log(`Configuration with ${config.boards.length} board(s) is valid.`);
+            return EXIT_CODES.success;
+        }
+    },
+    "check-board": {
+        usage: "check-board",
+        description: "Checks the GitHub permissions, project, columns and labels of the boards.",
+        async run(args, config, output, accountManager) {
+            let exitCode = EXIT_CODES.success;
+            const fail = (message) => {
+                output.error(`  ✗ ${message}`);
+                exitCode = EXIT_CODES.failure;
+            };
+            for(const boardConfig of selectBoards(config, args.options.board)) {
+                const context = await openBoard(accountManager, boardConfig);
+                output.log(`${context.config.owner}/${context.config.repo}: ${context.config.projectName}`);
+                try {
+                    await context.repo.ready;
+                }
+                catch(e) {
+                    fail(e.message);
+                    continue;
+                }
+                if(!(await context.repo.canWrite())) {
+                    fail("Token can not push to the repository");
+                }
+                if(!(await context.board.boardExists())) {
+                    fail("Project does not exist");
+                    continue;
+                }
+                if(!(await context.board.canUpdate())) {
+                    fail("Token can not update the project");
+                }
+                const missingColumns = await context.board.missingColumns();
+                for(const column of missingColumns) {
+                    fail(`Missing column ${column}`);
+                }
+                for(const label of Object.values(context.config.labels)) {
+                    if(!(await context.repo.hasLabel(label))) {
+                        fail(`Missing label ${label}`);
+                    }
+                }
+            }
+            if(exitCode === EXIT_CODES.success) {
+                output.log("All boards are set up correctly.");
+            }
+            return exitCode;
+        }
+    },
+    "list-cards": {
+        usage: "list-cards <column>",
+        description: "Lists the cards in a column.",
+        async run(args, config, output, accountManager) {
+            const [ columnName ] = args.params;
+            if(!columnName) {
+                throw new UsageError("Expected a column name");
+            }
+            const context = await openBoard(accountManager, selectBoard(config, args.options.board));
+            await boardReady(context);
+            const columnIds = await context.board.columnIds;
+            if(!(columnName in columnIds)) {
+                output.error(`No column ${columnName} on the board`);
+                return EXIT_CODES.failure;
+            }
+            const columns = await context.board.columns;
+            const cards = await columns[columnIds[columnName]].cards;
+            for(const card of cards.values()) {
+                output.log(describeCard(card));
+            }
+            return EXIT_CODES.success;
+        }
+    },
+    "publish-now": {
+        usage: "publish-now <issue>",
+        description: "Publishes a ready card right away, ignoring the schedule. Select the account with --account if the board publishes to multiple accounts.",
+        async run(args, config, output, accountManager) {
+            const issueNumber = parseIssueNumber(args.params[0]);
+            const boardConfig = selectBoard(config, args.options.board);
+            const sources = selectPublishSources(boardConfig, args.options.account);
+            if(sources.length > 1) {
+                throw new UsageError("Multiple publish sources configured, select one with --account");
+            }
+            const context = await openBoard(accountManager, boardConfig);
+            await boardReady(context);
+            const card = findCard(context, issueNumber);
+            const source = getPublishSource(context, sources[0]);
+            const sourceColumn = await source.getColumn('source');
+            if(!card || card.column !== sourceColumn) {
+                output.error(`Issue #${issueNumber} is not in the ${sources[0].columns.source} column`);
+                return EXIT_CODES.failure;
+            }
+            await context.repo.updateCard(card);
+            if(!card.valid) {
+                output.error(`Issue #${issueNumber} is not ready to be published`);
+                return EXIT_CODES.failure;
+            }
+            if(!(await source.checkApproval(card))) {
+                output.error(`Issue #${issueNumber} does not have the required approvals`);
+                return EXIT_CODES.failure;
+            }
+            if(await source.publish(card, await source.getColumn('target'))) {
+                output.log(`${source.dryRun ? "Would have published" : "Published"} issue #${issueNumber} on ${sources[0].accountName}.`);
+                return EXIT_CODES.success;
+            }
+            output.error(`Publishing issue #${issueNumber} failed, see the issue for details`);
+            return EXIT_CODES.failure;
+        }
+    },
+    "validate": {
+        usage: "validate <issue>",
+        description: "Validates the content of an issue with the validators of the board.",
+        async run(args, config, output, accountManager) {
+            const issueNumber = parseIssueNumber(args.params[0]);
+            const context = await openBoard(accountManager, selectBoard(config, args.options.board));
+            await context.repo.ready;
+            const issue = await context.repo.issues.getIssue(issueNumber);
+            const card = new Card(issue, context.config);
+            const validators = context.config.sources.filter((s) => s.type === "validator");
+            if(!validators.length) {
+                validators.push({
+                    validator: "validator"
+                });
+            }
+            let exitCode = EXIT_CODES.success;
+            for(const options of validators) {
+                const Validator = ValidatorSource.getValidator(options.validator);
+                const errors = new Validator(context.config, options).validate(card.content);
+                if(errors.length) {
+                    exitCode = EXIT_CODES.failure;
+                    output.error(`${Validator.TITLE}:`);
+                    for(const error of errors) {
+                        output.error(`  - ${error}`);
+                    }
+                }
+                else {
+                    output.log(`${Validator.TITLE}: valid`);
+                }
+            }
+            return exitCode;
+        }
+    },
+    "dry-run": {
+        usage: "dry-run",
+        description: "Lists the cards the publish sources would publish right now, without publishing them.",
+        async run(args, config, output, accountManager) {
+            for(const boardConfig of selectBoards(config, args.options.board)) {
+                const sources = selectPublishSources(boardConfig, args.options.account);
+                const context = await openBoard(accountManager, boardConfig);
+                await boardReady(context);
+                for(const sourceConfig of sources) {
+                    // Listing the cards never changes anything, with or without --dry-run.
+                    const source = getPublishSource(context, sourceConfig, true);
+                    const cards = await source.getCardsToPublish();
+                    output.log(`${context.config.projectName} → ${sourceConfig.accountType} ${sourceConfig.accountName}: ${cards.length} card(s)`);
+                    for(const card of cards) {
+                        output.log(`  ${describeCard(card)}`);
+                    }
+                }
+            }
+            return EXIT_CODES.success;
+        }
+    }
+};
+
+/**
+ * @returns {string} Usage information of the CLI.
+ */
+const getUsage = () => {
+    const lines = [
+        "Usage: content-queue <command> [options]",
+        "",
+        "Commands:"
+    ];
+    for(const name in commands) {
+        lines.push(`  ${commands[name].usage.padEnd(24)}${commands[name].description}`);
+    }
+    lines.push(
+        "",
+        "Options:",
+        `  ${"--config <file>".padEnd(24)}Config file to use. Defaults to config.json in the current directory or the CQ_CONFIG environment variable.`,
+        `  ${"--board <name>".padEnd(24)}Board to use, by project name or as owner/repo/project.`,
+        `  ${"--account <name>".padEnd(24)}Account of the publish source to use.`,
+        `  ${"--dry-run".padEnd(24)}Only logs what publish-now would do.`,
+        `  ${"--help".padEnd(24)}Shows this help.`
+    );
+    return lines.join("\n");
+};
+
+/**
+ * Runs the CLI.
+ *
+ * @param {[string]} argv - Arguments without the node binary and script.
+ * @param {module:cli~Output} [output=console] - Where to print output.
+ * @returns {number} Exit code.
+ */
+const run = async (argv, output = console) => {
+    let args;
+    try {
+        args = parseArgs(argv);
+        if(args.options.help || args.command === undefined) {
+            output.log(getUsage());
+            return args.options.help ? EXIT_CODES.success : EXIT_CODES.usage;
+        }
+        if(!commands.hasOwnProperty(args.command)) {
+            throw new UsageError(`Unknown command ${args.command}`);
+        }
+        const config = await loadConfig(path.resolve(args.options.config || "config.json"));
+        if(config.persistence) {
+            PersistenceManager.configure(config.persistence);
+        }
+        DryRun.enabled = Boolean(config.dryRun || args.options['dry-run']);
+        const accountManager = args.command === "validate-config" ? undefined : new AccountManager(config.accounts);
+        return await commands[args.command].run(args, config, output, accountManager);
+    }
+    catch(e) {
+        if(e instanceof UsageError) {
+            output.error(e.message);
+            output.error(getUsage());
+            return EXIT_CODES.usage;
+        }
+        output.error(e.message || e);
+        return EXIT_CODES.failure;
+    }
+};
+
+exports.run = run;
+exports.parseArgs = parseArgs;
+exports.selectBoards = selectBoards;
+exports.commands = commands;
+exports.EXIT_CODES = EXIT_CODES;
+exports.UsageError = UsageError;
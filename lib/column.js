@@ -11,6 +11,9 @@
 "use strict";
 
 const DataStoreHolder = require("./data-store-holder");
+const UpdateManager = require("./update-manager");
+const DryRun = require("./dry-run");
+const self = require("./self");
 
 
 /**
@@ -19,21 +22,8 @@ const DataStoreHolder = require("./data-store-holder");
  * @this module:column.Column
  * @returns {Object<Object>} New issues.
  */
-async function fetchCards() {
-    const opts = this.githubClient.projects.listCards.endpoint.merge({
-        column_id: this.id
-    });
-    const response = await this.githubClient.paginate(opts);
-    const issueRegExp = /\/(?:issue|pull-request)s\/(\d+)$/;
-    let buf;
-    const issues = {};
-    for(const card in response) {
-        buf = issueRegExp.exec(response[card].content_url);
-        if(buf !== null && buf.length > 0) {
-            issues[buf[1]] = response[card];
-        }
-    }
-    return issues;
+function fetchCards() {
+    return this.fetchIssues();
 }
 
 /**
@@ -98,6 +88,17 @@ class Column extends DataStoreHolder {
         });
     }
 
+    /**
+     * Extracts the issue number a card links to from its content URL.
+     *
+     * @param {string} [contentUrl] - Content URL of the card.
+     * @returns {string?} Issue number or null if the card is not for an issue.
+     */
+    static getIssueNumber(contentUrl) {
+        const match = /\/(?:issue|pull-request)s\/(\d+)$/.exec(contentUrl);
+        return match !== null ? match[1] : null;
+    }
+
     /**
      * @param {external:GitHub} githubClient - Client to use.
      * @param {number} id - ID of the column.
@@ -108,7 +109,7 @@ class Column extends DataStoreHolder {
         super({
             issues: fetchCards,
             cards: syncCards
-        });
+        }, UpdateManager.getCacheTime(true));
         /**
          * @type {external:GitHub}
          */
@@ -127,6 +128,27 @@ class Column extends DataStoreHolder {
         this.allCards = cards;
     }
 
+    /**
+     * Loads the cards in the column from GitHub.
+     *
+     * @returns {Object<Object>} Cards in the column by the number of their
+     *          issue.
+     */
+    async fetchIssues() {
+        const opts = this.githubClient.projects.listCards.endpoint.merge({
+            column_id: this.id
+        });
+        const response = await this.githubClient.paginate(opts);
+        const issues = {};
+        for(const card of response) {
+            const issueNumber = self(this).getIssueNumber(card.content_url);
+            if(issueNumber !== null) {
+                issues[issueNumber] = card;
+            }
+        }
+        return issues;
+    }
+
     /**
      * Moves the column.
      *
@@ -154,11 +176,7 @@ class Column extends DataStoreHolder {
         if(card.column !== this) {
             if(!(await this.hasIssue(card.issue.number))) {
                 if(!localOnly) {
-                    const { data: res } = await this.githubClient.projects.createCard({
-                        column_id: this.id,
-                        content_id: card.issue.id,
-                        content_type: 'Issue'
-                    });
+                    const res = await this.createRemoteCard(card);
                     card.id = res.id;
                     const issues = await this.issues;
                     issues[card.issue.number] = res;
@@ -181,6 +199,21 @@ class Column extends DataStoreHolder {
         return card;
     }
 
+    /**
+     * Adds the issue of a card to the column on GitHub.
+     *
+     * @param {module:tweet-card.TweetCard} card - Card to add.
+     * @returns {Object} Data of the created card.
+     */
+    async createRemoteCard(card) {
+        const { data: res } = await this.githubClient.projects.createCard({
+            column_id: this.id,
+            content_id: card.issue.id,
+            content_type: 'Issue'
+        });
+        return res;
+    }
+
     /**
      * Remove a card from the column.
      *
@@ -191,13 +224,18 @@ class Column extends DataStoreHolder {
      * @param {boolean} [keepCard=false] - If a reference to the card should be
      *                                     kept. i.e if the card will be used in
      *                                     another column.
+     * @param {boolean} [dryRun=DryRun.enabled] - Only log removing the card.
      * @returns {undefined}
      */
-    async removeCard(card, localOnly = false, keepCard = false) {
-        if(!localOnly) {
-            await this.githubClient.projects.deleteCard({
-                card_id: card.id
+    async removeCard(card, localOnly = false, keepCard = false, dryRun = DryRun.enabled) {
+        if(dryRun && !localOnly) {
+            DryRun.log(`Remove card for #${card.issue.number}`, {
+                column: this.name
             });
+            return;
+        }
+        if(!localOnly) {
+            await this.deleteRemoteCard(card);
         }
         const cards = await this.cards;
         cards.delete(card);
@@ -209,6 +247,18 @@ class Column extends DataStoreHolder {
         }
     }
 
+    /**
+     * Removes a card from the project on GitHub.
+     *
+     * @param {module:tweet-card.TweetCard} card - Card to remove.
+     * @returns {undefined}
+     */
+    async deleteRemoteCard(card) {
+        await this.githubClient.projects.deleteCard({
+            card_id: card.id
+        });
+    }
+
     /**
      * Gets the card for the issue.
      *
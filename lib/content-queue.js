@@ -11,6 +11,7 @@
 "use strict";
 
 const Board = require("./board");
+const ProjectV2Board = require("./project-v2-board");
 const SourceManager = require("./sources/manager");
 
 /**
@@ -30,6 +31,41 @@ const DEFAULT_LABELS = {
  * @alias module:content-queue.ContentQueue
  */
 class ContentQueue {
+    /**
+     * Splits the repo of a board config into owner and repo and fills in the
+     * default labels. Normalizing a config multiple times has no effect.
+     *
+     * @param {module:config~Config} config - Config for the project.
+     * @returns {module:config~Config} The normalized config.
+     */
+    static normalizeConfig(config) {
+        if(!config.hasOwnProperty("owner")) {
+            const [ owner, repo ] = config.repo.split("/");
+            config.owner = owner;
+            config.repo = repo;
+        }
+
+        config.labels = Object.assign(Object.assign({}, DEFAULT_LABELS), config.labels);
+        return config;
+    }
+
+    /**
+     * Creates the board for the project version of the config.
+     *
+     * @param {external:GitHub} githubClient - GitHub client.
+     * @param {module:config~Config} config - Normalized config for the
+     *                                        project.
+     * @param {module:repo~Repository} repo - Repository the board is for.
+     * @param {boolean} [readOnly=false] - Only reads the board.
+     * @returns {module:board.Board} Board for the project.
+     */
+    static createBoard(githubClient, config, repo, readOnly = false) {
+        if(config.projectVersion === 2) {
+            return new ProjectV2Board(githubClient, config, repo, readOnly);
+        }
+        return new Board(githubClient, config, repo, readOnly);
+    }
+
     /**
      * @param {module:accounts/manager~AccountManager} accountManager - Account manager.
      *                                           authenticated for a user.
@@ -37,11 +73,7 @@ class ContentQueue {
      * @param {module:repo~Repository} repository - Repository this board is in.
      */
     constructor(accountManager, config, repository) {
-        const [ owner, repo ] = config.repo.split("/");
-        config.owner = owner;
-        config.repo = repo;
-
-        config.labels = Object.assign(Object.assign({}, DEFAULT_LABELS), config.labels);
+        ContentQueue.normalizeConfig(config);
 
         /**
          * @type {module:config~Config}
@@ -50,7 +82,7 @@ class ContentQueue {
         this.repo = repository;
         this.accountManager = accountManager;
         const githubClient = accountManager.getAccount('github', config.githubAccount).client;
-        this.board = new Board(githubClient, config, repository);
+        this.board = ContentQueue.createBoard(githubClient, config, repository);
         this.manager = new SourceManager(config, this.repo, this.accountManager, this.board);
         this.repo.ready
             .then(() => Promise.all([
@@ -22,7 +22,11 @@ const Emittery = require("emittery");
 /**
  * Manages properties in a class that are {@link module:data-store.DataStore DataStores}.
  * The properties return a promise that resolves to the value of the DataStore.
- * All DataStores are initialized with the default cache time.
+ * All DataStores are initialized with the same cache time, by default the
+ * update interval.
+ * Data stores whose function has a truthy `persist` property keep their data
+ * across restarts, as long as {@link module:data-store-holder.DataStoreHolder#getStorageKey}
+ * returns a key for them.
  *
  * @extends external:Emittery
  * @alias module:data-store-holder.DataStoreHolder
@@ -31,8 +35,9 @@ class DataStoreHolder extends Emittery {
     /**
      * @param {Object.<string,function>} dataStores - Properties that will be
      *        data stores with a function that will fill the data store.
+     * @param {number} [cacheTime] - Cache time for the data stores.
      */
-    constructor(dataStores) {
+    constructor(dataStores, cacheTime) {
         super();
         /**
          * @private
@@ -40,7 +45,11 @@ class DataStoreHolder extends Emittery {
          */
         this._dataStores = {};
         for(const p in dataStores) {
-            this._dataStores[p] = new DataStore(dataStores[p].bind(this));
+            let getStorageKey;
+            if(dataStores[p].persist) {
+                getStorageKey = () => this.getStorageKey(p);
+            }
+            this._dataStores[p] = new DataStore(dataStores[p].bind(this), cacheTime, getStorageKey);
             Object.defineProperty(this, p, {
                 enumerable: true,
                 get: this.getData.bind(this, p)
@@ -52,6 +61,17 @@ class DataStoreHolder extends Emittery {
         }
     }
 
+    /**
+     * Key to persist the data of a property under. Has to be unique across all
+     * instances, so subclasses with persisted properties have to override it.
+     *
+     * @param {string} property - Property to get the key for.
+     * @returns {string?} Storage key, or undefined to not persist the data.
+     */
+    getStorageKey(property) { // eslint-disable-line no-unused-vars
+        return undefined;
+    }
+
     /**
      * @see module:data-store.DataStore#getData
      * @param {string} property - Property to get the data for.
@@ -61,6 +81,17 @@ class DataStoreHolder extends Emittery {
         return this._dataStores[property].getData();
     }
 
+    /**
+     * Marks the cached data of a property as expired, so it is fetched again
+     * the next time it is accessed.
+     *
+     * @param {string} property - Property to invalidate.
+     * @returns {undefined}
+     */
+    invalidate(property) {
+        this._dataStores[property].invalidate();
+    }
+
     /**
      * Updates all the DataStores in the holder.
      *
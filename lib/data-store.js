@@ -10,6 +10,7 @@
 "use strict";
 
 const UpdateManager = require('./update-manager');
+const PersistenceManager = require('./persistence/manager');
 
 /**
  * Returns API data to store.
@@ -27,6 +28,9 @@ const UpdateManager = require('./update-manager');
  * It calls a method gets the currently cached apiData and the last cache time
  * as argument if available when the cache is expired.
  *
+ * Data can be persisted across restarts by giving the store a storage key. The
+ * persisted data is then passed to the first fetch as currently cached data.
+ *
  * @see {@link module:data-store~fetchData}
  * @alias module:data-store.DataStore
  */
@@ -34,8 +38,10 @@ class DataStore {
     /**
      * @param {fetchData} dataFetcher - Callback to load the data from the API.
      * @param {number} [cacheTime=60000] - Time to cache content in ms.
+     * @param {function} [getStorageKey] - Returns the key the data is persisted
+     *        under. The data is not persisted if no key is returned.
      */
-    constructor(dataFetcher, cacheTime = UpdateManager.UPDATE_INTERVAL) {
+    constructor(dataFetcher, cacheTime = UpdateManager.UPDATE_INTERVAL, getStorageKey) {
         /**
          * Time in ms that the data is cached.
          *
@@ -66,6 +72,31 @@ class DataStore {
          * @type {module:data-store~fetchData}
          */
         this.fetch = dataFetcher;
+        /**
+         * Returns the key the data is persisted under.
+         *
+         * @type {function}
+         */
+        this.getStorageKey = getStorageKey;
+        /**
+         * If persisted data still has to be restored.
+         *
+         * @type {boolean}
+         */
+        this.needsRestore = typeof getStorageKey === "function";
+    }
+
+    /**
+     * Key the data is persisted under, if it should be persisted.
+     *
+     * @type {string?}
+     * @readonly
+     */
+    get storageKey() {
+        if(typeof this.getStorageKey === "function") {
+            return this.getStorageKey();
+        }
+        return undefined;
     }
 
     /**
@@ -78,6 +109,16 @@ class DataStore {
         return this.cachedData === null || Date.now() - this.lastUpdate >= this.cacheTime;
     }
 
+    /**
+     * Expires the cache, without discarding the cached data, which is still
+     * passed to the next fetch.
+     *
+     * @returns {undefined}
+     */
+    invalidate() {
+        this.lastUpdate = Math.min(0, Date.now() - this.cacheTime - 1);
+    }
+
     /**
      * Returns the data for this data store either fresh from the API or the
      * cached instance.
@@ -91,10 +132,18 @@ class DataStore {
         }
         else {
             if(this.currentWork === null) {
-                this.currentWork = this.fetch(this.cachedData, this.lastUpdate).then((data) => {
+                let work;
+                if(this.needsRestore) {
+                    work = this.restore().then(() => this.fetch(this.cachedData, this.lastUpdate));
+                }
+                else {
+                    work = this.fetch(this.cachedData, this.lastUpdate);
+                }
+                this.currentWork = work.then((data) => {
                     this.lastUpdate = Date.now();
                     this.currentWork = null;
                     this.cachedData = data;
+                    this.persist(data);
                     return data;
                 }).catch((e) => {
                     this.currentWork = null;
@@ -104,6 +153,45 @@ class DataStore {
             return this.currentWork;
         }
     }
+
+    /**
+     * Loads the persisted data into the cache, unless there already is
+     * cached data.
+     *
+     * @async
+     * @returns {undefined}
+     */
+    async restore() {
+        this.needsRestore = false;
+        const key = this.storageKey;
+        if(key === undefined) {
+            return;
+        }
+        try {
+            const data = await PersistenceManager.get(key);
+            if(data !== undefined && this.cachedData === undefined) {
+                this.cachedData = data;
+            }
+        }
+        catch(e) {
+            console.error("Restoring persisted data failed:", e);
+        }
+    }
+
+    /**
+     * Persists the data, if the store has a storage key.
+     *
+     * @param {?} data - Data to persist.
+     * @returns {undefined}
+     */
+    persist(data) {
+        const key = this.storageKey;
+        if(key !== undefined) {
+            PersistenceManager.set(key, data).catch((e) => {
+                console.error("Persisting data failed:", e);
+            });
+        }
+    }
 }
 
 module.exports = DataStore;
@@ -0,0 +1,167 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+/**
+ * @module date-parser
+ * @license MPL-2.0
+ */
+"use strict";
+
+const timezoneSupport = require("timezone-support");
+const ScheduledDate = require("./scheduled-date");
+
+const MINUTE = 60000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+/**
+ * Weekday names in the order of Date#getUTCDay.
+ *
+ * @const {[string]}
+ */
+const WEEKDAYS = [ "sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday" ];
+
+/**
+ * Units of "in 3 hours" like expressions. Units of a day and longer are
+ * added on the wall clock, so they keep the time of day.
+ *
+ * @const {Object.<string, {ms: number?, days: number?}>}
+ */
+const UNITS = {
+    minute: { ms: MINUTE },
+    min: { ms: MINUTE },
+    hour: { ms: HOUR },
+    h: { ms: HOUR },
+    day: { days: 1 },
+    week: { days: 7 }
+};
+
+const TIME = "(?:\\s+at)?\\s+(\\d{1,2})(?::(\\d{2}))?\\s*(am|pm)?";
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i;
+const RELATIVE = new RegExp(`^in\\s+(\\d+)\\s*(${Object.keys(UNITS).join("|")})s?$`, "i");
+const DAY_WITH_TIME = new RegExp(`^(today|tomorrow)${TIME}$`, "i");
+const WEEKDAY_WITH_TIME = new RegExp(`^(?:next\\s+)?(${WEEKDAYS.join("|")})${TIME}$`, "i");
+const TIMEZONE_SUFFIX = /\s+(UTC|GMT|[A-Za-z_]+(?:\/[A-Za-z0-9_+-]+)+)$/;
+
+/**
+ * Parses dates written by contributors in more ways than the format of the
+ * board: ISO 8601 with an offset, relative expressions like "tomorrow 9:00",
+ * "in 3 hours" or "next monday 14:30" and dates followed by the name of a
+ * timezone, like "2026-11-02 09:00 America/New_York". Dates without offset
+ * or timezone name are in the timezone of the board. Wall clock times are
+ * converted with {@link module:scheduled-date.ScheduledDate}.
+ */
+const DateParser = {
+    /**
+     * @param {external:Date} day - Wall clock time on the day.
+     * @param {string} hours - Hours as written.
+     * @param {string} [minutes] - Minutes as written.
+     * @param {string} [meridiem] - "am" or "pm".
+     * @returns {external:Date?} Wall clock time on the day at the given time,
+     *          null if the time is invalid.
+     */
+    atTime(day, hours, minutes = "0", meridiem) {
+        let hour = Number.parseInt(hours, 10);
+        const minute = Number.parseInt(minutes, 10);
+        if(meridiem) {
+            if(hour < 1 || hour > 12) {
+                return null;
+            }
+            hour = (hour % 12) + (meridiem.toLowerCase() === "pm" ? 12 : 0);
+        }
+        if(hour > 23 || minute > 59) {
+            return null;
+        }
+        return new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(), hour, minute));
+    },
+    /**
+     * @param {string} str - Date as written by a contributor.
+     * @param {module:config~Config} config - Board config.
+     * @param {number} [now=Date.now()] - Time relative dates are relative to.
+     * @returns {external:Date?} The parsed date, null if it can't be parsed.
+     */
+    parse(str, config, now = Date.now()) {
+        let input = str.replace(/<!--[\s\S]*?-->/g, "").trim();
+        let zone;
+        try {
+            zone = ScheduledDate.getZone(config.schedulingTime);
+            const suffix = input.match(TIMEZONE_SUFFIX);
+            if(suffix) {
+                zone = {
+                    timeZone: timezoneSupport.findTimeZone(suffix[1].toUpperCase() === "GMT" ? "UTC" : suffix[1])
+                };
+                input = input.slice(0, suffix.index).trim();
+            }
+        }
+        catch(e) {
+            // Unknown timezone names.
+            return null;
+        }
+
+        const iso = input.match(ISO_DATE);
+        if(iso) {
+            if(iso[7]) {
+                const offset = iso[7].toUpperCase() === "Z" ? "Z" : iso[7].replace(/^([+-]\d{2}):?(\d{2})$/, "$1:$2");
+                const date = new Date(`${iso[1]}-${iso[2]}-${iso[3]}T${iso[4]}:${iso[5]}:${iso[6] || "00"}${offset}`);
+                return Number.isNaN(date.getTime()) ? null : date;
+            }
+            const wallClock = this.atTime(new Date(Date.UTC(iso[1], iso[2] - 1, iso[3])), iso[4], iso[5]);
+            return wallClock && wallClock.getUTCMonth() === iso[2] - 1 ? ScheduledDate.fromWallClock(wallClock, zone) : null;
+        }
+
+        const formatted = ScheduledDate.parseWallClock(input, config.schedulingTime.format);
+        if(formatted) {
+            return ScheduledDate.fromWallClock(formatted, zone);
+        }
+
+        const relative = input.match(RELATIVE);
+        if(relative) {
+            const amount = Number.parseInt(relative[1], 10);
+            const unit = UNITS[relative[2].toLowerCase()];
+            if(unit.ms) {
+                return new Date(now + amount * unit.ms);
+            }
+            const wallClock = ScheduledDate.toWallClock(new Date(now), zone);
+            return ScheduledDate.fromWallClock(new Date(wallClock.getTime() + amount * unit.days * DAY), zone);
+        }
+
+        const today = ScheduledDate.toWallClock(new Date(now), zone);
+        const day = input.match(DAY_WITH_TIME);
+        if(day) {
+            const date = new Date(today.getTime() + (day[1].toLowerCase() === "tomorrow" ? DAY : 0));
+            const wallClock = this.atTime(date, day[2], day[3], day[4]);
+            return wallClock ? ScheduledDate.fromWallClock(wallClock, zone) : null;
+        }
+
+        const weekday = input.match(WEEKDAY_WITH_TIME);
+        if(weekday) {
+            // Always the next one, so "monday" on a monday is in a week.
+            const days = ((WEEKDAYS.indexOf(weekday[1].toLowerCase()) - today.getUTCDay() + 6) % 7) + 1;
+            const wallClock = this.atTime(new Date(today.getTime() + days * DAY), weekday[2], weekday[3], weekday[4]);
+            return wallClock ? ScheduledDate.fromWallClock(wallClock, zone) : null;
+        }
+
+        return null;
+    },
+    /**
+     * Rewrites a date in the format of the board, in the timezone of the
+     * board.
+     *
+     * @param {string} str - Date as written by a contributor.
+     * @param {module:config~Config} config - Board config.
+     * @param {number} [now=Date.now()] - Time relative dates are relative to.
+     * @returns {string?} The date in the format of the board, null if it
+     *          can't be parsed.
+     */
+    normalize(str, config, now = Date.now()) {
+        const date = this.parse(str, config, now);
+        if(!date) {
+            return null;
+        }
+        return ScheduledDate.formatDate(date, config.schedulingTime.format, config.schedulingTime.timezone, config.schedulingTime.region);
+    }
+};
+
+module.exports = DateParser;
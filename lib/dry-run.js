@@ -0,0 +1,39 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+/**
+ * @module dry-run
+ * @license MPL-2.0
+ */
+"use strict";
+
+/**
+ * Global dry run state. Actions that modify GitHub or publish content log what
+ * they would do instead of doing it when in dry run mode.
+ */
+const DryRun = {
+    /**
+     * If dry run mode is enabled globally. Sources can override it.
+     *
+     * @type {boolean}
+     */
+    enabled: false,
+    /**
+     * Logs an action that was not executed because of dry run mode.
+     *
+     * @param {string} action - Description of the action.
+     * @param {Object} [payload] - Data the action would have sent.
+     * @returns {undefined}
+     */
+    log(action, payload) {
+        if(payload === undefined) {
+            console.log(`[dry run] ${action}`);
+        }
+        else {
+            console.log(`[dry run] ${action}`, JSON.stringify(payload, null, 2));
+        }
+    }
+};
+module.exports = DryRun;
@@ -36,6 +36,7 @@ async function getEvents(events = []) {
     return [];
 }
 getEvents.emitsEvents = true;
+getEvents.persist = true;
 
 class Events extends DataStoreHolder {
     constructor(url) {
@@ -45,5 +46,9 @@ class Events extends DataStoreHolder {
 
         this.url = url;
     }
+
+    getStorageKey(property) {
+        return `events:${this.url}:${property}`;
+    }
 }
 module.exports = Events;
@@ -37,6 +37,7 @@ async function getFeed(items = []) {
     return items;
 }
 getFeed.emitsEvents = true;
+getFeed.persist = true;
 
 
 class Feed extends DataStoreHolder {
@@ -47,5 +48,9 @@ class Feed extends DataStoreHolder {
 
         this.url = url;
     }
+
+    getStorageKey(property) {
+        return `feed:${this.url}:${property}`;
+    }
 }
 module.exports = Feed;
@@ -0,0 +1,119 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+"use strict";
+
+const Formatter = require("./formatter");
+
+class BlueskyFormatter extends Formatter {
+    /**
+     * Section title for the post content.
+     *
+     * @type {string}
+     * @readonly
+     */
+    static get POST_CONTENT() {
+        return "Post Content";
+    }
+
+    /**
+     * Section title for repost.
+     *
+     * @type {string}
+     * @readonly
+     */
+    static get REPOST() {
+        return "Repost";
+    }
+
+    /**
+     * Section title for post to reply to.
+     *
+     * @type {string}
+     * @readonly
+     */
+    static get REPLY_TO() {
+        return "Reply to";
+    }
+
+    /**
+     * Section title for post to quote.
+     *
+     * @type {string}
+     * @readonly
+     */
+    static get QUOTE() {
+        return "Quote";
+    }
+
+    static get TYPE() {
+        return "Bluesky";
+    }
+
+    static get CONTENT_SECTIONS() {
+        return [
+            this.REPOST,
+            this.POST_CONTENT
+        ].concat(super.CONTENT_SECTIONS);
+    }
+
+    static GetTemplateSections(config) {
+        const sections = super.GetTemplateSections(config);
+        sections[this.POST_CONTENT] = this.TODO_PLACEHOLDER;
+        sections[this.REPOST] = "https://bsky.app/profile/handle/post/postID\n<!-- Replace with full permalink to post to repost in this section. -->";
+        sections[this.REPLY_TO] = "https://bsky.app/profile/handle/post/postID\n<!-- Replace with full permalink to post to reply to in this section or remove section. -->";
+        sections[this.QUOTE] = "https://bsky.app/profile/handle/post/postID\n<!-- Replace with full permalink to post to quote in this section. -->";
+        return sections;
+    }
+
+    static GetTemplates() {
+        return {
+            "Bluesky Post": [
+                this.META,
+                this.POST_CONTENT,
+                this.REPLY_TO,
+                this.SCHEDULED
+            ],
+            "Bluesky Repost": [
+                this.META,
+                this.REPOST,
+                this.SCHEDULED
+            ],
+            "Bluesky Quote": [
+                this.META,
+                this.POST_CONTENT,
+                this.QUOTE,
+                this.SCHEDULED
+            ]
+        };
+    }
+
+    static Format(options, config) {
+        let content = super.Format({
+            meta: options.meta,
+            dueDate: options.dueDate,
+            noContent: true
+        }, config);
+
+        if(options.isRepost) {
+            content += this.CreateSection(this.REPOST, options.repost || this.GetTemplateSections(config)[this.REPOST]) + "\n";
+        }
+        else {
+            content += this.CreateSection(this.POST_CONTENT, options.content || this.GetTemplateSections(config)[this.POST_CONTENT]) + "\n";
+        }
+
+        if(options.replyTo) {
+            content += this.CreateSection(this.REPLY_TO, options.replyTo);
+        }
+
+        if(options.quote) {
+            content += this.CreateSection(this.QUOTE, options.quote);
+        }
+
+        return content;
+    }
+}
+
+module.exports = BlueskyFormatter;
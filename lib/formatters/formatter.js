@@ -7,6 +7,58 @@
 
 const ScheduledDate = require("../scheduled-date");
 
+/**
+ * Duration of polls without a duration line, in minutes.
+ *
+ * @const {number}
+ */
+const DEFAULT_POLL_DURATION = 24 * 60;
+
+/**
+ * Minutes per duration unit of a poll.
+ *
+ * @const {Object.<string, number>}
+ */
+const DURATION_UNITS = {
+    m: 1,
+    min: 1,
+    minute: 1,
+    h: 60,
+    hour: 60,
+    d: 24 * 60,
+    day: 24 * 60
+};
+
+/**
+ * @typedef {Object} Poll
+ * @property {[string]} options - Answers of the poll.
+ * @property {number} duration - Minutes the poll is open for.
+ * @property {boolean} multiple - If several answers can be chosen.
+ */
+
+/**
+ * Keys of the post options by the names they can be written as in an options
+ * section.
+ *
+ * @const {Object.<string, string>}
+ */
+const OPTION_NAMES = {
+    "visibility": "visibility",
+    "language": "language",
+    "sensitive": "sensitive",
+    "sensitive media": "sensitive",
+    "replies": "replies",
+    "reply settings": "replies"
+};
+
+/**
+ * @typedef {Object} PostOptions
+ * @property {string} [visibility] - Who can see the post, like "unlisted".
+ * @property {string} [language] - ISO 639 code of the language of the post.
+ * @property {boolean} [sensitive] - If the media of the post is sensitive.
+ * @property {string} [replies] - Who can reply to the post, like "following".
+ */
+
 class Formatter {
     /**
      * Section title for schdeuled date.
@@ -30,6 +82,82 @@ class Formatter {
         return "_todo_";
     }
 
+    /**
+     * Section title for a thread of posts. Only understood by services that
+     * add it to their content sections.
+     *
+     * @type {string}
+     * @readonly
+     */
+    static get THREAD() {
+        return "Thread";
+    }
+
+    /**
+     * Section title for the accounts a card is cross-posted to. Only used by
+     * the crosspost source.
+     *
+     * @type {string}
+     * @readonly
+     */
+    static get ACCOUNTS() {
+        return "Accounts";
+    }
+
+    /**
+     * Section title for the recurrence rule of a card that is published
+     * repeatedly.
+     *
+     * @type {string}
+     * @readonly
+     */
+    static get REPEAT() {
+        return "Repeat";
+    }
+
+    /**
+     * Section title for the priority of a card. Cards with a lower number are
+     * published first.
+     *
+     * @type {string}
+     * @readonly
+     */
+    static get PRIORITY() {
+        return "Priority";
+    }
+
+    /**
+     * Section title for a poll attached to the first post. Only understood by
+     * services that can publish polls.
+     *
+     * @type {string}
+     * @readonly
+     */
+    static get POLL() {
+        return "Poll";
+    }
+
+    /**
+     * Section title for the options of the post, like its visibility. Services
+     * ignore options they don't support.
+     *
+     * @type {string}
+     * @readonly
+     */
+    static get OPTIONS() {
+        return "Options";
+    }
+
+    /**
+     * Line separating the posts in a thread section.
+     *
+     * @type {string}
+     * @readonly
+     */
+    static get THREAD_SEPARATOR() {
+        return "---";
+    }
+
     /**
      * Nice name of the service this formatter is for.
      *
@@ -57,6 +185,105 @@ ${content}
 `;
     }
 
+    /**
+     * Splits the content of a thread section into its posts. Posts are
+     * separated by a line only containing three or more dashes.
+     *
+     * @param {string} content - Content of the thread section.
+     * @returns {[string]} Trimmed posts of the thread, empty posts are
+     *          skipped.
+     */
+    static SplitThread(content) {
+        return content.split(/^[ \t]*-{3,}[ \t]*$/m)
+            .map((post) => post.trim())
+            .filter((post) => post.length);
+    }
+
+    /**
+     * Parses a poll section. Every list item is an option, a "Duration: 2
+     * days" line sets how long the poll is open and a "Multiple choice: yes"
+     * line allows several answers.
+     *
+     * @param {string} content - Content of the poll section.
+     * @returns {module:formatters/formatter~Poll} The poll.
+     * @throws {Error} When a line of the section can't be parsed.
+     */
+    static ParsePoll(content) {
+        const poll = {
+            options: [],
+            duration: DEFAULT_POLL_DURATION,
+            multiple: false
+        };
+        const lines = content.replace(/<!--[\s\S]*?-->/g, '')
+            .split("\n")
+            .map((line) => line.trim())
+            .filter((line) => line.length);
+        for(const line of lines) {
+            const option = line.match(/^(?:[-*]|\d+\.)\s+(.+)$/);
+            const setting = line.match(/^(duration|multiple choice)\s*:\s*(.*)$/i);
+            if(option) {
+                poll.options.push(option[1].trim());
+            }
+            else if(setting && setting[1].toLowerCase() === "duration") {
+                const duration = setting[2].toLowerCase().match(/^(\d+)\s*([a-z]+?)s?$/);
+                if(!duration || !(duration[2] in DURATION_UNITS)) {
+                    throw new Error(`"${setting[2]}" is not a duration like "30 minutes", "6 hours" or "2 days"`);
+                }
+                poll.duration = parseInt(duration[1], 10) * DURATION_UNITS[duration[2]];
+            }
+            else if(setting) {
+                poll.multiple = /^(?:yes|true)$/i.test(setting[2].trim());
+            }
+            else {
+                throw new Error(`"${line}" is neither an option nor a setting`);
+            }
+        }
+        return poll;
+    }
+
+    /**
+     * Parses an options section with a "Name: value" line per option, like
+     * "Visibility: unlisted". Values are lower cased and "Sensitive" is a
+     * yes or no option.
+     *
+     * @param {string} content - Content of the options section.
+     * @returns {module:formatters/formatter~PostOptions} The options.
+     * @throws {Error} When a line is not a known option.
+     */
+    static ParseOptions(content) {
+        const options = {};
+        const lines = content.replace(/<!--[\s\S]*?-->/g, '')
+            .split("\n")
+            .map((line) => line.replace(/^(?:[-*]|\d+\.)\s+/, '').trim())
+            .filter((line) => line.length);
+        for(const line of lines) {
+            const option = line.match(/^([^:]+?)\s*:\s*(.+)$/);
+            const key = option ? OPTION_NAMES[option[1].toLowerCase()] : undefined;
+            if(!key) {
+                throw new Error(`"${line}" is not an option like "Visibility: unlisted". Known options: ${Object.keys(OPTION_NAMES).join(", ")}`);
+            }
+            const value = option[2].toLowerCase();
+            if(key === "sensitive") {
+                if(!/^(?:yes|true|no|false)$/.test(value)) {
+                    throw new Error(`"${option[2]}" is not yes or no for "${option[1]}"`);
+                }
+                options[key] = value === "yes" || value === "true";
+            }
+            else {
+                options[key] = value;
+            }
+        }
+        return options;
+    }
+
+    /**
+     * @param {[string]} posts - Posts of the thread.
+     * @returns {string} Content for a thread section.
+     */
+    static JoinThread(posts) {
+        return posts.join(`\n${this.THREAD_SEPARATOR}\n`);
+    }
+
     /**
      * @param {module:config~Config} config - Configuration.
      * @return {string} Keys are section titles, value is the default section content.
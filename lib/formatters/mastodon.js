@@ -38,6 +38,16 @@ class MastodonFormatter extends Formatter {
         return "Reply to";
     }
 
+    /**
+     * Section title for toot to quote.
+     *
+     * @type {string}
+     * @readonly
+     */
+    static get QUOTE() {
+        return "Quote";
+    }
+
     /**
      * Section title for toot spoiler warning.
      *
@@ -55,15 +65,22 @@ class MastodonFormatter extends Formatter {
     static get CONTENT_SECTIONS() {
         return [
             this.REBLOG,
-            this.TOOT_CONTENT
+            this.TOOT_CONTENT,
+            this.THREAD
         ].concat(super.CONTENT_SECTIONS);
     }
 
     static GetTemplateSections(config) {
         const sections = super.GetTemplateSections(config);
         sections[this.TOOT_CONTENT] = this.TODO_PLACEHOLDER;
+        sections[this.THREAD] = this.JoinThread([
+            this.TODO_PLACEHOLDER,
+            this.TODO_PLACEHOLDER
+        ]);
         sections[this.REBLOG] = "https://mastodon.social/username/status/tootID\n<!-- Replace with full permalink to toot to reblog in this section. -->";
         sections[this.REPLY_TO] = "https://mastodon.social/username/status/tootID\n<!-- Replace with full permalink to toot to reply to in this section or remove section. -->";
+        sections[this.POLL] = "- First option\n- Second option\n\nDuration: 1 day\n<!-- List 2 to 4 options of up to 50 characters. The poll can be open for 5 minutes up to 30 days. Add \"Multiple choice: yes\" to allow several answers. -->";
+        sections[this.QUOTE] = "https://mastodon.social/username/status/tootID\n<!-- Replace with full permalink to toot to quote in this section. -->";
         sections[this.SPOILER] = "<!-- Replace with spoiler warning or remove this section. -->";
         return sections;
     }
@@ -77,10 +94,30 @@ class MastodonFormatter extends Formatter {
                 this.SPOILER,
                 this.SCHEDULED
             ],
+            Thread: [
+                this.META,
+                this.THREAD,
+                this.REPLY_TO,
+                this.SPOILER,
+                this.SCHEDULED
+            ],
             Retweet: [
                 this.META,
                 this.REBLOG,
                 this.SCHEDULED
+            ],
+            Quote: [
+                this.META,
+                this.TOOT_CONTENT,
+                this.QUOTE,
+                this.SPOILER,
+                this.SCHEDULED
+            ],
+            Poll: [
+                this.META,
+                this.TOOT_CONTENT,
+                this.POLL,
+                this.SCHEDULED
             ]
         };
     }
@@ -95,10 +132,21 @@ class MastodonFormatter extends Formatter {
         if(options.isReblog) {
             content += this.CreateSection(this.RETWEET, options.reblog || this.GetTemplateSections(config)[this.REBLOG]) + "\n";
         }
+        else if(options.thread) {
+            content += this.CreateSection(this.THREAD, this.JoinThread(options.thread)) + "\n";
+        }
         else {
             content += this.CreateSection(this.TOOT_CONTENT, options.content || this.GetTemplateSections(config)[this.TOOT_CONTENT]) + "\n";
         }
 
+        if(options.poll) {
+            content += this.CreateSection(this.POLL, options.poll) + "\n";
+        }
+
+        if(options.quote) {
+            content += this.CreateSection(this.QUOTE, options.quote) + "\n";
+        }
+
         if(options.replyTo) {
             content += this.CreateSection(this.REPLY_TO, options.replyTo);
         }
@@ -38,6 +38,16 @@ class TwitterFormatter extends Formatter {
         return "Reply to";
     }
 
+    /**
+     * Section title for tweet to quote.
+     *
+     * @type {string}
+     * @readonly
+     */
+    static get QUOTE() {
+        return "Quote";
+    }
+
     static get TYPE() {
         return "Twitter";
     }
@@ -45,15 +55,22 @@ class TwitterFormatter extends Formatter {
     static get CONTENT_SECTIONS() {
         return [
             this.RETWEET,
-            this.TWEET_CONTENT
+            this.TWEET_CONTENT,
+            this.THREAD
         ].concat(super.CONTENT_SECTIONS);
     }
 
     static GetTemplateSections(config) {
         const sections = super.GetTemplateSections(config);
         sections[this.TWEET_CONTENT] = this.TODO_PLACEHOLDER;
+        sections[this.THREAD] = this.JoinThread([
+            this.TODO_PLACEHOLDER,
+            this.TODO_PLACEHOLDER
+        ]);
         sections[this.RETWEET] = "https://twitter.com/username/status/tweetID\n<!-- Replace with full permalink to tweet to retweet in this section. -->";
         sections[this.REPLY_TO] = "https://twitter.com/username/status/tweetID\n<!-- Replace with full permalink to tweet to reply to in this section or remove section. -->";
+        sections[this.POLL] = "- First option\n- Second option\n\nDuration: 1 day\n<!-- List 2 to 4 options of up to 25 characters. The poll can be open for 5 minutes up to 7 days. -->";
+        sections[this.QUOTE] = "https://twitter.com/username/status/tweetID\n<!-- Replace with full permalink to tweet to quote in this section. -->";
         return sections;
     }
 
@@ -65,10 +82,28 @@ class TwitterFormatter extends Formatter {
                 this.REPLY_TO,
                 this.SCHEDULED
             ],
+            Thread: [
+                this.META,
+                this.THREAD,
+                this.REPLY_TO,
+                this.SCHEDULED
+            ],
             Retweet: [
                 this.META,
                 this.RETWEET,
                 this.SCHEDULED
+            ],
+            Quote: [
+                this.META,
+                this.TWEET_CONTENT,
+                this.QUOTE,
+                this.SCHEDULED
+            ],
+            Poll: [
+                this.META,
+                this.TWEET_CONTENT,
+                this.POLL,
+                this.SCHEDULED
             ]
         };
     }
@@ -83,10 +118,21 @@ class TwitterFormatter extends Formatter {
         if(options.isRetweet) {
             content += this.CreateSection(this.RETWEET, options.retweet || this.GetTemplateSections(config)[this.RETWEET]) + "\n";
         }
+        else if(options.thread) {
+            content += this.CreateSection(this.THREAD, this.JoinThread(options.thread)) + "\n";
+        }
         else {
             content += this.CreateSection(this.TWEET_CONTENT, options.content || this.GetTemplateSections(config)[this.TWEET_CONTENT]) + "\n";
         }
 
+        if(options.poll) {
+            content += this.CreateSection(this.POLL, options.poll) + "\n";
+        }
+
+        if(options.quote) {
+            content += this.CreateSection(this.QUOTE, options.quote) + "\n";
+        }
+
         if(options.replyTo) {
             content += this.CreateSection(this.REPLY_TO, options.replyTo);
         }
@@ -0,0 +1,82 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+/**
+ * @module graphql
+ * @license MPL-2.0
+ */
+"use strict";
+
+/**
+ * Errors returned by the GitHub GraphQL API.
+ *
+ * @alias module:graphql.GraphQLError
+ */
+class GraphQLError extends Error {
+    /**
+     * @param {[Object]} errors - Errors of the response.
+     */
+    constructor(errors) {
+        super(errors.map((e) => e.message).join("\n"));
+        /**
+         * @type {[Object]}
+         */
+        this.errors = errors;
+    }
+}
+
+/**
+ * Sends a query to the GitHub GraphQL API.
+ *
+ * @param {external:GitHub} githubClient - Client to send the query with.
+ * @param {string} query - GraphQL query.
+ * @param {Object} [variables={}] - Variables of the query.
+ * @returns {Object} Data of the response.
+ * @throws {module:graphql.GraphQLError} When the response has errors.
+ */
+const graphql = async (githubClient, query, variables = {}) => {
+    const { data: res } = await githubClient.request("POST /graphql", {
+        query,
+        variables
+    });
+    if(res.errors && res.errors.length) {
+        throw new GraphQLError(res.errors);
+    }
+    return res.data;
+};
+
+/**
+ * Fetches all pages of a connection. The query has to take a `$cursor`
+ * variable and select `pageInfo { hasNextPage endCursor }` and `nodes` of the
+ * connection.
+ *
+ * @param {external:GitHub} githubClient - Client to send the query with.
+ * @param {string} query - GraphQL query.
+ * @param {Object} variables - Variables of the query.
+ * @param {function} getConnection - Returns the connection from the data of a
+ *                                   response.
+ * @returns {[Object]} Nodes of all pages.
+ */
+const paginate = async (githubClient, query, variables, getConnection) => {
+    let nodes = [];
+    let cursor = null;
+    do {
+        const connection = getConnection(await graphql(githubClient, query, Object.assign({}, variables, {
+            cursor
+        })));
+        if(!connection) {
+            break;
+        }
+        nodes = nodes.concat(connection.nodes);
+        cursor = connection.pageInfo.hasNextPage ? connection.pageInfo.endCursor : null;
+    } while(cursor);
+    return nodes;
+};
+
+module.exports = {
+    graphql,
+    paginate,
+    GraphQLError
+};
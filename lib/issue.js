@@ -9,9 +9,20 @@
  */
 "use strict";
 
+const DryRun = require("./dry-run");
+
+/**
+ * Login of the user each GitHub client is authenticated as, so it is only
+ * fetched once per client.
+ *
+ * @type {WeakMap.<external:GitHub, Promise.<string>>}
+ */
+const authenticatedLogins = new WeakMap();
+
 /**
  * @typedef {Object} IssueData
  * @property {number} id - The issue id.
+ * @property {string} [nodeId] - GraphQL node ID of the issue.
  * @property {number} number - The issue number.
  * @property {string} owner - The owner of the repo the issue is in.
  * @property {string} repo - Repo the issue is in.
@@ -62,6 +73,10 @@ class Issue {
          * @type {number}
          */
         this.id = issueData.id;
+        /**
+         * @type {string}
+         */
+        this.nodeId = issueData.nodeId;
         /**
          * @type {number}
          */
@@ -101,10 +116,17 @@ class Issue {
      * Posts a comment on the issue.
      *
      * @param {string} body - Content of the comment to post.
+     * @param {boolean} [dryRun=DryRun.enabled] - Only log the comment.
      * @async
      * @returns {undefined}
      */
-    comment(body) {
+    comment(body, dryRun = DryRun.enabled) {
+        if(dryRun) {
+            DryRun.log(`Comment on #${this.number}`, {
+                body
+            });
+            return Promise.resolve();
+        }
         return this._githubClient.issues.createComment({
             owner: this.owner,
             repo: this.repo,
@@ -113,6 +135,80 @@ class Issue {
         });
     }
 
+    /**
+     * Fetches all comments on the issue.
+     *
+     * @async
+     * @returns {[Object]} Comments as returned by the API.
+     */
+    getComments() {
+        const opts = this._githubClient.issues.listComments.endpoint.merge({
+            owner: this.owner,
+            repo: this.repo,
+            issue_number: this.number,
+            per_page: 100
+        });
+        return this._githubClient.paginate(opts);
+    }
+
+    /**
+     * Login of the user the queue comments as.
+     *
+     * @async
+     * @returns {string} Login of the authenticated user.
+     */
+    getAuthenticatedLogin() {
+        if(!authenticatedLogins.has(this._githubClient)) {
+            const login = this._githubClient.users.getAuthenticated().then(({ data }) => data.login);
+            login.catch(() => {
+                authenticatedLogins.delete(this._githubClient);
+            });
+            authenticatedLogins.set(this._githubClient, login);
+        }
+        return authenticatedLogins.get(this._githubClient);
+    }
+
+    /**
+     * Fetches the thumbs up reactions on the issue.
+     *
+     * @async
+     * @returns {[Object]} Reactions as returned by the API.
+     */
+    getApprovingReactions() {
+        const opts = this._githubClient.reactions.listForIssue.endpoint.merge({
+            owner: this.owner,
+            repo: this.repo,
+            issue_number: this.number,
+            content: "+1",
+            per_page: 100
+        });
+        return this._githubClient.paginate(opts);
+    }
+
+    /**
+     * Replaces the content of a comment on the issue.
+     *
+     * @param {number} commentId - ID of the comment to edit.
+     * @param {string} body - New content of the comment.
+     * @param {boolean} [dryRun=DryRun.enabled] - Only log the change.
+     * @async
+     * @returns {undefined}
+     */
+    editComment(commentId, body, dryRun = DryRun.enabled) {
+        if(dryRun) {
+            DryRun.log(`Edit comment ${commentId} on #${this.number}`, {
+                body
+            });
+            return Promise.resolve();
+        }
+        return this._githubClient.issues.updateComment({
+            owner: this.owner,
+            repo: this.repo,
+            comment_id: commentId,
+            body
+        });
+    }
+
     /**
      * The raw content of the issue description.
      *
@@ -134,6 +230,30 @@ class Issue {
         });
     }
 
+    /**
+     * Updates the issue description.
+     *
+     * @param {string} content - New description.
+     * @param {boolean} [dryRun=DryRun.enabled] - Only log the change.
+     * @returns {undefined}
+     */
+    async setContent(content, dryRun = DryRun.enabled) {
+        if(dryRun) {
+            DryRun.log(`Update description of #${this.number}`, {
+                body: content
+            });
+            return;
+        }
+        await this._githubClient.issues.update({
+            owner: this.owner,
+            repo: this.repo,
+            issue_number: this.number,
+            body: content
+        });
+        this._content = content;
+        this._update();
+    }
+
     /**
      * Checks if the issue has a given label.
      *
@@ -148,11 +268,16 @@ class Issue {
      * Adds a label to the issue.
      *
      * @param {string} name - Name of the label to add.
+     * @param {boolean} [dryRun=DryRun.enabled] - Only log adding the label.
      * @async
      * @returns {undefined}
      */
-    addLabel(name) {
+    addLabel(name, dryRun = DryRun.enabled) {
         if(!this.hasLabel(name)) {
+            if(dryRun) {
+                DryRun.log(`Add label ${name} to #${this.number}`);
+                return Promise.resolve();
+            }
             return this._githubClient.issues.addLabels({
                 owner: this.owner,
                 repo: this.repo,
@@ -171,11 +296,16 @@ class Issue {
      * Removes a label from the issue.
      *
      * @param {string} name - Name of the label to remove.
+     * @param {boolean} [dryRun=DryRun.enabled] - Only log removing the label.
      * @async
      * @returns {undefined}
      */
-    removeLabel(name) {
+    removeLabel(name, dryRun = DryRun.enabled) {
         if(this.hasLabel(name)) {
+            if(dryRun) {
+                DryRun.log(`Remove label ${name} from #${this.number}`);
+                return Promise.resolve();
+            }
             return this._githubClient.issues.removeLabel({
                 owner: this.owner,
                 repo: this.repo,
@@ -194,11 +324,16 @@ class Issue {
      * Set the assigne of an issue to the given user.
      *
      * @param {string} user - User to assign.
+     * @param {boolean} [dryRun=DryRun.enabled] - Only log the assignment.
      * @async
      * @returns {undefined}
      */
-    assign(user) {
+    assign(user, dryRun = DryRun.enabled) {
         if(user != this._assignee) {
+            if(dryRun) {
+                DryRun.log(`Assign ${user} to #${this.number}`);
+                return Promise.resolve();
+            }
             return this._githubClient.issues.addAssignees({
                 owner: this.owner,
                 repo: this.repo,
@@ -244,11 +379,16 @@ class Issue {
     /**
      * Closes the issue.
      *
+     * @param {boolean} [dryRun=DryRun.enabled] - Only log closing the issue.
      * @async
      * @returns {?} Result of the request.
      */
-    close() {
+    close(dryRun = DryRun.enabled) {
         if(this.state) {
+            if(dryRun) {
+                DryRun.log(`Close #${this.number}`);
+                return Promise.resolve();
+            }
             return this._githubClient.issues.update({
                 owner: this.owner,
                 repo: this.repo,
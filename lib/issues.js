@@ -6,12 +6,12 @@
 /**
  * @module issues
  * @license MPL-2.0
- * @todo use webhooks instead of polling for updates.
  */
 "use strict";
 
 const Issue = require("./issue");
 const DataStoreHolder = require("./data-store-holder");
+const UpdateManager = require("./update-manager");
 
 /**
  * Loads all closed issues.
@@ -68,6 +68,50 @@ function fetchOpenIssues(oldIssues = new Map()) {
 }
 fetchOpenIssues.emitsEvents = true;
 
+/**
+ * @typedef {Object} CommentsState
+ * @property {string} since - Creation time of the latest comment seen.
+ * @property {number} lastId - ID of the latest comment seen.
+ */
+
+/**
+ * Loads comments on issues that were added since the last fetch. Comments
+ * are only fetched while something listens for them. When there is no
+ * previous state, only comments from now on are considered new.
+ *
+ * @this module:issues.Issues
+ * @async
+ * @param {module:issues~CommentsState} [state] - State of the last fetch.
+ * @returns {module:issues~CommentsState?} Updated state.
+ * @fires module:issues.Issues#comment
+ */
+async function fetchComments(state) {
+    if(!this.listenerCount("comment")) {
+        return state;
+    }
+    if(!state) {
+        return {
+            since: new Date().toISOString(),
+            lastId: 0
+        };
+    }
+    const opts = this.githubClient.issues.listCommentsForRepo.endpoint.merge({
+        owner: this.config.owner,
+        repo: this.config.repo,
+        sort: "created",
+        direction: "asc",
+        since: state.since,
+        per_page: 100
+    });
+    const comments = await this.githubClient.paginate(opts);
+    for(const comment of comments) {
+        this.handleComment(state, comment);
+    }
+    return state;
+}
+fetchComments.emitsEvents = true;
+fetchComments.persist = true;
+
 /**
  * An issue was opened.
  *
@@ -89,6 +133,15 @@ fetchOpenIssues.emitsEvents = true;
  * @type {module:issue.Issue}
  */
 
+/**
+ * A comment was added to an issue.
+ *
+ * @event module:issues.Issues#comment
+ * @type {Object}
+ * @property {number} issueNumber - Number of the issue the comment is on.
+ * @property {Object} comment - Comment as returned by the API.
+ */
+
 /**
  * Holds a list of all GitHub issues for a repo and emits events when issues are
  * added, closed or edited.
@@ -104,8 +157,9 @@ class Issues extends DataStoreHolder {
     constructor(githubClient, config) {
         super({
             issues: fetchOpenIssues,
-            closedIssues: fetchClosedIssues
-        });
+            closedIssues: fetchClosedIssues,
+            comments: fetchComments
+        }, UpdateManager.getCacheTime(true));
         /**
          * @type {module:config~Config}
          */
@@ -116,6 +170,10 @@ class Issues extends DataStoreHolder {
         this.githubClient = githubClient;
     }
 
+    getStorageKey(property) {
+        return `${this.config.owner}/${this.config.repo}:${property}`;
+    }
+
     /**
      * Creates the issue info object for the Issue class.
      *
@@ -125,6 +183,7 @@ class Issues extends DataStoreHolder {
     getIssueInfo(apiData) {
         return {
             id: apiData.id,
+            nodeId: apiData.node_id,
             number: apiData.number,
             repo: this.config.repo,
             owner: this.config.owner,
@@ -192,6 +251,88 @@ class Issues extends DataStoreHolder {
         return newIssues;
     }
 
+    /**
+     * Updates the issue maps with issue data pushed by a webhook. Emits the same
+     * events as polling would for the change.
+     *
+     * @param {Object} apiData - Issue data as returned by the API.
+     * @returns {module:issue.Issue?} Model of the received issue.
+     * @fires module:issues.Issues#opened
+     * @fires module:issues.Issues#updated
+     * @fires module:issues.Issues#closed
+     */
+    async receiveIssue(apiData) {
+        if(apiData.hasOwnProperty('pull_request')) {
+            return null;
+        }
+        const [ openIssues, closedIssues ] = await Promise.all([
+            this.issues,
+            this.closedIssues
+        ]);
+        const isOpen = apiData.state === "open";
+        const issues = isOpen ? openIssues : closedIssues;
+        const otherIssues = isOpen ? closedIssues : openIssues;
+        const event = isOpen ? "opened" : "closed";
+
+        if(issues.has(apiData.number)) {
+            const issueModel = issues.get(apiData.number);
+            if(Date.parse(apiData.updated_at) > issueModel.lastUpdate) {
+                issueModel.update(this.getIssueInfo(apiData));
+                if(isOpen) {
+                    this.emit("updated", issueModel);
+                }
+            }
+            return issueModel;
+        }
+
+        let issueModel;
+        if(otherIssues.has(apiData.number)) {
+            issueModel = otherIssues.get(apiData.number);
+            otherIssues.delete(apiData.number);
+            issueModel.update(this.getIssueInfo(apiData));
+        }
+        else {
+            issueModel = new Issue(this.githubClient, this.getIssueInfo(apiData));
+        }
+        issues.set(apiData.number, issueModel);
+        this.emit(event, issueModel);
+        return issueModel;
+    }
+
+    /**
+     * Emits a comment if it is newer than the latest comment seen.
+     *
+     * @param {module:issues~CommentsState} state - State to update.
+     * @param {Object} comment - Comment as returned by the API.
+     * @returns {undefined}
+     * @fires module:issues.Issues#comment
+     */
+    handleComment(state, comment) {
+        if(comment.id <= state.lastId || Date.parse(comment.created_at) < Date.parse(state.since)) {
+            return;
+        }
+        state.lastId = comment.id;
+        state.since = comment.created_at;
+        this.emit("comment", {
+            issueNumber: parseInt(comment.issue_url.split("/").pop(), 10),
+            comment
+        });
+    }
+
+    /**
+     * Handles a comment pushed by a webhook like a polled comment.
+     *
+     * @param {Object} apiData - Comment as returned by the API.
+     * @returns {undefined}
+     * @fires module:issues.Issues#comment
+     */
+    async receiveComment(apiData) {
+        const state = await this.comments;
+        if(state) {
+            this.handleComment(state, apiData);
+        }
+    }
+
     /**
      * @param {string} number - Issue to fetch.
      * @returns {Issue} The requested issue.
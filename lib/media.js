@@ -0,0 +1,174 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+/**
+ * @module media
+ * @license MPL-2.0
+ */
+"use strict";
+
+const fetch = require("node-fetch");
+
+/**
+ * MIME types of the file extensions commonly used for media attachments.
+ *
+ * @const {Object.<string, string>}
+ */
+const EXTENSIONS = {
+    png: "image/png",
+    jpg: "image/jpeg",
+    jpeg: "image/jpeg",
+    webp: "image/webp",
+    gif: "image/gif",
+    mp4: "video/mp4",
+    m4v: "video/mp4",
+    mov: "video/quicktime",
+    webm: "video/webm"
+};
+
+/**
+ * Names of the media types for messages.
+ *
+ * @const {Object.<string, string>}
+ */
+const LABELS = {
+    image: "image",
+    gif: "GIF",
+    video: "video"
+};
+
+/**
+ * Limits of an account for the media attached to a single post.
+ *
+ * @typedef {Object} MediaLimits
+ * @property {Object.<string, number>} size - Maximum size in bytes for each
+ *           supported media type.
+ * @property {[string]} exclusive - Media types that can only be attached on
+ *           their own.
+ */
+
+/**
+ * @typedef {Object} LoadedMedia
+ * @property {Buffer} data - Content of the media file.
+ * @property {string} mimeType - MIME type of the media.
+ * @property {string} type - Media type, one of image, gif or video.
+ * @property {number} size - Size of the media in bytes.
+ */
+
+/**
+ * Helpers to detect, load and check media attached to posts.
+ */
+const Media = {
+    /**
+     * @param {string} mimeType - MIME type of the media.
+     * @returns {string?} Media type, one of image, gif or video.
+     */
+    getType(mimeType) {
+        if(mimeType === "image/gif") {
+            return "gif";
+        }
+        if(mimeType.startsWith("image/")) {
+            return "image";
+        }
+        if(mimeType.startsWith("video/")) {
+            return "video";
+        }
+        return null;
+    },
+    /**
+     * @param {string} url - URL of the media.
+     * @returns {string?} MIME type based on the file extension of the URL.
+     */
+    guessMimeType(url) {
+        const [ path ] = url.split(/[?#]/);
+        const extension = path.slice(path.lastIndexOf(".") + 1).toLowerCase();
+        return EXTENSIONS.hasOwnProperty(extension) ? EXTENSIONS[extension] : null;
+    },
+    /**
+     * Media type of an attachment before it is loaded. URLs without a known
+     * extension are assumed to be images.
+     *
+     * @param {string} url - URL of the media.
+     * @returns {string} Media type, one of image, gif or video.
+     */
+    guessType(url) {
+        const mimeType = this.guessMimeType(url);
+        return mimeType ? this.getType(mimeType) : "image";
+    },
+    /**
+     * Checks the media attached to a post against the limits of an account.
+     *
+     * @param {[{url: string}]} media - Media attached to a post.
+     * @param {MediaLimits} limits - Limits of the account.
+     * @returns {[string]} Descriptions of the problems, to be prefixed with
+     *          what the media is attached to.
+     */
+    getProblems(media, limits) {
+        const problems = [];
+        const types = media.map((m) => this.guessType(m.url));
+        for(const type of new Set(types)) {
+            if(!limits.size.hasOwnProperty(type)) {
+                problems.push(`contains a ${LABELS[type]}, which is not supported`);
+            }
+        }
+        if(types.some((type) => limits.exclusive.includes(type)) && media.length > 1) {
+            problems.push(`can only contain a single ${limits.exclusive.map((type) => LABELS[type]).join(" or ")} without any other media`);
+        }
+        return problems;
+    },
+    /**
+     * Loads media and checks its type and size against the limits of an
+     * account.
+     *
+     * @param {string} url - URL of the media.
+     * @param {MediaLimits} limits - Limits of the account.
+     * @param {function} [fetchMedia=fetch] - Fetch implementation to use.
+     * @returns {LoadedMedia} The loaded media.
+     * @throws {Error} When the media can not be loaded, is not supported or
+     *         too big.
+     */
+    async load(url, limits, fetchMedia = fetch) {
+        const response = await fetchMedia(url);
+        if(!response.ok) {
+            throw new Error(`Could not load media ${url}`);
+        }
+        const [ contentType ] = (response.headers.get("content-type") || "").split(";");
+        let mimeType = contentType.trim();
+        // Servers often send a generic type, so fall back to the extension.
+        if(!this.getType(mimeType)) {
+            mimeType = this.guessMimeType(url) || mimeType || "application/octet-stream";
+        }
+        const type = this.getType(mimeType);
+        if(!type || !limits.size.hasOwnProperty(type)) {
+            throw new Error(`Media ${url} of type ${mimeType} is not supported`);
+        }
+        const maxSize = limits.size[type];
+        // Avoid downloading media that is known to be too big.
+        const announcedSize = parseInt(response.headers.get("content-length"), 10);
+        if(announcedSize > maxSize) {
+            throw new Error(`Media ${url} is ${announcedSize} bytes, ${type} can be at most ${maxSize} bytes`);
+        }
+        const data = await response.buffer();
+        if(data.length > maxSize) {
+            throw new Error(`Media ${url} is ${data.length} bytes, ${type} can be at most ${maxSize} bytes`);
+        }
+        return {
+            data,
+            mimeType,
+            type,
+            size: data.length
+        };
+    },
+    /**
+     * Waits while a service processes uploaded media.
+     *
+     * @param {number} ms - Time to wait in milliseconds.
+     * @returns {Promise} Resolves after the time has passed.
+     */
+    wait(ms) {
+        return new Promise((resolve) => setTimeout(resolve, ms));
+    }
+};
+module.exports = Media;
@@ -0,0 +1,65 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+/**
+ * @module persistence/backend
+ * @license MPL-2.0
+ */
+"use strict";
+
+/**
+ * Base class for storage backends that keep state across restarts. Values are
+ * JSON serializable and stored by string keys.
+ *
+ * @alias module:persistence/backend.PersistenceBackend
+ */
+class PersistenceBackend {
+    /**
+     * @param {Object} [config={}] - Backend specific configuration.
+     */
+    constructor(config = {}) {
+        this.config = config;
+    }
+
+    /**
+     * @param {string} key - Key to get the value for.
+     * @async
+     * @returns {?} Stored value or undefined if nothing is stored for the key.
+     */
+    async get(key) { // eslint-disable-line no-unused-vars
+        throw new Error("Default persistence backend can not get values");
+    }
+
+    /**
+     * @param {string} key - Key to store the value under.
+     * @param {?} value - JSON serializable value to store.
+     * @async
+     * @returns {undefined}
+     */
+    async set(key, value) { // eslint-disable-line no-unused-vars
+        throw new Error("Default persistence backend can not set values");
+    }
+
+    /**
+     * @param {string} key - Key to remove the stored value of.
+     * @async
+     * @returns {undefined}
+     */
+    async delete(key) { // eslint-disable-line no-unused-vars
+        throw new Error("Default persistence backend can not delete values");
+    }
+
+    /**
+     * Releases any resources held by the backend.
+     *
+     * @async
+     * @returns {undefined}
+     */
+    async close() {
+        // Nothing to release by default.
+    }
+}
+
+module.exports = PersistenceBackend;
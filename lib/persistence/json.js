@@ -0,0 +1,119 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+/**
+ * @module persistence/json
+ * @license MPL-2.0
+ */
+"use strict";
+
+const fs = require("mz/fs");
+const PersistenceBackend = require("./backend");
+
+/**
+ * Default file the state is stored in.
+ *
+ * @const {string}
+ */
+const DEFAULT_PATH = "state.json";
+
+/**
+ * Stores all state as a single object in a JSON file. The file is rewritten
+ * on every change, so this is meant for the small amount of state the queue
+ * keeps.
+ *
+ * @alias module:persistence/json.JSONBackend
+ * @extends module:persistence/backend.PersistenceBackend
+ */
+class JSONBackend extends PersistenceBackend {
+    /**
+     * @param {Object} config - Backend config.
+     * @param {string} [config.path="state.json"] - Path to the JSON file.
+     */
+    constructor(config) {
+        super(config);
+        /**
+         * @type {string}
+         */
+        this.path = this.config.path || DEFAULT_PATH;
+        /**
+         * @type {Promise.<Object>}
+         * @private
+         */
+        this._state = this.load();
+        /**
+         * Last pending write, so writes happen in order. A failed write does
+         * not stop the ones after it.
+         *
+         * @type {Promise}
+         * @private
+         */
+        this._write = Promise.resolve();
+    }
+
+    /**
+     * @async
+     * @returns {Object} State stored in the file.
+     */
+    async load() {
+        let content;
+        try {
+            content = await fs.readFile(this.path, "utf8");
+        }
+        catch(e) {
+            if(e.code === "ENOENT") {
+                return {};
+            }
+            throw e;
+        }
+        return JSON.parse(content);
+    }
+
+    /**
+     * Writes the state to the file. Writes to a temporary file first, so the
+     * state file is never left half written.
+     *
+     * @async
+     * @returns {undefined}
+     */
+    save() {
+        const result = this._write.then(async () => {
+            const state = await this._state;
+            const tempPath = `${this.path}.tmp`;
+            await fs.writeFile(tempPath, JSON.stringify(state, null, 2));
+            await fs.rename(tempPath, this.path);
+        });
+        this._write = result.catch(() => undefined);
+        return result;
+    }
+
+    async get(key) {
+        const state = await this._state;
+        if(state.hasOwnProperty(key)) {
+            return JSON.parse(JSON.stringify(state[key]));
+        }
+        return undefined;
+    }
+
+    async set(key, value) {
+        const state = await this._state;
+        state[key] = JSON.parse(JSON.stringify(value));
+        return this.save();
+    }
+
+    async delete(key) {
+        const state = await this._state;
+        if(state.hasOwnProperty(key)) {
+            delete state[key];
+            return this.save();
+        }
+    }
+
+    close() {
+        return this._write;
+    }
+}
+
+module.exports = JSONBackend;
@@ -0,0 +1,78 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+/**
+ * @module persistence/manager
+ * @license MPL-2.0
+ */
+"use strict";
+
+const MemoryBackend = require("./memory");
+
+/**
+ * @typedef {Object} PersistenceConfig
+ * @property {string} type - Type of the backend: memory, json or sqlite.
+ * @property {string} [path] - File the state is stored in.
+ */
+
+/**
+ * Holds the backend state that should survive restarts is stored in. Without
+ * configuration state is only kept in memory.
+ */
+const PersistenceManager = {
+    /**
+     * Types that would resolve but are not backends.
+     *
+     * @type {[string]}
+     */
+    NOT_BACKENDS: [
+        'manager',
+        'backend'
+    ],
+    /**
+     * @type {module:persistence/backend.PersistenceBackend}
+     */
+    backend: new MemoryBackend(),
+    /**
+     * Replaces the current backend with the configured one.
+     *
+     * @param {module:persistence/manager~PersistenceConfig} config - Backend config.
+     * @returns {undefined}
+     * @throws {Error} When the backend type is unknown.
+     */
+    configure(config) {
+        if(this.NOT_BACKENDS.includes(config.type)) {
+            throw new Error(`Unknown persistence backend ${config.type}`);
+        }
+        const Backend = require(`./${config.type}`);
+        this.backend = new Backend(config);
+    },
+    /**
+     * @param {string} key - Key to get the value for.
+     * @async
+     * @returns {?} Stored value or undefined.
+     */
+    get(key) {
+        return this.backend.get(key);
+    },
+    /**
+     * @param {string} key - Key to store the value under.
+     * @param {?} value - JSON serializable value.
+     * @async
+     * @returns {undefined}
+     */
+    set(key, value) {
+        return this.backend.set(key, value);
+    },
+    /**
+     * @param {string} key - Key to remove.
+     * @async
+     * @returns {undefined}
+     */
+    delete(key) {
+        return this.backend.delete(key);
+    }
+};
+module.exports = PersistenceManager;
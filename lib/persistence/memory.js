@@ -0,0 +1,47 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+/**
+ * @module persistence/memory
+ * @license MPL-2.0
+ */
+"use strict";
+
+const PersistenceBackend = require("./backend");
+
+/**
+ * Keeps state in memory only, so nothing survives a restart. Values are still
+ * serialized, so they behave the same as with the other backends.
+ *
+ * @alias module:persistence/memory.MemoryBackend
+ * @extends module:persistence/backend.PersistenceBackend
+ */
+class MemoryBackend extends PersistenceBackend {
+    constructor(config) {
+        super(config);
+        /**
+         * @type {Map<string, string>}
+         * @private
+         */
+        this._values = new Map();
+    }
+
+    async get(key) {
+        if(this._values.has(key)) {
+            return JSON.parse(this._values.get(key));
+        }
+        return undefined;
+    }
+
+    async set(key, value) {
+        this._values.set(key, JSON.stringify(value));
+    }
+
+    async delete(key) {
+        this._values.delete(key);
+    }
+}
+
+module.exports = MemoryBackend;
@@ -0,0 +1,78 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+/**
+ * @module persistence/sqlite
+ * @license MPL-2.0
+ */
+"use strict";
+
+const PersistenceBackend = require("./backend");
+
+/**
+ * Default database file.
+ *
+ * @const {string}
+ */
+const DEFAULT_PATH = "state.sqlite";
+
+/**
+ * Stores state as JSON values in a key value table of an SQLite database.
+ * Requires the optional better-sqlite3 dependency.
+ *
+ * @alias module:persistence/sqlite.SQLiteBackend
+ * @extends module:persistence/backend.PersistenceBackend
+ */
+class SQLiteBackend extends PersistenceBackend {
+    /**
+     * @param {Object} config - Backend config.
+     * @param {string} [config.path="state.sqlite"] - Path to the database file.
+     * @param {Function} [Database] - Database constructor to use for testing.
+     */
+    constructor(config, Database) {
+        super(config);
+        if(!Database) {
+            try {
+                Database = require("better-sqlite3");
+            }
+            catch(e) {
+                throw new Error("The sqlite persistence backend requires the better-sqlite3 package to be installed");
+            }
+        }
+        /**
+         * @type {string}
+         */
+        this.path = this.config.path || DEFAULT_PATH;
+        this.db = new Database(this.path);
+        this.db.prepare("CREATE TABLE IF NOT EXISTS state (key TEXT PRIMARY KEY, value TEXT NOT NULL)").run();
+        this.statements = {
+            get: this.db.prepare("SELECT value FROM state WHERE key = ?"),
+            set: this.db.prepare("INSERT OR REPLACE INTO state (key, value) VALUES (?, ?)"),
+            delete: this.db.prepare("DELETE FROM state WHERE key = ?")
+        };
+    }
+
+    async get(key) {
+        const row = this.statements.get.get(key);
+        if(row) {
+            return JSON.parse(row.value);
+        }
+        return undefined;
+    }
+
+    async set(key, value) {
+        this.statements.set.run(key, JSON.stringify(value));
+    }
+
+    async delete(key) {
+        this.statements.delete.run(key);
+    }
+
+    async close() {
+        this.db.close();
+    }
+}
+
+module.exports = SQLiteBackend;
@@ -0,0 +1,35 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+/**
+ * @module preview-comment
+ * @license MPL-2.0
+ */
+"use strict";
+
+const StatusComment = require("./status-comment");
+
+/**
+ * Comment showing how a card will be published, with a section per service.
+ * It is kept separate from the status comment, since a preview is not
+ * something that has to be acted on.
+ *
+ * @alias module:preview-comment.PreviewComment
+ * @extends module:status-comment.StatusComment
+ */
+class PreviewComment extends StatusComment {
+    static get MARKER() {
+        return "content-queue:preview";
+    }
+
+    static get HEADER() {
+        return ":eyes: *Preview of what will be published, kept up to date by the queue.*";
+    }
+
+    static get EMPTY() {
+        return "Nothing to preview yet.";
+    }
+}
+module.exports = PreviewComment;
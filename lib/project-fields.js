@@ -0,0 +1,391 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+/**
+ * @module project-fields
+ * @license MPL-2.0
+ */
+"use strict";
+
+const Formatter = require("./formatters/formatter");
+const ScheduledDate = require("./scheduled-date");
+const DateParser = require("./date-parser");
+const DryRun = require("./dry-run");
+const { graphql } = require("./graphql");
+
+/**
+ * Marker with the values of the fields and sections when they were last in
+ * sync, to tell which of them changed since.
+ *
+ * @const {string}
+ */
+const SYNCED_MARKER = "projectFields";
+
+/**
+ * Sections of the card the fields are mapped to, by the key of the field in
+ * the config.
+ *
+ * @const {Object.<string, string>}
+ */
+const SECTIONS = {
+    schedule: Formatter.SCHEDULED,
+    account: Formatter.ACCOUNTS,
+    priority: Formatter.PRIORITY
+};
+
+/**
+ * Field types each mapping can use.
+ *
+ * @const {Object.<string, [string]>}
+ */
+const DATA_TYPES = {
+    schedule: [ "DATE", "TEXT" ],
+    account: [ "SINGLE_SELECT", "TEXT" ],
+    priority: [ "NUMBER", "SINGLE_SELECT", "TEXT" ]
+};
+
+const GET_FIELDS = `query($project: ID!) {
+    node(id: $project) {
+        ... on ProjectV2 {
+            fields(first: 100) {
+                nodes {
+                    ... on ProjectV2FieldCommon {
+                        id
+                        name
+                        dataType
+                    }
+                    ... on ProjectV2SingleSelectField {
+                        options {
+                            id
+                            name
+                        }
+                    }
+                }
+            }
+        }
+    }
+}`;
+
+const SET_FIELD = `mutation($project: ID!, $item: ID!, $field: ID!, $value: ProjectV2FieldValue!) {
+    updateProjectV2ItemFieldValue(input: { projectId: $project, itemId: $item, fieldId: $field, value: $value }) {
+        projectV2Item {
+            id
+        }
+    }
+}`;
+
+const CLEAR_FIELD = `mutation($project: ID!, $item: ID!, $field: ID!) {
+    clearProjectV2ItemFieldValue(input: { projectId: $project, itemId: $item, fieldId: $field }) {
+        projectV2Item {
+            id
+        }
+    }
+}`;
+
+/**
+ * @typedef {Object} FieldsConfig
+ * @property {string} [schedule] - Name of the date or text field with the
+ *           date the card is scheduled for.
+ * @property {string} [account] - Name of the single select or text field with
+ *           the account the card is published on.
+ * @property {string} [priority] - Name of the number, single select or text
+ *           field with the priority of the card.
+ */
+
+/**
+ * @typedef {Object} Field
+ * @property {string} id - ID of the field.
+ * @property {string} name - Name of the field.
+ * @property {string} dataType - Type of the field, like "DATE".
+ * @property {[{id: string, name: string}]} [options] - Options of a single
+ *           select field.
+ */
+
+/**
+ * @param {string} text - Content of a section.
+ * @returns {string} The content without comments and surrounding whitespace.
+ */
+const stripComments = (text) => text.replace(/<!--[\s\S]*?-->/g, '').trim();
+
+/**
+ * Keeps native fields of a Projects (v2) board and the sections of the cards
+ * in sync. Values are compared to the ones of the last sync, so a change on
+ * either side is copied to the other. When both changed, the field wins.
+ * Values are compared in the form the field stores them, so a date field
+ * only compares the day of the schedule.
+ *
+ * @alias module:project-fields.ProjectFields
+ */
+class ProjectFields {
+    /**
+     * @param {module:project-v2-board.ProjectV2Board} board - Board with the
+     *        fields.
+     */
+    constructor(board) {
+        /**
+         * @type {module:project-v2-board.ProjectV2Board}
+         */
+        this.board = board;
+        /**
+         * @type {module:project-fields~FieldsConfig}
+         */
+        this.config = board.config.projectFields || {};
+        /**
+         * @type {Promise.<Map.<string, module:project-fields~Field>>?}
+         * @private
+         */
+        this._fields = null;
+    }
+
+    /**
+     * @type {[string]}
+     * @readonly
+     */
+    get keys() {
+        return Object.keys(SECTIONS).filter((key) => this.config[key]);
+    }
+
+    /**
+     * @type {boolean}
+     * @readonly
+     */
+    get enabled() {
+        return this.keys.length > 0;
+    }
+
+    /**
+     * @returns {Map.<string, module:project-fields~Field>} Fields of the
+     *          project by name.
+     */
+    getFields() {
+        if(!this._fields) {
+            this._fields = this.board.getBoardID().then((project) => graphql(this.board.githubClient, GET_FIELDS, {
+                project
+            })).then((data) => {
+                const fields = new Map();
+                for(const field of data.node.fields.nodes) {
+                    if(field.name) {
+                        fields.set(field.name, field);
+                    }
+                }
+                return fields;
+            });
+            this._fields.catch(() => {
+                this._fields = null;
+            });
+        }
+        return this._fields;
+    }
+
+    /**
+     * @param {string} key - Key of the mapping.
+     * @returns {module:project-fields~Field} The field configured for the key.
+     * @throws {Error} When the project has no such field or it has the wrong
+     *         type.
+     */
+    async getField(key) {
+        const name = this.config[key];
+        const field = (await this.getFields()).get(name);
+        if(!field) {
+            throw new Error(`The project has no field "${name}"`);
+        }
+        if(!DATA_TYPES[key].includes(field.dataType)) {
+            throw new Error(`The "${name}" field has to be one of ${DATA_TYPES[key].join(", ")} to hold the ${key}`);
+        }
+        return field;
+    }
+
+    /**
+     * @param {module:project-v2-board~Item} item - Item of the card.
+     * @param {module:project-fields~Field} field - Field to read.
+     * @returns {string?} Value of the field, null if it's empty.
+     */
+    getFieldValue(item, field) {
+        const value = item.fields ? item.fields[field.name] : undefined;
+        if(value === undefined || value === null || value === "") {
+            return null;
+        }
+        return String(value);
+    }
+
+    /**
+     * @param {string} key - Key of the mapping.
+     * @param {module:card-content.CardContent} content - Content of the card.
+     * @param {module:project-fields~Field} field - Field the section is
+     *        compared to.
+     * @returns {string?} Value of the section as the field would hold it, null
+     *          if the card has no such section.
+     */
+    getSectionValue(key, content, field) {
+        const section = SECTIONS[key];
+        if(!content.hasSection(section)) {
+            return null;
+        }
+        const value = stripComments(content.getSection(section));
+        if(key === "schedule" && field.dataType === "DATE") {
+            const wallClock = ScheduledDate.parseWallClock(value, this.board.config.schedulingTime.format);
+            return wallClock ? ScheduledDate.formatWallClock(wallClock, "YYYY-MM-DD") : value;
+        }
+        if(key === "account") {
+            return value.split("\n")
+                .map((line) => line.replace(/^\s*[-*]\s*/, '').trim())
+                .filter((line) => line.length)
+                .join(", ");
+        }
+        return value;
+    }
+
+    /**
+     * Copies the value of a field into its section.
+     *
+     * @param {string} key - Key of the mapping.
+     * @param {module:card-content.CardContent} content - Content of the card.
+     * @param {module:project-fields~Field} field - Field the value is from.
+     * @param {string?} value - Value of the field.
+     * @returns {undefined}
+     */
+    setSectionValue(key, content, field, value) {
+        const section = SECTIONS[key];
+        if(value === null) {
+            content.removeSection(section);
+            return;
+        }
+        let sectionValue = value;
+        if(key === "schedule") {
+            const { format } = this.board.config.schedulingTime;
+            if(field.dataType === "DATE") {
+                // Date fields only hold the day, so the time of the section is
+                // kept.
+                const current = content.hasSection(section) ? ScheduledDate.parseWallClock(stripComments(content.getSection(section)), format) : null;
+                const [ year, month, day ] = value.split("-").map((part) => parseInt(part, 10));
+                sectionValue = ScheduledDate.formatWallClock(new Date(Date.UTC(year, month - 1, day, current ? current.getUTCHours() : 0, current ? current.getUTCMinutes() : 0)), format);
+            }
+            else {
+                sectionValue = DateParser.normalize(value, this.board.config) || value;
+            }
+        }
+        content.addSection(section, sectionValue);
+    }
+
+    /**
+     * @param {string} key - Key of the mapping.
+     * @param {module:project-fields~Field} field - Field to set.
+     * @param {string} value - Value of the section.
+     * @returns {Object} The value in the form of the GraphQL API.
+     * @throws {Error} When the field can't hold the value.
+     */
+    toFieldValue(key, field, value) {
+        switch(field.dataType) {
+        case "DATE":
+            if(!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+                throw new Error(`"${value}" is not a valid date for the "${field.name}" field`);
+            }
+            return {
+                date: value
+            };
+        case "NUMBER": {
+            const number = parseFloat(value);
+            if(Number.isNaN(number)) {
+                throw new Error(`"${value}" is not a number for the "${field.name}" field`);
+            }
+            return {
+                number
+            };
+        }
+        case "SINGLE_SELECT": {
+            const option = field.options.find((o) => o.name.toLowerCase() === value.toLowerCase());
+            if(!option) {
+                throw new Error(`"${value}" is not an option of the "${field.name}" field. Available options: ${field.options.map((o) => o.name).join(", ")}`);
+            }
+            return {
+                singleSelectOptionId: option.id
+            };
+        }
+        default:
+            return {
+                text: value
+            };
+        }
+    }
+
+    /**
+     * @param {module:project-v2-board~Item} item - Item to update.
+     * @param {string} key - Key of the mapping.
+     * @param {module:project-fields~Field} field - Field to set.
+     * @param {string?} value - Value of the section, null clears the field.
+     * @param {boolean} [dryRun=DryRun.enabled] - Only log the change.
+     * @returns {undefined}
+     */
+    async setFieldValue(item, key, field, value, dryRun = DryRun.enabled) {
+        const fieldValue = value === null ? null : this.toFieldValue(key, field, value);
+        if(dryRun) {
+            DryRun.log(`Set field "${field.name}" of project item ${item.id}`, {
+                value: fieldValue
+            });
+            return;
+        }
+        const variables = {
+            project: await this.board.getBoardID(),
+            item: item.id,
+            field: field.id
+        };
+        if(fieldValue === null) {
+            await graphql(this.board.githubClient, CLEAR_FIELD, variables);
+        }
+        else {
+            await graphql(this.board.githubClient, SET_FIELD, Object.assign(variables, {
+                value: fieldValue
+            }));
+        }
+        if(!item.fields) {
+            item.fields = {};
+        }
+        item.fields[field.name] = value;
+    }
+
+    /**
+     * Syncs the fields of an item with the sections of its card.
+     *
+     * @param {module:card.Card} card - Card of the item.
+     * @param {module:project-v2-board~Item} item - Item with the field values.
+     * @param {boolean} [dryRun=DryRun.enabled] - Only log the changes.
+     * @returns {undefined}
+     */
+    async syncCard(card, item, dryRun = DryRun.enabled) {
+        const synced = Object.assign({}, card.content.getMarker(SYNCED_MARKER));
+        const before = JSON.stringify(synced);
+        let contentChanged = false;
+        for(const key of this.keys) {
+            const field = await this.getField(key);
+            const fieldValue = this.getFieldValue(item, field);
+            const sectionValue = this.getSectionValue(key, card.content, field);
+            const last = synced[key];
+            if(fieldValue === sectionValue) {
+                synced[key] = fieldValue;
+                continue;
+            }
+            // Without a previous sync, an empty field doesn't clear a section.
+            const fieldChanged = last === undefined ? fieldValue !== null : fieldValue !== last;
+            if(fieldChanged) {
+                this.setSectionValue(key, card.content, field, fieldValue);
+                contentChanged = true;
+                const value = this.getSectionValue(key, card.content, field);
+                if(value !== fieldValue) {
+                    await this.setFieldValue(item, key, field, value, dryRun);
+                }
+                synced[key] = value;
+            }
+            else {
+                await this.setFieldValue(item, key, field, sectionValue, dryRun);
+                synced[key] = sectionValue;
+            }
+        }
+        if(contentChanged || JSON.stringify(synced) !== before) {
+            card.content.setMarker(SYNCED_MARKER, synced);
+            await card.saveContent(dryRun);
+        }
+    }
+}
+module.exports = ProjectFields;
@@ -0,0 +1,497 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+/**
+ * @module project-v2-board
+ * @license MPL-2.0
+ */
+"use strict";
+
+const Board = require("./board");
+const ProjectV2Column = require("./project-v2-column");
+const DataStore = require("./data-store");
+const UpdateManager = require("./update-manager");
+const ProjectFields = require("./project-fields");
+const DryRun = require("./dry-run");
+const { graphql, paginate } = require("./graphql");
+const { ProjectNotFoundError, NoProjectsError, MissingStatusOptionError } = require("./board-errors");
+
+/**
+ * Name of the field holding the column of an item, if the board doesn't
+ * configure one.
+ *
+ * @const {string}
+ */
+const DEFAULT_STATUS_FIELD = "Status";
+
+/**
+ * Properties of the field value types that hold the value.
+ *
+ * @const {[string]}
+ */
+const VALUE_KEYS = [ "date", "text", "number", "name" ];
+
+const FIND_PROJECT = `query($owner: String!, $title: String!) {
+    repositoryOwner(login: $owner) {
+        ... on ProjectV2Owner {
+            projectsV2(first: 100, query: $title) {
+                nodes {
+                    id
+                    title
+                }
+            }
+        }
+    }
+}`;
+
+const GET_REPOSITORY = `query($owner: String!, $repo: String!) {
+    repository(owner: $owner, name: $repo) {
+        id
+        owner {
+            id
+        }
+    }
+}`;
+
+const CREATE_PROJECT = `mutation($owner: ID!, $repository: ID!, $title: String!) {
+    createProjectV2(input: { ownerId: $owner, repositoryId: $repository, title: $title }) {
+        projectV2 {
+            id
+        }
+    }
+}`;
+
+const GET_STATUS_FIELD = `query($project: ID!, $field: String!) {
+    node(id: $project) {
+        ... on ProjectV2 {
+            field(name: $field) {
+                ... on ProjectV2SingleSelectField {
+                    id
+                    options {
+                        id
+                        name
+                    }
+                }
+            }
+        }
+    }
+}`;
+
+const CAN_UPDATE = `query($project: ID!) {
+    node(id: $project) {
+        ... on ProjectV2 {
+            viewerCanUpdate
+        }
+    }
+}`;
+
+const GET_ITEMS = `query($project: ID!, $field: String!, $cursor: String) {
+    node(id: $project) {
+        ... on ProjectV2 {
+            items(first: 100, after: $cursor) {
+                pageInfo {
+                    hasNextPage
+                    endCursor
+                }
+                nodes {
+                    id
+                    content {
+                        ... on Issue {
+                            number
+                            repository {
+                                nameWithOwner
+                            }
+                        }
+                    }
+                    fieldValueByName(name: $field) {
+                        ... on ProjectV2ItemFieldSingleSelectValue {
+                            optionId
+                        }
+                    }
+                    fieldValues(first: 50) {
+                        nodes {
+                            ... on ProjectV2ItemFieldDateValue {
+                                date
+                                field {
+                                    ... on ProjectV2FieldCommon {
+                                        name
+                                    }
+                                }
+                            }
+                            ... on ProjectV2ItemFieldTextValue {
+                                text
+                                field {
+                                    ... on ProjectV2FieldCommon {
+                                        name
+                                    }
+                                }
+                            }
+                            ... on ProjectV2ItemFieldNumberValue {
+                                number
+                                field {
+                                    ... on ProjectV2FieldCommon {
+                                        name
+                                    }
+                                }
+                            }
+                            ... on ProjectV2ItemFieldSingleSelectValue {
+                                name
+                                field {
+                                    ... on ProjectV2FieldCommon {
+                                        name
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    }
+}`;
+
+const SET_STATUS = `mutation($project: ID!, $item: ID!, $field: ID!, $option: String!) {
+    updateProjectV2ItemFieldValue(input: { projectId: $project, itemId: $item, fieldId: $field, value: { singleSelectOptionId: $option } }) {
+        projectV2Item {
+            id
+        }
+    }
+}`;
+
+/**
+ * @typedef {Object} Item
+ * @property {string} id - ID of the item.
+ * @property {number} issueNumber - Number of the issue of the item.
+ * @property {string?} statusId - ID of the option of the status field.
+ * @property {Object.<string, (string|number)>} fields - Values of the date,
+ *           text, number and single select fields by field name. Single
+ *           select fields hold the name of the option.
+ */
+
+/**
+ * @param {Object} node - Item node of the API.
+ * @returns {Object.<string, (string|number)>} Values of the fields of the
+ *          item by field name.
+ */
+const getFieldValues = (node) => {
+    const fields = {};
+    if(node.fieldValues) {
+        for(const value of node.fieldValues.nodes) {
+            if(value.field && value.field.name) {
+                fields[value.field.name] = value[VALUE_KEYS.find((key) => key in value)];
+            }
+        }
+    }
+    return fields;
+};
+
+/**
+ * @typedef {Object} StatusField
+ * @property {string} id - ID of the field.
+ * @property {[{id: string, name: string}]} options - Options of the field.
+ */
+
+/**
+ * Board on GitHub Projects (v2), using the GraphQL API. Projects belong to the
+ * owner of the repository and are found by their title. The options of a
+ * single select field, "Status" by default, are the columns of the board and
+ * the items for issues of the repository are the cards. Configured project
+ * fields are kept in sync with the sections of the cards after every update.
+ *
+ * @alias module:project-v2-board.ProjectV2Board
+ * @extends module:board.Board
+ */
+class ProjectV2Board extends Board {
+    /**
+     * @inheritdoc
+     */
+    constructor(...args) {
+        super(...args);
+        /**
+         * Items of the project, shared by all columns.
+         *
+         * @type {module:data-store.DataStore}
+         */
+        this.itemStore = new DataStore(() => this.fetchItems(), UpdateManager.getCacheTime(true));
+        /**
+         * @type {Promise.<module:project-v2-board~StatusField>?}
+         * @private
+         */
+        this._statusField = null;
+        /**
+         * @type {module:project-fields.ProjectFields}
+         */
+        this.fields = new ProjectFields(this);
+        if(this.fields.enabled && !this.readOnly) {
+            this.ready.then(() => {
+                this.on("storesupdated", () => this.syncFields());
+            });
+        }
+    }
+
+    /**
+     * @type {string}
+     * @readonly
+     */
+    get statusFieldName() {
+        return this.config.statusField || DEFAULT_STATUS_FIELD;
+    }
+
+    /**
+     * @inheritdoc
+     */
+    async getBoardID() {
+        if(!this.id) {
+            const data = await graphql(this.githubClient, FIND_PROJECT, {
+                owner: this.config.owner,
+                title: this.config.projectName
+            });
+            const projects = data.repositoryOwner && data.repositoryOwner.projectsV2 ? data.repositoryOwner.projectsV2.nodes : [];
+            if(!projects.length) {
+                throw new NoProjectsError(this.config.owner, this.config.repo);
+            }
+            const project = projects.find((p) => p.title === this.config.projectName);
+            if(!project) {
+                throw new ProjectNotFoundError(this.config.projectName);
+            }
+            this.id = project.id;
+        }
+        return this.id;
+    }
+
+    /**
+     * Creates the project for the owner of the repository and links it to
+     * the repository.
+     *
+     * @returns {undefined}
+     */
+    async createBoard() {
+        const { repository } = await graphql(this.githubClient, GET_REPOSITORY, {
+            owner: this.config.owner,
+            repo: this.config.repo
+        });
+        const data = await graphql(this.githubClient, CREATE_PROJECT, {
+            owner: repository.owner.id,
+            repository: repository.id,
+            title: this.config.projectName
+        });
+        this.id = data.createProjectV2.projectV2.id;
+    }
+
+    /**
+     * @inheritdoc
+     */
+    async canUpdate() {
+        const data = await graphql(this.githubClient, CAN_UPDATE, {
+            project: await this.getBoardID()
+        });
+        return Boolean(data.node && data.node.viewerCanUpdate);
+    }
+
+    /**
+     * @returns {module:project-v2-board~StatusField} The field holding the
+     *          column of items.
+     * @throws {Error} When the project has no single select field with the
+     *         configured name.
+     */
+    getStatusField() {
+        if(!this._statusField) {
+            this._statusField = this.getBoardID().then((project) => graphql(this.githubClient, GET_STATUS_FIELD, {
+                project,
+                field: this.statusFieldName
+            })).then((data) => {
+                const field = data.node && data.node.field;
+                if(!field || !field.options) {
+                    throw new Error(`The project has no single select field "${this.statusFieldName}"`);
+                }
+                return field;
+            });
+            this._statusField.catch(() => {
+                this._statusField = null;
+            });
+        }
+        return this._statusField;
+    }
+
+    /**
+     * Columns are the options of the status field.
+     *
+     * @param {Object<module:project-v2-column.ProjectV2Column>} oldColumns -
+     *        Previous columns.
+     * @returns {Object<module:project-v2-column.ProjectV2Column>} Columns by
+     *          the ID of their option.
+     */
+    async fetchColumns(oldColumns) {
+        this._statusField = null;
+        const field = await this.getStatusField();
+        const columns = {};
+        for(const option of field.options) {
+            if(option.id in oldColumns) {
+                columns[option.id] = oldColumns[option.id];
+                columns[option.id].name = option.name;
+            }
+            else {
+                columns[option.id] = new ProjectV2Column(this.githubClient, option.id, option.name, this.cards, this);
+            }
+        }
+        return columns;
+    }
+
+    /**
+     * Loads the items of the project for issues in the repository, in the
+     * order of the project.
+     *
+     * @returns {[module:project-v2-board~Item]} Items of the project.
+     */
+    async fetchItems() {
+        const nodes = await paginate(this.githubClient, GET_ITEMS, {
+            project: await this.getBoardID(),
+            field: this.statusFieldName
+        }, (data) => data.node && data.node.items);
+        const repo = `${this.config.owner}/${this.config.repo}`.toLowerCase();
+        return nodes
+            .filter((node) => node.content && node.content.repository && node.content.repository.nameWithOwner.toLowerCase() === repo)
+            .map((node) => ({
+                id: node.id,
+                issueNumber: node.content.number,
+                statusId: node.fieldValueByName ? node.fieldValueByName.optionId : null,
+                fields: getFieldValues(node)
+            }));
+    }
+
+    /**
+     * Syncs the configured project fields of all items with the sections of
+     * their cards. Errors are reported on the issue of the card.
+     *
+     * @param {boolean} [dryRun=DryRun.enabled] - Only log the changes.
+     * @returns {undefined}
+     */
+    async syncFields(dryRun = DryRun.enabled) {
+        for(const item of await this.getItems()) {
+            const card = this.cards.get(item.id);
+            if(card) {
+                try {
+                    await this.fields.syncCard(card, item, dryRun);
+                }
+                catch(e) {
+                    await card.reportError("sync the project fields of", e, dryRun);
+                }
+            }
+        }
+    }
+
+    /**
+     * @returns {[module:project-v2-board~Item]} Items of the project.
+     */
+    getItems() {
+        return this.itemStore.getData();
+    }
+
+    /**
+     * Expires the items of the project and the cards of the columns, so
+     * they are loaded again.
+     *
+     * @returns {undefined}
+     */
+    async invalidateItems() {
+        this.itemStore.invalidate();
+        for(const column of Object.values(await this.columns)) {
+            column.invalidate("issues");
+        }
+    }
+
+    /**
+     * Statuses can't be added without resetting the status of all items, so
+     * they have to be added on GitHub.
+     *
+     * @param {string} name - Name of the missing column.
+     * @returns {undefined}
+     * @throws {module:board-errors.MissingStatusOptionError} Always.
+     */
+    async createColumn(name) {
+        throw new MissingStatusOptionError(this.statusFieldName, name);
+    }
+
+    /**
+     * @param {string} item - ID of the item.
+     * @param {string} option - ID of the option of the status field.
+     * @returns {undefined}
+     */
+    async setItemStatus(item, option) {
+        const field = await this.getStatusField();
+        await graphql(this.githubClient, SET_STATUS, {
+            project: await this.getBoardID(),
+            item,
+            field: field.id,
+            option
+        });
+        const items = await this.getItems();
+        const cached = items.find((i) => i.id === item);
+        if(cached) {
+            cached.statusId = option;
+        }
+    }
+
+    /**
+     * @inheritdoc
+     */
+    async moveRemoteCard(card, column, insertionPoint) {
+        await this.setItemStatus(card.id, column.id);
+        await column.moveCard(card, insertionPoint);
+    }
+
+    /**
+     * Projects (v2) send "projects_v2_item" events. Their payload only has
+     * the IDs of the changed item, so the items are loaded again.
+     *
+     * @param {string} event - GitHub event type.
+     * @param {Object} payload - Webhook payload.
+     * @returns {undefined}
+     * @fires module:data-store-holder.DataStoreHolder#storesupdated
+     */
+    async handleWebhook(event, payload) {
+        if(event !== "projects_v2_item" || payload.projects_v2_item.project_node_id !== (await this.getBoardID())) {
+            return;
+        }
+        await this.ready;
+        await this.receiveItem(payload.action, payload.projects_v2_item);
+        await this.emitSerial("storesupdated");
+    }
+
+    /**
+     * Updates the local column models for an item changed on GitHub.
+     *
+     * @param {string} action - Webhook action.
+     * @param {Object} itemData - Item data from the webhook.
+     * @returns {undefined}
+     */
+    async receiveItem(action, itemData) {
+        await this.invalidateItems();
+        const card = this.cards.get(itemData.node_id);
+        if(action === "deleted") {
+            if(card && card.column) {
+                await card.column.removeCard(card, true);
+            }
+            return;
+        }
+        const item = (await this.getItems()).find((i) => i.id === itemData.node_id);
+        const columns = await this.columns;
+        if(!item || !(item.statusId in columns)) {
+            return;
+        }
+        const column = columns[item.statusId];
+        if(card) {
+            await this.moveCardToColumn(card, column, true);
+        }
+        else {
+            const openIssues = await this.repo.issues.issues;
+            const issue = openIssues.get(item.issueNumber);
+            if(issue) {
+                await this.addCard(issue, column, true);
+            }
+        }
+    }
+}
+module.exports = ProjectV2Board;
@@ -0,0 +1,175 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+/**
+ * @module project-v2-column
+ * @license MPL-2.0
+ */
+"use strict";
+
+const Column = require("./column");
+const { graphql } = require("./graphql");
+
+const ADD_ITEM = `mutation($project: ID!, $content: ID!) {
+    addProjectV2ItemById(input: { projectId: $project, contentId: $content }) {
+        item {
+            id
+        }
+    }
+}`;
+
+const DELETE_ITEM = `mutation($project: ID!, $item: ID!) {
+    deleteProjectV2Item(input: { projectId: $project, itemId: $item }) {
+        deletedItemId
+    }
+}`;
+
+const MOVE_ITEM = `mutation($project: ID!, $item: ID!, $after: ID) {
+    updateProjectV2ItemPosition(input: { projectId: $project, itemId: $item, afterId: $after }) {
+        clientMutationId
+    }
+}`;
+
+const ISSUE_ID = `query($owner: String!, $repo: String!, $number: Int!) {
+    repository(owner: $owner, name: $repo) {
+        issue(number: $number) {
+            id
+        }
+    }
+}`;
+
+/**
+ * A column of a GitHub Projects (v2) board. Columns are the options of the
+ * single select status field of the project and cards are its items. The
+ * items of the whole project are loaded once by the board and split up into
+ * the columns.
+ *
+ * @alias module:project-v2-column.ProjectV2Column
+ * @extends module:column.Column
+ */
+class ProjectV2Column extends Column {
+    /**
+     * @param {external:GitHub} githubClient - Client to use.
+     * @param {string} id - ID of the option of the status field.
+     * @param {string} name - Name of the option.
+     * @param {Map<string, module:card.Card>} cards - All cards on the board.
+     * @param {module:project-v2-board.ProjectV2Board} board - Board the
+     *        column is on.
+     */
+    constructor(githubClient, id, name, cards, board) {
+        super(githubClient, id, name, cards);
+        /**
+         * @type {module:project-v2-board.ProjectV2Board}
+         */
+        this.board = board;
+    }
+
+    /**
+     * @inheritdoc
+     */
+    async fetchIssues() {
+        const items = await this.board.getItems();
+        const issues = {};
+        for(const item of items) {
+            if(item.statusId === this.id) {
+                issues[item.issueNumber] = item;
+            }
+        }
+        return issues;
+    }
+
+    /**
+     * Options of a field can only be changed together, which resets the
+     * field of every item, so the order of columns is left alone.
+     *
+     * @returns {undefined}
+     */
+    async move() {
+        // Nothing to do.
+    }
+
+    /**
+     * @param {module:issue.Issue} issue - Issue to get the ID of.
+     * @returns {string} GraphQL node ID of the issue.
+     */
+    async getIssueNodeId(issue) {
+        if(issue.nodeId) {
+            return issue.nodeId;
+        }
+        const data = await graphql(this.githubClient, ISSUE_ID, {
+            owner: this.board.config.owner,
+            repo: this.board.config.repo,
+            number: issue.number
+        });
+        return data.repository.issue.id;
+    }
+
+    /**
+     * Adds the issue to the project, unless it already is an item of the
+     * project, and sets its status to this column.
+     *
+     * @param {module:card.Card} card - Card to add.
+     * @returns {Object} Data of the item.
+     */
+    async createRemoteCard(card) {
+        const project = await this.board.getBoardID();
+        const data = await graphql(this.githubClient, ADD_ITEM, {
+            project,
+            content: await this.getIssueNodeId(card.issue)
+        });
+        const item = {
+            id: data.addProjectV2ItemById.item.id,
+            issueNumber: card.issue.number,
+            statusId: this.id,
+            fields: {}
+        };
+        await this.board.setItemStatus(item.id, this.id);
+        // The position of the new item is only known to GitHub.
+        this.board.itemStore.invalidate();
+        return item;
+    }
+
+    /**
+     * @param {module:card.Card} card - Card to remove.
+     * @returns {undefined}
+     */
+    async deleteRemoteCard(card) {
+        await graphql(this.githubClient, DELETE_ITEM, {
+            project: await this.board.getBoardID(),
+            item: card.id
+        });
+    }
+
+    /**
+     * Moves the item of the card. Positions are shared by all items of the
+     * project, so the card is moved before the first or after the last card
+     * of this column.
+     *
+     * @param {module:card.Card} card - Card to move.
+     * @param {string} position - Can be top, bottom and after:cardId.
+     * @returns {undefined}
+     */
+    async moveCard(card, position) {
+        const items = (await this.board.getItems()).filter((item) => item.id !== card.id);
+        const columnItems = items.filter((item) => item.statusId === this.id);
+        let after = null;
+        if(position.startsWith("after:")) {
+            after = position.slice(6);
+        }
+        else if(position === "bottom" && columnItems.length) {
+            after = columnItems[columnItems.length - 1].id;
+        }
+        else if(position === "top" && columnItems.length) {
+            const index = items.indexOf(columnItems[0]);
+            after = index > 0 ? items[index - 1].id : null;
+        }
+        await graphql(this.githubClient, MOVE_ITEM, {
+            project: await this.board.getBoardID(),
+            item: card.id,
+            after
+        });
+    }
+}
+module.exports = ProjectV2Column;
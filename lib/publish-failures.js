@@ -0,0 +1,309 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+/**
+ * @module publish-failures
+ * @license MPL-2.0
+ */
+"use strict";
+
+const self = require("./self");
+const PersistenceManager = require("./persistence/manager");
+
+const MINUTE = 60000;
+const HOUR = 60 * MINUTE;
+
+/**
+ * Kinds of publishing errors.
+ *
+ * @readonly
+ * @enum {string}
+ */
+const KINDS = {
+    RATE_LIMIT: "rate limit",
+    AUTH: "auth",
+    CONTENT: "content rejected",
+    NETWORK: "network",
+    UNKNOWN: "unknown"
+};
+
+/**
+ * Initial delay before retrying per kind of error in ms.
+ *
+ * @const {Object.<string, number>}
+ */
+const BASE_DELAY = {
+    [KINDS.RATE_LIMIT]: 15 * MINUTE,
+    [KINDS.NETWORK]: MINUTE,
+    [KINDS.UNKNOWN]: 5 * MINUTE
+};
+
+const MAX_DELAY = 6 * HOUR;
+
+/**
+ * Attempts after which a transient error is treated as permanent.
+ *
+ * @const {number}
+ */
+const MAX_ATTEMPTS = 8;
+
+// Error codes of the Twitter API.
+const TWITTER_CODES = {
+    [KINDS.RATE_LIMIT]: [ 88, 185 ],
+    [KINDS.AUTH]: [ 32, 64, 89, 215, 326 ],
+    [KINDS.CONTENT]: [ 170, 186, 187, 324, 325, 385 ],
+    [KINDS.NETWORK]: [ 130, 131 ]
+};
+
+// Error names of the AT Protocol XRPC API.
+const XRPC_ERRORS = {
+    [KINDS.RATE_LIMIT]: [ "RateLimitExceeded" ],
+    [KINDS.AUTH]: [ "AuthenticationRequired", "ExpiredToken", "InvalidToken", "AccountTakedown" ]
+};
+
+const NETWORK_CODES = [ "ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "ENOTFOUND", "EAI_AGAIN", "EPIPE" ];
+
+/**
+ * Errors thrown by the accounts before anything was sent that retrying
+ * won't fix.
+ *
+ * @const {RegExp}
+ */
+const CONTENT_ERROR = /too long|unknown account|not supported|can be at most|more than \d+ images/i;
+
+/**
+ * @param {?} error - Error thrown while publishing.
+ * @returns {number?} HTTP status code of the error, if it has one.
+ */
+const getStatus = (error) => {
+    if(!error || typeof error !== "object") {
+        return null;
+    }
+    if(typeof error.status === "number") {
+        return error.status;
+    }
+    if(typeof error.statusCode === "number") {
+        return error.statusCode;
+    }
+    if(error.response && typeof error.response.status === "number") {
+        return error.response.status;
+    }
+    const matches = typeof error.message === "string" && error.message.match(/^HTTP Error: (\d{3})/);
+    return matches ? parseInt(matches[1], 10) : null;
+};
+
+/**
+ * @typedef {Object} Failure
+ * @property {string} kind - Kind of the last error.
+ * @property {number} attempts - Failed attempts so far.
+ * @property {boolean} permanent - If retrying is pointless.
+ * @property {number} nextAttempt - Time the card may be retried at.
+ */
+
+/**
+ * Tracks failed attempts to publish cards, so transient errors are retried
+ * with exponential backoff and permanent errors are not retried at all.
+ *
+ * @alias module:publish-failures.PublishFailures
+ */
+class PublishFailures {
+    /**
+     * @type {Object.<string, string>}
+     * @readonly
+     */
+    static get KINDS() {
+        return KINDS;
+    }
+
+    /**
+     * @type {number}
+     * @readonly
+     */
+    static get MAX_ATTEMPTS() {
+        return MAX_ATTEMPTS;
+    }
+
+    /**
+     * Classifies an error thrown by an account while publishing.
+     *
+     * @param {?} error - Error thrown while publishing.
+     * @returns {string} Kind of the error, one of KINDS.
+     */
+    static classify(error) {
+        // The twitter client rejects with the errors of the API response.
+        if(Array.isArray(error)) {
+            for(const kind in TWITTER_CODES) {
+                if(error.some((e) => TWITTER_CODES[kind].includes(e.code))) {
+                    return kind;
+                }
+            }
+            return KINDS.UNKNOWN;
+        }
+        if(error && typeof error === "object") {
+            for(const kind in XRPC_ERRORS) {
+                if(XRPC_ERRORS[kind].includes(error.error)) {
+                    return kind;
+                }
+            }
+            if(NETWORK_CODES.includes(error.code) || error.type === "system" || error.type === "request-timeout") {
+                return KINDS.NETWORK;
+            }
+        }
+        const status = getStatus(error);
+        if(status === 429) {
+            return KINDS.RATE_LIMIT;
+        }
+        if(status === 401 || status === 403) {
+            return KINDS.AUTH;
+        }
+        if(status >= 500) {
+            return KINDS.NETWORK;
+        }
+        if(status >= 400) {
+            return KINDS.CONTENT;
+        }
+        const message = error instanceof Error ? error.message : String(error);
+        if(CONTENT_ERROR.test(message)) {
+            return KINDS.CONTENT;
+        }
+        return KINDS.UNKNOWN;
+    }
+
+    /**
+     * @param {string} kind - Kind of the error.
+     * @returns {boolean} If retrying can not fix errors of this kind.
+     */
+    static isPermanent(kind) {
+        return kind === KINDS.AUTH || kind === KINDS.CONTENT;
+    }
+
+    /**
+     * @param {string} kind - Kind of the error.
+     * @param {number} attempts - Failed attempts so far.
+     * @returns {number} Time to wait before the next attempt in ms.
+     */
+    static getDelay(kind, attempts) {
+        return Math.min(BASE_DELAY[kind] * Math.pow(2, attempts - 1), MAX_DELAY);
+    }
+
+    /**
+     * @param {string} [storageKey] - Key the failures are persisted under, so
+     *        attempts and backoff continue after a restart.
+     * @param {boolean} [readOnly=false] - Only restore the persisted failures,
+     *        without persisting changes, like in dry run mode.
+     */
+    constructor(storageKey, readOnly = false) {
+        /**
+         * @type {Map.<string, module:publish-failures~Failure>}
+         */
+        this.failures = new Map();
+        /**
+         * @type {string?}
+         */
+        this.storageKey = storageKey;
+        /**
+         * @type {boolean}
+         */
+        this.readOnly = readOnly;
+    }
+
+    /**
+     * Loads the persisted failures. Failures recorded since are kept.
+     *
+     * @returns {undefined}
+     */
+    async restore() {
+        if(this.storageKey === undefined) {
+            return;
+        }
+        try {
+            const failures = await PersistenceManager.get(this.storageKey);
+            if(Array.isArray(failures)) {
+                for(const [ cardId, failure ] of failures) {
+                    if(!this.failures.has(cardId)) {
+                        // JSON has no Infinity, permanent failures are never
+                        // retried by themselves.
+                        this.failures.set(cardId, Object.assign({}, failure, {
+                            nextAttempt: failure.permanent ? Infinity : failure.nextAttempt
+                        }));
+                    }
+                }
+            }
+        }
+        catch(e) {
+            console.error("Restoring publish failures failed:", e);
+        }
+    }
+
+    /**
+     * @returns {undefined}
+     */
+    persist() {
+        if(this.storageKey === undefined || this.readOnly) {
+            return;
+        }
+        PersistenceManager.set(this.storageKey, Array.from(this.failures.entries())).catch((e) => {
+            console.error("Persisting publish failures failed:", e);
+        });
+    }
+
+    /**
+     * @param {string} cardId - ID of the card.
+     * @returns {module:publish-failures~Failure?} Failure of the card.
+     */
+    get(cardId) {
+        return this.failures.get(cardId);
+    }
+
+    /**
+     * @param {string} cardId - ID of the card.
+     * @param {number} [now=Date.now()] - Current time.
+     * @returns {boolean} If the card may be published now.
+     */
+    canAttempt(cardId, now = Date.now()) {
+        const failure = this.failures.get(cardId);
+        return !failure || (!failure.permanent && failure.nextAttempt <= now);
+    }
+
+    /**
+     * @param {string} cardId - ID of the card that failed to publish.
+     * @param {?} error - Error thrown while publishing.
+     * @param {number} [now=Date.now()] - Current time.
+     * @returns {module:publish-failures~Failure} Updated failure of the card.
+     */
+    recordFailure(cardId, error, now = Date.now()) {
+        const staticRef = self(this);
+        const previous = this.failures.get(cardId);
+        const kind = staticRef.classify(error);
+        const attempts = previous ? previous.attempts + 1 : 1;
+        const permanent = staticRef.isPermanent(kind) || attempts >= MAX_ATTEMPTS;
+        const failure = {
+            kind,
+            attempts,
+            permanent,
+            nextAttempt: permanent ? Infinity : now + staticRef.getDelay(kind, attempts)
+        };
+        this.failures.set(cardId, failure);
+        this.persist();
+        return failure;
+    }
+
+    /**
+     * Forgets the failures of a card, after it was published or someone
+     * asked for it to be retried.
+     *
+     * @param {string} cardId - ID of the card.
+     * @returns {module:publish-failures~Failure?} The failure that was
+     *          cleared.
+     */
+    clear(cardId) {
+        const failure = this.failures.get(cardId);
+        if(this.failures.delete(cardId)) {
+            this.persist();
+        }
+        return failure;
+    }
+}
+module.exports = PublishFailures;
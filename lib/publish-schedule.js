@@ -0,0 +1,228 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+/**
+ * @module publish-schedule
+ * @license MPL-2.0
+ */
+"use strict";
+
+const ScheduledDate = require("./scheduled-date");
+
+const MINUTE = 60000;
+const DAY = 24 * 60 * MINUTE;
+
+/**
+ * Weekday names in the order of Date#getUTCDay.
+ *
+ * @const {[string]}
+ */
+const WEEKDAYS = [ "sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday" ];
+
+/**
+ * Days checked for passed slots at most, so a quota restored from long ago
+ * doesn't iterate forever.
+ *
+ * @const {number}
+ */
+const MAX_DAYS = 366;
+
+/**
+ * Slots are owed for this long at most, so a queue that ran empty doesn't
+ * publish a burst of posts once it is filled again.
+ *
+ * @const {number}
+ */
+const MAX_DEFERRAL = DAY;
+
+/**
+ * @typedef {Object} ScheduleConfig
+ * @property {[string]} [slots=[]] - Times of the slots as "HH:mm" in the
+ *           timezone of the board.
+ * @property {Object.<string, [string]>} [weekdays={}] - Slots per weekday,
+ *           by lower case english weekday name, replacing the slots on that
+ *           day.
+ * @property {[string]} [blackoutDates=[]] - Days without slots as
+ *           "YYYY-MM-DD" or "MM-DD" for every year.
+ * @property {number} [minSpacing=0] - Minutes between posts at least.
+ * @property {number} [maxPerDay=Infinity] - Posts per day at most.
+ */
+
+/**
+ * @typedef {Object} PublishedPost
+ * @property {number} time - Time the post was published at.
+ * @property {number?} slot - Time of the slot the post used, null if it
+ *           didn't use one.
+ */
+
+/**
+ * @param {string} time - Time as "HH:mm".
+ * @returns {number?} Milliseconds since the start of the day, null if the
+ *          time is invalid.
+ */
+const parseTime = (time) => {
+    const match = typeof time === "string" && time.trim().match(/^(\d{1,2}):(\d{1,2})$/);
+    if(!match) {
+        return null;
+    }
+    const [ hours, minutes ] = match.slice(1).map((t) => parseInt(t, 10));
+    if(hours > 23 || minutes > 59) {
+        return null;
+    }
+    return (hours * 60 + minutes) * MINUTE;
+};
+
+/**
+ * @param {[string]} [times=[]] - Times as "HH:mm".
+ * @returns {[number]} Valid times as milliseconds since the start of the day.
+ */
+const parseTimes = (times = []) => times.map(parseTime).filter((time) => time !== null);
+
+/**
+ * Slots the publish sources publish unscheduled cards in. The schedule is
+ * either a list of "HH:mm" times in UTC, or a {@link module:publish-schedule~ScheduleConfig}
+ * with times in the timezone of the board. The quota only depends on the
+ * slots that passed and the posts that were published, so it is the same no
+ * matter how often it is checked. Slots the limits don't allow a post in are
+ * owed until a post uses them.
+ *
+ * @alias module:publish-schedule.PublishSchedule
+ */
+class PublishSchedule {
+    /**
+     * @param {[string]|module:publish-schedule~ScheduleConfig} [config] -
+     *        Schedule config of the source.
+     * @param {module:config~ScheduledDateConfig} [schedulingTime] -
+     *        Scheduling config of the board.
+     */
+    constructor(config, schedulingTime = {}) {
+        const options = Array.isArray(config) ? {
+            slots: config
+        } : (config || {});
+        /**
+         * @type {module:scheduled-date~Zone}
+         */
+        this.zone = Array.isArray(config) ? {
+            offset: 0
+        } : ScheduledDate.getZone(schedulingTime);
+        /**
+         * Slots per weekday, as milliseconds since the start of the day, in
+         * the order of Date#getUTCDay.
+         *
+         * @type {[[number]]}
+         */
+        this.slots = WEEKDAYS.map((weekday) => {
+            const times = options.weekdays && options.weekdays[weekday] ? options.weekdays[weekday] : options.slots;
+            return parseTimes(times).sort((a, b) => a - b);
+        });
+        /**
+         * @type {[string]}
+         */
+        this.blackoutDates = options.blackoutDates || [];
+        /**
+         * @type {number}
+         */
+        this.minSpacing = (options.minSpacing || 0) * MINUTE;
+        /**
+         * @type {number}
+         */
+        this.maxPerDay = typeof options.maxPerDay === "number" ? options.maxPerDay : Infinity;
+    }
+
+    /**
+     * If the schedule has any slots. Without slots cards are published right
+     * away.
+     *
+     * @type {boolean}
+     * @readonly
+     */
+    get enabled() {
+        return this.slots.some((times) => times.length);
+    }
+
+    /**
+     * @param {external:Date} day - Wall clock time on the day.
+     * @returns {boolean} If the day has no slots.
+     */
+    isBlackout(day) {
+        const date = ScheduledDate.formatWallClock(day, "YYYY-MM-DD");
+        return this.blackoutDates.includes(date) || this.blackoutDates.includes(date.slice(5));
+    }
+
+    /**
+     * @param {number} from - Time slots have to be after.
+     * @param {number} to - Time slots may be at.
+     * @returns {[external:Date]} Slots after from until to.
+     */
+    getSlotsBetween(from, to) {
+        const wallClock = ScheduledDate.toWallClock(new Date(Math.max(from, to - MAX_DAYS * DAY)), this.zone);
+        const slots = [];
+        for(let day = Date.UTC(wallClock.getUTCFullYear(), wallClock.getUTCMonth(), wallClock.getUTCDate()); day <= to + DAY; day += DAY) {
+            const date = new Date(day);
+            if(this.isBlackout(date)) {
+                continue;
+            }
+            for(const time of this.slots[date.getUTCDay()]) {
+                const slot = ScheduledDate.fromWallClock(new Date(day + time), this.zone);
+                if(slot.getTime() > from && slot.getTime() <= to) {
+                    slots.push(slot);
+                }
+            }
+        }
+        return slots;
+    }
+
+    /**
+     * @param {number} since - Time slots are owed from.
+     * @param {number} now - Current time.
+     * @param {[module:publish-schedule~PublishedPost]} [published=[]] - Posts
+     *        published so far.
+     * @returns {[external:Date]} Passed slots no post used yet, oldest first.
+     */
+    getOwedSlots(since, now, published = []) {
+        const used = new Set(published.map((post) => post.slot));
+        return this.getSlotsBetween(Math.max(since, now - MAX_DEFERRAL), now)
+            .filter((slot) => !used.has(slot.getTime()));
+    }
+
+    /**
+     * @param {number} since - Time slots are owed from.
+     * @param {number} now - Current time.
+     * @param {[module:publish-schedule~PublishedPost]} [published=[]] - Posts
+     *        published so far.
+     * @returns {number} Amount of cards that may be published now.
+     */
+    getQuota(since, now, published = []) {
+        if(!this.enabled) {
+            return Infinity;
+        }
+        let quota = this.getOwedSlots(since, now, published).length;
+        if(quota && this.maxPerDay !== Infinity) {
+            const today = ScheduledDate.formatWallClock(ScheduledDate.toWallClock(new Date(now), this.zone), "YYYY-MM-DD");
+            const publishedToday = published.filter((post) => ScheduledDate.formatWallClock(ScheduledDate.toWallClock(new Date(post.time), this.zone), "YYYY-MM-DD") === today).length;
+            quota = Math.min(quota, this.maxPerDay - publishedToday);
+        }
+        if(quota && this.minSpacing) {
+            const last = Math.max(-Infinity, ...published.map((post) => post.time));
+            // Publishing more than one post now would already break the
+            // spacing. The other slots stay owed.
+            quota = now - last < this.minSpacing ? 0 : Math.min(quota, 1);
+        }
+        return Math.max(quota, 0);
+    }
+
+    /**
+     * @param {[module:publish-schedule~PublishedPost]} published - Posts
+     *        published so far.
+     * @param {number} now - Current time.
+     * @returns {[module:publish-schedule~PublishedPost]} The posts that still
+     *          matter for the quota.
+     */
+    prune(published, now) {
+        const keep = Math.max(2 * DAY, MAX_DEFERRAL, this.minSpacing);
+        return published.filter((post) => now - post.time < keep);
+    }
+}
+module.exports = PublishSchedule;
@@ -0,0 +1,223 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+/**
+ * @module recurrence
+ * @license MPL-2.0
+ */
+"use strict";
+
+const ScheduledDate = require("./scheduled-date");
+
+const DAY = 86400000;
+
+/**
+ * Weekdays in RRULE notation, in the order of Date#getUTCDay.
+ *
+ * @const {[string]}
+ */
+const WEEKDAYS = [ "SU", "MO", "TU", "WE", "TH", "FR", "SA" ];
+
+/**
+ * Supported frequencies of a rule.
+ *
+ * @const {[string]}
+ */
+const FREQUENCIES = [ "DAILY", "WEEKLY", "MONTHLY", "YEARLY" ];
+
+/**
+ * Occurrences checked before giving up on finding the next one.
+ *
+ * @const {number}
+ */
+const MAX_OCCURRENCES = 100000;
+
+/**
+ * A recurrence rule in a subset of the iCalendar RRULE syntax, like
+ * "FREQ=WEEKLY;BYDAY=TU,TH;UNTIL=20271231". Supported parts are FREQ (DAILY,
+ * WEEKLY, MONTHLY or YEARLY), INTERVAL, BYDAY for weekly rules and UNTIL as
+ * the last day occurrences may be on.
+ * Occurrences are calculated on the wall clock of the board, so a post at
+ * 09:00 stays at 09:00 when daylight saving time starts or ends. Wall clock
+ * times are represented by dates whose UTC fields hold the time, like in
+ * {@link module:scheduled-date}.
+ *
+ * @alias module:recurrence.Recurrence
+ */
+class Recurrence {
+    /**
+     * @type {[string]}
+     * @readonly
+     */
+    static get FREQUENCIES() {
+        return FREQUENCIES;
+    }
+
+    /**
+     * @param {string} rule - Recurrence rule, optionally prefixed with
+     *                        "RRULE:".
+     * @throws {Error} When the rule can not be parsed.
+     */
+    constructor(rule) {
+        const parts = {};
+        const cleaned = rule.replace(/<!--[\s\S]*?-->/g, "").trim().replace(/^RRULE:/i, "");
+        for(const part of cleaned.split(";").filter((p) => p.trim().length)) {
+            const [ key, value ] = part.split("=").map((p) => p && p.trim().toUpperCase());
+            if(!value) {
+                throw new Error(`"${part.trim()}" is not a KEY=VALUE pair`);
+            }
+            parts[key] = value;
+        }
+
+        if(!FREQUENCIES.includes(parts.FREQ)) {
+            throw new Error(`FREQ has to be one of ${FREQUENCIES.join(", ")}`);
+        }
+        /**
+         * @type {string}
+         */
+        this.frequency = parts.FREQ;
+        delete parts.FREQ;
+
+        /**
+         * @type {number}
+         */
+        this.interval = 1;
+        if(parts.INTERVAL) {
+            this.interval = Number.parseInt(parts.INTERVAL, 10);
+            if(!/^\d+$/.test(parts.INTERVAL) || this.interval < 1) {
+                throw new Error("INTERVAL has to be a positive number");
+            }
+            delete parts.INTERVAL;
+        }
+
+        /**
+         * Weekdays of weekly occurrences, as in Date#getUTCDay, starting with
+         * monday.
+         *
+         * @type {[number]}
+         */
+        this.weekdays = [];
+        if(parts.BYDAY) {
+            if(this.frequency !== "WEEKLY") {
+                throw new Error("BYDAY is only supported for weekly rules");
+            }
+            this.weekdays = parts.BYDAY.split(",").map((day) => {
+                const index = WEEKDAYS.indexOf(day.trim());
+                if(index === -1) {
+                    throw new Error(`"${day}" in BYDAY is not one of ${WEEKDAYS.join(", ")}`);
+                }
+                return index;
+            }).sort((a, b) => ((a + 6) % 7) - ((b + 6) % 7));
+            delete parts.BYDAY;
+        }
+
+        /**
+         * Last day occurrences may be on, as wall clock time of the end of the
+         * day.
+         *
+         * @type {external:Date?}
+         */
+        this.until = null;
+        if(parts.UNTIL) {
+            const match = parts.UNTIL.match(/^(\d{4})(\d{2})(\d{2})(?:T\d{6}Z?)?$/);
+            if(!match) {
+                throw new Error("UNTIL has to be a date like 20271231");
+            }
+            this.until = new Date(Date.UTC(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10) + 1) - 1);
+            delete parts.UNTIL;
+        }
+
+        const unsupported = Object.keys(parts);
+        if(unsupported.length) {
+            throw new Error(`${unsupported.join(", ")} ${unsupported.length > 1 ? "are" : "is"} not supported`);
+        }
+    }
+
+    /**
+     * Occurrences after the start, in order. Dates that don't exist, like the
+     * 31st in a month with 30 days, are skipped.
+     *
+     * @param {external:Date} start - Wall clock time of the first occurrence.
+     * @returns {Iterator.<external:Date>} Wall clock times of the occurrences.
+     */
+    *occurrences(start) {
+        for(let step = 1; step <= MAX_OCCURRENCES; ++step) {
+            const offset = step * this.interval;
+            if(this.frequency === "DAILY") {
+                yield new Date(start.getTime() + offset * DAY);
+            }
+            else if(this.frequency === "WEEKLY") {
+                if(!this.weekdays.length) {
+                    yield new Date(start.getTime() + offset * 7 * DAY);
+                    continue;
+                }
+                // Weeks start on monday, like in the RRULE default.
+                const weekStart = start.getTime() - ((start.getUTCDay() + 6) % 7) * DAY;
+                // The first week can still have occurrences after the start.
+                for(const week of step === 1 ? [ 0, offset ] : [ offset ]) {
+                    for(const weekday of this.weekdays) {
+                        const date = new Date(weekStart + (week * 7 + (weekday + 6) % 7) * DAY);
+                        if(date > start) {
+                            yield date;
+                        }
+                    }
+                }
+            }
+            else {
+                const date = new Date(start);
+                if(this.frequency === "MONTHLY") {
+                    date.setUTCMonth(start.getUTCMonth() + offset);
+                }
+                else {
+                    date.setUTCFullYear(start.getUTCFullYear() + offset);
+                }
+                if(date.getUTCDate() === start.getUTCDate()) {
+                    yield date;
+                }
+            }
+        }
+    }
+
+    /**
+     * @param {external:Date} start - Wall clock time of the first occurrence.
+     * @param {external:Date} after - Wall clock time the occurrence has to be
+     *                                after.
+     * @returns {external:Date?} Wall clock time of the next occurrence, null
+     *          if there are no more occurrences.
+     */
+    next(start, after) {
+        for(const date of this.occurrences(start)) {
+            if(this.until && date > this.until) {
+                return null;
+            }
+            if(date > after) {
+                return date;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Finds the date of the next copy of a repeating card.
+     *
+     * @param {string} scheduled - Content of the "Scheduled for" section.
+     * @param {module:config~Config} config - Board config.
+     * @param {number} [now=Date.now()] - Current time.
+     * @returns {string?} Next occurrence in the scheduling format of the
+     *          board, null if there are no more occurrences.
+     * @throws {Error} When the scheduled date can not be parsed.
+     */
+    getNextDate(scheduled, config, now = Date.now()) {
+        const format = config.schedulingTime.format;
+        const start = ScheduledDate.parseWallClock(scheduled, format);
+        if(!start) {
+            throw new Error(`"${scheduled}" does not match the format ${format}`);
+        }
+        const after = ScheduledDate.toWallClock(new Date(now), ScheduledDate.getZone(config.schedulingTime));
+        const next = this.next(start, after);
+        return next ? ScheduledDate.formatWallClock(next, format) : null;
+    }
+}
+module.exports = Recurrence;
@@ -21,7 +21,8 @@ const Issues = require("./issues");
  */
 const LABEL_COLORS = {
     ready: "FFFFFF",
-    invalid: "FC4700"
+    invalid: "FC4700",
+    publishFailed: "B60205"
 };
 
 /**
@@ -63,8 +64,9 @@ class Repository {
      * @param {module:config~Config} config - Config for the project board.
      * @param {string} accountsList - Markdown list of accounts.
      * @param {string} boardList - Markdown list of boards.
+     * @param {boolean} [readOnly=false] - Skips adding files to the repo.
      */
-    constructor(githubClient, config, accountsList, boardList) {
+    constructor(githubClient, config, accountsList, boardList, readOnly = false) {
         /**
          * @type {external:GitHub}
          */
@@ -73,6 +75,10 @@ class Repository {
          * @type {module:config~Config}
          */
         this.config = config;
+        /**
+         * @type {boolean}
+         */
+        this.readOnly = readOnly;
 
         /**
          * @type {Promise}
@@ -93,7 +99,9 @@ class Repository {
          */
         this.issues = new Issues(this.githubClient, this.config);
 
-        await this._addFiles(accountsList, boardList);
+        if(!this.readOnly) {
+            await this._addFiles(accountsList, boardList);
+        }
     }
 
     /**
@@ -215,7 +223,7 @@ ${sections[t]}`), formatter);
     }
 
     async addIssueTemplate(title, sections, type) {
-        const path = `.github/ISSUE_TEMPLATE/${title.toLowerCase()}.md`;
+        const path = `.github/ISSUE_TEMPLATE/${title.toLowerCase().replace(/\s+/g, '-')}.md`;
         const hasTemplate = await this.hasFile(path);
         if(!hasTemplate) {
             if(type === 'formatter') {
@@ -297,6 +305,19 @@ ${sections.join("\n\n")}`;
         }).then(({ data: repo }) => repo.owner.type === "User");
     }
 
+    /**
+     * The queue needs push access to manage issues, labels and files.
+     *
+     * @returns {boolean} Whether the token can push to the repository.
+     */
+    async canWrite() {
+        const { data: repo } = await this.githubClient.repos.get({
+            owner: this.config.owner,
+            repo: this.config.repo
+        });
+        return Boolean(repo.permissions && (repo.permissions.push || repo.permissions.admin));
+    }
+
     /**
      * @param {string} team - Name of the team to get users from.
      * @returns {[string]} Usernames that are in the given team.
@@ -324,6 +345,44 @@ ${sections.join("\n\n")}`;
         throw new Error("Team doesn't exist");
     }
 
+    /**
+     * @param {string} username - User to check.
+     * @returns {boolean} Whether the user is a collaborator on the repository.
+     */
+    async isCollaborator(username) {
+        try {
+            await this.githubClient.repos.checkCollaborator({
+                owner: this.config.owner,
+                repo: this.config.repo,
+                username
+            });
+            return true;
+        }
+        catch(e) {
+            if(e.status === 404) {
+                return false;
+            }
+            throw e;
+        }
+    }
+
+    /**
+     * Applies changes pushed by a GitHub webhook for this repository.
+     *
+     * @param {string} event - GitHub event type.
+     * @param {Object} payload - Webhook payload.
+     * @returns {undefined}
+     */
+    async handleWebhook(event, payload) {
+        if((event === "issues" || event === "issue_comment") && payload.issue) {
+            await this.ready;
+            await this.issues.receiveIssue(payload.issue);
+            if(event === "issue_comment" && payload.action === "created") {
+                await this.issues.receiveComment(payload.comment);
+            }
+        }
+    }
+
     /**
      * Forces an update on a card and revalidates it.
      *
@@ -43,6 +43,29 @@ const ALLOWED_CHARS = VALID_SEPARATORS.concat(NUMBERS).join("");
  */
 const PATTERN_CHARS = VALID_SEPARATORS.concat(PATTERN_PLACEHOLDERS).join("");
 
+const MINUTE = 60000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+/**
+ * Timezone of a wall clock. Either a timezone of the IANA database or a fixed
+ * offset in hours.
+ *
+ * @typedef {Object} Zone
+ * @property {Object} [timeZone] - Timezone from timezone-support.
+ * @property {number} [offset] - Offset to UTC in hours.
+ */
+
+/**
+ * @typedef {Object} ResolvedTime
+ * @property {external:Date} instant - The UTC instant of the wall clock time.
+ * @property {boolean} ambiguous - If the wall clock time occurs twice, because
+ *           the clocks were turned back. The instant is the first one.
+ * @property {boolean} nonexistent - If the wall clock time was skipped,
+ *           because the clocks were turned forward. The instant is moved
+ *           forward by the length of the gap.
+ */
+
 /**
  * Pad a number with zeroes to the left to a given size.
  *
@@ -56,6 +79,11 @@ const pad = (s, l) => {
 };
 
 /**
+ * A date in the format and timezone of the board. Dates are parsed as wall
+ * clock time in the timezone of the board, independent of the timezone of the
+ * host. Wall clock times are represented by dates whose UTC fields hold the
+ * time.
+ *
  * @extends external:Date
  * @alias module:scheduled-date.ScheduledDate
  */
@@ -65,24 +93,17 @@ class ScheduledDate extends Date {
      * @param {module:config~Config} config - Config object.
      */
     constructor(date, config) {
+        let resolved;
         if(ScheduledDate.isValid(date)
             && ScheduledDate.isValid(config.schedulingTime.format, true)
-            && (typeof config.schedulingTime.timezone == "number" || typeof config.schedulingTime.region == "string")
-            && ScheduledDate.matchesPattern(date, config.schedulingTime.format)) {
-            const splitPattern = ScheduledDate.split(config.schedulingTime.format);
-            const splitDate = ScheduledDate.split(date);
-
-            const year = Number.parseInt(splitDate[splitPattern.indexOf("YYYY")], 10);
-            const month = Number.parseInt(splitDate[splitPattern.indexOf("MM")], 10) - 1;
-            const day = Number.parseInt(splitDate[splitPattern.indexOf("DD")], 10);
-            const hour = Number.parseInt(splitDate[splitPattern.indexOf("HH")], 10);
-            const minute = Number.parseInt(splitDate[splitPattern.indexOf("mm")], 10);
-
-            //TODO use tzsupport utils here instead, so we don't need to adjust the timezone
-
-            super(year, month, day, hour, minute);
-
-            self(this).adjustTimezone(this, config.schedulingTime.timezone, config.schedulingTime.region);
+            && (typeof config.schedulingTime.timezone == "number" || typeof config.schedulingTime.region == "string")) {
+            const wallClock = ScheduledDate.parseWallClock(date, config.schedulingTime.format);
+            if(wallClock) {
+                resolved = ScheduledDate.resolveWallClock(wallClock, ScheduledDate.getZone(config.schedulingTime));
+            }
+        }
+        if(resolved) {
+            super(resolved.instant.getTime());
         }
         else {
             //TODO For some reason this misbehaves in unit tests when passing nothing to super.
@@ -96,44 +117,138 @@ class ScheduledDate extends Date {
          * @type {string}
          */
         this.rawDate = date;
+        /**
+         * If the date occurs twice in the timezone of the board. It is the
+         * first of the two.
+         *
+         * @type {boolean}
+         */
+        this.ambiguous = resolved ? resolved.ambiguous : false;
+        /**
+         * If the date doesn't exist in the timezone of the board, because the
+         * clocks skip it. It is moved forward by the skipped time.
+         *
+         * @type {boolean}
+         */
+        this.nonexistent = resolved ? resolved.nonexistent : false;
+    }
+
+    /**
+     * @param {module:config~ScheduledDateConfig} schedulingTime - Scheduling
+     *        config of the board.
+     * @returns {module:scheduled-date~Zone} Timezone of the board.
+     */
+    static getZone(schedulingTime) {
+        if(schedulingTime.region) {
+            return {
+                timeZone: timezoneSupport.findTimeZone(schedulingTime.region)
+            };
+        }
+        return {
+            offset: schedulingTime.timezone || 0
+        };
+    }
+
+    /**
+     * @param {number} time - UTC instant.
+     * @param {module:scheduled-date~Zone} zone - Timezone.
+     * @returns {number} Offset of the timezone to UTC at the instant in
+     *          milliseconds.
+     */
+    static getOffset(time, zone) {
+        if(zone.timeZone) {
+            return -timezoneSupport.getUTCOffset(new Date(time), zone.timeZone).offset * MINUTE;
+        }
+        return zone.offset * HOUR;
     }
 
     /**
-     * Adjusts a date to be in a different timezone. Assumes the date was set
-     * in the current local timezone bould should be treated as being set in
-     * the given timezone.
+     * @param {external:Date} date - Date to convert.
+     * @param {module:scheduled-date~Zone} zone - Timezone of the wall clock.
+     * @returns {external:Date} Wall clock time of the date in the timezone.
+     */
+    static toWallClock(date, zone) {
+        return new Date(date.getTime() + this.getOffset(date.getTime(), zone));
+    }
+
+    /**
+     * Finds the instant of a wall clock time. Timezones change their offset
+     * at most once a day, so the offsets a day before and after are the only
+     * candidates.
      *
-     * @param {Date} date - Date to adjust. Is modified but not exlicitly returned.
-     * @param {number} [timezone] - Target timezone for the date.
-     * @param {string} [region] - Target region for the date.
-     * @param {boolean} [direction=false] - If the date should be converted to
-     *                                      or from the local timezone. Defaults
-     *                                      to convert to local timezone.
-     * @returns {undefined}
+     * @param {external:Date} wallClock - Wall clock time.
+     * @param {module:scheduled-date~Zone} zone - Timezone of the wall clock.
+     * @returns {module:scheduled-date~ResolvedTime} Instant of the wall clock
+     *          time.
      */
-    static adjustTimezone(date, timezone, region, direction = false) {
-        let difference = 0;
-        if(region) {
-            const tz = timezoneSupport.findTimeZone(region);
-            //TODO I think there's a potential error here around dst changes and similar...
-            difference = Math.floor((date.getTimezoneOffset() - timezoneSupport.getUTCOffset(date, tz).offset) * 60000);
-        }
-        else if(timezone) {
-            const localTimezone = date.getTimezoneOffset() / 60;
-            difference = Math.floor((timezone + localTimezone) * 3600000);
-        }
-        // Compensate for timezone difference if host timezone doesn't match
-        // the one in the config.
-        if(difference != 0) {
-            let time = date.getTime();
-            if(!direction) {
-                time -= difference;
-            }
-            else {
-                time += difference;
-            }
-            date.setTime(time);
+    static resolveWallClock(wallClock, zone) {
+        const time = wallClock.getTime();
+        const before = this.getOffset(time - DAY, zone);
+        const after = this.getOffset(time + DAY, zone);
+        const instants = Array.from(new Set([ time - before, time - after ]))
+            .filter((instant) => instant + this.getOffset(instant, zone) === time)
+            .sort((a, b) => a - b);
+        if(!instants.length) {
+            // Clocks were turned forward, the offset from before the gap
+            // moves the time past the gap.
+            return {
+                instant: new Date(time - before),
+                ambiguous: false,
+                nonexistent: true
+            };
+        }
+        return {
+            instant: new Date(instants[0]),
+            ambiguous: instants.length > 1,
+            nonexistent: false
+        };
+    }
+
+    /**
+     * @param {external:Date} wallClock - Wall clock time.
+     * @param {module:scheduled-date~Zone} zone - Timezone of the wall clock.
+     * @returns {external:Date} Instant of the wall clock time in the timezone.
+     */
+    static fromWallClock(wallClock, zone) {
+        return this.resolveWallClock(wallClock, zone).instant;
+    }
+
+    /**
+     * Parses a date in the given format as wall clock time.
+     *
+     * @param {string} str - Formatted date.
+     * @param {string} format - Format of the date, like the scheduling format
+     *                          of the board.
+     * @returns {external:Date?} Wall clock time, null if the date doesn't
+     *          match the format or doesn't exist.
+     */
+    static parseWallClock(str, format) {
+        if(!this.isValid(str) || !this.matchesPattern(str, format)) {
+            return null;
         }
+        const splitPattern = this.split(format);
+        const splitDate = this.split(str);
+        const get = (placeholder) => Number.parseInt(splitDate[splitPattern.indexOf(placeholder)], 10);
+        const [ year, month, day, hour, minute ] = [ "YYYY", "MM", "DD", "HH", "mm" ].map(get);
+        const date = new Date(Date.UTC(year, month - 1, day, hour, minute));
+        if(date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day || hour > 23 || minute > 59) {
+            return null;
+        }
+        return date;
+    }
+
+    /**
+     * @param {external:Date} date - Wall clock time.
+     * @param {string} format - Format to use.
+     * @returns {string} The wall clock time in the format.
+     */
+    static formatWallClock(date, format) {
+        return format
+            .replace("YYYY", date.getUTCFullYear())
+            .replace("MM", pad(date.getUTCMonth() + 1, 2))
+            .replace("DD", pad(date.getUTCDate(), 2))
+            .replace("HH", pad(date.getUTCHours(), 2))
+            .replace("mm", pad(date.getUTCMinutes(), 2));
     }
 
     /**
@@ -172,6 +287,8 @@ class ScheduledDate extends Date {
      *  - mm for the 2 digit minutes within the hour
      *
      * Allowed separators: " ", ":", ".", "-", "T", "Z".
+     * Without timezone and region the date is formatted in the timezone of
+     * the host.
      *
      *  @param {external:Date} date - Date to format, only actually does anything if it's a
      *                                Date instance.
@@ -183,16 +300,18 @@ class ScheduledDate extends Date {
      */
     static formatDate(date, pattern, timezone, region) {
         if(date instanceof Date) {
-            const dateCopy = new Date(date);
-            if(timezone || region) {
-                this.adjustTimezone(dateCopy, timezone, region, true);
+            if(typeof timezone == "number" || region) {
+                return this.formatWallClock(this.toWallClock(date, this.getZone({
+                    timezone,
+                    region
+                })), pattern);
             }
             return pattern
-                .replace("YYYY", dateCopy.getFullYear())
-                .replace("MM", pad(dateCopy.getMonth() + 1, 2))
-                .replace("DD", pad(dateCopy.getDate(), 2))
-                .replace("HH", pad(dateCopy.getHours(), 2))
-                .replace("mm", pad(dateCopy.getMinutes(), 2));
+                .replace("YYYY", date.getFullYear())
+                .replace("MM", pad(date.getMonth() + 1, 2))
+                .replace("DD", pad(date.getDate(), 2))
+                .replace("HH", pad(date.getHours(), 2))
+                .replace("mm", pad(date.getMinutes(), 2));
         }
         return date;
     }
@@ -245,7 +364,17 @@ class ScheduledDate extends Date {
      * @readonly
      */
     get valid() {
-        return self(this).isValid(this.rawDate) && self(this).matchesPattern(this.rawDate, this.config.format);
+        return self(this).parseWallClock(this.rawDate, this.config.format) !== null;
+    }
+
+    /**
+     * The UTC instant the date resolved to, as a plain date.
+     *
+     * @type {external:Date}
+     * @readonly
+     */
+    get instant() {
+        return new Date(this.getTime());
     }
 }
 module.exports = ScheduledDate;
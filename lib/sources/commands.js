@@ -0,0 +1,294 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+/**
+ * @module sources/commands
+ * @license MPL-2.0
+ */
+"use strict";
+
+const Source = require("./source");
+const PublishSource = require("./publish");
+const Formatter = require("../formatters/formatter");
+const TwitterFormatter = require("../formatters/twitter");
+const TwitterAccount = require("../accounts/twitter");
+const ScheduledDate = require("../scheduled-date");
+const DateParser = require("../date-parser");
+const self = require("../self");
+
+/**
+ * Sources that publish the cards in their source column.
+ *
+ * @const {[string]}
+ */
+const PUBLISH_SOURCES = [
+    "publish",
+    "crosspost"
+];
+
+const COMMAND_PATTERN = /^\/([a-z]+)(?:[ \t]+(.*))?$/gm;
+
+/**
+ * @typedef {Object} Command
+ * @property {string} name - Name of the command.
+ * @property {string} args - Arguments of the command, trimmed.
+ * @property {string} line - The full line of the command.
+ */
+
+/**
+ * Error for commands that can't be executed, the message is the reply.
+ */
+class CommandError extends Error {}
+
+/**
+ * Executes commands in comments on issues of the board. Commands are lines
+ * starting with a slash, like "/publish now". Only collaborators of the
+ * repository can run commands, and every command is acknowledged with a reply.
+ *
+ * @alias module:sources/commands.CommandsSource
+ * @extends module:sources/source.Source
+ */
+class CommandsSource extends Source {
+    static get requiredConfig() {
+        return [];
+    }
+
+    /**
+     * Finds the commands in a comment. Unknown commands are ignored, so other
+     * tools can use their own commands.
+     *
+     * @param {string} body - Content of the comment.
+     * @returns {[module:sources/commands~Command]} Commands in the comment.
+     */
+    static parse(body) {
+        const commands = [];
+        const normalized = body.replace(/\r(?:\n)?/g, '\n');
+        let match;
+        COMMAND_PATTERN.lastIndex = 0;
+        while((match = COMMAND_PATTERN.exec(normalized)) !== null) {
+            commands.push({
+                name: match[1],
+                args: (match[2] || "").trim(),
+                line: match[0].trim()
+            });
+        }
+        return commands.filter((command) => this.COMMANDS.includes(command.name));
+    }
+
+    /**
+     * Names of the commands, each is handled by the method of the same name
+     * prefixed with "command".
+     *
+     * @type {[string]}
+     * @readonly
+     */
+    static get COMMANDS() {
+        return [
+            "schedule",
+            "publish",
+            "retweet",
+            "assign",
+            "move",
+            "cancel"
+        ];
+    }
+
+    constructor(...args) {
+        super(...args);
+
+        if(this._board.readOnly) {
+            return;
+        }
+
+        this._board.ready.then(() => {
+            this._repo.issues.on("comment", ({ issueNumber, comment }) => this.handleComment(issueNumber, comment).catch(console.error));
+        }).catch(console.error);
+    }
+
+    /**
+     * @param {number} issueNumber - Number of the issue.
+     * @returns {module:card.Card?} Card of the issue on the board.
+     */
+    findCard(issueNumber) {
+        for(const card of this._board.cards.values()) {
+            if(card.issue.number === issueNumber) {
+                return card;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Runs the commands in a new comment on an issue of the board.
+     *
+     * @param {number} issueNumber - Number of the issue the comment is on.
+     * @param {Object} comment - Comment as returned by the API.
+     * @returns {undefined}
+     */
+    async handleComment(issueNumber, comment) {
+        const commands = self(this).parse(comment.body);
+        const card = this.findCard(issueNumber);
+        if(!commands.length || !card) {
+            return;
+        }
+        const user = comment.user.login;
+        const dryRun = this.dryRun;
+        if(!(await this._repo.isCollaborator(user))) {
+            await card.comment(`> ${commands[0].line}
+
+:no_entry: @${user}, only collaborators of this repository can use commands.`, dryRun);
+            return;
+        }
+        for(const command of commands) {
+            let reply;
+            try {
+                const name = `command${command.name[0].toUpperCase()}${command.name.slice(1)}`;
+                reply = `:heavy_check_mark: ${await this[name](card, command.args, dryRun)}`;
+            }
+            catch(e) {
+                if(!(e instanceof CommandError)) {
+                    console.error("Running command", command.line, "on", issueNumber, e);
+                }
+                reply = `:warning: ${e.message}`;
+            }
+            await card.comment(`> ${command.line}
+
+@${user} ${reply}`, dryRun);
+        }
+    }
+
+    /**
+     * Sets the scheduled date of the card.
+     *
+     * @param {module:card.Card} card - Card to schedule.
+     * @param {string} args - Date in the format of the board or a date the
+     *                        {@link module:date-parser} understands.
+     * @param {boolean} dryRun - Only log the changes.
+     * @returns {string} Reply to the command.
+     */
+    async commandSchedule(card, args, dryRun) {
+        const format = this._board.config.schedulingTime ? this._board.config.schedulingTime.format : undefined;
+        if(!format) {
+            throw new CommandError("Scheduling is not configured for this board.");
+        }
+        let scheduled = args;
+        let date = new ScheduledDate(scheduled, this._board.config);
+        if(!date.valid) {
+            scheduled = DateParser.normalize(args, this._board.config);
+            if(!scheduled) {
+                throw new CommandError(`"${args}" is not a valid date, use the format ${format} or a date like "tomorrow 9:00" or "in 3 hours".`);
+            }
+            date = new ScheduledDate(scheduled, this._board.config);
+        }
+        card.content.addSection(Formatter.SCHEDULED, scheduled);
+        await card.saveContent(dryRun);
+        return `Scheduled for ${date.toISOString()}.`;
+    }
+
+    /**
+     * Marks the card to be published with the next update, ignoring the
+     * schedule of the publishing source.
+     *
+     * @param {module:card.Card} card - Card to publish.
+     * @param {string} args - Has to be "now".
+     * @param {boolean} dryRun - Only log the changes.
+     * @returns {string} Reply to the command.
+     */
+    async commandPublish(card, args, dryRun) {
+        if(args !== "now") {
+            throw new CommandError("Use `/publish now` to publish this right away.");
+        }
+        const columns = this._board.config.sources
+            .filter((source) => PUBLISH_SOURCES.includes(source.type) && source.columns)
+            .map((source) => source.columns.source);
+        if(!card.column || !columns.includes(card.column.name)) {
+            throw new CommandError(`Move the card to a column that is published from first: ${columns.join(", ")}.`);
+        }
+        await PublishSource.setPublishNow(this._board.config, card.issue, true, dryRun);
+        await card.setMarker(PublishSource.PUBLISH_NOW_MARKER, true, dryRun);
+        if(!card.valid) {
+            return "Will be published as soon as it is ready.";
+        }
+        return "Will be published with the next update.";
+    }
+
+    /**
+     * Sets the tweet to retweet.
+     *
+     * @param {module:card.Card} card - Card to change.
+     * @param {string} args - Permalink of the tweet.
+     * @param {boolean} dryRun - Only log the changes.
+     * @returns {string} Reply to the command.
+     */
+    async commandRetweet(card, args, dryRun) {
+        if(!TwitterAccount.getTweetIDFromURL(args)) {
+            throw new CommandError(`"${args}" is not a link to a tweet.`);
+        }
+        card.content.addSection(TwitterFormatter.RETWEET, args);
+        await card.saveContent(dryRun);
+        return "Set the tweet to retweet.";
+    }
+
+    /**
+     * @param {module:card.Card} card - Card to assign.
+     * @param {string} args - Username, optionally prefixed with an @.
+     * @param {boolean} dryRun - Only log the changes.
+     * @returns {string} Reply to the command.
+     */
+    async commandAssign(card, args, dryRun) {
+        const user = args.replace(/^@/, "");
+        if(!/^[a-z\d](?:[a-z\d-]*[a-z\d])?$/i.test(user)) {
+            throw new CommandError("Use `/assign @username` to assign someone.");
+        }
+        await card.assign(user, dryRun);
+        return `Assigned ${user}.`;
+    }
+
+    /**
+     * @param {module:card.Card} card - Card to move.
+     * @param {string} args - Name of the column, optionally in quotes.
+     * @param {boolean} dryRun - Only log the changes.
+     * @returns {string} Reply to the command.
+     */
+    async commandMove(card, args, dryRun) {
+        const name = args.replace(/^"(.*)"$/, "$1");
+        const [ columns, columnIds ] = await Promise.all([
+            this._board.columns,
+            this._board.columnIds
+        ]);
+        if(!columnIds.hasOwnProperty(name)) {
+            throw new CommandError(`There is no column "${name}". Columns: ${Object.keys(columnIds).join(", ")}.`);
+        }
+        await this._board.moveCardToColumn(card, columns[columnIds[name]], false, "bottom", dryRun);
+        return `Moved to "${name}".`;
+    }
+
+    /**
+     * Cancels publishing the card right away and its schedule.
+     *
+     * @param {module:card.Card} card - Card to change.
+     * @param {string} args - Unused.
+     * @param {boolean} dryRun - Only log the changes.
+     * @returns {string} Reply to the command.
+     */
+    async commandCancel(card, args, dryRun) {
+        const cancelled = [];
+        if(card.content.getMarker(PublishSource.PUBLISH_NOW_MARKER)) {
+            await PublishSource.setPublishNow(this._board.config, card.issue, false, dryRun);
+            card.content.setMarker(PublishSource.PUBLISH_NOW_MARKER, undefined);
+            cancelled.push("publishing it now");
+        }
+        if(card.content.isScheduled) {
+            card.content.removeSection(Formatter.SCHEDULED);
+            cancelled.push("the schedule");
+        }
+        if(!cancelled.length) {
+            throw new CommandError("Nothing to cancel.");
+        }
+        await card.saveContent(dryRun);
+        return `Cancelled ${cancelled.join(" and ")}.`;
+    }
+}
+module.exports = CommandsSource;
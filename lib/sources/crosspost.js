@@ -0,0 +1,194 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+/**
+ * @module sources/crosspost
+ * @license MPL-2.0
+ */
+"use strict";
+
+const Source = require("./source");
+const PublishSource = require("./publish");
+const Formatter = require("../formatters/formatter");
+const self = require("../self");
+
+/**
+ * Name of the marker storing the accounts a card was published on.
+ *
+ * @const {string}
+ */
+const PUBLISHED_MARKER = "crossposted";
+
+/**
+ * Publishes each card on multiple accounts. Cards can list the accounts to
+ * publish on in an "Accounts" section, else they are published on all
+ * accounts of the source. Each account uses its own content section if the
+ * card has one, else the generic "Content" section. Accounts the card was
+ * already published on are skipped when publishing is retried, and the card
+ * is only moved to the target column once it is published on every account.
+ *
+ * @alias module:sources/crosspost.CrosspostSource
+ * @extends module:sources/publish.PublishSource
+ */
+class CrosspostSource extends PublishSource {
+    static get requiredConfig() {
+        return Source.requiredConfig.concat([
+            'accounts'
+        ]);
+    }
+
+    /**
+     * @param {Object} account - Account config of the source.
+     * @returns {string} Key identifying the account.
+     */
+    static getAccountKey(account) {
+        return `${account.accountType}:${account.accountName}`;
+    }
+
+    /**
+     * Sets up all accounts of the source.
+     *
+     * @returns {undefined}
+     */
+    initAccounts() {
+        /**
+         * Accounts of the source by their key.
+         *
+         * @type {Map.<string, module:accounts/content-account.ContentAccount>}
+         */
+        this._accounts = new Map();
+        for(const account of this._config.accounts) {
+            this._accounts.set(self(this).getAccountKey(account), this.getContentAccount(account.accountType, account.accountName));
+        }
+    }
+
+    /**
+     * @returns {Map.<string, module:accounts/content-account.ContentAccount>}
+     *          Accounts of the source by their key.
+     */
+    getAccounts() {
+        return this._accounts;
+    }
+
+    /**
+     * Cards that were published outside of the queue can not be detected for
+     * multiple accounts.
+     *
+     * @returns {undefined}
+     */
+    checkPublished() {
+        return Promise.resolve();
+    }
+
+    /**
+     * Only single accounts schedule cards natively.
+     *
+     * @returns {undefined}
+     */
+    syncScheduled() {
+        return Promise.resolve();
+    }
+
+    /**
+     * Gets the accounts a card should be published on. Entries in the
+     * accounts section are either an account type, which selects all
+     * accounts of that type, or a type and name like "twitter:name".
+     *
+     * @param {module:card.Card} card - Card to publish.
+     * @returns {Map.<string, module:accounts/content-account.ContentAccount>}
+     *          Accounts to publish on by their key.
+     * @throws {Error} When the card lists an account the source doesn't have.
+     */
+    getTargetAccounts(card) {
+        if(!card.content.hasSection(Formatter.ACCOUNTS)) {
+            return this._accounts;
+        }
+        const targets = new Map();
+        const entries = card.content.getSection(Formatter.ACCOUNTS)
+            .replace(/<!--[\s\S]*?-->/g, '')
+            .split('\n')
+            .map((line) => line.replace(/^\s*[-*]\s*/, '').trim().toLowerCase())
+            .filter((line) => line.length);
+        for(const entry of entries) {
+            const matches = Array.from(this._accounts.keys()).filter((key) => key.toLowerCase() === entry || key.toLowerCase().startsWith(`${entry}:`));
+            if(!matches.length) {
+                throw new Error(`Can not publish on unknown account "${entry}". Available accounts: ${Array.from(this._accounts.keys()).join(", ")}`);
+            }
+            for(const key of matches) {
+                targets.set(key, this._accounts.get(key));
+            }
+        }
+        return targets;
+    }
+
+    isCardHighPrio(card) {
+        try {
+            return Array.from(this.getTargetAccounts(card).values()).some((account) => account.isCardHighPrio(card));
+        }
+        catch(e) {
+            return false;
+        }
+    }
+
+    /**
+     * Publishes a card on every account it targets that it wasn't published
+     * on yet. The accounts it was published on are stored in the issue
+     * together with their result, so only failed accounts are
+     * retried. Retrying is based on the error of the first failed account.
+     *
+     * @param {module:card.Card} card - Card to publish.
+     * @param {module:column.Column} target - Column to move the card to.
+     * @returns {boolean} Whether the card was published on all accounts.
+     */
+    async publish(card, target) {
+        const dryRun = this.dryRun;
+        let targets;
+        try {
+            targets = this.getTargetAccounts(card);
+        }
+        catch(e) {
+            await this.handleFailure(card, e, dryRun);
+            return false;
+        }
+        const published = Object.assign({}, card.content.getMarker(PUBLISHED_MARKER));
+        const failures = [];
+        const errors = [];
+        let publishedCount = 0;
+        for(const [ key, account ] of targets) {
+            if(published.hasOwnProperty(key)) {
+                continue;
+            }
+            try {
+                const result = await account.publish(card, dryRun);
+                published[key] = result;
+                ++publishedCount;
+            }
+            catch(e) {
+                failures.push(`${key}: ${e instanceof Error ? e.toString() : JSON.stringify(e)}`);
+                errors.push(e);
+            }
+        }
+        if(failures.length) {
+            if(publishedCount) {
+                await card.setMarker(PUBLISHED_MARKER, published, dryRun);
+            }
+            await this.handleFailure(card, errors[0], dryRun, failures.join("\n"));
+            return false;
+        }
+        if(card.content.getMarker(PUBLISHED_MARKER)) {
+            await card.setMarker(PUBLISHED_MARKER, undefined, dryRun);
+        }
+        this.failures.clear(card.id);
+        this.recordPublished(!this.isCardHighPrio(card));
+        const results = Array.from(targets.keys(), (key) => ` - ${key}: ${published[key]}`);
+        await this.cardPublished(card, results.join("\n"), target, dryRun)
+            .catch((e) => console.error("Marking card as published", card.issue.number, e));
+        if(dryRun) {
+            this.dryRunPublished.add(card.id);
+        }
+        return true;
+    }
+}
+module.exports = CrosspostSource;
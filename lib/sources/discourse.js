@@ -61,7 +61,9 @@ class DiscourseSource extends Source {
         return this._board.createCard(
             self(this).getTitle(thread, this._config),
             self(this).getEventCardContent(thread, this._board.config),
-            await this.getColumn('target')
+            await this.getColumn('target'),
+            undefined,
+            this.dryRun
         );
     }
 
@@ -68,7 +68,9 @@ class EventsSource extends Source {
         return this._board.createCard(
             self(this).getTitle(event, this._board.config),
             self(this).getEventCardContent(event, this._board.config),
-            await this.getColumn('target')
+            await this.getColumn('target'),
+            undefined,
+            this.dryRun
         );
     }
 
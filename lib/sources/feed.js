@@ -64,7 +64,9 @@ class FeedSource extends Source {
         return this._board.createCard(
             self(this).getTitle(item),
             self(this).getCardContent(item, this._board.config),
-            await this.getColumn('target')
+            await this.getColumn('target'),
+            undefined,
+            this.dryRun
         );
     }
 
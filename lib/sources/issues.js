@@ -54,10 +54,10 @@ class IssuesSource extends Source {
                 const card = await column.getCard(issue.id);
                 if(card) {
                     try {
-                        await column.removeCard(card);
+                        await column.removeCard(card, false, false, this.dryRun);
                     }
                     catch(e) {
-                        await card.reportError('Handling closed issue', e);
+                        await card.reportError('Handling closed issue', e, this.dryRun);
                     }
                 }
             }
@@ -92,13 +92,13 @@ class IssuesSource extends Source {
         const columns = await this._board.columns;
         for(const column of Object.values(columns)) {
             if(column && (await column.hasIssue(issue.number))) {
-                return this._board.addCard(issue, column);
+                return this._board.addCard(issue, column, false, this.dryRun);
             }
         }
         if(!isClosed) {
             const ideas = await this.getColumn('target');
             // If the card is in no other column add it to the backlog.
-            return this._board.addCard(issue, ideas);
+            return this._board.addCard(issue, ideas, false, this.dryRun);
         }
     }
 }
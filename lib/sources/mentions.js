@@ -11,12 +11,20 @@
 
 const Source = require("./source");
 const CardContent = require("../card-content");
-const TweetFormatter = require("../formatters/twitter");
-const renderTweet = require("tweet.md");
 const TwitterAccount = require("../accounts/twitter");
 const self = require("../self");
 
 /**
+ * Account type used when the source config doesn't specify one.
+ *
+ * @const {string}
+ */
+const DEFAULT_ACCOUNT_TYPE = 'twitter';
+
+/**
+ * Opens cards to reply to mentions of an account. Works with any account that
+ * emits a "mention" event, like Twitter and Mastodon accounts.
+ *
  * @alias module:sources/mentions.MentionsSource
  * @extends module:sources/source.Source
  */
@@ -32,7 +40,7 @@ class MentionsSource extends Source {
      * @returns {string} URL to the tweet.
      */
     static getTweetPermalink(tweet) {
-        return `https://twitter.com/${tweet.user.screen_name}/status/${tweet.id_str}`;
+        return TwitterAccount.makeTweetPermalink(tweet.user.screen_name, tweet.id_str);
     }
 
     /**
@@ -40,7 +48,7 @@ class MentionsSource extends Source {
      * @returns {string} Tweet rendered in Markdown.
      */
     static formatTweet(tweet) {
-        return renderTweet(tweet).split("\n").map((l) => "> " + l).join("\n");
+        return TwitterAccount.formatTweet(tweet);
     }
 
     static get requiredConfig() {
@@ -54,74 +62,121 @@ class MentionsSource extends Source {
      */
     constructor(...args) {
         super(...args);
-        this._twitterAccount = this._accountManager.getAccount('twitter', this._config.accountName);
+        this._account = this._accountManager.getAccount(this._config.accountType || DEFAULT_ACCOUNT_TYPE, this._config.accountName);
+        /**
+         * IDs of cards that were closed as replied to. In dry run mode or when
+         * removing the card fails they stay in the column, so they are
+         * skipped to only handle them once.
+         *
+         * @type {Set.<number>}
+         */
+        this.handledCards = new Set();
 
-        this._twitterAccount.on("mention", async (tweet) => {
-            const [ columns, reactionColumn ] = await Promise.all([
-                this._board.columns,
-                this.getColumn('target')
-            ]);
+        this._account.on("mention", (mention) => this.onMention(mention).catch((e) => {
+            console.error("Handling mention", e);
+        }));
 
-            const tweetPermalink = self(this).getTweetPermalink(tweet);
-            // Don't create an issue if there's already one for the tweet
-            const openIssues = await this._repo.issues.issues;
-            for(const issue of openIssues.values()) {
-                if(this.checkIssue(issue, tweetPermalink)) {
-                    const hasIssues = await Promise.all(Array.from(Object.values(columns), (c) => c.hasIssue(issue.number)));
-                    if(hasIssues.every((hasIssue) => !hasIssue)) {
-                        await this._board.addCard(issue, reactionColumn);
-                    }
-                    return;
-                }
+        this.getColumn('target').then((column) => this.closeRepliedCards(column))
+            .catch(console.error);
+        this._board.on('storesupdated', async () => {
+            try {
+                await this.closeRepliedCards(await this.getColumn('target'));
             }
-            // Don't add a new issue if it already exists and is closed.
-            const closedIssues = await this._repo.issues.closedIssues;
-            for(const issue of closedIssues.values()) {
-                if(this.checkIssue(issue, tweetPermalink)) {
-                    return;
+            catch(e) {
+                console.error(e);
+            }
+        });
+    }
+
+    /**
+     * @type {Formatter}
+     * @readonly
+     */
+    get formatter() {
+        return self(this._account).Formatter;
+    }
+
+    /**
+     * Creates a card for a new mention, unless there already is an issue for
+     * it.
+     *
+     * @param {Object} mention - Mention emitted by the account.
+     * @returns {undefined}
+     */
+    async onMention(mention) {
+        const [ columns, reactionColumn ] = await Promise.all([
+            this._board.columns,
+            this.getColumn('target')
+        ]);
+
+        const permalink = this._account.getMentionPermalink(mention);
+        // Don't create an issue if there's already one for the mention
+        const openIssues = await this._repo.issues.issues;
+        for(const issue of openIssues.values()) {
+            if(this.checkIssue(issue, permalink)) {
+                const hasIssues = await Promise.all(Array.from(Object.values(columns), (c) => c.hasIssue(issue.number)));
+                if(hasIssues.every((hasIssue) => !hasIssue)) {
+                    await this._board.addCard(issue, reactionColumn, false, this.dryRun);
                 }
+                return;
+            }
+        }
+        // Don't add a new issue if it already exists and is closed.
+        const closedIssues = await this._repo.issues.closedIssues;
+        for(const issue of closedIssues.values()) {
+            if(this.checkIssue(issue, permalink)) {
+                return;
             }
-            //TODO due date
-            const issueText = TweetFormatter.Format({
-                meta: `Prepare a reply for the request by the user ${tweet.user.screen_name}:
-${self(this).formatTweet(tweet)}`,
-                replyTo: tweetPermalink
-            }, this._board.config);
+        }
+        const author = this._account.getMentionAuthor(mention);
+        //TODO due date
+        const issueText = this.formatter.Format({
+            meta: `Prepare a reply for the request by the user ${author}:
+${this._account.formatMention(mention)}`,
+            replyTo: permalink
+        }, this._board.config);
 
-            await this._board.createCard(`Mention by ${tweet.user.screen_name}`, issueText.toString(), reactionColumn, "top").catch(console.error);
-        });
+        await this._board.createCard(`Mention by ${author}`, issueText.toString(), reactionColumn, "top", this.dryRun).catch(console.error);
+    }
 
-        this.getColumn('target').then(async (column) => {
-            const [ cards, tweets ] = await Promise.all([
-                column.cards,
-                this._twitterAccount.tweets
-            ]);
-            for(const card of cards.values()) {
-                const cardTweetId = TwitterAccount.getTweetIDFromURL(card.content.getSection(TweetFormatter.REPLY_TO));
-                const tweet = tweets.find((t) => t.in_reply_to_status_id_str === cardTweetId);
-                if(tweet) {
-                    try {
-                        await card.issue.close();
-                        await card.comment("Manually tweeted a reply to this");
-                        await column.removeCard(card);
-                    }
-                    catch(e) {
-                        await card.reportError('removing handled mention', e);
-                    }
+    /**
+     * Closes the cards for mentions that were replied to outside of the queue.
+     *
+     * @param {module:column.Column} column - Column with the mention cards.
+     * @returns {undefined}
+     */
+    async closeRepliedCards(column) {
+        const cards = await column.cards;
+        const message = this._account instanceof TwitterAccount ? "Manually tweeted a reply to this" : "Manually replied to this";
+        for(const card of cards.values()) {
+            if(this.handledCards.has(card.id) || card.issue.state === false || card.issue.state === "closed" || !card.content.hasSection(this.formatter.REPLY_TO)) {
+                continue;
+            }
+            const replied = await this._account.hasRepliedTo(card.content.getSection(this.formatter.REPLY_TO));
+            if(replied) {
+                this.handledCards.add(card.id);
+                try {
+                    await card.issue.close(this.dryRun);
+                    await card.comment(message, this.dryRun);
+                    await column.removeCard(card, false, false, this.dryRun);
+                }
+                catch(e) {
+                    await card.reportError('removing handled mention', e, this.dryRun);
                 }
             }
-        });
+        }
     }
 
     /**
-     * @param {module:issue.Issues} issue - Issue to check if it's a reply to the tweet.
-     * @param {string} tweetPermalink - Permalink to the tweet.
-     * @returns {boolean} If the issue is indeed for that tweet.
+     * @param {module:issue.Issues} issue - Issue to check if it's a reply to the mention.
+     * @param {string} permalink - Permalink to the mention.
+     * @returns {boolean} If the issue is indeed for that mention.
      */
-    checkIssue(issue, tweetPermalink) {
-        if(issue.content.includes(TweetFormatter.REPLY_TO)) {
+    checkIssue(issue, permalink) {
+        const { REPLY_TO } = this.formatter;
+        if(issue.content.includes(REPLY_TO)) {
             const content = new CardContent(issue.content, {});
-            return content.hasSection(TweetFormatter.REPLY_TO) && content.getSection(TweetFormatter.REPLY_TO) == tweetPermalink;
+            return content.hasSection(REPLY_TO) && content.getSection(REPLY_TO) == permalink;
         }
         return false;
     }
@@ -9,9 +9,64 @@
  */
 "use strict";
 
+const crypto = require("crypto");
 const Source = require("./source");
 const self = require("../self");
 const ContentAccount = require("../accounts/content-account");
+const PublishFailures = require("../publish-failures");
+const Approvals = require("../approvals");
+const Recurrence = require("../recurrence");
+const CardContent = require("../card-content");
+const Formatter = require("../formatters/formatter");
+const PersistenceManager = require("../persistence/manager");
+const PublishSchedule = require("../publish-schedule");
+
+/**
+ * Label for issues that can not be published, when the board has none
+ * configured.
+ *
+ * @const {string}
+ */
+const DEFAULT_FAILED_LABEL = "publish-failed";
+
+/**
+ * Name of the marker for cards that should be published right away.
+ *
+ * @const {string}
+ */
+const PUBLISH_NOW_MARKER = "publish-now";
+
+/**
+ * Orders cards by their priority, lowest first. Cards without a priority come
+ * after all cards with one and keep their order in the column.
+ *
+ * @param {module:card.Card} a - Card to compare.
+ * @param {module:card.Card} b - Card to compare to.
+ * @returns {number} Sort order of the cards.
+ */
+const byPriority = (a, b) => {
+    const [ priorityA, priorityB ] = [ a, b ].map((card) => typeof card.content.priority === "number" ? card.content.priority : Infinity);
+    if(priorityA === priorityB) {
+        return 0;
+    }
+    return priorityA < priorityB ? -1 : 1;
+};
+
+/**
+ * @param {string} account - Key of the account the poll was published on.
+ * @param {module:accounts/content-account~PollResults} results - Results of
+ *        the poll.
+ * @returns {string} Comment with the results as a table.
+ */
+const formatPollResults = (account, results) => {
+    const total = results.options.reduce((sum, option) => sum + option.votes, 0);
+    const rows = results.options.map((option) => `| ${option.title.replace(/\|/g, "\\|")} | ${option.votes} | ${total ? Math.round(option.votes / total * 100) : 0}% |`);
+    return `:bar_chart: The poll on ${account} closed with ${total} vote${total === 1 ? "" : "s"}:
+
+| Option | Votes | Share |
+| --- | ---: | ---: |
+${rows.join("\n")}`;
+};
 
 /**
  * @alias module:sources/publish.PublishSource
@@ -44,10 +99,54 @@ class PublishSource extends Source {
     constructor(...args) {
         super(...args);
 
+        /**
+         * Time schedule slots are owed from. It is the first time the source
+         * ran, so slots from before that are not owed.
+         *
+         * @type {number}
+         */
         this.lastUpdate = Date.now();
-        this._account = this._accountManager.getAccount(this._config.accountType, this._config.accountName);
-        if(!(this._account instanceof ContentAccount)) {
-            throw new Error(`Account of type ${this._config.accountType} can not publish content.`);
+        /**
+         * Posts of the source, for the owed slots, the spacing and the daily
+         * limit of the schedule.
+         *
+         * @type {[module:publish-schedule~PublishedPost]}
+         */
+        this.published = [];
+        /**
+         * IDs of cards that were published in dry run mode. They stay in the
+         * source column, so they are skipped to only log them once.
+         *
+         * @type {Set.<number>}
+         */
+        this.dryRunPublished = new Set();
+        /**
+         * Approvals required by the board, if any.
+         *
+         * @type {module:approvals.Approvals?}
+         */
+        this.approvals = this._board.config.approvals ? new Approvals(this._board.config.approvals, this._repo, `${this._board.config.owner}/${this._board.config.repo}:approvals`) : null;
+        this.initAccounts();
+        /**
+         * Failed attempts to publish cards.
+         *
+         * @type {module:publish-failures.PublishFailures}
+         */
+        this.failures = new PublishFailures(this.getStorageKey('failures'), this.dryRun);
+        /**
+         * Resolves once the persisted state of the schedule and the failures
+         * has been restored.
+         *
+         * @type {Promise}
+         */
+        this.restored = Promise.all([
+            this.restoreSchedule(),
+            this.failures.restore()
+        ]);
+
+        // Nothing is published automatically on boards that are only inspected.
+        if(this._board.readOnly) {
+            return;
         }
 
         this._board.ready.then(() => {
@@ -57,26 +156,240 @@ class PublishSource extends Source {
         Promise.all([
             this.getColumn('source'),
             this.getColumn('target')
-        ]).then(async ([ column, target ]) => {
-            return this._account.checkPosts(column, (card, msg) => this.cardPublished(card, msg, target));
-        }).catch(console.error);
+        ]).then(([ column, target ]) => this.checkPublished(column, target))
+            .catch(console.error);
+    }
+
+    /**
+     * @param {string} type - Type of the account.
+     * @param {string} name - Name of the account.
+     * @returns {module:accounts/content-account.ContentAccount} The account.
+     * @throws {Error} When the account can not publish content.
+     */
+    getContentAccount(type, name) {
+        const account = this._accountManager.getAccount(type, name);
+        if(!(account instanceof ContentAccount)) {
+            throw new Error(`Account of type ${type} can not publish content.`);
+        }
+        return account;
+    }
+
+    /**
+     * Sets up the accounts cards are published on.
+     *
+     * @returns {undefined}
+     */
+    initAccounts() {
+        this._account = this.getContentAccount(this._config.accountType, this._config.accountName);
+    }
+
+    /**
+     * @returns {Map.<string, module:accounts/content-account.ContentAccount>}
+     *          Accounts the source publishes on, by their type and name.
+     */
+    getAccounts() {
+        return new Map([
+            [ `${this._config.accountType}:${this._config.accountName}`, this._account ]
+        ]);
+    }
+
+    /**
+     * Publish sources on the same columns can publish on different accounts,
+     * so the accounts are part of the key.
+     *
+     * @param {string} name - Name of the state.
+     * @returns {string} Storage key.
+     */
+    getStorageKey(name) {
+        const accounts = Array.from(this.getAccounts().keys()).sort()
+            .join(",");
+        return super.getStorageKey(`${accounts}:${name}`);
+    }
+
+    /**
+     * Moves cards that were already published outside of the queue.
+     *
+     * @param {module:column.Column} column - Column with the cards to publish.
+     * @param {module:column.Column} target - Column to move published cards to.
+     * @returns {undefined}
+     */
+    checkPublished(column, target) {
+        return this._account.checkPosts(column, (card, msg) => this.cardPublished(card, msg, target));
     }
 
     /**
-     * Moves a card to the published column and closes the issue.
+     * Only cards the queue marked with the publish now command are published
+     * right away. Removing the marker from the issue cancels it.
+     *
+     * @param {module:card.Card} card - Card to check.
+     * @returns {boolean} If the card should be published right away.
+     */
+    async isPublishNow(card) {
+        if(!card.content.getMarker(PUBLISH_NOW_MARKER)) {
+            return false;
+        }
+        return Boolean(await PersistenceManager.get(self(this).getPublishNowKey(this._board.config, card.issue)));
+    }
+
+    /**
+     * High priority cards are published right away, without using up a slot
+     * of the schedule.
+     *
+     * @param {module:card.Card} card - Card to check.
+     * @returns {boolean} If the card is high priority.
+     */
+    isCardHighPrio(card) {
+        return this._account.isCardHighPrio(card);
+    }
+
+    /**
+     * Name of the marker for cards that should be published with the next
+     * update, ignoring their schedule and the schedule of the source.
+     *
+     * @type {string}
+     * @readonly
+     */
+    static get PUBLISH_NOW_MARKER() {
+        return PUBLISH_NOW_MARKER;
+    }
+
+    /**
+     * Key the request to publish a card right away is persisted under. The
+     * marker in the issue only shows the request, since anyone who can edit
+     * the issue could add it.
+     *
+     * @param {module:config~Config} boardConfig - Board of the card.
+     * @param {module:issue.Issue} issue - Issue of the card.
+     * @returns {string} Storage key.
+     */
+    static getPublishNowKey(boardConfig, issue) {
+        return `${boardConfig.owner}/${boardConfig.repo}:${PUBLISH_NOW_MARKER}:${issue.number}`;
+    }
+
+    /**
+     * @param {module:config~Config} boardConfig - Board of the card.
+     * @param {module:issue.Issue} issue - Issue of the card.
+     * @param {boolean} publishNow - If the card should be published right away.
+     * @param {boolean} dryRun - Only log the changes.
+     * @returns {undefined}
+     */
+    static async setPublishNow(boardConfig, issue, publishNow, dryRun) {
+        if(dryRun) {
+            return;
+        }
+        const key = this.getPublishNowKey(boardConfig, issue);
+        if(publishNow) {
+            await PersistenceManager.set(key, true);
+        }
+        else {
+            await PersistenceManager.delete(key);
+        }
+    }
+
+    /**
+     * @param {module:card.Card} card - Card to hash.
+     * @returns {string} Hash of the card content, ignoring markers.
+     */
+    static getContentHash(card) {
+        return crypto.createHash("sha1").update(card.content.withoutMarkers)
+            .digest("hex");
+    }
+
+    /**
+     * Label for issues that can not be published without changes.
+     *
+     * @type {string}
+     * @readonly
+     */
+    get failedLabel() {
+        return this._board.config.labels.publishFailed || DEFAULT_FAILED_LABEL;
+    }
+
+    /**
+     * Name of the marker storing the post scheduled on the account for a
+     * card.
+     *
+     * @type {string}
+     * @readonly
+     */
+    get scheduledMarker() {
+        return `scheduled:${this._config.accountType}:${this._config.accountName}`;
+    }
+
+    /**
+     * Restores the time slots are owed from and the posts of the source, so
+     * the schedule continues where it left off before a restart. Persists
+     * the time slots are owed from the first time the source runs.
+     *
+     * @returns {undefined}
+     */
+    async restoreSchedule() {
+        try {
+            const [ lastUpdate, published ] = await Promise.all([
+                PersistenceManager.get(this.getStorageKey('lastUpdate')),
+                PersistenceManager.get(this.getStorageKey('published'))
+            ]);
+            if(typeof lastUpdate === "number") {
+                this.lastUpdate = lastUpdate;
+            }
+            else if(!this.dryRun) {
+                await PersistenceManager.set(this.getStorageKey('lastUpdate'), this.lastUpdate);
+            }
+            if(Array.isArray(published)) {
+                this.published = published;
+            }
+        }
+        catch(e) {
+            console.error("Restoring publish schedule failed:", e);
+        }
+    }
+
+    /**
+     * Creates a copy of a repeating card in the source column, scheduled for
+     * the next occurrence of its recurrence rule. The published card is kept
+     * as it is.
+     *
+     * @param {module:card.Card} card - Card that was published.
+     * @param {boolean} [dryRun=this.dryRun] - Only log the new card.
+     * @returns {undefined}
+     */
+    async repeatCard(card, dryRun = this.dryRun) {
+        if(!card.content.hasSection(Formatter.REPEAT)) {
+            return;
+        }
+        const recurrence = new Recurrence(card.content.getSection(Formatter.REPEAT));
+        const next = recurrence.getNextDate(card.content.getSection(Formatter.SCHEDULED), this._board.config);
+        if(!next) {
+            await card.setStatus("repeat", ":repeat: Repeat", "This was the last post of the series.", dryRun);
+            return;
+        }
+        const content = new CardContent(card.content.withoutMarkers, this._board.config);
+        content.setSection(Formatter.SCHEDULED, next);
+        const column = await this.getColumn('source');
+        const copy = await this._board.createCard(card.issue.title, content.toString(), column, "bottom", dryRun);
+        await card.setStatus("repeat", ":repeat: Repeat", `The next post is scheduled for ${next}${copy ? ` in #${copy.issue.number}` : ""}.`, dryRun);
+    }
+
+    /**
+     * Moves a card to the published column, closes the issue and reports the
+     * result in the status comment. Repeating cards are copied for their next
+     * occurrence.
      *
      * @async
      * @param {module:card.Card} card - Card to mark as published.
      * @param {string} successMsg - Success message by account from publish.
      * @param {string} column - Column to move to.
+     * @param {boolean} [dryRun=this.dryRun] - Only log the changes.
      * @returns {undefined}
      */
-    cardPublished(card, successMsg, column) {
-        return Promise.all([
-            card.issue.close(),
-            this._board.moveCardToColumn(card, column, false, "top"),
-            card.comment(successMsg)
+    async cardPublished(card, successMsg, column, dryRun = this.dryRun) {
+        await Promise.all([
+            card.issue.close(dryRun),
+            this._board.moveCardToColumn(card, column, false, "top", dryRun)
         ]);
+        await card.setStatus("publish", ":heavy_check_mark: Published", successMsg, dryRun);
+        await card.resolveStatus("reminder", dryRun);
+        await this.repeatCard(card, dryRun).catch((e) => card.reportError("repeat", e, dryRun));
     }
 
     async onUpdated() {
@@ -84,19 +397,189 @@ class PublishSource extends Source {
             this.getColumn('source'),
             this.getColumn('target')
         ]);
+        await this.syncScheduled(source, target);
+        await this.syncApprovals(source);
+        const cards = await this.getCardsToPublish();
+
+        // Not a Promise.all to prevent hitting the project board endpoint concurrently.
+        for(const card of cards) {
+            await this.publish(card, target);
+        }
+        await this.reportPolls();
+    }
+
+    /**
+     * Comments the results of polls the accounts published once they closed.
+     * Published polls are tracked with a marker in the issue, which
+     * remembers that the results were reported.
+     *
+     * @param {boolean} [dryRun=this.dryRun] - Only log the comments.
+     * @returns {undefined}
+     */
+    async reportPolls(dryRun = this.dryRun) {
+        for(const card of this._board.cards.values()) {
+            for(const [ key, account ] of this.getAccounts()) {
+                const poll = card.content.getMarker(account.pollMarker);
+                if(!poll || poll.reported || poll.closes > Date.now()) {
+                    continue;
+                }
+                try {
+                    const results = await account.getPollResults(poll.id);
+                    if(results.closed) {
+                        await card.issue.comment(formatPollResults(key, results), dryRun);
+                        await card.setMarker(account.pollMarker, Object.assign({}, poll, {
+                            reported: true
+                        }), dryRun);
+                    }
+                }
+                catch(e) {
+                    await card.reportError(`report the poll results on ${key} for`, e, dryRun);
+                }
+            }
+        }
+    }
+
+    /**
+     * Hands scheduled cards to accounts that can schedule posts themselves
+     * and keeps the scheduled posts in sync with the cards. The scheduled
+     * post is tracked with a marker in the issue. Cards whose post went out
+     * are moved to the target column.
+     *
+     * @param {module:column.Column} source - Column with cards to publish.
+     * @param {module:column.Column} target - Column to move published cards to.
+     * @returns {undefined}
+     */
+    async syncScheduled(source, target) {
+        const dryRun = this.dryRun;
+        const sourceCards = await source.cards;
+
+        for(const card of this._board.cards.values()) {
+            const scheduled = card.content.getMarker(this.scheduledMarker);
+            if(scheduled && !sourceCards.has(card)) {
+                try {
+                    await this._account.cancelScheduled(scheduled.id, dryRun);
+                    await card.setMarker(this.scheduledMarker, undefined, dryRun);
+                    await card.resolveStatus("schedule", dryRun);
+                }
+                catch(e) {
+                    await card.reportError("cancel the scheduled post for", e, dryRun);
+                }
+            }
+        }
+
+        for(const card of sourceCards.values()) {
+            if(this.dryRunPublished.has(card.id)) {
+                continue;
+            }
+            try {
+                await this.syncScheduledCard(card, target, dryRun);
+            }
+            catch(e) {
+                await card.reportError("schedule", e, dryRun);
+            }
+        }
+    }
+
+    /**
+     * @param {module:card.Card} card - Card in the source column.
+     * @param {module:column.Column} target - Column to move published cards to.
+     * @param {boolean} dryRun - Only log the changes.
+     * @returns {undefined}
+     */
+    async syncScheduledCard(card, target, dryRun) {
+        const wantsSchedule = card.valid && card.content.isScheduled && card.content.date.valid && !(await this.isPublishNow(card)) && await this.checkApproval(card, dryRun);
+        const date = wantsSchedule ? new Date(card.content.date.getTime()) : null;
+        let scheduled = card.content.getMarker(this.scheduledMarker);
+        const hash = self(this).getContentHash(card);
+        if(scheduled && !(await this._account.isScheduled(scheduled.id))) {
+            const scheduledAt = new Date(scheduled.at);
+            const url = scheduledAt.getTime() <= Date.now() ? await this._account.findScheduledPost(card, scheduledAt) : null;
+            await card.setMarker(this.scheduledMarker, undefined, dryRun);
+            if(url) {
+                await this.cardPublished(card, `Published as scheduled. See ${url}`, target, dryRun);
+                return;
+            }
+            // Deleted on the service or failed there, so it is scheduled
+            // again or left to the regular publishing.
+            await card.setStatus("schedule", ":warning: Scheduled post missing", `The post scheduled for ${scheduled.at} is no longer scheduled on the account and was not published.`, dryRun);
+            scheduled = null;
+        }
+        if(scheduled) {
+            if(wantsSchedule && scheduled.hash === hash) {
+                if(scheduled.at === date.toISOString()) {
+                    return;
+                }
+                if(this._account.canSchedule(card)) {
+                    await this._account.reschedule(scheduled.id, date, dryRun);
+                    await card.setMarker(this.scheduledMarker, Object.assign({}, scheduled, {
+                        at: date.toISOString()
+                    }), dryRun);
+                    await this.setScheduleStatus(card, date, dryRun);
+                    return;
+                }
+            }
+            // Too late to move the post or the content changed, so schedule
+            // it again or leave it to the regular publishing.
+            await this._account.cancelScheduled(scheduled.id, dryRun);
+            await card.setMarker(this.scheduledMarker, undefined, dryRun);
+        }
+        if(wantsSchedule && this._account.canSchedule(card)) {
+            const id = await this._account.schedule(card, date, dryRun);
+            if(dryRun) {
+                this.dryRunPublished.add(card.id);
+            }
+            else {
+                await card.setMarker(this.scheduledMarker, {
+                    id,
+                    at: date.toISOString(),
+                    hash
+                }, dryRun);
+            }
+            await this.setScheduleStatus(card, date, dryRun);
+        }
+        else if(scheduled) {
+            await card.resolveStatus("schedule", dryRun);
+        }
+    }
+
+    /**
+     * @param {module:card.Card} card - Card that was scheduled on the account.
+     * @param {Date} date - Date the post is scheduled for.
+     * @param {boolean} dryRun - Only log the changes.
+     * @returns {undefined}
+     */
+    setScheduleStatus(card, date, dryRun) {
+        return card.setStatus("schedule", ":calendar: Scheduled", `The post is scheduled on the account for ${date.toISOString()}.`, dryRun);
+    }
+
+    /**
+     * Gets the cards that should be published right now, in the order they
+     * should be published in. Cards are ordered by their priority section
+     * within the scheduled and the unscheduled cards.
+     *
+     * @returns {[module:card.Card]} Cards to publish.
+     */
+    async getCardsToPublish() {
+        await this.restored;
+        const source = await this.getColumn('source');
         const cardsToPublish = await source.cards;
         if(cardsToPublish.size == 0) {
-            return;
+            return [];
         }
         let scheduledPostsCount = this.getCurrentQuota();
         const highPriority = [],
             lowPriority = [];
         for(const card of cardsToPublish.values()) {
+            // Cards scheduled on the account are published by the service.
+            if(this.dryRunPublished.has(card.id) || card.content.getMarker(this.scheduledMarker)) {
+                continue;
+            }
             // There is no guarantee that issue content is current here (due to
             // caching) thus we force update the card content.
             await this._repo.updateCard(card);
-            if(card.ready) {
-                if(card.content.isScheduled || this._account.isCardHighPrio(card)) {
+            const publishNow = await this.isPublishNow(card);
+            if((card.ready || (publishNow && card.valid)) && this.shouldRetry(card) && await this.isApproved(card)) {
+                if(card.content.isScheduled || publishNow || this.isCardHighPrio(card)) {
                     highPriority.push(card);
                 }
                 else {
@@ -105,65 +588,230 @@ class PublishSource extends Source {
             }
         }
 
-        // Not a Promise.all to prevent hitting the project board endpoint concurrently.
-        if(highPriority.length) {
-            for(const card of highPriority) {
-                await this.publish(card, target);
-                if(!this._account.isCardHighPrio(card)) {
-                    --scheduledPostsCount;
-                }
+        highPriority.sort(byPriority);
+        lowPriority.sort(byPriority);
+        const cards = highPriority.slice();
+        for(const card of highPriority) {
+            if(!this.isCardHighPrio(card)) {
+                --scheduledPostsCount;
             }
         }
-        if(lowPriority.length && scheduledPostsCount > 0) {
-            for(const card of lowPriority) {
-                await this.publish(card, target);
-                if(--scheduledPostsCount <= 0) {
-                    break;
-                }
+        for(const card of lowPriority) {
+            if(scheduledPostsCount <= 0) {
+                break;
             }
+            cards.push(card);
+            --scheduledPostsCount;
         }
+        return cards;
     }
 
+    /**
+     * Publishes a card on the account and marks it as published. Errors are
+     * reported on the issue. In dry run mode the account and the card only
+     * log what they would do.
+     *
+     * @param {module:card.Card} card - Card to publish.
+     * @param {module:column.Column} target - Column to move the card to.
+     * @returns {boolean} Whether the card was published.
+     */
     async publish(card, target) {
+        const dryRun = this.dryRun;
         try {
-            const result = await this._account.publish(card);
-            this.cardPublished(card, result, target);
+            const usesSlot = !this.isCardHighPrio(card);
+            const result = await this._account.publish(card, dryRun);
+            this.failures.clear(card.id);
+            this.recordPublished(usesSlot);
+            // The post is out, so this must not count as a failed publish.
+            await this.cardPublished(card, result, target, dryRun)
+                .catch((e) => console.error("Marking card as published", card.issue.number, e));
+            if(dryRun) {
+                this.dryRunPublished.add(card.id);
+            }
+            return true;
         }
         catch(e) {
-            card.reportError("publish", e);
+            await this.handleFailure(card, e, dryRun);
+            return false;
         }
     }
 
-    static getUTCHourMinuteDate(hour, minute, dayDiff = 0) {
-        const now = new Date();
-        return Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + dayDiff, hour, minute);
+    /**
+     * Checks if a card has the approvals the board requires, without
+     * changing the card or the recorded approvals.
+     *
+     * @param {module:card.Card} card - Card to check.
+     * @returns {boolean} If the card may be published.
+     */
+    async isApproved(card) {
+        if(!this.approvals) {
+            return true;
+        }
+        try {
+            return (await this.approvals.getState(card)).approved;
+        }
+        catch(e) {
+            console.error("Checking approvals of", card.issue.number, e);
+        }
+        return false;
     }
 
-    getCurrentQuota() {
-        if(this._config.schedule && this._config.schedule.length) {
-            const now = new Date();
-            const interval = now.getTime() - this.lastUpdate;
-            let scheduledPostsCount = 0;
-            const intervalHours = Math.floor(interval / 3600000);
-            const intervalMinutes = interval - (intervalHours * 3600000) / 60000;
-
-            for(const s of this._config.schedule) {
-                const time = s.split(":").map((t) => parseInt(t, 10));
-                let dayDiff = 0;
-                if(time[0] < now.getUTCHours() - intervalHours || (time[0] == now.getUTCHours() && time[1]  < now.getUTCMinutes() - intervalMinutes)) {
-                    dayDiff = -1;
-                }
-                const date = self(this).getUTCHourMinuteDate(time[0], time[1], dayDiff);
-                const difference = now.getTime() - date;
-                if(difference >= 0 && difference < interval) {
-                    ++scheduledPostsCount;
-                }
+    /**
+     * Checks if a card has the approvals the board requires, records content
+     * changes and shows what is missing in the status comment.
+     *
+     * @param {module:card.Card} card - Card to check.
+     * @param {boolean} [dryRun=this.dryRun] - Only log the changes.
+     * @returns {boolean} If the card may be published.
+     */
+    async checkApproval(card, dryRun = this.dryRun) {
+        if(!this.approvals) {
+            return true;
+        }
+        try {
+            const approval = await this.approvals.check(card, dryRun);
+            if(approval.approved) {
+                await card.resolveStatus("approval", dryRun);
+                return true;
             }
+            const approvedBy = approval.approvers.length ? ` Approved by ${approval.approvers.join(", ")}.` : "";
+            await card.setStatus("approval", ":lock: Waiting for approval", `${approval.approvers.length} of ${approval.required} required approvals for the current content.${approvedBy} Approve with a :+1: reaction on the issue or a comment with \`/approve\`.`, dryRun);
+        }
+        catch(e) {
+            console.error("Checking approvals of", card.issue.number, e);
+        }
+        return false;
+    }
 
-            this.lastUpdate = now.getTime();
-            return scheduledPostsCount;
+    /**
+     * Records the approvals of the valid cards in the source column, so
+     * listing the cards to publish doesn't have to change them.
+     *
+     * @param {module:column.Column} source - Column with cards to publish.
+     * @returns {undefined}
+     */
+    async syncApprovals(source) {
+        if(!this.approvals) {
+            return;
+        }
+        const dryRun = this.dryRun;
+        for(const card of (await source.cards).values()) {
+            if(card.valid && !this.dryRunPublished.has(card.id) && !card.content.getMarker(this.scheduledMarker)) {
+                await this.checkApproval(card, dryRun);
+            }
+        }
+    }
+
+    /**
+     * Checks if a card that failed to publish before may be retried. Cards
+     * with permanent failures are retried once the failed label was removed.
+     *
+     * @param {module:card.Card} card - Card to check.
+     * @returns {boolean} If the card may be published now.
+     */
+    shouldRetry(card) {
+        const hasLabel = card.issue.hasLabel(this.failedLabel);
+        const failure = this.failures.get(card.id);
+        if(failure && failure.permanent && !hasLabel && !this.dryRun) {
+            this.failures.clear(card.id);
+            return true;
+        }
+        return !hasLabel && this.failures.canAttempt(card.id);
+    }
+
+    /**
+     * Records a failed attempt to publish a card and reports it in the status
+     * comment, together with the posts of threads that are already out.
+     * Permanent failures are labeled.
+     *
+     * @param {module:card.Card} card - Card that failed to publish.
+     * @param {?} error - Error thrown while publishing.
+     * @param {boolean} dryRun - Only log the changes.
+     * @param {string} [description] - Description of the error, defaults to
+     *                                  the error itself.
+     * @returns {undefined}
+     */
+    async handleFailure(card, error, dryRun, description) {
+        const failure = this.failures.recordFailure(card.id, error);
+        if(description === undefined) {
+            description = error instanceof Error ? error.toString() : JSON.stringify(error, null, 2);
+        }
+        let next;
+        if(failure.permanent) {
+            next = `This will not be retried. Fix the problem and remove the \`${this.failedLabel}\` label to try again.`;
+        }
+        else {
+            next = `Retrying after ${new Date(failure.nextAttempt).toISOString()}.`;
+        }
+        const partial = [];
+        for(const [ key, account ] of this.getAccounts()) {
+            const urls = account.getPublishedThread(card);
+            if(urls.length) {
+                partial.push(`Already published on ${key}, the thread continues after the last one:
+${urls.map((url) => `- ${url}`).join("\n")}
+
+`);
+            }
+        }
+        try {
+            await card.setStatus("publish", `:warning: Publishing this issue failed (${failure.kind}, attempt ${failure.attempts}):`, `\`\`\`
+${description}
+\`\`\`
+
+${partial.join("")}${next}`, dryRun);
+            if(failure.permanent) {
+                await card.issue.addLabel(this.failedLabel, dryRun);
+            }
+        }
+        catch(e) {
+            console.error("Reporting publish failure", e);
+        }
+    }
+
+    /**
+     * @type {module:publish-schedule.PublishSchedule}
+     * @readonly
+     */
+    get schedule() {
+        return new PublishSchedule(this._config.schedule, this._board.config.schedulingTime);
+    }
+
+    /**
+     * Remembers that a card was published now, for the spacing and the daily
+     * limit of the schedule. Posts that use a slot use the oldest owed one.
+     *
+     * @param {boolean} [usesSlot=true] - If the post uses a slot of the
+     *                                    schedule.
+     * @returns {undefined}
+     */
+    recordPublished(usesSlot = true) {
+        const schedule = this.schedule;
+        const now = Date.now();
+        const [ slot ] = usesSlot && schedule.enabled ? schedule.getOwedSlots(this.lastUpdate, now, this.published) : [];
+        this.published = schedule.prune(this.published.concat([ {
+            time: now,
+            slot: slot ? slot.getTime() : null
+        } ]), now);
+        if(this.dryRun) {
+            return;
+        }
+        PersistenceManager.set(this.getStorageKey('published'), this.published).catch((e) => {
+            console.error("Persisting publish times failed:", e);
+        });
+    }
+
+    /**
+     * Counts the schedule slots no post used yet, limited by the spacing and
+     * the daily limit of the schedule. Slots are only used up by publishing.
+     *
+     * @returns {number} Amount of cards that may be published.
+     */
+    getCurrentQuota() {
+        const schedule = this.schedule;
+        if(!schedule.enabled) {
+            return Infinity;
         }
-        return Infinity;
+        return schedule.getQuota(this.lastUpdate, Date.now(), this.published);
     }
 }
 module.exports = PublishSource;
@@ -64,12 +64,12 @@ class ReminderSource extends Source {
                                 else {
                                     content += `is not yet in the "${this._config.columns.target}" column.`;
                                 }
-                                await card.remind(content);
+                                await card.remind(content, this.dryRun);
                             }
                         }
                     }
                     catch(e) {
-                        card.reportError(e);
+                        card.reportError("remind about", e, this.dryRun).catch(console.error);
                     }
                 }
             }
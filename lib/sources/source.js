@@ -9,6 +9,8 @@
  */
 "use strict";
 
+const DryRun = require("../dry-run");
+
 /**
  * @alias module:sources/source.Source
  */
@@ -62,6 +64,20 @@ class Source {
         this._getManagedColumns = getManagedColumns;
     }
 
+    /**
+     * If the source only logs the actions it would take. The dryRun option of
+     * the source overrides the global setting.
+     *
+     * @type {boolean}
+     * @readonly
+     */
+    get dryRun() {
+        if(this._config && this._config.hasOwnProperty("dryRun")) {
+            return this._config.dryRun;
+        }
+        return DryRun.enabled;
+    }
+
     async getColumn(columnKey) {
         await this._board.ready;
         const [ columns, columnIds ] = await Promise.all([
@@ -70,5 +86,21 @@ class Source {
         ]);
         return columns[columnIds[this._config.columns[columnKey]]];
     }
+
+    /**
+     * Key to persist state of this source under. Sources are identified by
+     * their board, type and columns.
+     *
+     * @param {string} name - Name of the state.
+     * @returns {string} Storage key.
+     */
+    getStorageKey(name) {
+        const board = this._board.config;
+        const columns = this._config.columns || {};
+        const columnNames = Object.keys(columns).sort()
+            .map((key) => `${key}=${columns[key]}`)
+            .join(",");
+        return `${board.owner}/${board.repo}/${board.projectName}:${this._config.type}[${columnNames}]:${name}`;
+    }
 }
 module.exports = Source;
@@ -12,6 +12,7 @@
 const Source = require("./source");
 const RotatingList = require("../rotating-list");
 const DataStore = require("../data-store");
+const PersistenceManager = require("../persistence/manager");
 
 /**
  * @alias module:sources/squad.SquadSource
@@ -31,7 +32,7 @@ class SquadSource extends Source {
         super(...args);
 
         if("squad" in this._config) {
-            this.squad = Promise.resolve(new RotatingList(this._config.squad));
+            this.squad = this.restoreRotation(new RotatingList(this._config.squad));
         }
         else if("squadTeam" in this._config) {
             const store = new DataStore(async (prevList) => {
@@ -49,8 +50,9 @@ class SquadSource extends Source {
                     } while(!list.items.includes(nextUser) && counter < prevList.size);
 
                     list.current = Math.max(list.items.indexOf(nextUser) - 1, 0);
+                    return list;
                 }
-                return list;
+                return this.restoreRotation(list);
             });
             Object.defineProperty(this, 'squad', {
                 enumerable: true,
@@ -65,13 +67,47 @@ class SquadSource extends Source {
         this.ready = this.processCards().catch(console.error);
     }
 
+    /**
+     * Continues the rotation at the member that was persisted as next in line.
+     *
+     * @param {module:rotating-list.RotatingList} list - Squad to restore the
+     *        position of.
+     * @returns {module:rotating-list.RotatingList} The squad.
+     */
+    async restoreRotation(list) {
+        try {
+            const next = await PersistenceManager.get(this.getStorageKey('next'));
+            const index = list.items.indexOf(next);
+            if(index !== -1) {
+                list.current = index;
+            }
+        }
+        catch(e) {
+            console.error("Restoring squad rotation failed:", e);
+        }
+        return list;
+    }
+
+    /**
+     * Gets the next squad member to assign and persists the rotation position.
+     *
+     * @returns {string} Username of the squad member.
+     */
+    async getNextMember() {
+        const squad = await this.squad;
+        const member = squad.getNext();
+        PersistenceManager.set(this.getStorageKey('next'), squad.get(squad.current)).catch((e) => {
+            console.error("Persisting squad rotation failed:", e);
+        });
+        return member;
+    }
+
     async processCards() {
         await this._repo.ready;
         this._repo.issues.on('opened', async (issue) => {
             const column = await this.getColumn('target');
             if(!issue.assignee && (await column.hasIssue(issue.number))) {
-                const squad = await this.squad;
-                await issue.assign(squad.getNext());
+                await issue.assign(await this.getNextMember(), this.dryRun);
             }
         });
 
@@ -79,8 +115,7 @@ class SquadSource extends Source {
         const cards = await column.cards;
         for(const card of cards.values()) {
             if(!card.issue.assignee) {
-                const squad = await this.squad;
-                await card.assign(squad.getNext());
+                await card.assign(await this.getNextMember(), this.dryRun);
             }
         }
     }
@@ -10,6 +10,8 @@
 "use strict";
 
 const Source = require("./source");
+const Formatter = require("../formatters/formatter");
+const DateParser = require("../date-parser");
 const self = require("../self");
 
 class ValidatorSource extends Source {
@@ -19,11 +21,19 @@ class ValidatorSource extends Source {
         ];
     }
 
+    /**
+     * @param {string} type - Type of the validator.
+     * @returns {function} Validator class for the type.
+     */
+    static getValidator(type) {
+        return require(`../validators/${type}`);
+    }
+
     constructor(...args) {
         super(...args);
 
-        const Validator = require(`../validators/${this._config.validator}`);
-        this.validator = new Validator(this._board.config);
+        const Validator = self(this).getValidator(this._config.validator);
+        this.validator = new Validator(this._board.config, this._config);
 
         this._board.ready.then(() => {
             this._repo.issues.on("updated", async (issue) => {
@@ -33,8 +43,7 @@ class ValidatorSource extends Source {
                     if(column !== null) {
                         const card = await column.getCard(issue.id);
                         if(card) {
-                            const errors = this.validator.validate(card.content);
-                            card.setValidity(errors, Validator.TITLE);
+                            await this.checkCard(card);
                         }
                         else {
                             console.warn("No card for ", issue.number, "when trying to update it");
@@ -80,11 +89,65 @@ class ValidatorSource extends Source {
         for(const column of columns) {
             const cards = await column.cards;
             for(const card of cards.values()) {
-                const errors = this.validator.validate(card.content);
-                card.setValidity(errors, self(this.validator).TITLE);
+                await this.checkCard(card);
             }
         }
     }
+
+    /**
+     * Rewrites a scheduled date that isn't in the format of the board, like
+     * "tomorrow 9:00", in the format of the board. This keeps relative dates
+     * from moving and the stored date canonical.
+     *
+     * @param {module:card.Card} card - Card to normalize.
+     * @returns {undefined}
+     */
+    async normalizeSchedule(card) {
+        if(!card.content.isScheduled || card.content.date.valid) {
+            return;
+        }
+        const normalized = DateParser.normalize(card.content.getSection(Formatter.SCHEDULED), this._board.config);
+        if(normalized) {
+            card.content.setSection(Formatter.SCHEDULED, normalized);
+            await card.saveContent(this.dryRun);
+        }
+    }
+
+    /**
+     * Validates a card and updates its preview if previews are enabled.
+     * Scheduled dates are normalized first.
+     *
+     * @param {module:card.Card} card - Card to check.
+     * @returns {undefined}
+     */
+    async checkCard(card) {
+        await this.normalizeSchedule(card);
+        const errors = this.validator.validate(card.content);
+        await card.setValidity(errors, self(this.validator).TITLE, this.dryRun);
+        if(this._config.preview) {
+            await this.updatePreview(card);
+        }
+    }
+
+    /**
+     * Shows how the card will be published in the preview comment. Cards
+     * whose content can't be published show why instead.
+     *
+     * @param {module:card.Card} card - Card to preview.
+     * @returns {undefined}
+     */
+    async updatePreview(card) {
+        let preview;
+        try {
+            preview = this.validator.preview(card);
+        }
+        catch(e) {
+            preview = `:warning: Can not preview this card: ${e.message}`;
+        }
+        if(preview) {
+            await card.setPreview(self(this.validator).TITLE, preview, this.dryRun);
+        }
+    }
 }
 
 module.exports = ValidatorSource;
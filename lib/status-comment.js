@@ -0,0 +1,266 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+/**
+ * @module status-comment
+ * @license MPL-2.0
+ */
+"use strict";
+
+const DryRun = require("./dry-run");
+const self = require("./self");
+
+/**
+ * @typedef {Object} Section
+ * @property {string} title - Title of the section.
+ * @property {string} body - Content of the section.
+ * @property {boolean} resolved - If the section is outdated.
+ */
+
+/**
+ * @typedef {Object} LoadedComment
+ * @property {number?} id - ID of the comment, null if it wasn't posted yet.
+ * @property {Object.<string, module:status-comment~Section>} sections -
+ *           Sections of the comment by their name.
+ */
+
+/**
+ * The single comment the queue keeps up to date on an issue, instead of
+ * posting a new comment for every message. The comment is split into named
+ * sections, like validation errors or the publishing status. Sections that
+ * no longer apply are resolved, which collapses them. The sections are stored
+ * in a hidden marker in the comment, which is also how the comment is found
+ * again.
+ *
+ * @alias module:status-comment.StatusComment
+ */
+class StatusComment {
+    /**
+     * Name of the hidden marker identifying the comment.
+     *
+     * @type {string}
+     * @readonly
+     */
+    static get MARKER() {
+        return "content-queue:status";
+    }
+
+    /**
+     * @type {string}
+     * @readonly
+     */
+    static get HEADER() {
+        return ":robot: *This comment is kept up to date by the queue.*";
+    }
+
+    /**
+     * Shown when no section is active.
+     *
+     * @type {string}
+     * @readonly
+     */
+    static get EMPTY() {
+        return ":heavy_check_mark: Nothing to do right now.";
+    }
+
+    /**
+     * @param {string} body - Content of a comment.
+     * @returns {Object.<string, module:status-comment~Section>?} Sections of
+     *          the comment or null if it is not a comment of this kind.
+     */
+    static parse(body) {
+        const match = body.match(new RegExp(`^<!-- ${this.MARKER} (.*) -->$`, "m"));
+        if(!match) {
+            return null;
+        }
+        try {
+            return JSON.parse(match[1]);
+        }
+        catch(e) {
+            return {};
+        }
+    }
+
+    /**
+     * @param {Object.<string, module:status-comment~Section>} sections -
+     *        Sections of the comment.
+     * @returns {string} Content of the comment.
+     */
+    static render(sections) {
+        // JSON can't contain a literal "-->" outside of strings, so this keeps
+        // the marker from ending early.
+        const data = JSON.stringify(sections).replace(/-->/g, "--\\u003E");
+        const active = [],
+            resolved = [];
+        for(const section of Object.values(sections)) {
+            if(section.resolved) {
+                resolved.push(`<details>
+<summary><del>${section.title}</del></summary>
+
+${section.body}
+</details>`);
+            }
+            else {
+                active.push(`**${section.title}**
+${section.body}`);
+            }
+        }
+        if(!active.length) {
+            active.push(this.EMPTY);
+        }
+        return [
+            `<!-- ${this.MARKER} ${data} -->`,
+            this.HEADER
+        ].concat(resolved, active).join("\n\n");
+    }
+
+    /**
+     * @param {module:issue.Issue} issue - Issue the comment is on.
+     */
+    constructor(issue) {
+        /**
+         * @type {module:issue.Issue}
+         */
+        this.issue = issue;
+        /**
+         * @type {Promise.<module:status-comment~LoadedComment>?}
+         * @private
+         */
+        this._comment = null;
+        /**
+         * Changes to the comment, to apply them one after another.
+         *
+         * @type {Promise}
+         * @private
+         */
+        this._queue = Promise.resolve();
+    }
+
+    /**
+     * If the comment was already looked up on the issue.
+     *
+     * @type {boolean}
+     * @readonly
+     */
+    get loaded() {
+        return this._comment !== null;
+    }
+
+    /**
+     * Finds the status comment on the issue. Only comments by the user the
+     * queue is authenticated as count, so nobody else can plant a status
+     * comment. The comment is only fetched once, afterwards the queue is
+     * assumed to be the only one changing it.
+     *
+     * @returns {module:status-comment~LoadedComment} The status comment.
+     */
+    load() {
+        if(!this._comment) {
+            this._comment = Promise.all([
+                this.issue.getComments(),
+                this.issue.getAuthenticatedLogin()
+            ]).then(([ comments, login ]) => {
+                for(const comment of comments) {
+                    if(comment.user.login !== login) {
+                        continue;
+                    }
+                    const sections = self(this).parse(comment.body);
+                    if(sections) {
+                        return {
+                            id: comment.id,
+                            sections
+                        };
+                    }
+                }
+                return {
+                    id: null,
+                    sections: {}
+                };
+            });
+            this._comment.catch(() => {
+                this._comment = null;
+            });
+        }
+        return this._comment;
+    }
+
+    /**
+     * @param {function} change - Change to apply once previous changes are done.
+     * @returns {Promise} Resolves once the change is applied.
+     */
+    _enqueue(change) {
+        const result = this._queue.then(change);
+        this._queue = result.catch(() => undefined);
+        return result;
+    }
+
+    /**
+     * Sets the content of a section, adding it if the comment doesn't have it
+     * yet. The comment is only changed if the section is different.
+     *
+     * @param {string} name - Name of the section.
+     * @param {string} title - Title of the section.
+     * @param {string} body - Content of the section.
+     * @param {boolean} [dryRun=DryRun.enabled] - Only log the change.
+     * @returns {undefined}
+     */
+    update(name, title, body, dryRun = DryRun.enabled) {
+        return this._enqueue(async () => {
+            const comment = await this.load();
+            const section = comment.sections[name];
+            if(section && !section.resolved && section.title === title && section.body === body) {
+                return;
+            }
+            // Re-add the section, so updated sections come last.
+            delete comment.sections[name];
+            comment.sections[name] = {
+                title,
+                body,
+                resolved: false
+            };
+            await this.save(comment, dryRun);
+        });
+    }
+
+    /**
+     * Marks a section as resolved, if it is in the comment.
+     *
+     * @param {string} name - Name of the section.
+     * @param {boolean} [dryRun=DryRun.enabled] - Only log the change.
+     * @returns {undefined}
+     */
+    resolve(name, dryRun = DryRun.enabled) {
+        return this._enqueue(async () => {
+            const comment = await this.load();
+            const section = comment.sections[name];
+            if(!section || section.resolved) {
+                return;
+            }
+            section.resolved = true;
+            await this.save(comment, dryRun);
+        });
+    }
+
+    /**
+     * Posts the comment, or edits it if it was already posted.
+     *
+     * @param {module:status-comment~LoadedComment} comment - Comment to save.
+     * @param {boolean} dryRun - Only log the change.
+     * @returns {undefined}
+     */
+    async save(comment, dryRun) {
+        const body = self(this).render(comment.sections);
+        if(comment.id) {
+            await this.issue.editComment(comment.id, body, dryRun);
+        }
+        else {
+            const response = await this.issue.comment(body, dryRun);
+            if(response && response.data) {
+                comment.id = response.data.id;
+            }
+        }
+    }
+}
+module.exports = StatusComment;
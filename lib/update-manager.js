@@ -11,6 +11,19 @@
 
 const UpdateManager = {
     UPDATE_INTERVAL: 60000,
+    /**
+     * Cache time for data that is pushed by webhooks. Polling then only
+     * reconciles changes webhooks missed.
+     *
+     * @type {number}
+     */
+    FALLBACK_INTERVAL: 600000,
+    /**
+     * Whether a webhook server pushes changes from GitHub.
+     *
+     * @type {boolean}
+     */
+    webhooksEnabled: false,
     targets: new Set(),
     interval: undefined,
     setInterval() {
@@ -31,6 +44,17 @@ const UpdateManager = {
             throw new TypeError("Data Store Holder needs an update method");
         }
     },
+    /**
+     * @param {boolean} [pushedByWebhooks=false] - If the data is kept up to
+     *                                             date by webhooks.
+     * @returns {number} Time in ms data should be cached for.
+     */
+    getCacheTime(pushedByWebhooks = false) {
+        if(pushedByWebhooks && this.webhooksEnabled) {
+            return this.FALLBACK_INTERVAL;
+        }
+        return this.UPDATE_INTERVAL;
+    },
     async update() {
         for(const target of this.targets.values()) {
             try {
@@ -0,0 +1,111 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+"use strict";
+
+const Validator = require("./validator");
+const BlueskyFormatter = require("../formatters/bluesky");
+const BlueskyAccount = require("../accounts/bluesky");
+
+class BlueskyValidator extends Validator {
+    static get TITLE() {
+        return BlueskyAccount.TYPE;
+    }
+
+    static get Account() {
+        return BlueskyAccount;
+    }
+
+    constructor(config, options) {
+        super(config, options);
+
+        this.sections.add(BlueskyFormatter.POST_CONTENT);
+        this.sections.add(BlueskyFormatter.REPOST);
+    }
+
+    /**
+     * @param {string} post - Content of the post.
+     * @param {[string]} errors - Errors to add to.
+     * @param {string} [hint=""] - Added to errors the contributor can avoid by
+     *                             writing a Bluesky specific section.
+     * @returns {undefined}
+     */
+    validatePost(post, errors, hint = "") {
+        try {
+            const [ content, media ] = BlueskyAccount.getMediaAndContent(post);
+            const length = BlueskyAccount.getGraphemeLength(content);
+            if(length > BlueskyAccount.POST_LENGTH) {
+                errors.push(`Content is too long by ${length - BlueskyAccount.POST_LENGTH} for a Bluesky post. Please shorten the text to fit into ${BlueskyAccount.POST_LENGTH} characters${hint}.`);
+            }
+            this.validateMedia(media, BlueskyAccount.MEDIA_LIMITS, "Post", errors);
+        }
+        catch(e) {
+            console.error(e);
+            errors.push(`Can not attach more than 4 images to a Bluesky post. Remove some images${hint}.`);
+        }
+    }
+
+    getRemainingChars(text) {
+        return BlueskyAccount.POST_LENGTH - BlueskyAccount.getGraphemeLength(text);
+    }
+
+    previewContent(card) {
+        if(card.content.hasSection(BlueskyFormatter.REPOST)) {
+            return [ `:repeat: Reposts ${card.content.getSection(BlueskyFormatter.REPOST)}` ];
+        }
+        const parts = this.previewThread(BlueskyAccount.GetThread(card), "Post");
+        if(card.content.hasSection(BlueskyFormatter.REPLY_TO)) {
+            parts.unshift(`:leftwards_arrow_with_hook: In reply to ${card.content.getSection(BlueskyFormatter.REPLY_TO)}`);
+        }
+        if(card.content.hasSection(BlueskyFormatter.QUOTE)) {
+            parts.push(`:speech_balloon: Quotes ${card.content.getSection(BlueskyFormatter.QUOTE)}`);
+        }
+        return parts;
+    }
+
+    validate(cardContent) {
+        const errors = super.validate(cardContent);
+        if(!BlueskyFormatter.CONTENT_SECTIONS.some((section) => cardContent.hasSection(section))) {
+            errors.push(`Missing a section containing information on what to post. Please either add a "${BlueskyFormatter.CONTENT}" or "${BlueskyFormatter.REPOST}" section.`);
+        }
+        else {
+            if(cardContent.hasSection(BlueskyFormatter.REPOST)) {
+                const repostUrl = cardContent.getSection(BlueskyFormatter.REPOST);
+                if(repostUrl.length === 0 || BlueskyAccount.getPostFromURL(repostUrl) === null) {
+                    errors.push("URL for post to repost is not valid. Please provide only the post permalink.");
+                }
+            }
+            else {
+                if(cardContent.hasSection(BlueskyFormatter.POST_CONTENT)) {
+                    const post = cardContent.getSection(BlueskyFormatter.POST_CONTENT);
+                    if(post.trim() == BlueskyFormatter.TODO_PLACEHOLDER) {
+                        errors.push("Post content is just a placeholder. Please replace it with the actual content for the post.");
+                    }
+                    this.validatePost(post, errors);
+                }
+                else {
+                    this.validatePost(cardContent.getSection(BlueskyFormatter.CONTENT), errors, ` or specify a separate version in a "${BlueskyFormatter.POST_CONTENT}" section`);
+                }
+
+                if(cardContent.hasSection(BlueskyFormatter.REPLY_TO)) {
+                    const replyTo = cardContent.getSection(BlueskyFormatter.REPLY_TO);
+                    if(replyTo.length === 0 || BlueskyAccount.getPostFromURL(replyTo) === null) {
+                        errors.push("The URL of the post this is a response to is invalid. Please use the post permalink.");
+                    }
+                }
+
+                if(cardContent.hasSection(BlueskyFormatter.QUOTE)) {
+                    const quote = cardContent.getSection(BlueskyFormatter.QUOTE);
+                    if(quote.length === 0 || BlueskyAccount.getPostFromURL(quote) === null) {
+                        errors.push("The URL of the post to quote is invalid. Please use the post permalink.");
+                    }
+                }
+            }
+        }
+        return errors;
+    }
+}
+
+module.exports = BlueskyValidator;
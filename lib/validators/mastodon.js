@@ -11,16 +11,103 @@ const MastodonAccount = require("../accounts/mastodon");
 
 const TOOT_LENGTH = 500;
 
+/**
+ * Characters the permalink of a quoted toot takes up in the first toot,
+ * including the blank line before it. Mastodon counts links as 23
+ * characters.
+ *
+ * @const {number}
+ */
+const QUOTE_LENGTH = 25;
+
 class MastodonValidator extends Validator {
     static get TITLE() {
         return MastodonAccount.TYPE;
     }
 
-    constructor(config) {
-        super(config);
+    static get Account() {
+        return MastodonAccount;
+    }
+
+    constructor(config, options) {
+        super(config, options);
 
         this.sections.add(MastodonFormatter.TOOT_CONTENT);
         this.sections.add(MastodonFormatter.REBLOG);
+        this.sections.add(MastodonFormatter.THREAD);
+    }
+
+    /**
+     * Checks each toot of a thread.
+     *
+     * @param {string} thread - Content of the thread section.
+     * @param {[string]} errors - Errors to add to.
+     * @param {number} [reserved=0] - Characters of the first toot used by a
+     *                                quote.
+     * @returns {undefined}
+     */
+    validateThread(thread, errors, reserved = 0) {
+        const toots = MastodonFormatter.SplitThread(thread);
+        if(!toots.length) {
+            errors.push(`Thread is empty. Please add the toots of the thread, separated by a line containing only "${MastodonFormatter.THREAD_SEPARATOR}".`);
+        }
+        toots.forEach((toot, index) => {
+            const position = `Toot ${index + 1} of the thread`;
+            if(toot == MastodonFormatter.TODO_PLACEHOLDER) {
+                errors.push(`${position} is just a placeholder. Please replace it with the actual content for the toot.`);
+            }
+            try {
+                const [ content, media ] = MastodonAccount.getMediaAndContent(toot);
+                const maxLength = TOOT_LENGTH - (index === 0 ? reserved : 0);
+                if(content.length > maxLength) {
+                    errors.push(`${position} is too long by ${content.length - maxLength}. Please shorten it to fit into ${maxLength} characters or split it into multiple toots.`);
+                }
+                this.validateMedia(media, MastodonAccount.MEDIA_LIMITS, position, errors);
+            }
+            catch(e) {
+                errors.push(`Can not attach more than 4 images to toot ${index + 1} of the thread.`);
+            }
+        });
+    }
+
+    getRemainingChars(text) {
+        return TOOT_LENGTH - text.length;
+    }
+
+    /**
+     * Checks the toot to quote.
+     *
+     * @param {CardContent} cardContent - Content of the card to validate.
+     * @param {[string]} errors - Errors to add to.
+     * @returns {undefined}
+     */
+    validateQuote(cardContent, errors) {
+        const quote = cardContent.getSection(MastodonFormatter.QUOTE);
+        if(quote.length === 0 || MastodonAccount.getTootID(quote) === null) {
+            errors.push("The URL of the toot to quote is invalid. Please use the toot permalink.");
+        }
+    }
+
+    previewContent(card) {
+        if(card.content.hasSection(MastodonFormatter.REBLOG)) {
+            return [ `:repeat: Reblogs ${card.content.getSection(MastodonFormatter.REBLOG)}` ];
+        }
+        const parts = this.previewThread(MastodonAccount.GetThread(card), "Toot");
+        const poll = this.previewPoll(card.content);
+        // The poll is attached to the first post.
+        if(poll) {
+            parts.splice(1, 0, poll);
+        }
+        if(card.content.hasSection(MastodonFormatter.QUOTE)) {
+            parts.unshift(`:speech_balloon: Quotes ${card.content.getSection(MastodonFormatter.QUOTE)}`);
+        }
+        if(card.content.hasSection(MastodonFormatter.SPOILER)) {
+            parts.unshift(`:warning: Content warning: ${card.content.getSection(MastodonFormatter.SPOILER)}`);
+        }
+        if(card.content.hasSection(MastodonFormatter.REPLY_TO)) {
+            parts.unshift(`:leftwards_arrow_with_hook: In reply to ${card.content.getSection(MastodonFormatter.REPLY_TO)}`);
+        }
+        return parts;
     }
 
     validate(cardContent) {
@@ -39,34 +126,40 @@ class MastodonValidator extends Validator {
                 }*/
             }
             else {
-                if(cardContent.hasSection(MastodonFormatter.CONTENT)) {
-                    const toot = cardContent.getSection(MastodonFormatter.CONTENT);
+                const maxLength = TOOT_LENGTH - (cardContent.hasSection(MastodonFormatter.QUOTE) ? QUOTE_LENGTH : 0);
+                if(cardContent.hasSection(MastodonFormatter.TOOT_CONTENT)) {
+                    const toot = cardContent.getSection(MastodonFormatter.TOOT_CONTENT);
+                    if(toot.trim() == MastodonFormatter.TODO_PLACEHOLDER) {
+                        errors.push("Toot content is just a placeholder. Please replace it with the actual content for the toot.");
+                    }
+
                     try {
-                        const [ content ] = MastodonAccount.getMediaAndContent(toot);
-                        if(content.length > TOOT_LENGTH) {
-                            errors.push(`Content is too long by ${TOOT_LENGTH - content.length} for a toot. Please shorten the text to fit into ${TOOT_LENGTH} characters or specify a separate shortened version in a "${MastodonFormatter.TOOT_CONTENT}" section.`);
+                        const [ content, media ] = MastodonAccount.getMediaAndContent(toot);
+                        if(content.length > maxLength) {
+                            errors.push(`Content is too long by ${content.length - maxLength} for a toot. Please shorten the text to fit into ${maxLength} characters.`);
                         }
+                        this.validateMedia(media, MastodonAccount.MEDIA_LIMITS, "Toot", errors);
                     }
                     catch(e) {
                         console.error(e);
-                        errors.push(`Can not attach more than 4 images to a toot. Remove some images or specify a version with less images in a "${MastodonAccount.TOOT_CONTENT}" section.`);
+                        errors.push(`Can not attach more than 4 images to a toot.`);
                     }
                 }
+                else if(cardContent.hasSection(MastodonFormatter.THREAD)) {
+                    this.validateThread(cardContent.getSection(MastodonFormatter.THREAD), errors, TOOT_LENGTH - maxLength);
+                }
                 else {
-                    const toot = cardContent.getSection(MastodonFormatter.TOOT_CONTENT);
-                    if(toot.trim() == MastodonFormatter.TODO_PLACEHOLDER) {
-                        errors.push("Toot content is just a placeholder. Please replace it with the actual content for the toot.");
-                    }
-
+                    const toot = cardContent.getSection(MastodonFormatter.CONTENT);
                     try {
-                        const [ content ] = MastodonAccount.getMediaAndContent(toot);
-                        if(content.length > TOOT_LENGTH) {
-                            errors.push(`Content is too long by ${TOOT_LENGTH - content.length} for a toot. Please shorten the text to fit into ${TOOT_LENGTH} characters.`);
+                        const [ content, media ] = MastodonAccount.getMediaAndContent(toot);
+                        if(content.length > maxLength) {
+                            errors.push(`Content is too long by ${content.length - maxLength} for a toot. Please shorten the text to fit into ${maxLength} characters or specify a separate shortened version in a "${MastodonFormatter.TOOT_CONTENT}" section.`);
                         }
+                        this.validateMedia(media, MastodonAccount.MEDIA_LIMITS, "Content", errors);
                     }
                     catch(e) {
                         console.error(e);
-                        errors.push(`Can not attach more than 4 images to a toot.`);
+                        errors.push(`Can not attach more than 4 images to a toot. Remove some images or specify a version with less images in a "${MastodonAccount.TOOT_CONTENT}" section.`);
                     }
                 }
 
@@ -76,6 +169,14 @@ class MastodonValidator extends Validator {
                         errors.push("The URL of toot this is a response to is invalid. Please use the toot permalink.");
                     }
                 }
+
+                if(cardContent.hasSection(MastodonFormatter.QUOTE)) {
+                    this.validateQuote(cardContent, errors);
+                }
+
+                if(cardContent.hasSection(MastodonFormatter.POLL)) {
+                    this.validatePoll(cardContent, errors);
+                }
             }
         }
         return errors;
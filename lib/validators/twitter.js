@@ -14,11 +14,128 @@ class TwitterValidator extends Validator {
         return TwitterAccount.TYPE;
     }
 
-    constructor(config) {
-        super(config);
+    static get Account() {
+        return TwitterAccount;
+    }
+
+    constructor(config, options) {
+        super(config, options);
 
         this.sections.add(TwitterFormatter.TWEET_CONTENT);
         this.sections.add(TwitterFormatter.RETWEET);
+        this.sections.add(TwitterFormatter.THREAD);
+    }
+
+    /**
+     * Checks each tweet of a thread.
+     *
+     * @param {string} thread - Content of the thread section.
+     * @param {[string]} errors - Errors to add to.
+     * @returns {undefined}
+     */
+    validateThread(thread, errors) {
+        const tweets = TwitterFormatter.SplitThread(thread);
+        if(!tweets.length) {
+            errors.push(`Thread is empty. Please add the tweets of the thread, separated by a line containing only "${TwitterFormatter.THREAD_SEPARATOR}".`);
+        }
+        tweets.forEach((tweet, index) => {
+            const position = `Tweet ${index + 1} of the thread`;
+            if(tweet == TwitterFormatter.TODO_PLACEHOLDER) {
+                errors.push(`${position} is just a placeholder. Please replace it with the actual content for the tweet.`);
+            }
+            try {
+                if(TwitterAccount.tweetTooLong(tweet)) {
+                    errors.push(`${position} is too long by ${-TwitterAccount.getRemainingChars(tweet)}. Please shorten it to fit into 280 characters or split it into multiple tweets.`);
+                }
+                else if(!TwitterAccount.tweetValid(tweet)) {
+                    errors.push(`${position} is not valid according to Twitter's validator.`);
+                }
+                this.validateMedia(TwitterAccount.getMediaAndContent(tweet)[1], TwitterAccount.MEDIA_LIMITS, position, errors);
+            }
+            catch(e) {
+                errors.push(`Can not attach more than 4 images to tweet ${index + 1} of the thread.`);
+            }
+        });
+    }
+
+    /**
+     * Checks the tweet to quote. Quoting attaches the tweet, so the first
+     * tweet can't have media as well.
+     *
+     * @param {CardContent} cardContent - Content of the card to validate.
+     * @param {[string]} errors - Errors to add to.
+     * @returns {undefined}
+     */
+    validateQuote(cardContent, errors) {
+        const quote = cardContent.getSection(TwitterFormatter.QUOTE);
+        if(quote.length === 0 || TwitterAccount.getTweetIDFromURL(quote) === null) {
+            errors.push("The URL of the tweet to quote is invalid. Please use the tweet permalink.");
+        }
+        try {
+            const [ firstTweet ] = TwitterAccount.GetThread({
+                content: cardContent
+            });
+            if(firstTweet && TwitterAccount.getMediaAndContent(firstTweet)[1].length) {
+                errors.push(`Can not attach media to a tweet that quotes another tweet. Please remove the media or the "${TwitterFormatter.QUOTE}" section.`);
+            }
+        }
+        catch(e) {
+            // Content errors are reported separately.
+        }
+    }
+
+    /**
+     * Tweets with restricted replies are sent through the v2 API, which can't
+     * mark their media as sensitive. Only media is ever marked as sensitive,
+     * so the option is fine on tweets without media.
+     *
+     * @inheritdoc
+     */
+    validateOptions(cardContent, errors) {
+        const options = super.validateOptions(cardContent, errors);
+        if(options && options.sensitive && options.replies && options.replies !== "everyone") {
+            try {
+                const tweets = TwitterAccount.GetThread({
+                    content: cardContent
+                });
+                if(tweets.some((tweet) => TwitterAccount.getMediaAndContent(tweet)[1].length)) {
+                    errors.push(`Can not mark media as sensitive in tweets with restricted replies. Please remove the "Sensitive" or the "Replies" option.`);
+                }
+            }
+            catch(e) {
+                // Content errors are reported separately.
+            }
+        }
+        return options;
+    }
+
+    /**
+     * Uses Twitter's weighting, so links count as 23 characters.
+     *
+     * @param {string} text - Text of the tweet.
+     * @returns {number} Characters left in the tweet.
+     */
+    getRemainingChars(text) {
+        return TwitterAccount.getRemainingChars(text);
+    }
+
+    previewContent(card) {
+        if(card.content.hasSection(TwitterFormatter.RETWEET)) {
+            return [ `:repeat: Retweets ${card.content.getSection(TwitterFormatter.RETWEET)}` ];
+        }
+        const parts = this.previewThread(TwitterAccount.GetThread(card), "Tweet");
+        const poll = this.previewPoll(card.content);
+        // The poll is attached to the first post.
+        if(poll) {
+            parts.splice(1, 0, poll);
+        }
+        if(card.content.hasSection(TwitterFormatter.QUOTE)) {
+            parts.unshift(`:speech_balloon: Quotes ${card.content.getSection(TwitterFormatter.QUOTE)}`);
+        }
+        if(card.content.hasSection(TwitterFormatter.REPLY_TO)) {
+            parts.unshift(`:leftwards_arrow_with_hook: In reply to ${card.content.getSection(TwitterFormatter.REPLY_TO)}`);
+        }
+        return parts;
     }
 
     validate(cardContent) {
@@ -37,38 +154,43 @@ class TwitterValidator extends Validator {
                 }*/
             }
             else {
-                if(cardContent.hasSection(TwitterFormatter.CONTENT)) {
-                    const tweet = cardContent.getSection(TwitterFormatter.CONTENT);
+                if(cardContent.hasSection(TwitterFormatter.TWEET_CONTENT)) {
+                    const tweet = cardContent.getSection(TwitterFormatter.TWEET_CONTENT);
+                    if(tweet.trim() == TwitterFormatter.TODO_PLACEHOLDER) {
+                        errors.push("Tweet content is just a placeholder. Please replace it with the actual content for the tweet.");
+                    }
+
                     try {
                         if(TwitterAccount.tweetTooLong(tweet)) {
-                            errors.push(`Content is too long by ${-TwitterAccount.getRemainingChars(tweet)} for a tweet. Please shorten the text to fit into 280 characters or specify a separate shortened version in a "${TwitterFormatter.TWEET_CONTENT}" section.`);
+                            errors.push(`Tweet is too long by ${-TwitterAccount.getRemainingChars(tweet)}. Please shorten the tweet text to fit into 280 characters.`);
                         }
                         else if(!TwitterAccount.tweetValid(tweet)) {
-                            errors.push(`Content is not valid according to Twitter's validator. Rewrite for valid content or specify a Twitter specific version in a "${TwitterFormatter.TWEET_CONTENT}" section.`);
+                            errors.push(`Content is not valid according to Twitter's validator.`);
                         }
+                        this.validateMedia(TwitterAccount.getMediaAndContent(tweet)[1], TwitterAccount.MEDIA_LIMITS, "Tweet", errors);
                     }
                     catch(e) {
                         console.error(e);
-                        errors.push(`Can not attach more than 4 images to a tweet. Remove some images or specify a version with less images in a "${TwitterFormatter.TWEET_CONTENT}" section.`);
+                        errors.push(`Can not attach more than 4 images to a tweet.`);
                     }
                 }
+                else if(cardContent.hasSection(TwitterFormatter.THREAD)) {
+                    this.validateThread(cardContent.getSection(TwitterFormatter.THREAD), errors);
+                }
                 else {
-                    const tweet = cardContent.getSection(TwitterFormatter.TWEET_CONTENT);
-                    if(tweet.trim() == TwitterFormatter.TODO_PLACEHOLDER) {
-                        errors.push("Tweet content is just a placeholder. Please replace it with the actual content for the tweet.");
-                    }
-
+                    const tweet = cardContent.getSection(TwitterFormatter.CONTENT);
                     try {
                         if(TwitterAccount.tweetTooLong(tweet)) {
-                            errors.push(`Tweet is too long by ${-TwitterAccount.getRemainingChars(tweet)}. Please shorten the tweet text to fit into 280 characters.`);
+                            errors.push(`Content is too long by ${-TwitterAccount.getRemainingChars(tweet)} for a tweet. Please shorten the text to fit into 280 characters or specify a separate shortened version in a "${TwitterFormatter.TWEET_CONTENT}" section.`);
                         }
                         else if(!TwitterAccount.tweetValid(tweet)) {
-                            errors.push(`Content is not valid according to Twitter's validator.`);
+                            errors.push(`Content is not valid according to Twitter's validator. Rewrite for valid content or specify a Twitter specific version in a "${TwitterFormatter.TWEET_CONTENT}" section.`);
                         }
+                        this.validateMedia(TwitterAccount.getMediaAndContent(tweet)[1], TwitterAccount.MEDIA_LIMITS, "Content", errors);
                     }
                     catch(e) {
                         console.error(e);
-                        errors.push(`Can not attach more than 4 images to a tweet.`);
+                        errors.push(`Can not attach more than 4 images to a tweet. Remove some images or specify a version with less images in a "${TwitterFormatter.TWEET_CONTENT}" section.`);
                     }
                 }
 
@@ -78,6 +200,17 @@ class TwitterValidator extends Validator {
                         errors.push("The URL of tweet this is a response to is invalid. Please use the tweet permalink.");
                     }
                 }
+
+                if(cardContent.hasSection(TwitterFormatter.QUOTE)) {
+                    this.validateQuote(cardContent, errors);
+                }
+
+                if(cardContent.hasSection(TwitterFormatter.POLL)) {
+                    this.validatePoll(cardContent, errors);
+                    if(cardContent.hasSection(TwitterFormatter.QUOTE)) {
+                        errors.push(`Can not quote a tweet in a tweet with a poll. Please remove the "${TwitterFormatter.QUOTE}" or the "${TwitterFormatter.POLL}" section.`);
+                    }
+                }
             }
         }
         return errors;
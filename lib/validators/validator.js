@@ -8,14 +8,59 @@
 const ScheduledDate = require("../scheduled-date");
 const UpdateManager = require("../update-manager");
 const Formatter = require("../formatters/formatter");
+const Media = require("../media");
+const Recurrence = require("../recurrence");
+const self = require("../self");
+
+/**
+ * @param {string} text - Text to put in a code block.
+ * @returns {string} Fence for the code block that the text can't end early.
+ */
+const getFence = (text) => {
+    const runs = text.match(/`+/g) || [];
+    return "`".repeat(Math.max(3, ...runs.map((run) => run.length + 1)));
+};
+
+/**
+ * @param {string} value - Value of an HTML attribute.
+ * @returns {string} Value escaped for double quotes.
+ */
+const escapeAttribute = (value) => value.replace(/&/g, "&amp;").replace(/"/g, "&quot;");
+
+/**
+ * @param {number} minutes - Duration in minutes.
+ * @returns {string} The duration in the largest whole unit.
+ */
+const formatDuration = (minutes) => {
+    const [ amount, unit ] = minutes % (24 * 60) === 0 ? [ minutes / (24 * 60), "day" ] : (minutes % 60 === 0 ? [ minutes / 60, "hour" ] : [ minutes, "minute" ]);
+    return `${amount} ${unit}${amount === 1 ? "" : "s"}`;
+};
 
 class Validator {
     static get TITLE() {
         return "General";
     }
 
-    constructor(config) {
+    /**
+     * Content account of the service the validator checks cards for, used to
+     * preview cards.
+     *
+     * @type {function?}
+     * @readonly
+     */
+    static get Account() {
+        return null;
+    }
+
+    /**
+     * @param {Object} config - Board config.
+     * @param {Object} [options={}] - Config of the validator source.
+     * @param {boolean} [options.requireAltText=false] - Report images without
+     *                                                   alt text as errors.
+     */
+    constructor(config, options = {}) {
         this.config = config;
+        this.options = options;
         /**
          * Content section titles (at least one of them must be set)
          */
@@ -27,12 +72,288 @@ class Validator {
         const due = new ScheduledDate(scheduledSection, this.config);
 
         if(!due.valid) {
-            errors.push("Date can not be parsed. Please follow the format of "+this.config.schedulingTime.format);
+            errors.push(`Date can not be parsed. Please follow the format of ${this.config.schedulingTime.format}, or write a date like "tomorrow 9:00", "in 3 hours", "next monday 14:30" or "2026-11-02T09:00+01:00".`);
         } else if(due.getTime() < Date.now() - UpdateManager.UPDATE_INTERVAL) {
             errors.push("Date is in the past. Please schedule tweet for some point in the future.");
         }
     }
 
+    /**
+     * Checks the recurrence rule of a repeating card.
+     *
+     * @param {CardContent} cardContent - Content of the card to validate.
+     * @param {[string]} errors - Errors to add to.
+     * @returns {undefined}
+     */
+    validateRepeat(cardContent, errors) {
+        try {
+            new Recurrence(cardContent.getSection(Formatter.REPEAT));
+        }
+        catch(e) {
+            errors.push(`Repeat rule can not be parsed: ${e.message}. Please use a rule like "FREQ=WEEKLY;BYDAY=TU;UNTIL=20271231".`);
+        }
+        if(!cardContent.hasSection(Formatter.SCHEDULED)) {
+            errors.push(`Repeating posts need a "${Formatter.SCHEDULED}" section with the date of the first post.`);
+        }
+    }
+
+    /**
+     * Checks the media attached to a post against the limits of the account
+     * it is published on.
+     *
+     * @param {[{url: string}]} media - Media attached to the post.
+     * @param {module:media~MediaLimits} limits - Media limits of the account.
+     * @param {string} subject - What the media is attached to, starts the
+     *                           error messages.
+     * @param {[string]} errors - Errors to add to.
+     * @returns {undefined}
+     */
+    validateMedia(media, limits, subject, errors) {
+        for(const problem of Media.getProblems(media, limits)) {
+            errors.push(`${subject} ${problem}.`);
+        }
+    }
+
+    /**
+     * Checks the poll of a card against the poll limits of the account of the
+     * validator. Polls can't be combined with media.
+     *
+     * @param {CardContent} cardContent - Content of the card to validate.
+     * @param {[string]} errors - Errors to add to.
+     * @returns {undefined}
+     */
+    validatePoll(cardContent, errors) {
+        const { Account, TITLE: service } = self(this);
+        const limits = Account.POLL_LIMITS;
+        let poll;
+        try {
+            poll = Formatter.ParsePoll(cardContent.getSection(Formatter.POLL));
+        }
+        catch(e) {
+            errors.push(`Poll can not be parsed: ${e.message}. Please list the options as "- Option" lines, optionally followed by a line like "Duration: 2 days".`);
+            return;
+        }
+        if(poll.options.length < 2 || poll.options.length > limits.options) {
+            errors.push(`Poll needs 2 to ${limits.options} options on ${service}, but has ${poll.options.length}.`);
+        }
+        const tooLong = poll.options.filter((option) => option.length > limits.length);
+        if(tooLong.length) {
+            errors.push(`Poll options can be at most ${limits.length} characters long on ${service}. Please shorten ${tooLong.map((option) => `"${option}"`).join(", ")}.`);
+        }
+        if(poll.duration < limits.minDuration || poll.duration > limits.maxDuration) {
+            errors.push(`Poll can be open for ${formatDuration(limits.minDuration)} up to ${formatDuration(limits.maxDuration)} on ${service}.`);
+        }
+        if(poll.multiple && !limits.multiple) {
+            errors.push(`Polls on ${service} can not allow several answers. Please remove the "Multiple choice" line.`);
+        }
+        try {
+            const [ first ] = Account.GetThread({
+                content: cardContent
+            });
+            if(first && Account.getMediaAndContent(first)[1].length) {
+                errors.push(`Can not attach media to a post with a poll. Please remove the media or the "${Formatter.POLL}" section.`);
+            }
+        }
+        catch(e) {
+            // Content errors are reported separately.
+        }
+    }
+
+    /**
+     * Checks the options of a card against the values the account of the
+     * validator supports. Options the service doesn't support are ignored,
+     * so a card can have options for several services.
+     *
+     * @param {CardContent} cardContent - Content of the card to validate.
+     * @param {[string]} errors - Errors to add to.
+     * @returns {module:formatters/formatter~PostOptions?} Options of the card
+     *          the service supports, null if they can't be parsed.
+     */
+    validateOptions(cardContent, errors) {
+        const { Account, TITLE: service } = self(this);
+        let options;
+        try {
+            options = cardContent.getOptions();
+        }
+        catch(e) {
+            errors.push(`Options can not be parsed: ${e.message}. Please write one option per line, like "Visibility: unlisted".`);
+            return null;
+        }
+        const supported = Account ? Account.OPTIONS : {};
+        const valid = {};
+        for(const [ key, value ] of Object.entries(options)) {
+            const values = supported[key];
+            if(!values) {
+                continue;
+            }
+            if(Array.isArray(values) ? !values.includes(value) : !values.test(value)) {
+                errors.push(`"${value}" is not a valid value of the "${key}" option on ${service}.${Array.isArray(values) ? ` Please use one of ${values.join(", ")}.` : ""}`);
+            }
+            else {
+                valid[key] = value;
+            }
+        }
+        return valid;
+    }
+
+    /**
+     * Reports images without alt text in the content sections of the card.
+     *
+     * @param {CardContent} cardContent - Content of the card to validate.
+     * @param {[string]} errors - Errors to add to.
+     * @returns {undefined}
+     */
+    validateAltText(cardContent, errors) {
+        for(const section of this.sections) {
+            if(cardContent.hasSection(section)) {
+                const missing = cardContent.getSection(section).match(/!\[\s*\]\([^)]+\)/g);
+                if(missing) {
+                    errors.push(`${missing.length} image${missing.length > 1 ? 's' : ''} in the "${section}" section ${missing.length > 1 ? 'have' : 'has'} no alt text. Please describe each image for people using screen readers, like ![A cat sleeping on a keyboard](https://example.com/cat.png).`);
+                }
+            }
+        }
+    }
+
+    /**
+     * @param {string} text - Text of a post without its media.
+     * @returns {number?} Characters left in the post, or null if the service
+     *          has no limit.
+     */
+    getRemainingChars(text) { // eslint-disable-line no-unused-vars
+        return null;
+    }
+
+    /**
+     * Renders a single post the way it is sent, with its media as
+     * thumbnails.
+     *
+     * @param {string} post - Content of the post in Markdown.
+     * @returns {string} Preview of the post in Markdown.
+     * @throws {Error} When the post has too many images.
+     */
+    previewPost(post) {
+        const [ text, media ] = self(this).Account.getMediaAndContent(post);
+        const fence = getFence(text);
+        const parts = [ `${fence}
+${text}
+${fence}` ];
+        const remaining = this.getRemainingChars(text);
+        if(remaining !== null) {
+            parts.push(remaining < 0 ? `:x: ${-remaining} characters too many` : `${remaining} characters left`);
+        }
+        if(media.length) {
+            parts.push(media.map(({ url, alt }) => {
+                if(Media.guessType(url) === "video") {
+                    return `:movie_camera: [${alt || "video"}](${url})`;
+                }
+                return `<img src="${escapeAttribute(url)}" alt="${escapeAttribute(alt)}" height="100">`;
+            }).join(" "));
+        }
+        return parts.join("\n");
+    }
+
+    /**
+     * @param {[string]} posts - Content of the posts in Markdown.
+     * @param {string} noun - What a post is called on the service.
+     * @returns {[string]} Previews of the posts.
+     */
+    previewThread(posts, noun) {
+        if(posts.length === 1) {
+            return [ this.previewPost(posts[0]) ];
+        }
+        return posts.map((post, index) => `${noun} ${index + 1} of ${posts.length}:
+${this.previewPost(post)}`);
+    }
+
+    /**
+     * @param {CardContent} cardContent - Content of the card.
+     * @returns {string?} Options and duration of the poll of the card, if it
+     *          has a poll that can be parsed.
+     */
+    previewPoll(cardContent) {
+        if(!cardContent.hasSection(Formatter.POLL)) {
+            return null;
+        }
+        try {
+            const poll = Formatter.ParsePoll(cardContent.getSection(Formatter.POLL));
+            return `:bar_chart: Poll open for ${formatDuration(poll.duration)}${poll.multiple ? ", allowing several answers" : ""}:
+${poll.options.map((option) => `- ${option}`).join("\n")}`;
+        }
+        catch(e) {
+            return null;
+        }
+    }
+
+    /**
+     * @param {CardContent} cardContent - Content of the card.
+     * @returns {string?} When the card is published in the timezone of the
+     *          board, if it is scheduled.
+     */
+    previewScheduled(cardContent) {
+        if(!cardContent.isScheduled || !cardContent.date.valid) {
+            return null;
+        }
+        const date = cardContent.date;
+        const { format, timezone, region } = this.config.schedulingTime;
+        const zone = region || `UTC${timezone >= 0 ? "+" : ""}${timezone}`;
+        const utc = date.toISOString().slice(0, 16).replace("T", " ");
+        return `:calendar: Scheduled for ${ScheduledDate.formatDate(date, format, timezone, region)} (${zone}, ${utc} UTC)`;
+    }
+
+    /**
+     * @param {CardContent} cardContent - Content of the card.
+     * @returns {string?} Options of the card the service supports, null if
+     *          there are none or they can't be parsed.
+     */
+    previewOptions(cardContent) {
+        const { Account } = self(this);
+        if(!Account) {
+            return null;
+        }
+        try {
+            const options = Object.entries(cardContent.getOptions())
+                .filter(([ key ]) => key in Account.OPTIONS)
+                .map(([ key, value ]) => `${key} ${typeof value === "boolean" ? (value ? "yes" : "no") : value}`);
+            return options.length ? `:gear: Options: ${options.join(", ")}` : null;
+        }
+        catch(e) {
+            return null;
+        }
+    }
+
+    /**
+     * Content of the card on the service of the validator.
+     *
+     * @param {Card} card - Card to preview.
+     * @returns {[string]} Parts of the preview in Markdown.
+     */
+    previewContent(card) { // eslint-disable-line no-unused-vars
+        return [];
+    }
+
+    /**
+     * Renders how the card will be published on the service: the text that
+     * is sent, the remaining characters, the media, the post it replies to,
+     * its options and when it is published.
+     *
+     * @param {Card} card - Card to preview.
+     * @returns {string} Preview in Markdown, empty if there is nothing to
+     *          preview.
+     * @throws {Error} When the content of the card can not be published.
+     */
+    preview(card) {
+        const parts = this.previewContent(card);
+        const options = this.previewOptions(card.content);
+        if(options) {
+            parts.push(options);
+        }
+        const scheduled = this.previewScheduled(card.content);
+        if(scheduled) {
+            parts.push(scheduled);
+        }
+        return parts.join("\n\n");
+    }
+
     /**
      * Returns an error string if something is wrong with the card, else it's
      * just an empty string.
@@ -58,6 +379,20 @@ class Validator {
             this.validateScheduled(cardContent.getSection(Formatter.SCHEDULED), errors);
         }
 
+        if(cardContent.hasSection(Formatter.REPEAT)) {
+            this.validateRepeat(cardContent, errors);
+        }
+
+        if(cardContent.hasSection(Formatter.PRIORITY) && cardContent.priority === null) {
+            errors.push("Priority can not be parsed. Please start the priority section with a number, like \"1\" or \"2 - Normal\".");
+        }
+
+        this.validateOptions(cardContent, errors);
+
+        if(this.options.requireAltText) {
+            this.validateAltText(cardContent, errors);
+        }
+
         return errors;
     }
 }
@@ -0,0 +1,196 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+/**
+ * @module webhook-server
+ * @license MPL-2.0
+ */
+"use strict";
+
+const http = require("http");
+const crypto = require("crypto");
+const getStream = require("get-stream");
+const Emittery = require("emittery");
+
+/**
+ * Port the server listens on if none is configured.
+ *
+ * @const {number}
+ */
+const DEFAULT_PORT = 8080;
+
+/**
+ * Path webhooks are delivered to if none is configured.
+ *
+ * @const {string}
+ */
+const DEFAULT_PATH = "/webhook";
+
+/**
+ * Signature headers GitHub sends, with the HMAC algorithm they use. Ordered by
+ * preference.
+ *
+ * @const {Object.<string, string>}
+ */
+const SIGNATURE_HEADERS = {
+    "x-hub-signature-256": "sha256",
+    "x-hub-signature": "sha1"
+};
+
+/**
+ * @typedef {Object} WebhookConfig
+ * @property {string} secret - Secret configured for the webhook on GitHub.
+ * @property {number} [port=8080] - Port to listen on.
+ * @property {string} [path="/webhook"] - Path webhooks are delivered to.
+ */
+
+/**
+ * A webhook from GitHub was received. The event name is the GitHub event type,
+ * like "issues" or "project_card", the data is the parsed payload.
+ *
+ * @event module:webhook-server.WebhookServer#*
+ * @type {Object}
+ */
+
+/**
+ * HTTP server receiving webhooks from GitHub. Verifies the signature of each
+ * delivery and emits the payload as event named after the GitHub event.
+ *
+ * @alias module:webhook-server.WebhookServer
+ * @extends external:Emittery
+ */
+class WebhookServer extends Emittery {
+    /**
+     * Checks if the signature of a webhook delivery matches the body.
+     *
+     * @param {string} secret - Webhook secret.
+     * @param {string} body - Raw request body.
+     * @param {string} signature - Signature header value, prefixed with the
+     *                             algorithm, for example "sha256=...".
+     * @param {string} [algorithm="sha256"] - HMAC algorithm of the signature.
+     * @returns {boolean} Whether the signature is valid.
+     */
+    static verifySignature(secret, body, signature, algorithm = "sha256") {
+        if(typeof signature !== "string") {
+            return false;
+        }
+        const expected = Buffer.from(`${algorithm}=${crypto.createHmac(algorithm, secret).update(body).digest("hex")}`);
+        const actual = Buffer.from(signature);
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+
+    /**
+     * @param {module:webhook-server~WebhookConfig} config - Server config.
+     */
+    constructor(config) {
+        super();
+        /**
+         * @type {module:webhook-server~WebhookConfig}
+         */
+        this.config = config;
+        /**
+         * @type {external:http.Server}
+         */
+        this.server = http.createServer((request, response) => {
+            this.handleRequest(request, response).catch((e) => {
+                console.error("Handling webhook request", e);
+                if(!response.headersSent) {
+                    response.writeHead(500);
+                }
+                response.end();
+            });
+        });
+    }
+
+    /**
+     * @type {string}
+     * @readonly
+     */
+    get path() {
+        return this.config.path || DEFAULT_PATH;
+    }
+
+    /**
+     * Starts listening for webhook deliveries.
+     *
+     * @async
+     * @returns {undefined}
+     */
+    listen() {
+        const port = this.config.hasOwnProperty("port") ? this.config.port : DEFAULT_PORT;
+        return new Promise((resolve, reject) => {
+            this.server.once("error", reject);
+            this.server.listen(port, () => {
+                this.server.removeListener("error", reject);
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Stops the server.
+     *
+     * @async
+     * @returns {undefined}
+     */
+    close() {
+        return new Promise((resolve) => this.server.close(() => resolve()));
+    }
+
+    /**
+     * @param {external:http.IncomingMessage} request - Request to check.
+     * @param {string} body - Body of the request.
+     * @returns {boolean} Whether the request carries a valid signature.
+     */
+    isSigned(request, body) {
+        for(const header in SIGNATURE_HEADERS) {
+            if(header in request.headers) {
+                return WebhookServer.verifySignature(this.config.secret, body, request.headers[header], SIGNATURE_HEADERS[header]);
+            }
+        }
+        return false;
+    }
+
+    /**
+     * @param {external:http.IncomingMessage} request - Incoming request.
+     * @param {external:http.ServerResponse} response - Response to the request.
+     * @returns {undefined}
+     * @fires module:webhook-server.WebhookServer#*
+     */
+    async handleRequest(request, response) {
+        if(request.method !== "POST" || request.url.split("?")[0] !== this.path) {
+            response.writeHead(404);
+            response.end();
+            return;
+        }
+        const body = await getStream(request);
+        if(!this.isSigned(request, body)) {
+            response.writeHead(401);
+            response.end("Invalid signature");
+            return;
+        }
+        const event = request.headers["x-github-event"];
+        let payload;
+        try {
+            payload = JSON.parse(body);
+        }
+        catch(e) {
+            payload = undefined;
+        }
+        if(!event || !payload) {
+            response.writeHead(400);
+            response.end();
+            return;
+        }
+        // Respond right away, GitHub doesn't wait long for deliveries.
+        response.writeHead(202);
+        response.end();
+        if(event !== "ping") {
+            await this.emit(event, payload).catch((e) => console.error("Handling webhook", event, e));
+        }
+    }
+}
+
+module.exports = WebhookServer;
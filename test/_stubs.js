@@ -95,7 +95,7 @@ const getColumns = (columns) => {
 
 const getIssue = (content = 'lorem ipsum', number = 1) => {
     const labels = new Set();
-    return {
+    const issue = {
         number,
         id: 'foo',
         content,
@@ -103,6 +103,10 @@ const getIssue = (content = 'lorem ipsum', number = 1) => {
         hasLabel: sinon.spy((label) => labels.has(label)),
         removeLabel: sinon.spy((label) => labels.delete(label)),
         comment: sinon.stub(),
+        editComment: sinon.stub().resolves(),
+        getComments: sinon.stub().resolves([]),
+        getAuthenticatedLogin: sinon.stub().resolves('queue-bot'),
+        getApprovingReactions: sinon.stub().resolves([]),
         assign: sinon.stub(),
         update(data) {
             if(data.content) {
@@ -110,6 +114,11 @@ const getIssue = (content = 'lorem ipsum', number = 1) => {
             }
         }
     };
+    issue.setContent = sinon.spy((body) => {
+        issue.content = body;
+        return Promise.resolve();
+    });
+    return issue;
 };
 
 const getIssues = () => ({
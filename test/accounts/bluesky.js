@@ -0,0 +1,492 @@
+import test from 'ava';
+import BlueskyAccount from '../../lib/accounts/bluesky';
+import BlueskyFormatter from '../../lib/formatters/bluesky';
+import BlueskyValidator from '../../lib/validators/bluesky';
+import { getConfig, getIssue } from '../_stubs';
+import UpdateManager from '../../lib/update-manager';
+import Card from '../../lib/card';
+import CardContent from '../../lib/card-content';
+import DryRun from '../../lib/dry-run';
+import sinon from 'sinon';
+import querystring from 'querystring';
+
+const DID = 'did:plc:test';
+const HANDLE = 'test.bsky.social';
+
+const getResponse = (data, ok = true) => ({
+    ok,
+    status: ok ? 200 : 400,
+    json: () => Promise.resolve(data)
+});
+
+/**
+ * @param {Object.<string, function>} [handlers={}] - Responses by XRPC method,
+ *        called with the parsed query parameters or body.
+ * @returns {function} Fake fetch.
+ */
+const getClient = (handlers = {}) => sinon.spy(async (url, options = {}) => {
+    const [ path, query = '' ] = url.split('?');
+    const nsid = path.split('/').pop();
+    if(nsid === 'com.atproto.server.createSession') {
+        return getResponse({
+            did: DID,
+            handle: HANDLE,
+            accessJwt: 'access',
+            refreshJwt: 'refresh'
+        });
+    }
+    if(handlers.hasOwnProperty(nsid)) {
+        const input = options.method === 'POST' && typeof options.body === 'string' ? JSON.parse(options.body) : querystring.parse(query);
+        return handlers[nsid](input, options);
+    }
+    return getResponse({
+        error: 'MethodNotImplemented'
+    }, false);
+});
+
+const getRecordHandler = (records) => (params) => getResponse(records[params.rkey]);
+
+const getCreatedRecords = (client) => client.getCalls()
+    .filter((call) => call.args[0].endsWith('com.atproto.repo.createRecord'))
+    .map((call) => JSON.parse(call.args[1].body));
+
+const getCard = (options) => {
+    const config = getConfig();
+    return new Card(getIssue(BlueskyFormatter.Format(options, config)), config);
+};
+
+test.before((t) => {
+    t.context.clock = sinon.useFakeTimers();
+});
+
+test.after((t) => {
+    t.context.clock.restore();
+});
+
+test.afterEach(() => {
+    clearInterval(UpdateManager.interval);
+    UpdateManager.targets.clear();
+});
+
+test('get post from url', (t) => {
+    t.deepEqual(BlueskyAccount.getPostFromURL('https://bsky.app/profile/foo.bsky.social/post/3kabc123'), {
+        actor: 'foo.bsky.social',
+        rkey: '3kabc123'
+    });
+    t.deepEqual(BlueskyAccount.getPostFromURL(`https://bsky.app/profile/${DID}/post/3kabc123/`), {
+        actor: DID,
+        rkey: '3kabc123'
+    });
+});
+
+test('don\'t get a post from a non-post url', (t) => {
+    t.is(BlueskyAccount.getPostFromURL('https://bsky.app/profile/foo.bsky.social'), null);
+    t.is(BlueskyAccount.getPostFromURL('https://twitter.com/foo/status/1'), null);
+    t.is(BlueskyAccount.getPostFromURL('foo bar'), null);
+});
+
+test('make post permalink', (t) => {
+    t.is(BlueskyAccount.makePostPermalink(HANDLE, `at://${DID}/app.bsky.feed.post/3kabc`), `https://bsky.app/profile/${HANDLE}/post/3kabc`);
+});
+
+test('grapheme length counts combined emoji once', (t) => {
+    t.is(BlueskyAccount.getGraphemeLength('ab👨‍👩‍👧'), 3);
+    t.false(BlueskyAccount.postTooLong('👨‍👩‍👧'.repeat(BlueskyAccount.POST_LENGTH)));
+    t.true(BlueskyAccount.postTooLong('a'.repeat(BlueskyAccount.POST_LENGTH + 1)));
+});
+
+test('get media and content keeps alt text', (t) => {
+    const [ content, media ] = BlueskyAccount.getMediaAndContent('lorem ![a cat](https://example.com/cat.png) ipsum ![](https://example.com/dog.png)');
+    t.is(content, 'lorem  ipsum');
+    t.deepEqual(media, [
+        {
+            url: 'https://example.com/cat.png',
+            alt: 'a cat'
+        },
+        {
+            url: 'https://example.com/dog.png',
+            alt: ''
+        }
+    ]);
+});
+
+test('get media and content throws with too many images', (t) => {
+    t.throws(() => BlueskyAccount.getMediaAndContent('![](a)![](b)![](c)![](d)![](e)'));
+});
+
+test('detect facets with byte offsets', (t) => {
+    const text = '✨ see https://example.com/foo. with @foo.bsky.social!';
+    const facets = BlueskyAccount.detectFacets(text);
+
+    t.is(facets.length, 2);
+    const [ link, mention ] = facets;
+    t.deepEqual(link.features, [ {
+        $type: 'app.bsky.richtext.facet#link',
+        uri: 'https://example.com/foo'
+    } ]);
+    const buffer = Buffer.from(text);
+    t.is(buffer.slice(link.index.byteStart, link.index.byteEnd).toString(), 'https://example.com/foo');
+    t.deepEqual(mention.features, [ {
+        $type: 'app.bsky.richtext.facet#mention',
+        handle: 'foo.bsky.social'
+    } ]);
+    t.is(buffer.slice(mention.index.byteStart, mention.index.byteEnd).toString(), '@foo.bsky.social');
+});
+
+test('detect facets ignores emails and bare handles', (t) => {
+    t.deepEqual(BlueskyAccount.detectFacets('mail foo@example.com or @foo'), []);
+});
+
+test('check login stores the session', async (t) => {
+    const client = getClient();
+    const account = new BlueskyAccount({
+        name: 'test',
+        identifier: HANDLE,
+        password: 'app-password',
+        service: 'https://pds.example.com/'
+    }, client);
+    await account.ready;
+
+    t.is(account.did, DID);
+    t.is(account.handle, HANDLE);
+    t.is(client.firstCall.args[0], 'https://pds.example.com/xrpc/com.atproto.server.createSession');
+    t.deepEqual(JSON.parse(client.firstCall.args[1].body), {
+        identifier: HANDLE,
+        password: 'app-password'
+    });
+    t.is(await account.getAccountLink(), `[@${HANDLE}](https://bsky.app/profile/${HANDLE})`);
+});
+
+test('refreshes the session when the token expired', async (t) => {
+    let expired = true;
+    const client = getClient({
+        'com.atproto.server.refreshSession': (input, options) => {
+            t.is(options.headers.Authorization, 'Bearer refresh');
+            expired = false;
+            return getResponse({
+                did: DID,
+                handle: HANDLE,
+                accessJwt: 'new-access',
+                refreshJwt: 'new-refresh'
+            });
+        },
+        'com.atproto.identity.resolveHandle': (params, options) => {
+            if(expired) {
+                return getResponse({
+                    error: 'ExpiredToken'
+                }, false);
+            }
+            t.is(options.headers.Authorization, 'Bearer new-access');
+            return getResponse({
+                did: 'did:plc:foo'
+            });
+        }
+    });
+    const account = new BlueskyAccount({}, client);
+
+    t.is(await account.resolveActor('foo.bsky.social'), 'did:plc:foo');
+    t.is(account.session.refreshJwt, 'new-refresh');
+});
+
+test('publish post with facets and images', async (t) => {
+    const client = getClient({
+        'com.atproto.identity.resolveHandle': (params) => {
+            if(params.handle === 'foo.bsky.social') {
+                return getResponse({
+                    did: 'did:plc:foo'
+                });
+            }
+            return getResponse({
+                error: 'InvalidRequest'
+            }, false);
+        },
+        'com.atproto.repo.uploadBlob': (input, options) => {
+            t.is(options.headers['Content-Type'], 'image/png');
+            return getResponse({
+                blob: {
+                    ref: 'blob'
+                }
+            });
+        },
+        'com.atproto.repo.createRecord': () => getResponse({
+            uri: `at://${DID}/app.bsky.feed.post/3knew`,
+            cid: 'cid'
+        })
+    });
+    const account = new BlueskyAccount({}, client);
+    const image = {
+        ok: true,
+        buffer: () => Promise.resolve(Buffer.from('png')),
+        headers: new Map([ [ 'content-type', 'image/png' ] ])
+    };
+    const originalFetch = account._fetch;
+    account._fetch = (url, options) => {
+        if(url === 'https://example.com/cat.png') {
+            return Promise.resolve(image);
+        }
+        return originalFetch(url, options);
+    };
+    const card = getCard({
+        content: 'hi @foo.bsky.social and @gone.example.com ![a cat](https://example.com/cat.png)'
+    });
+
+    const result = await account.publish(card, false);
+
+    t.is(result, `Successfully posted. See https://bsky.app/profile/${HANDLE}/post/3knew`);
+    const [ request ] = getCreatedRecords(client);
+    t.is(request.repo, DID);
+    t.is(request.collection, 'app.bsky.feed.post');
+    t.is(request.record.$type, 'app.bsky.feed.post');
+    t.is(request.record.text, 'hi @foo.bsky.social and @gone.example.com');
+    t.deepEqual(request.record.facets, [ {
+        index: {
+            byteStart: 3,
+            byteEnd: 19
+        },
+        features: [ {
+            $type: 'app.bsky.richtext.facet#mention',
+            did: 'did:plc:foo'
+        } ]
+    } ]);
+    t.deepEqual(request.record.embed, {
+        $type: 'app.bsky.embed.images',
+        images: [ {
+            image: {
+                ref: 'blob'
+            },
+            alt: 'a cat'
+        } ]
+    });
+});
+
+test('publish reply and quote', async (t) => {
+    const client = getClient({
+        'com.atproto.identity.resolveHandle': () => getResponse({
+            did: 'did:plc:foo'
+        }),
+        'com.atproto.repo.getRecord': getRecordHandler({
+            parent: {
+                uri: 'at://did:plc:foo/app.bsky.feed.post/parent',
+                cid: 'parentcid',
+                value: {
+                    text: 'parent',
+                    reply: {
+                        root: {
+                            uri: 'at://did:plc:foo/app.bsky.feed.post/root',
+                            cid: 'rootcid'
+                        }
+                    }
+                }
+            },
+            quoted: {
+                uri: 'at://did:plc:foo/app.bsky.feed.post/quoted',
+                cid: 'quotedcid',
+                value: {
+                    text: 'quoted'
+                }
+            }
+        }),
+        'com.atproto.repo.createRecord': () => getResponse({
+            uri: `at://${DID}/app.bsky.feed.post/3knew`,
+            cid: 'cid'
+        })
+    });
+    const account = new BlueskyAccount({}, client);
+    const card = getCard({
+        content: 'lorem ipsum',
+        replyTo: 'https://bsky.app/profile/foo.bsky.social/post/parent',
+        quote: 'https://bsky.app/profile/foo.bsky.social/post/quoted'
+    });
+
+    t.true(account.isCardHighPrio(card));
+    await account.publish(card, false);
+
+    const [ request ] = getCreatedRecords(client);
+    t.deepEqual(request.record.reply, {
+        root: {
+            uri: 'at://did:plc:foo/app.bsky.feed.post/root',
+            cid: 'rootcid'
+        },
+        parent: {
+            uri: 'at://did:plc:foo/app.bsky.feed.post/parent',
+            cid: 'parentcid'
+        }
+    });
+    t.deepEqual(request.record.embed, {
+        $type: 'app.bsky.embed.record',
+        record: {
+            uri: 'at://did:plc:foo/app.bsky.feed.post/quoted',
+            cid: 'quotedcid'
+        }
+    });
+});
+
+test('publish repost', async (t) => {
+    const client = getClient({
+        'com.atproto.repo.getRecord': getRecordHandler({
+            orig: {
+                uri: 'at://did:plc:foo/app.bsky.feed.post/orig',
+                cid: 'origcid',
+                value: {}
+            }
+        }),
+        'com.atproto.repo.createRecord': () => getResponse({
+            uri: `at://${DID}/app.bsky.feed.repost/3knew`,
+            cid: 'cid'
+        })
+    });
+    const account = new BlueskyAccount({}, client);
+    const card = getCard({
+        isRepost: true,
+        repost: 'https://bsky.app/profile/did:plc:foo/post/orig'
+    });
+
+    t.is(await account.publish(card, false), 'Successfully reposted.');
+    const [ request ] = getCreatedRecords(client);
+    t.is(request.collection, 'app.bsky.feed.repost');
+    t.deepEqual(request.record.subject, {
+        uri: 'at://did:plc:foo/app.bsky.feed.post/orig',
+        cid: 'origcid'
+    });
+});
+
+test('publish in dry run', async (t) => {
+    const client = getClient();
+    const account = new BlueskyAccount({
+        name: 'test'
+    }, client);
+    await account.ready;
+    const card = getCard({
+        content: 'lorem https://example.com ![alt](https://example.com/foo.png)',
+        replyTo: 'https://bsky.app/profile/foo.bsky.social/post/1'
+    });
+    const log = sinon.stub(DryRun, 'log');
+
+    try {
+        const result = await account.publish(card, true);
+
+        t.is(result, 'Would have posted (dry run).');
+        t.is(client.callCount, 1);
+        t.true(log.calledOnce);
+        t.is(log.lastCall.args[0], 'Post on test');
+        t.deepEqual(log.lastCall.args[1], {
+            text: 'lorem https://example.com',
+            media: [ {
+                url: 'https://example.com/foo.png',
+                alt: 'alt'
+            } ],
+            facets: BlueskyAccount.detectFacets('lorem https://example.com'),
+            replyTo: 'https://bsky.app/profile/foo.bsky.social/post/1'
+        });
+    }
+    finally {
+        log.restore();
+    }
+});
+
+test('publish too long post throws', async (t) => {
+    const account = new BlueskyAccount({}, getClient());
+    const card = getCard({
+        content: 'a'.repeat(BlueskyAccount.POST_LENGTH + 1)
+    });
+
+    await t.throwsAsync(account.publish(card, false));
+});
+
+test('check posts', async (t) => {
+    const client = getClient({
+        'app.bsky.feed.getAuthorFeed': (params) => {
+            t.is(params.actor, DID);
+            return getResponse({
+                feed: [
+                    {
+                        post: {
+                            uri: `at://${DID}/app.bsky.feed.post/mine`,
+                            author: {
+                                did: DID,
+                                handle: HANDLE
+                            },
+                            record: {
+                                text: 'lorem ipsum dolor'
+                            }
+                        }
+                    },
+                    {
+                        post: {
+                            uri: 'at://did:plc:foo/app.bsky.feed.post/orig',
+                            author: {
+                                did: 'did:plc:foo',
+                                handle: 'foo.bsky.social'
+                            },
+                            record: {
+                                text: 'other'
+                            }
+                        },
+                        reason: {
+                            $type: 'app.bsky.feed.defs#reasonRepost',
+                            indexedAt: '2020-01-01T00:00:00.000Z'
+                        }
+                    }
+                ]
+            });
+        }
+    });
+    const account = new BlueskyAccount({}, client);
+    const posted = getCard({
+        content: 'lorem ipsum'
+    });
+    const reposted = getCard({
+        isRepost: true,
+        repost: 'https://bsky.app/profile/foo.bsky.social/post/orig'
+    });
+    const unpublished = getCard({
+        content: 'foo bar'
+    });
+    const markPublished = sinon.spy();
+
+    await account.checkPosts({
+        cards: Promise.resolve(new Set([
+            posted,
+            reposted,
+            unpublished
+        ]))
+    }, markPublished);
+
+    t.is(markPublished.callCount, 2);
+    t.true(markPublished.calledWith(posted, `https://bsky.app/profile/${HANDLE}/post/mine`));
+    t.true(markPublished.calledWith(reposted, 'Already reposted.'));
+});
+
+test('validator accepts valid post', (t) => {
+    const validator = new BlueskyValidator(getConfig());
+    const content = new CardContent(BlueskyFormatter.Format({
+        content: 'lorem ipsum',
+        replyTo: 'https://bsky.app/profile/foo.bsky.social/post/1',
+        quote: 'https://bsky.app/profile/foo.bsky.social/post/2'
+    }, getConfig()), getConfig());
+
+    t.deepEqual(validator.validate(content), []);
+});
+
+test('validator rejects too long posts and invalid urls', (t) => {
+    const validator = new BlueskyValidator(getConfig());
+    const content = new CardContent(BlueskyFormatter.Format({
+        content: 'a'.repeat(BlueskyAccount.POST_LENGTH + 2),
+        replyTo: 'https://twitter.com/foo/status/1',
+        quote: 'https://example.com'
+    }, getConfig()), getConfig());
+
+    const errors = validator.validate(content);
+    t.is(errors.length, 3);
+    t.true(errors[0].includes('too long by 2'));
+});
+
+test('validator rejects invalid repost url', (t) => {
+    const validator = new BlueskyValidator(getConfig());
+    const content = new CardContent(BlueskyFormatter.Format({
+        isRepost: true,
+        repost: 'https://example.com'
+    }, getConfig()), getConfig());
+
+    t.is(validator.validate(content).length, 1);
+});
@@ -0,0 +1,835 @@
+import test from 'ava';
+import MastodonAccount from '../../lib/accounts/mastodon';
+import MastodonFormatter from '../../lib/formatters/mastodon';
+import UpdateManager from '../../lib/update-manager';
+import Card from '../../lib/card';
+import Media from '../../lib/media';
+import { getConfig, getIssue } from '../_stubs';
+import sinon from 'sinon';
+
+const ACCOUNT = {
+    id: '1',
+    username: 'test',
+    url: 'https://mastodon.example/@test'
+};
+
+const getClient = () => {
+    const client = {
+        get: sinon.stub(),
+        post: sinon.stub(),
+        put: sinon.stub().resolves({}),
+        del: sinon.stub().resolves({})
+    };
+    client.get.withArgs('/accounts/verify_credentials').resolves({
+        data: ACCOUNT
+    });
+    client.get.withArgs(`/accounts/${ACCOUNT.id}/statuses`).resolves({
+        data: []
+    });
+    return client;
+};
+
+const getMention = (id, createdAt = new Date(Date.now() + 1000).toISOString()) => ({
+    id: `n${id}`,
+    type: 'mention',
+    status: {
+        id,
+        created_at: createdAt,
+        content: '<p>@test lorem</p><p>ipsum &amp; dolor</p>',
+        account: {
+            acct: 'foo@example.com',
+            url: 'https://example.com/@foo'
+        }
+    }
+});
+
+/**
+ * @param {Object} options - Options for the formatter.
+ * @param {string} [sections=''] - Raw sections appended to the content.
+ * @returns {module:card.Card} Card with the formatted content.
+ */
+const getCard = (options, sections = '') => {
+    const config = getConfig();
+    return new Card(getIssue(MastodonFormatter.Format(options, config) + sections), config);
+};
+
+const getNotFoundError = () => {
+    const error = new Error('Request failed with status code 404');
+    error.response = {
+        status: 404
+    };
+    return error;
+};
+
+// Mention events are emitted asynchronously.
+const flushEvents = () => new Promise((resolve) => process.nextTick(resolve));
+
+// Ensure update manager never calls update during tests unless we explicitly want it to.
+test.before((t) => {
+    t.context.clock = sinon.useFakeTimers();
+});
+
+test.after((t) => {
+    t.context.clock.restore();
+});
+
+test.afterEach(() => {
+    clearInterval(UpdateManager.interval);
+    UpdateManager.targets.clear();
+});
+
+test('get toot id', (t) => {
+    t.is(MastodonAccount.getTootID('https://mastodon.social/@thinkMoult/100245050014943650'), '100245050014943650');
+    t.is(MastodonAccount.getTootID('https://mastodon.social/users/thinkMoult/statuses/100245050014943650/'), '100245050014943650');
+    t.is(MastodonAccount.getTootID('https://mastodon.social/@thinkMoult'), null);
+});
+
+test('check login', async (t) => {
+    const client = getClient();
+    const account = new MastodonAccount({}, client);
+
+    await account.ready;
+
+    t.is(account.username, ACCOUNT.username);
+    t.is(account.url, ACCOUNT.url);
+    t.is(account.id, ACCOUNT.id);
+});
+
+test('last mention', async (t) => {
+    const client = getClient();
+    const account = new MastodonAccount({}, client);
+    const listener = sinon.spy();
+    account.on('mention', listener);
+    client.get.withArgs('/notifications').resolves({
+        data: [
+            getMention('3'),
+            getMention('2')
+        ]
+    });
+
+    t.is(await account.lastMention, 'n3');
+    await flushEvents();
+    t.true(client.get.calledWith('/notifications', sinon.match({
+        limit: 30
+    })));
+    t.false('since_id' in client.get.withArgs('/notifications').firstCall.args[1]);
+    t.deepEqual(listener.args.map(([ status ]) => status.id), [ '2', '3' ]);
+});
+
+test('last mention second run continues after the last notification', async (t) => {
+    const client = getClient();
+    const account = new MastodonAccount({}, client);
+    const notifications = client.get.withArgs('/notifications');
+    notifications.resolves({
+        data: [ getMention('2') ]
+    });
+    await account.lastMention;
+
+    notifications.resolves({
+        data: []
+    });
+    t.context.clock.tick(UpdateManager.UPDATE_INTERVAL + 1);
+
+    t.is(await account.lastMention, 'n2');
+    t.is(notifications.lastCall.args[1].since_id, 'n2');
+});
+
+test('last mention pages back to the last notification', async (t) => {
+    const client = getClient();
+    const account = new MastodonAccount({}, client);
+    const listener = sinon.spy();
+    account.on('mention', listener);
+    const notifications = client.get.withArgs('/notifications');
+    notifications.resolves({
+        data: [ getMention('1') ]
+    });
+    await account.lastMention;
+    await flushEvents();
+    listener.resetHistory();
+
+    const mentions = [];
+    for(let id = 32; id > 1; --id) {
+        mentions.push(getMention(`${id}`));
+    }
+    notifications.withArgs('/notifications', sinon.match({
+        since_id: 'n1'
+    })).resolves({
+        data: mentions.slice(0, 30)
+    });
+    notifications.withArgs('/notifications', sinon.match({
+        max_id: 'n3'
+    })).resolves({
+        data: mentions.slice(30)
+    });
+    t.context.clock.tick(UpdateManager.UPDATE_INTERVAL + 1);
+
+    t.is(await account.lastMention, 'n32');
+    await flushEvents();
+    t.is(listener.callCount, 31);
+    t.is(listener.firstCall.args[0].id, '2');
+    t.is(notifications.lastCall.args[1].since_id, 'n1');
+});
+
+test('last mention skips mentions that were replied to', async (t) => {
+    const client = getClient();
+    client.get.withArgs(`/accounts/${ACCOUNT.id}/statuses`).resolves({
+        data: [
+            {
+                id: '10',
+                in_reply_to_id: '2',
+                created_at: new Date(Date.now() - 1000).toISOString()
+            }
+        ]
+    });
+    client.get.withArgs('/notifications').resolves({
+        data: [
+            getMention('3'),
+            getMention('2')
+        ]
+    });
+    const account = new MastodonAccount({}, client);
+    const listener = sinon.spy();
+    account.on('mention', listener);
+
+    await account.lastMention;
+    await flushEvents();
+
+    t.deepEqual(listener.args.map(([ status ]) => status.id), [ '3' ]);
+});
+
+test('stream event emits mention', async (t) => {
+    const account = new MastodonAccount({}, getClient());
+    const listener = sinon.spy();
+    account.on('mention', listener);
+    const mention = getMention('2');
+
+    account.handleStreamEvent(`event: notification
+data: ${JSON.stringify(mention)}`);
+    account.handleStreamEvent(`event: notification
+data: ${JSON.stringify(Object.assign({}, mention, {
+        type: 'favourite'
+    }))}`);
+    account.handleStreamEvent(`event: update
+data: ${JSON.stringify(mention.status)}`);
+    await flushEvents();
+
+    t.true(listener.calledOnce);
+    t.is(listener.firstCall.args[0].id, '2');
+});
+
+test('mentions from the stream are not emitted again when polling', async (t) => {
+    const client = getClient();
+    const account = new MastodonAccount({}, client);
+    const listener = sinon.spy();
+    account.on('mention', listener);
+    const mention = getMention('2');
+    client.get.withArgs('/notifications').resolves({
+        data: [ mention ]
+    });
+
+    account.handleStreamEvent(`event: notification
+data: ${JSON.stringify(mention)}`);
+    await account.lastMention;
+    await flushEvents();
+
+    t.true(listener.calledOnce);
+});
+
+test('get mention permalink', async (t) => {
+    const account = new MastodonAccount({}, getClient());
+    await account.ready;
+
+    t.is(account.getMentionPermalink(getMention('2').status), 'https://mastodon.example/@foo@example.com/2');
+});
+
+test('get mention author', (t) => {
+    const account = new MastodonAccount({}, getClient());
+
+    t.is(account.getMentionAuthor(getMention('2').status), 'foo@example.com');
+});
+
+test('format mention', (t) => {
+    const account = new MastodonAccount({}, getClient());
+
+    t.is(account.formatMention(getMention('2').status), [
+        '> [@foo@example.com](https://example.com/@foo):',
+        '> ',
+        '> @test lorem',
+        '> ',
+        '> ipsum & dolor'
+    ].join('\n'));
+});
+
+test('has replied to', async (t) => {
+    const client = getClient();
+    client.get.withArgs(`/accounts/${ACCOUNT.id}/statuses`).resolves({
+        data: [
+            {
+                id: '10',
+                in_reply_to_id: '2'
+            }
+        ]
+    });
+    const account = new MastodonAccount({}, client);
+
+    t.true(await account.hasRepliedTo('https://mastodon.example/@foo@example.com/2'));
+    t.false(await account.hasRepliedTo('https://mastodon.example/@foo@example.com/3'));
+    t.false(await account.hasRepliedTo('https://mastodon.example/@foo@example.com'));
+});
+
+test('check posts marks published toots and reblogs', async (t) => {
+    const client = getClient();
+    client.get.withArgs(`/accounts/${ACCOUNT.id}/statuses`).resolves({
+        data: [
+            {
+                id: '10',
+                url: 'https://mastodon.example/@test/10',
+                content: '<p>lorem ipsum</p>'
+            },
+            {
+                id: '2',
+                url: 'https://mastodon.example/@foo/2',
+                content: '<p>reblogged</p>'
+            }
+        ]
+    });
+    const account = new MastodonAccount({}, client);
+    const posted = getCard({
+        content: 'lorem ipsum'
+    });
+    const reblogged = new Card(getIssue(`## ${MastodonFormatter.REBLOG}
+https://mastodon.example/@foo/2`), getConfig());
+    const unpublished = getCard({
+        content: 'foo bar'
+    });
+    const markPublished = sinon.spy();
+
+    await account.checkPosts({
+        cards: Promise.resolve(new Set([
+            posted,
+            reblogged,
+            unpublished
+        ]))
+    }, markPublished);
+
+    t.is(markPublished.callCount, 2);
+    t.true(markPublished.calledWith(posted, 'https://mastodon.example/@test/10'));
+    t.true(markPublished.calledWith(reblogged, 'Already reblogged'));
+});
+
+test('can schedule single toots far enough ahead', (t) => {
+    const account = new MastodonAccount({}, getClient());
+    const dueDate = new Date(Date.now() + MastodonAccount.MIN_SCHEDULE_DELAY + 60000);
+
+    t.true(account.canSchedule(getCard({
+        content: 'lorem ipsum',
+        dueDate
+    })));
+    t.false(account.canSchedule(getCard({
+        content: 'lorem ipsum',
+        dueDate: new Date(Date.now() + MastodonAccount.MIN_SCHEDULE_DELAY - 60000)
+    })));
+    t.false(account.canSchedule(getCard({
+        thread: [ 'foo', 'bar' ],
+        dueDate
+    })));
+    t.false(account.canSchedule(getCard({
+        content: 'lorem ipsum',
+        poll: '- foo\n- bar',
+        dueDate
+    })));
+});
+
+test('minimum schedule delay is more than the five minutes mastodon requires', (t) => {
+    t.true(MastodonAccount.MIN_SCHEDULE_DELAY > 5 * 60 * 1000);
+});
+
+test('schedule', async (t) => {
+    const client = getClient();
+    client.post.resolves({
+        data: {
+            id: 's1'
+        }
+    });
+    const account = new MastodonAccount({}, client);
+    const date = new Date(Date.now() + 3600000);
+    const card = getCard({
+        content: 'lorem ipsum',
+        replyTo: 'https://mastodon.example/@foo/2'
+    });
+
+    t.is(await account.schedule(card, date, false), 's1');
+    t.true(client.post.calledOnceWith('/statuses', {
+        status: 'lorem ipsum',
+        in_reply_to_id: '2',
+        scheduled_at: date.toISOString()
+    }));
+});
+
+test('schedule in dry run', async (t) => {
+    const client = getClient();
+    const account = new MastodonAccount({}, client);
+
+    t.is(await account.schedule(getCard({
+        content: 'lorem ipsum'
+    }), new Date(Date.now() + 3600000), true), null);
+    t.false(client.post.called);
+});
+
+test('reschedule', async (t) => {
+    const client = getClient();
+    const account = new MastodonAccount({}, client);
+    const date = new Date(Date.now() + 3600000);
+
+    await account.reschedule('s1', date, false);
+
+    t.true(client.put.calledOnceWith('/scheduled_statuses/s1', {
+        scheduled_at: date.toISOString()
+    }));
+});
+
+test('cancel scheduled', async (t) => {
+    const client = getClient();
+    const account = new MastodonAccount({}, client);
+
+    await account.cancelScheduled('s1', true);
+    t.false(client.del.called);
+
+    await account.cancelScheduled('s1', false);
+    t.true(client.del.calledOnceWith('/scheduled_statuses/s1'));
+});
+
+test('is scheduled', async (t) => {
+    const client = getClient();
+    const account = new MastodonAccount({}, client);
+    client.get.withArgs('/scheduled_statuses/s1').resolves({
+        data: {
+            id: 's1'
+        }
+    });
+    client.get.withArgs('/scheduled_statuses/s2').rejects(getNotFoundError());
+    client.get.withArgs('/scheduled_statuses/s3').rejects(new Error('network'));
+
+    t.true(await account.isScheduled('s1'));
+    t.false(await account.isScheduled('s2'));
+    await t.throwsAsync(account.isScheduled('s3'));
+});
+
+test('find scheduled post', async (t) => {
+    const client = getClient();
+    const date = new Date(Date.now() + 3600000);
+    const statuses = client.get.withArgs(`/accounts/${ACCOUNT.id}/statuses`);
+    const account = new MastodonAccount({}, client);
+    await account.toots;
+    statuses.resolves({
+        data: [
+            {
+                id: '11',
+                url: 'https://mastodon.example/@test/11',
+                content: '<p>lorem ipsum</p>',
+                created_at: new Date(date.getTime() + 1000).toISOString()
+            },
+            {
+                id: '10',
+                url: 'https://mastodon.example/@test/10',
+                content: '<p>lorem ipsum</p>',
+                created_at: new Date(date.getTime() - 3600000).toISOString()
+            }
+        ]
+    });
+    const card = getCard({
+        content: 'lorem ipsum'
+    });
+
+    t.is(await account.findScheduledPost(card, date), 'https://mastodon.example/@test/11');
+    t.is(await account.findScheduledPost(getCard({
+        content: 'dolor'
+    }), date), null);
+    t.is(await account.findScheduledPost(card, new Date(date.getTime() + 3600000)), null);
+});
+
+test.serial('upload media with alt text', async (t) => {
+    const client = getClient();
+    client.post.withArgs('/media').resolves({
+        status: 200,
+        data: {
+            id: 'm1',
+            url: 'https://mastodon.example/media/m1.png'
+        }
+    });
+    const account = new MastodonAccount({}, client);
+    const load = sinon.stub(Media, 'load').resolves({
+        data: Buffer.from('data'),
+        mimeType: 'image/png',
+        type: 'image',
+        size: 4
+    });
+
+    try {
+        t.is(await account.uploadMedia('https://example.com/foo.png?size=large', 'A cat'), 'm1');
+        t.true(load.calledWith('https://example.com/foo.png?size=large', MastodonAccount.MEDIA_LIMITS));
+        const form = client.post.lastCall.args[1].getBuffer().toString();
+        t.true(form.includes('filename="foo.png"'));
+        t.true(form.includes('name="description"\r\n\r\nA cat'));
+
+        await account.uploadMedia('https://example.com/foo.png');
+        t.false(client.post.lastCall.args[1].getBuffer().toString()
+            .includes('name="description"'));
+    }
+    finally {
+        load.restore();
+    }
+});
+
+test('separate content and media passes alt text', async (t) => {
+    const account = new MastodonAccount({}, getClient());
+    account.uploadMedia = sinon.stub().resolves('m1');
+
+    const [ content, media ] = await account.separateContentAndMedia('lorem ![A cat](https://example.com/foo.png)');
+
+    t.is(content, 'lorem');
+    t.deepEqual(media, [ 'm1' ]);
+    t.true(account.uploadMedia.calledOnceWith('https://example.com/foo.png', 'A cat'));
+});
+
+const stubMedia = (t) => {
+    const load = sinon.stub(Media, 'load').resolves({
+        data: Buffer.from('data'),
+        mimeType: 'video/mp4',
+        type: 'video',
+        size: 4
+    });
+    const wait = sinon.stub(Media, 'wait').resolves();
+    t.teardown(() => {
+        load.restore();
+        wait.restore();
+    });
+    return wait;
+};
+
+test.serial('upload media waits until it is processed', async (t) => {
+    const wait = stubMedia(t);
+    const client = getClient();
+    client.post.withArgs('/media').resolves({
+        status: 202,
+        data: {
+            id: 'm1',
+            url: null
+        }
+    });
+    const processing = client.get.withArgs('/media/m1');
+    processing.onFirstCall().resolves({
+        status: 206,
+        data: {
+            id: 'm1',
+            url: null
+        }
+    });
+    processing.onSecondCall().resolves({
+        status: 200,
+        data: {
+            id: 'm1',
+            url: null
+        }
+    });
+    processing.resolves({
+        status: 200,
+        data: {
+            id: 'm1',
+            url: 'https://mastodon.example/media/m1.mp4'
+        }
+    });
+    const account = new MastodonAccount({}, client);
+
+    t.is(await account.uploadMedia('https://example.com/foo.mp4'), 'm1');
+    t.is(processing.callCount, 3);
+    t.is(wait.callCount, 3);
+});
+
+test.serial('upload media gives up when processing takes too long', async (t) => {
+    const wait = stubMedia(t);
+    const client = getClient();
+    client.post.withArgs('/media').resolves({
+        status: 202,
+        data: {
+            id: 'm1',
+            url: null
+        }
+    });
+    const processing = client.get.withArgs('/media/m1').resolves({
+        status: 206,
+        data: {
+            id: 'm1',
+            url: null
+        }
+    });
+    const account = new MastodonAccount({}, client);
+
+    await t.throwsAsync(account.uploadMedia('https://example.com/foo.mp4'), {
+        message: 'Media https://example.com/foo.mp4 was not processed in time'
+    });
+    t.is(processing.callCount, 60);
+    t.is(wait.callCount, 60);
+});
+
+/**
+ * @param {Object} client - Client stub to respond to status posts.
+ * @returns {sinon.SinonStub} Stub of the statuses endpoint.
+ */
+const stubStatuses = (client) => client.post.withArgs('/statuses').callsFake(() => {
+    const id = String(client.post.withArgs('/statuses').callCount);
+    return Promise.resolve({
+        data: {
+            id,
+            url: `https://mastodon.example/@test/${id}`
+        }
+    });
+});
+
+test('publish quoting a toot appends its permalink', async (t) => {
+    const client = getClient();
+    const statuses = stubStatuses(client);
+    const account = new MastodonAccount({}, client);
+    const card = getCard({
+        content: 'lorem ipsum',
+        quote: 'https://mastodon.example/@foo/5'
+    });
+
+    await account.publish(card, false);
+
+    t.true(statuses.calledOnceWith('/statuses', {
+        status: 'lorem ipsum\n\nhttps://mastodon.example/@foo/5'
+    }));
+});
+
+test('publish quoting a toot natively', async (t) => {
+    const client = getClient();
+    const statuses = stubStatuses(client);
+    const account = new MastodonAccount({
+        nativeQuotes: true
+    }, client);
+    const card = getCard({
+        content: 'lorem ipsum',
+        quote: 'https://mastodon.example/@foo/5'
+    });
+
+    await account.publish(card, false);
+
+    t.true(statuses.calledOnceWith('/statuses', {
+        status: 'lorem ipsum',
+        quoted_status_id: '5'
+    }));
+});
+
+test('publish thread only quotes with the first toot', async (t) => {
+    const client = getClient();
+    const statuses = stubStatuses(client);
+    const account = new MastodonAccount({}, client);
+    const card = getCard({
+        thread: [
+            'lorem',
+            'ipsum'
+        ],
+        quote: 'https://mastodon.example/@foo/5'
+    });
+
+    await account.publish(card, false);
+
+    t.is(statuses.callCount, 2);
+    t.deepEqual(statuses.firstCall.args[1], {
+        status: 'lorem\n\nhttps://mastodon.example/@foo/5'
+    });
+    t.deepEqual(statuses.secondCall.args[1], {
+        status: 'ipsum',
+        in_reply_to_id: '1'
+    });
+});
+
+test('publish thread continues after the last published toot', async (t) => {
+    const client = getClient();
+    const statuses = stubStatuses(client);
+    const account = new MastodonAccount({
+        name: 'test'
+    }, client);
+    const card = getCard({
+        thread: [
+            'lorem',
+            'ipsum',
+            'dolor'
+        ]
+    });
+    const error = new Error('Request failed with status code 500');
+    statuses.onSecondCall().rejects(error);
+
+    await t.throwsAsync(account.publish(card, false), { is: error });
+    t.deepEqual(account.getPublishedThread(card), [ 'https://mastodon.example/@test/1' ]);
+
+    const result = await account.publish(card, false);
+
+    t.is(statuses.callCount, 4);
+    t.deepEqual(statuses.thirdCall.args[1], {
+        status: 'ipsum',
+        in_reply_to_id: '1'
+    });
+    t.deepEqual(statuses.lastCall.args[1], {
+        status: 'dolor',
+        in_reply_to_id: '3'
+    });
+    t.true(result.includes('https://mastodon.example/@test/1'));
+    t.true(result.includes('https://mastodon.example/@test/4'));
+    t.is(card.content.getMarker(account.threadMarker), undefined);
+});
+
+test('publish poll', async (t) => {
+    const client = getClient();
+    const expiresAt = new Date(Date.now() + 7200000).toISOString();
+    const statuses = client.post.withArgs('/statuses').resolves({
+        data: {
+            id: '1',
+            url: 'https://mastodon.example/@test/1',
+            poll: {
+                id: 'p1',
+                expires_at: expiresAt
+            }
+        }
+    });
+    const account = new MastodonAccount({
+        name: 'test'
+    }, client);
+    const card = getCard({
+        content: 'Which one?',
+        poll: `- a
+- b
+Duration: 2 hours
+Multiple choice: yes`
+    });
+    card.setMarker = sinon.stub().resolves();
+
+    await account.publish(card, false);
+
+    t.true(statuses.calledOnceWith('/statuses', {
+        status: 'Which one?',
+        poll: {
+            options: [ 'a', 'b' ],
+            expires_in: 7200,
+            multiple: true
+        }
+    }));
+    t.is(account.pollMarker, 'poll:mastodon:test');
+    t.true(card.setMarker.withArgs(account.pollMarker).calledOnceWith(account.pollMarker, {
+        id: 'p1',
+        closes: Date.parse(expiresAt)
+    }, false));
+});
+
+test('publish thread only attaches the poll to the first toot', async (t) => {
+    const client = getClient();
+    const statuses = stubStatuses(client);
+    const account = new MastodonAccount({}, client);
+    const card = getCard({
+        thread: [
+            'Which one?',
+            'second'
+        ],
+        poll: `- a
+- b`
+    });
+    card.setMarker = sinon.stub().resolves();
+
+    await account.publish(card, false);
+
+    t.deepEqual(statuses.firstCall.args[1].poll, {
+        options: [ 'a', 'b' ],
+        expires_in: 24 * 60 * 60,
+        multiple: false
+    });
+    t.false('poll' in statuses.secondCall.args[1]);
+    // The stub does not return a poll, so there is nothing to report.
+    t.false(card.setMarker.calledWith(account.pollMarker));
+});
+
+test('get poll results', async (t) => {
+    const client = getClient();
+    client.get.withArgs('/polls/p1').resolves({
+        data: {
+            id: 'p1',
+            expired: true,
+            votes_count: 4,
+            options: [
+                {
+                    title: 'a',
+                    votes_count: 3
+                },
+                {
+                    title: 'b',
+                    votes_count: 1
+                }
+            ]
+        }
+    });
+    const account = new MastodonAccount({}, client);
+
+    t.deepEqual(await account.getPollResults('p1'), {
+        closed: true,
+        options: [
+            {
+                title: 'a',
+                votes: 3
+            },
+            {
+                title: 'b',
+                votes: 1
+            }
+        ]
+    });
+});
+
+test('publish with options', async (t) => {
+    const client = getClient();
+    const statuses = stubStatuses(client);
+    const account = new MastodonAccount({}, client);
+    const card = getCard({
+        thread: [
+            'lorem',
+            'ipsum'
+        ]
+    }, `
+## Options
+Visibility: unlisted
+Language: de
+Sensitive: yes
+Replies: mentioned`);
+
+    await account.publish(card, false);
+
+    t.deepEqual(statuses.firstCall.args[1], {
+        status: 'lorem',
+        visibility: 'unlisted',
+        language: 'de',
+        sensitive: true
+    });
+    t.deepEqual(statuses.secondCall.args[1], {
+        status: 'ipsum',
+        in_reply_to_id: '1',
+        visibility: 'unlisted',
+        language: 'de',
+        sensitive: true
+    });
+});
+
+test('publish without sensitive option', async (t) => {
+    const client = getClient();
+    const statuses = stubStatuses(client);
+    const account = new MastodonAccount({}, client);
+    const card = getCard({
+        content: 'lorem'
+    }, `
+## Options
+Sensitive: no`);
+
+    await account.publish(card, false);
+
+    t.true(statuses.calledOnceWith('/statuses', {
+        status: 'lorem'
+    }));
+});
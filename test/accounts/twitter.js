@@ -1,8 +1,15 @@
 import test from 'ava';
 import TwitterAccount from '../../lib/accounts/twitter';
-import { getTwitterClient, getConfig } from '../_stubs';
+import { getTwitterClient, getConfig, getIssue } from '../_stubs';
 import UpdateManager from '../../lib/update-manager';
 import sinon from 'sinon';
+import PersistenceManager from '../../lib/persistence/manager';
+import Card from '../../lib/card';
+import TwitterFormatter from '../../lib/formatters/twitter';
+import DryRun from '../../lib/dry-run';
+import CardContent from '../../lib/card-content';
+import TwitterValidator from '../../lib/validators/twitter';
+import Media from '../../lib/media';
 
 // Ensure update manager never calls update during tests unless we explicitly want it to.
 test.before((t) => {
@@ -149,7 +156,8 @@ test('get media and content', (t) => {
 
     t.is(pureTweet, text);
     t.is(media.length, 1);
-    t.is(media[0], mediaURL);
+    t.is(media[0].url, mediaURL);
+    t.is(media[0].alt, '');
 });
 
 test('get media and content with alt text', (t) => {
@@ -162,7 +170,8 @@ test('get media and content with alt text', (t) => {
 
     t.is(pureTweet, text);
     t.is(media.length, 1);
-    t.is(media[0], mediaURL);
+    t.is(media[0].url, mediaURL);
+    t.is(media[0].alt, 'foo bar');
 });
 
 test('get content with no media', (t) => {
@@ -217,7 +226,223 @@ test('construction ready rejected', (t) => {
     });
 });
 
-test.todo('uploadMedia');
+test.serial('uploadMedia', async (t) => {
+    const client = getTwitterClient();
+    client.get.resolves({
+        screen_name: 'test'
+    });
+    client.post.resolves({
+        media_id_string: '1'
+    });
+    const account = new TwitterAccount(getConfig(), client);
+    account.setAltText = sinon.stub().resolves();
+    const load = sinon.stub(Media, 'load').resolves({
+        data: Buffer.from('data'),
+        mimeType: 'image/png',
+        type: 'image',
+        size: 4
+    });
+
+    try {
+        t.is(await account.uploadMedia('https://example.com/foo.png'), '1');
+        t.true(load.calledWith('https://example.com/foo.png', TwitterAccount.MEDIA_LIMITS));
+        t.true(client.post.calledWith('media/upload', {
+            media_data: Buffer.from('data').toString('base64')
+        }));
+        t.false(account.setAltText.called);
+
+        t.is(await account.uploadMedia('https://example.com/foo.png', 'foo'), '1');
+        t.true(account.setAltText.calledWith('1', 'foo'));
+    }
+    finally {
+        load.restore();
+    }
+});
+
+test.serial('uploadMedia uploads videos in chunks', async (t) => {
+    const client = getTwitterClient();
+    client.get.withArgs('account/verify_credentials').resolves({
+        screen_name: 'test'
+    });
+    const size = 1024 * 1024 + 10;
+    client.post.withArgs('media/upload', sinon.match({
+        command: 'INIT'
+    })).resolves({
+        media_id_string: '2'
+    });
+    client.post.withArgs('media/upload', sinon.match({
+        command: 'APPEND'
+    })).resolves({});
+    client.post.withArgs('media/upload', sinon.match({
+        command: 'FINALIZE'
+    })).resolves({
+        processing_info: {
+            state: 'pending',
+            check_after_secs: 5
+        }
+    });
+    client.get.withArgs('media/upload').resolves({
+        processing_info: {
+            state: 'succeeded'
+        }
+    });
+    const account = new TwitterAccount(getConfig(), client);
+    const load = sinon.stub(Media, 'load').resolves({
+        data: Buffer.alloc(size),
+        mimeType: 'video/mp4',
+        type: 'video',
+        size
+    });
+    const wait = sinon.stub(Media, 'wait').resolves();
+
+    try {
+        t.is(await account.uploadMedia('https://example.com/foo.mp4'), '2');
+        const init = client.post.getCall(0).args[1];
+        t.is(init.total_bytes, size);
+        t.is(init.media_type, 'video/mp4');
+        t.is(init.media_category, 'tweet_video');
+        const appends = client.post.getCalls().filter((call) => call.args[1].command === 'APPEND');
+        t.is(appends.length, 2);
+        t.is(appends[1].args[1].segment_index, 1);
+        t.is(Buffer.from(appends[1].args[1].media_data, 'base64').length, 10);
+        t.true(wait.calledWith(5000));
+        t.true(client.get.calledWith('media/upload', {
+            command: 'STATUS',
+            media_id: '2'
+        }));
+    }
+    finally {
+        load.restore();
+        wait.restore();
+    }
+});
+
+test.serial('uploadMedia throws when processing fails', async (t) => {
+    const client = getTwitterClient();
+    client.get.resolves({
+        screen_name: 'test'
+    });
+    client.post.resolves({
+        media_id_string: '2',
+        processing_info: {
+            state: 'failed',
+            error: {
+                message: 'invalid video'
+            }
+        }
+    });
+    const account = new TwitterAccount(getConfig(), client);
+    const load = sinon.stub(Media, 'load').resolves({
+        data: Buffer.alloc(10),
+        mimeType: 'image/gif',
+        type: 'gif',
+        size: 10
+    });
+
+    try {
+        await t.throwsAsync(account.uploadMedia('https://example.com/foo.gif'), {
+            instanceOf: Error,
+            message: /invalid video/
+        });
+        t.is(client.post.firstCall.args[1].media_category, 'tweet_gif');
+    }
+    finally {
+        load.restore();
+    }
+});
+
+test.serial('uploadMedia gives up when processing takes too long', async (t) => {
+    const client = getTwitterClient();
+    client.get.withArgs('account/verify_credentials').resolves({
+        screen_name: 'test'
+    });
+    client.post.resolves({
+        media_id_string: '2',
+        processing_info: {
+            state: 'in_progress'
+        }
+    });
+    client.get.withArgs('media/upload').resolves({
+        processing_info: {
+            state: 'in_progress',
+            check_after_secs: 1
+        }
+    });
+    const account = new TwitterAccount(getConfig(), client);
+    const load = sinon.stub(Media, 'load').resolves({
+        data: Buffer.alloc(10),
+        mimeType: 'video/mp4',
+        type: 'video',
+        size: 10
+    });
+    const wait = sinon.stub(Media, 'wait').resolves();
+
+    try {
+        await t.throwsAsync(account.uploadMedia('https://example.com/foo.mp4'), {
+            instanceOf: Error,
+            message: /not processed in time/
+        });
+        t.true(wait.called);
+        t.is(client.get.withArgs('media/upload').callCount, wait.callCount);
+    }
+    finally {
+        load.restore();
+        wait.restore();
+    }
+});
+
+test('set alt text', async (t) => {
+    const client = getTwitterClient();
+    client.get.resolves({
+        screen_name: 'test'
+    });
+    client.options = {
+        media_base: 'https://upload.twitter.com/1.1'
+    };
+    client.request = {
+        post: sinon.stub().yields(null, {
+            statusCode: 200
+        })
+    };
+    const account = new TwitterAccount(getConfig(), client);
+
+    await account.setAltText('1', 'foo');
+
+    t.true(client.request.post.calledOnce);
+    const [ options ] = client.request.post.lastCall.args;
+    t.is(options.url, 'https://upload.twitter.com/1.1/media/metadata/create.json');
+    t.deepEqual(options.json, {
+        media_id: '1',
+        alt_text: {
+            text: 'foo'
+        }
+    });
+
+    client.request.post.yields(null, {
+        statusCode: 400
+    });
+    await t.throwsAsync(account.setAltText('1', 'foo'), {
+        instanceOf: Error
+    });
+});
+
+test('separateContentAndMedia passes alt text', async (t) => {
+    const client = getTwitterClient();
+    client.get.resolves({
+        screen_name: 'test'
+    });
+    const account = new TwitterAccount(getConfig(), client);
+    account.uploadMedia = sinon.stub();
+    account.uploadMedia.onFirstCall().resolves('1');
+    account.uploadMedia.onSecondCall().resolves('2');
+
+    const [ content, media ] = await account.separateContentAndMedia('lorem ![foo](https://example.com/foo.png) ![](https://example.com/bar.png)');
+
+    t.is(content, 'lorem');
+    t.is(media, '1,2');
+    t.true(account.uploadMedia.firstCall.calledWith('https://example.com/foo.png', 'foo'));
+    t.true(account.uploadMedia.secondCall.calledWith('https://example.com/bar.png', ''));
+});
 
 test('tweet', async (t) => {
     const client = getTwitterClient();
@@ -240,6 +465,129 @@ test('tweet', async (t) => {
     t.is(url, 'https://twitter.com/test/status/foo');
 });
 
+test('tweet quoting a tweet', async (t) => {
+    const client = getTwitterClient();
+    client.get.resolves({
+        screen_name: 'test'
+    });
+    const account = new TwitterAccount(getConfig(), client);
+    client.post.resolves({
+        id_str: 'foo'
+    });
+
+    await account.tweet('lorem ipsum', '', null, 'https://twitter.com/foo/status/1');
+
+    t.true(client.post.calledWith('statuses/update', {
+        status: 'lorem ipsum',
+        attachment_url: 'https://twitter.com/foo/status/1'
+    }));
+});
+
+test('tweet with sensitive media', async (t) => {
+    const client = getTwitterClient();
+    client.get.resolves({
+        screen_name: 'test'
+    });
+    const account = new TwitterAccount(getConfig(), client);
+    client.post.resolves({
+        id_str: 'foo'
+    });
+
+    await account.tweet('lorem ipsum', 'media', null, null, {
+        sensitive: true
+    });
+
+    t.true(client.post.calledWith('statuses/update', {
+        status: 'lorem ipsum',
+        media_ids: 'media',
+        possibly_sensitive: true
+    }));
+});
+
+test('tweet without media is never marked as sensitive', async (t) => {
+    const client = getTwitterClient();
+    client.get.resolves({
+        screen_name: 'test'
+    });
+    const account = new TwitterAccount(getConfig(), client);
+    client.post.resolves({
+        id_str: 'foo'
+    });
+
+    await account.tweet('lorem ipsum', '', null, null, {
+        sensitive: true
+    });
+
+    t.true(client.post.calledWith('statuses/update', {
+        status: 'lorem ipsum'
+    }));
+});
+
+test('tweet with restricted replies uses the v2 api', async (t) => {
+    const client = getTwitterClient();
+    client.get.resolves({
+        screen_name: 'test'
+    });
+    client.request = sinon.stub().yields(null, {
+        statusCode: 201
+    }, {
+        data: {
+            id: 'foo'
+        }
+    });
+    const account = new TwitterAccount(getConfig(), client);
+
+    const url = await account.tweet('lorem ipsum', 'a,b', null, 'https://twitter.com/foo/status/1', {
+        replies: 'mentioned'
+    });
+
+    t.is(url, 'https://twitter.com/test/status/foo');
+    t.false(client.post.called);
+    t.deepEqual(client.request.lastCall.args[0].body, {
+        text: 'lorem ipsum',
+        reply_settings: 'mentionedUsers',
+        quote_tweet_id: '1',
+        media: {
+            media_ids: [ 'a', 'b' ]
+        }
+    });
+});
+
+test('publish in dry run', async (t) => {
+    const client = getTwitterClient();
+    client.get.resolves({
+        screen_name: 'test'
+    });
+    const account = new TwitterAccount(getConfig(), client);
+    const config = getConfig();
+    const card = new Card(getIssue(TwitterFormatter.Format({
+        content: 'lorem ipsum ![foo](https://example.com/foo.png)',
+        replyTo: 'https://twitter.com/foo/status/1'
+    }, config)), config);
+    const log = sinon.stub(DryRun, 'log');
+
+    try {
+        const result = await account.publish(card, true);
+
+        t.is(typeof result, 'string');
+        t.false(client.post.called);
+        t.true(log.calledOnce);
+        t.deepEqual(log.lastCall.args[1], {
+            status: 'lorem ipsum',
+            media: [
+                {
+                    url: 'https://example.com/foo.png',
+                    alt: 'foo'
+                }
+            ],
+            replyTo: 'https://twitter.com/foo/status/1'
+        });
+    }
+    finally {
+        log.restore();
+    }
+});
+
 test('too long tweet', (t) => {
     const client = getTwitterClient();
     client.get.resolves({
@@ -362,6 +710,177 @@ test('retweet', async (t) => {
     t.true(client.post.calledWith('statuses/retweet/1234'));
 });
 
+test('split thread', (t) => {
+    t.deepEqual(TwitterFormatter.SplitThread(`first
+---
+second
+
+    ----
+third
+---`), [
+        'first',
+        'second',
+        'third'
+    ]);
+});
+
+test('publish thread', async (t) => {
+    const client = getTwitterClient();
+    client.get.resolves({
+        screen_name: 'test'
+    });
+    const account = new TwitterAccount(getConfig(), client);
+    const config = getConfig();
+    const card = new Card(getIssue(TwitterFormatter.Format({
+        thread: [
+            'first',
+            'second ![](https://example.com/foo.png)'
+        ],
+        replyTo: 'https://twitter.com/foo/status/1'
+    }, config)), config);
+    account.uploadMedia = sinon.stub().resolves('media');
+    account.tweet = sinon.stub();
+    account.tweet.onFirstCall().resolves('https://twitter.com/test/status/2');
+    account.tweet.onSecondCall().resolves('https://twitter.com/test/status/3');
+
+    const result = await account.publish(card, false);
+
+    t.true(account.tweet.calledTwice);
+    t.true(account.tweet.firstCall.calledWith('first', '', 'https://twitter.com/foo/status/1'));
+    t.true(account.tweet.secondCall.calledWith('second', 'media', 'https://twitter.com/test/status/2'));
+    t.true(result.includes('https://twitter.com/test/status/2'));
+    t.true(result.includes('https://twitter.com/test/status/3'));
+});
+
+test('publish thread continues after the last published tweet', async (t) => {
+    const client = getTwitterClient();
+    client.get.resolves({
+        screen_name: 'test'
+    });
+    const account = new TwitterAccount(getConfig(), client);
+    const config = getConfig();
+    const card = new Card(getIssue(TwitterFormatter.Format({
+        thread: [
+            'first',
+            'second',
+            'third'
+        ]
+    }, config)), config);
+    account.tweet = sinon.stub();
+    account.tweet.onFirstCall().resolves('https://twitter.com/test/status/2');
+    account.tweet.onSecondCall().rejects(new Error('Over capacity'));
+    account.tweet.onThirdCall().resolves('https://twitter.com/test/status/3');
+    account.tweet.onCall(3).resolves('https://twitter.com/test/status/4');
+
+    await t.throwsAsync(account.publish(card, false));
+    t.deepEqual(account.getPublishedThread(card), [ 'https://twitter.com/test/status/2' ]);
+
+    const result = await account.publish(card, false);
+
+    t.is(account.tweet.callCount, 4);
+    t.true(account.tweet.thirdCall.calledWith('second', '', 'https://twitter.com/test/status/2', null));
+    t.true(account.tweet.lastCall.calledWith('third', '', 'https://twitter.com/test/status/3', null));
+    t.true(result.includes('https://twitter.com/test/status/2'));
+    t.true(result.includes('https://twitter.com/test/status/4'));
+    t.is(card.content.getMarker(account.threadMarker), undefined);
+});
+
+test('publish thread only quotes with the first tweet', async (t) => {
+    const client = getTwitterClient();
+    client.get.resolves({
+        screen_name: 'test'
+    });
+    const account = new TwitterAccount(getConfig(), client);
+    const config = getConfig();
+    const card = new Card(getIssue(TwitterFormatter.Format({
+        thread: [
+            'first',
+            'second'
+        ],
+        quote: 'https://twitter.com/foo/status/1'
+    }, config)), config);
+    account.tweet = sinon.stub();
+    account.tweet.onFirstCall().resolves('https://twitter.com/test/status/2');
+    account.tweet.onSecondCall().resolves('https://twitter.com/test/status/3');
+
+    await account.publish(card, false);
+
+    t.true(account.tweet.firstCall.calledWithExactly('first', '', null, 'https://twitter.com/foo/status/1', {}));
+    t.true(account.tweet.secondCall.calledWithExactly('second', '', 'https://twitter.com/test/status/2', null, {}));
+});
+
+test('publish thread with too long tweet does not tweet', async (t) => {
+    const client = getTwitterClient();
+    client.get.resolves({
+        screen_name: 'test'
+    });
+    const account = new TwitterAccount(getConfig(), client);
+    const config = getConfig();
+    const card = new Card(getIssue(TwitterFormatter.Format({
+        thread: [
+            'first',
+            getTweet(284)
+        ]
+    }, config)), config);
+    account.tweet = sinon.stub();
+
+    await t.throwsAsync(account.publish(card, false));
+    t.false(account.tweet.called);
+});
+
+test('validate thread', (t) => {
+    const config = getConfig();
+    const validator = new TwitterValidator(config);
+    const valid = new CardContent(TwitterFormatter.Format({
+        thread: [
+            'first',
+            'second'
+        ]
+    }, config), config);
+    t.deepEqual(validator.validate(valid), []);
+
+    const invalid = new CardContent(TwitterFormatter.Format({
+        thread: [
+            TwitterFormatter.TODO_PLACEHOLDER,
+            getTweet(284)
+        ]
+    }, config), config);
+    const errors = validator.validate(invalid);
+    t.is(errors.length, 2);
+    t.true(errors[0].startsWith('Tweet 1 of the thread'));
+    t.true(errors[1].startsWith('Tweet 2 of the thread'));
+});
+
+test('validate prefers the tweet content over generic content', (t) => {
+    const config = getConfig();
+    const content = new CardContent(`## Content
+${getTweet(300)}
+
+## ${TwitterFormatter.TWEET_CONTENT}
+lorem ipsum`, config);
+
+    t.deepEqual(new TwitterValidator(config).validate(content), []);
+    t.is(TwitterAccount.GetContentSection({
+        content
+    }), 'lorem ipsum');
+});
+
+test('validate media combinations', (t) => {
+    const config = getConfig();
+    const validator = new TwitterValidator(config);
+    const valid = new CardContent(TwitterFormatter.Format({
+        content: 'lorem ![a video](https://example.com/foo.mp4)'
+    }, config), config);
+    t.deepEqual(validator.validate(valid), []);
+
+    const invalid = new CardContent(TwitterFormatter.Format({
+        content: 'lorem ![a video](https://example.com/foo.mp4) ![an image](https://example.com/bar.png)'
+    }, config), config);
+    const errors = validator.validate(invalid);
+    t.is(errors.length, 1);
+    t.true(errors[0].startsWith('Tweet can only contain a single GIF or video'));
+});
+
 test('check login', async (t) => {
     const client = getTwitterClient();
     client.get.resolves({
@@ -579,6 +1098,154 @@ test('last mention second run', async (t) => {
     }));
 });
 
+test('last mention is restored from persisted state', async (t) => {
+    const client = getTwitterClient();
+    client.get.resolves({
+        id_str: '1234',
+        created_at: Date.now()
+    });
+    const account = new TwitterAccount(Object.assign({
+        name: 'persisted'
+    }, getConfig()), client);
+    await PersistenceManager.set('twitter:persisted:lastMention', '1000');
+    client.get.resolves([]);
+    await account.tweets;
+    client.get.resetHistory();
+
+    const lastMention = await account.lastMention;
+
+    t.is(lastMention, '1000');
+    t.true(client.get.calledWith('statuses/mentions_timeline', {
+        count: 200,
+        tweet_mode: "extended",
+        since_id: '1000'
+    }));
+});
+
 test.todo('last mention event');
-test.todo('separateContentAndMedia');
 test.todo('last mention already replied to');
+
+test('tweet poll', async (t) => {
+    const client = getTwitterClient();
+    client.get.resolves({
+        screen_name: 'test'
+    });
+    client.request = sinon.stub().yields(null, {
+        statusCode: 201
+    }, {
+        data: {
+            id: 'foo'
+        }
+    });
+    const account = new TwitterAccount(getConfig(), client);
+
+    const url = await account.tweetPoll('Which one?', {
+        options: [ 'a', 'b' ],
+        duration: 60,
+        multiple: false
+    }, 'https://twitter.com/foo/status/1');
+
+    t.is(url, 'https://twitter.com/test/status/foo');
+    const [ options ] = client.request.lastCall.args;
+    t.is(options.method, 'POST');
+    t.is(options.url, 'https://api.twitter.com/2/tweets');
+    t.deepEqual(options.body, {
+        text: 'Which one?',
+        poll: {
+            options: [ 'a', 'b' ],
+            duration_minutes: 60
+        },
+        reply: {
+            in_reply_to_tweet_id: '1'
+        }
+    });
+});
+
+test('get poll results', async (t) => {
+    const client = getTwitterClient();
+    client.get.resolves({
+        screen_name: 'test'
+    });
+    client.request = sinon.stub().yields(null, {
+        statusCode: 200
+    }, {
+        data: {
+            id: 'foo'
+        },
+        includes: {
+            polls: [
+                {
+                    voting_status: 'closed',
+                    options: [
+                        {
+                            position: 1,
+                            label: 'a',
+                            votes: 3
+                        },
+                        {
+                            position: 2,
+                            label: 'b',
+                            votes: 1
+                        }
+                    ]
+                }
+            ]
+        }
+    });
+    const account = new TwitterAccount(getConfig(), client);
+
+    const results = await account.getPollResults('foo');
+
+    t.deepEqual(results, {
+        closed: true,
+        options: [
+            {
+                title: 'a',
+                votes: 3
+            },
+            {
+                title: 'b',
+                votes: 1
+            }
+        ]
+    });
+    t.is(client.request.lastCall.args[0].qs['poll.fields'], 'options,voting_status');
+});
+
+test('publish poll stores the poll marker', async (t) => {
+    const client = getTwitterClient();
+    client.get.resolves({
+        screen_name: 'test'
+    });
+    const account = new TwitterAccount(getConfig(), client);
+    const config = getConfig();
+    const card = new Card(getIssue(TwitterFormatter.Format({
+        thread: [
+            'Which one?',
+            'second'
+        ],
+        poll: `- a
+- b
+Duration: 1 hour`
+    }, config)), config);
+    card.setMarker = sinon.stub().resolves();
+    account.tweetPoll = sinon.stub().resolves('https://twitter.com/test/status/2');
+    account.tweet = sinon.stub().resolves('https://twitter.com/test/status/3');
+
+    const before = Date.now();
+    await account.publish(card, false);
+    const after = Date.now();
+
+    t.true(account.tweetPoll.calledOnceWith('Which one?', {
+        options: [ 'a', 'b' ],
+        duration: 60,
+        multiple: false
+    }, null, {}));
+    t.true(account.tweet.calledOnceWith('second', '', 'https://twitter.com/test/status/2'));
+    const pollMarker = card.setMarker.withArgs(account.pollMarker);
+    t.true(pollMarker.calledOnceWith(account.pollMarker, sinon.match({
+        id: '2'
+    }), false));
+    const { closes } = pollMarker.lastCall.args[1];
+    t.true(closes >= before + 60 * 60000 && closes <= after + 60 * 60000);
+});
@@ -0,0 +1,196 @@
+import test from 'ava';
+import sinon from 'sinon';
+import Approvals from '../lib/approvals';
+import Card from '../lib/card';
+import CardContent from '../lib/card-content';
+import Formatter from '../lib/formatters/formatter';
+import PersistenceManager from '../lib/persistence/manager';
+import { getIssue, getConfig } from './_stubs';
+
+const getCard = (content = Formatter.Format('foo')) => {
+    const issue = getIssue(content);
+    issue.setContent = sinon.spy((body) => {
+        issue.content = body;
+        return Promise.resolve();
+    });
+    return new Card(issue, getConfig());
+};
+
+let approvalsCount = 0;
+const getApprovals = (config = {}) => new Approvals(config, {
+    getUsersInTeam: sinon.stub().resolves([ 'baz' ])
+}, `foo/bar:approvals${++approvalsCount}`);
+
+const getReaction = (login, time) => ({
+    user: {
+        login
+    },
+    created_at: new Date(time).toISOString()
+});
+
+test('content hash ignores description and schedule', (t) => {
+    const config = getConfig();
+    const content = new CardContent(Formatter.Format({
+        content: 'foo',
+        meta: 'bar'
+    }, config), config);
+    const hash = Approvals.getContentHash(content);
+
+    content.setSection(Formatter.META, 'lorem');
+    content.setMarker('foo', 'bar');
+    t.is(Approvals.getContentHash(content), hash);
+
+    content.setSection(Formatter.CONTENT, 'ipsum');
+    t.not(Approvals.getContentHash(content), hash);
+});
+
+test('required defaults to one', (t) => {
+    t.is(getApprovals().required, 1);
+    t.is(getApprovals({
+        count: 2
+    }).required, 2);
+});
+
+test('anyone can approve without users or teams', async (t) => {
+    t.true(await getApprovals().canApprove('foo'));
+});
+
+test('can approve', async (t) => {
+    const approvals = getApprovals({
+        users: [ 'foo' ],
+        teams: [ 'team' ]
+    });
+
+    t.true(await approvals.canApprove('foo'));
+    t.true(await approvals.canApprove('baz'));
+    t.false(await approvals.canApprove('bar'));
+    t.true(approvals.repo.getUsersInTeam.calledOnceWith('team'));
+});
+
+test('get approvers from reactions and comments', async (t) => {
+    const approvals = getApprovals({
+        users: [ 'foo', 'bar', 'baz' ]
+    });
+    const issue = getIssue();
+    issue.getApprovingReactions.resolves([
+        getReaction('foo', 10),
+        getReaction('lorem', 10),
+        getReaction('baz', 1)
+    ]);
+    issue.getComments.resolves([
+        {
+            user: {
+                login: 'bar'
+            },
+            body: 'lgtm\n/approve',
+            updated_at: new Date(10).toISOString()
+        },
+        {
+            user: {
+                login: 'baz'
+            },
+            body: 'do not /approve yet',
+            updated_at: new Date(10).toISOString()
+        }
+    ]);
+
+    t.deepEqual(await approvals.getApprovers(issue, 5), [
+        'foo',
+        'bar'
+    ]);
+});
+
+test('check counts existing approvals the first time', async (t) => {
+    const approvals = getApprovals();
+    const card = getCard();
+    card.issue.getApprovingReactions.resolves([ getReaction('foo', 0) ]);
+
+    const state = await approvals.check(card, false);
+
+    t.true(state.approved);
+    t.deepEqual(state.approvers, [ 'foo' ]);
+    t.true(card.issue.setContent.calledOnce);
+    t.true(card.content.getMarker('approval'));
+    t.is((await PersistenceManager.get(approvals.getStorageKey(card.issue))).since, 0);
+});
+
+test.serial('check invalidates approvals when the content changes', async (t) => {
+    const clock = sinon.useFakeTimers(100);
+    const approvals = getApprovals();
+    const card = getCard();
+    card.issue.getApprovingReactions.resolves([ getReaction('foo', 50) ]);
+
+    t.true((await approvals.check(card, false)).approved);
+    t.true((await approvals.check(card, false)).approved);
+    t.true(card.issue.setContent.calledOnce);
+
+    card.content.setSection(Formatter.CONTENT, 'bar');
+    const state = await approvals.check(card, false);
+
+    t.false(state.approved);
+    t.deepEqual(state.approvers, []);
+    t.is(state.required, 1);
+    t.is((await PersistenceManager.get(approvals.getStorageKey(card.issue))).since, 100);
+    clock.restore();
+});
+
+test.serial('check treats a removed marker as a content change', async (t) => {
+    const clock = sinon.useFakeTimers(100);
+    const approvals = getApprovals();
+    const card = getCard();
+    card.issue.getApprovingReactions.resolves([ getReaction('foo', 50) ]);
+
+    t.true((await approvals.check(card, false)).approved);
+
+    card.content.setMarker('approval', {
+        hash: 'foo',
+        since: 0
+    });
+    t.true((await approvals.check(card, false)).approved);
+
+    card.content.setMarker('approval', undefined);
+    t.false((await approvals.check(card, false)).approved);
+    t.is((await PersistenceManager.get(approvals.getStorageKey(card.issue))).since, 100);
+    t.true(card.content.getMarker('approval'));
+    clock.restore();
+});
+
+test.serial('check does not count earlier approvals on seen cards without state', async (t) => {
+    const clock = sinon.useFakeTimers(100);
+    const approvals = getApprovals();
+    const card = getCard();
+    card.content.setMarker('approval', true);
+    card.issue.getApprovingReactions.resolves([ getReaction('foo', 50) ]);
+
+    t.false((await approvals.check(card, false)).approved);
+    t.is((await PersistenceManager.get(approvals.getStorageKey(card.issue))).since, 100);
+    clock.restore();
+});
+
+test('check does not persist in dry run', async (t) => {
+    const approvals = getApprovals();
+    const card = getCard();
+
+    await approvals.check(card, true);
+
+    t.is(await PersistenceManager.get(approvals.getStorageKey(card.issue)), undefined);
+    t.true(card.issue.setContent.calledWith(sinon.match.string, true));
+});
+
+test.serial('get state does not record anything', async (t) => {
+    const clock = sinon.useFakeTimers(100);
+    const approvals = getApprovals();
+    const card = getCard();
+    card.issue.getApprovingReactions.resolves([ getReaction('foo', 50) ]);
+
+    t.true((await approvals.getState(card)).approved);
+    t.false(card.issue.setContent.called);
+    t.is(await PersistenceManager.get(approvals.getStorageKey(card.issue)), undefined);
+
+    await approvals.check(card, false);
+    card.content.setSection(Formatter.CONTENT, 'bar');
+
+    t.false((await approvals.getState(card)).approved);
+    t.is((await PersistenceManager.get(approvals.getStorageKey(card.issue))).since, 0);
+    clock.restore();
+});
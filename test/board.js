@@ -190,6 +190,39 @@ test('board exist throws for other errors', async (t) => {
     return t.throwsAsync(board.boardExists());
 });
 
+test('can update', async (t) => {
+    const board = new Board(t.context.gh, t.context.config, getRepo());
+    await board.ready;
+    board.id = "1";
+
+    t.context.gh.queueResponse({
+        data: {
+            login: 'foo'
+        }
+    });
+    t.context.gh.queueResponse({
+        data: {
+            permission: 'write'
+        }
+    });
+    t.true(await board.canUpdate());
+    const opts = t.context.gh.options.pop();
+    t.is(opts.project_id, "1");
+    t.is(opts.username, 'foo');
+
+    t.context.gh.queueResponse({
+        data: {
+            login: 'foo'
+        }
+    });
+    t.context.gh.queueResponse({
+        data: {
+            permission: 'read'
+        }
+    });
+    t.false(await board.canUpdate());
+});
+
 test('missing columns', async (t) => {
     t.context.gh.queueResponse({
         data: [
@@ -308,6 +341,21 @@ test('create board', async (t) => {
     t.is(opts.owner, t.context.config.owner);
 });
 
+test('read only board is not created', async (t) => {
+    t.context.gh.resetQueue();
+    t.context.gh.queueResponse({
+        data: [],
+        headers: {}
+    });
+    const board = new Board(t.context.gh, t.context.config, getRepo(), true);
+    await board.ready;
+
+    t.true(board.readOnly);
+    t.is(board.id, undefined);
+    t.is(t.context.gh.options.length, 1);
+    t.false(UpdateManager.targets.has(board));
+});
+
 test('create column', async (t) => {
     t.context.gh.queueResponse({
         data: [
@@ -444,5 +492,76 @@ test('move card to column locally', async (t) => {
     t.true(newColumn.addCard.calledWith(card, true));
 });
 
+test('move card to column in dry run', async (t) => {
+    t.context.gh.queueResponse({
+        data: [
+            {
+                name: t.context.config.projectName,
+                id: "1"
+            }
+        ],
+        headers: {}
+    });
+    t.context.gh.queueResponse({
+        data: [],
+        headers: {}
+    });
+    const board = new Board(t.context.gh, t.context.config, getRepo());
+    await board.ready;
+    t.context.gh.options.length = 0;
+    const column = getColumn("1", 'test');
+    const newColumn = getColumn("2", 'lorem ipsum');
+    const card = {
+        id: "3",
+        column,
+        issue: getIssue()
+    };
+
+    await board.moveCardToColumn(card, newColumn, false, 'top', true);
+
+    t.falsy(t.context.gh.options.length);
+    t.false(column.removeCard.called);
+    t.false(newColumn.addCard.called);
+});
+
+test('create card in dry run', async (t) => {
+    const repo = getRepo();
+    repo.issues.createIssue = sinon.stub();
+    const board = new Board(t.context.gh, t.context.config, repo);
+    await board.ready;
+    const column = getColumn("1", 'test');
+
+    const card = await board.createCard('foo', 'bar', column, 'top', true);
+
+    t.is(card, null);
+    t.false(repo.issues.createIssue.called);
+    t.false(column.addCard.called);
+});
+
+test('add card in dry run', async (t) => {
+    const board = new Board(t.context.gh, t.context.config, getRepo());
+    await board.ready;
+    const column = getColumn("1", 'test');
+    column.hasIssue.resolves(false);
+
+    const card = await board.addCard(getIssue(), column, false, true);
+
+    t.is(card, null);
+    t.false(column.addCard.called);
+});
+
+test('add card that is already on the board in dry run', async (t) => {
+    const board = new Board(t.context.gh, t.context.config, getRepo());
+    await board.ready;
+    const column = getColumn("1", 'test');
+    column.hasIssue.resolves(true);
+    column.addCard.callsFake((card) => Promise.resolve(card));
+
+    const card = await board.addCard(getIssue(), column, false, true);
+
+    t.true(column.addCard.calledOnce);
+    t.is(card.issue.number, 1);
+});
+
 test.todo('columns');
 test.todo('columnIds');
@@ -97,6 +97,27 @@ lorem ipsum`);
     t.false(card.hasSection('foo'));
 });
 
+test('get and set markers', (t) => {
+    const card = new CardContent(`## test
+lorem ipsum`);
+    t.is(card.getMarker('foo'), undefined);
+
+    card.setMarker('foo', { id: 1 });
+    t.deepEqual(card.getMarker('foo'), { id: 1 });
+    t.true(card.toString().startsWith('<!-- content-queue:foo {"id":1} -->'));
+    t.true(card.hasSection('test'));
+    t.is(card.withoutMarkers, `## test
+lorem ipsum`);
+
+    card.setMarker('foo', { id: 2 });
+    t.deepEqual(card.getMarker('foo'), { id: 2 });
+
+    card.setMarker('foo', undefined);
+    t.is(card.getMarker('foo'), undefined);
+    t.is(card.toString(), `## test
+lorem ipsum`);
+});
+
 test('Tweet content', (t) => {
     const card = new CardContent(TwitterFormatter.Format({ meta: 'test' }, getConfig()), getConfig());
     t.is(card.getSection(TwitterFormatter.TWEET_CONTENT), Formatter.TODO_PLACEHOLDER);
@@ -111,3 +132,84 @@ test.failing('Working retweet', (t) =>  {
 });
 
 test.todo("Test error messages");
+
+test('add section', (t) => {
+    const card = new CardContent(`## test
+lorem ipsum`);
+
+    card.addSection('foo', 'bar');
+    t.is(card.getSection('foo'), 'bar');
+    t.true(card.toString().startsWith(`## test
+lorem ipsum
+
+## foo
+bar`));
+
+    card.addSection('test', 'baz');
+    t.is(card.getSection('test'), 'baz');
+});
+
+test('remove section', (t) => {
+    const card = new CardContent(`## test
+lorem ipsum
+
+## foo
+bar
+
+## baz
+qux`);
+
+    card.removeSection('foo');
+    t.false(card.hasSection('foo'));
+    t.is(card.toString(), `## test
+lorem ipsum
+
+## baz
+qux
+`);
+
+    card.removeSection('foo');
+    t.true(card.hasSection('baz'));
+});
+
+test('priority', (t) => {
+    t.is(new CardContent(`## Priority
+2 - Normal`).priority, 2);
+    t.is(new CardContent(`## Priority
+urgent`).priority, null);
+    t.is(new CardContent(`## Content
+foo`).priority, null);
+});
+
+test('options', (t) => {
+    const config = Object.assign({}, getConfig(), {
+        postOptions: {
+            visibility: 'unlisted',
+            language: 'en'
+        }
+    });
+    const content = new CardContent(`## Content
+foo
+
+## Options
+- Language: DE
+Sensitive media: yes
+Replies: following`, config);
+
+    t.deepEqual(content.getOptions(), {
+        visibility: 'unlisted',
+        language: 'de',
+        sensitive: true,
+        replies: 'following'
+    });
+    t.deepEqual(new CardContent(`## Content
+foo`, getConfig()).getOptions(), {});
+    t.throws(() => new CardContent(`## Options
+Color: blue`, getConfig()).getOptions(), {
+        message: /"Color: blue" is not an option/
+    });
+    t.throws(() => new CardContent(`## Options
+Sensitive: maybe`, getConfig()).getOptions(), {
+        message: '"maybe" is not yes or no for "Sensitive"'
+    });
+});
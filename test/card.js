@@ -212,3 +212,54 @@ test('report error String instance', async (t) => {
     t.true(issue.comment.lastCall.args[0].includes(action));
     t.true(issue.comment.lastCall.args[0].includes(error));
 });
+
+test('setValidity in dry run', async (t) => {
+    const config = getConfig();
+    const issue = getIssue(TwitterFormatter.Format({
+        content: 'bugs'
+    }, config));
+    const card = new Card(issue, config);
+
+    await card.setValidity([ 'some error' ], 'foo', true);
+
+    t.true(issue.addLabel.calledWith(config.labels.invalid, true));
+    t.true(issue.removeLabel.calledWith(config.labels.ready, true));
+    t.true(issue.comment.calledOnce);
+    t.true(issue.comment.lastCall.args[1]);
+});
+
+test('setValidity updates the status comment', async (t) => {
+    const config = getConfig();
+    const issue = getIssue(TwitterFormatter.Format({
+        content: 'bugs'
+    }, config));
+    issue.comment.resolves({
+        data: {
+            id: 42
+        }
+    });
+    const card = new Card(issue, config);
+
+    await card.setValidity([ 'some error' ], 'foo');
+    await card.setValidity([ 'some error' ], 'foo');
+    t.true(issue.comment.calledOnce);
+    t.false(issue.editComment.called);
+
+    await card.setValidity([ 'other error' ], 'foo');
+    t.true(issue.editComment.calledOnce);
+    t.true(issue.editComment.lastCall.args[1].includes('other error'));
+
+    await card.setValidity([], 'foo');
+    t.true(issue.hasLabel(config.labels.ready));
+    t.true(issue.editComment.calledTwice);
+    t.true(issue.editComment.lastCall.args[1].includes('<del>'));
+});
+
+test('setValidity does not look up the status comment of valid cards', async (t) => {
+    const issue = getIssue(Formatter.Format('bugs'));
+    const card = new Card(issue, getConfig());
+
+    await card.setValidity([], 'foo');
+
+    t.false(issue.getComments.called);
+});
@@ -0,0 +1,266 @@
+import test from 'ava';
+import sinon from 'sinon';
+import fs from 'mz/fs';
+import os from 'os';
+import path from 'path';
+import { run, parseArgs, selectBoards, commands, EXIT_CODES, UsageError } from '../lib/cli';
+import Repository from '../lib/repo';
+import Board from '../lib/board';
+import PublishSource from '../lib/sources/publish';
+import ContentAccount from '../lib/accounts/content-account';
+
+const getOutput = () => ({
+    log: sinon.spy(),
+    error: sinon.spy()
+});
+
+const getConfig = () => ({
+    accounts: {},
+    boards: [
+        {
+            repo: 'foo/bar',
+            projectName: 'Tweets',
+            githubAccount: 'lorem',
+            sources: []
+        },
+        {
+            repo: 'foo/baz',
+            projectName: 'Toots',
+            githubAccount: 'lorem',
+            sources: []
+        },
+        {
+            repo: 'foo/baz',
+            projectName: 'Tweets',
+            githubAccount: 'lorem',
+            sources: []
+        }
+    ]
+});
+
+const writeConfig = async (config) => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'content-queue-'));
+    const file = path.join(dir, 'config.json');
+    await fs.writeFile(file, JSON.stringify(config));
+    return file;
+};
+
+test('parse args', (t) => {
+    const args = parseArgs([
+        'list-cards',
+        '--board',
+        'Tweets',
+        'To Tweet',
+        '--config=foo.json'
+    ]);
+
+    t.is(args.command, 'list-cards');
+    t.deepEqual(args.params, [ 'To Tweet' ]);
+    t.deepEqual(args.options, {
+        board: 'Tweets',
+        config: 'foo.json'
+    });
+});
+
+test('parse args with help', (t) => {
+    const args = parseArgs([ '--help' ]);
+
+    t.is(args.command, undefined);
+    t.true(args.options.help);
+});
+
+test('parse args throws for unknown options', (t) => {
+    t.throws(() => parseArgs([ '--foo' ]), {
+        instanceOf: UsageError
+    });
+});
+
+test('parse args throws for options without value', (t) => {
+    t.throws(() => parseArgs([ 'dry-run', '--board' ]), {
+        instanceOf: UsageError
+    });
+});
+
+test('select all boards', (t) => {
+    const config = getConfig();
+
+    t.is(selectBoards(config), config.boards);
+});
+
+test('select boards by project name', (t) => {
+    const config = getConfig();
+
+    t.deepEqual(selectBoards(config, 'Tweets'), [
+        config.boards[0],
+        config.boards[2]
+    ]);
+});
+
+test('select board by repo and project name', (t) => {
+    const config = getConfig();
+    config.boards[2].owner = 'foo';
+    config.boards[2].repo = 'baz';
+
+    t.deepEqual(selectBoards(config, 'foo/baz/Tweets'), [ config.boards[2] ]);
+});
+
+test('select boards throws for unknown board', (t) => {
+    t.throws(() => selectBoards(getConfig(), 'foo'), {
+        instanceOf: UsageError
+    });
+});
+
+test('every command has usage and description', (t) => {
+    for(const name in commands) {
+        t.true(commands[name].usage.startsWith(name));
+        t.is(typeof commands[name].description, 'string');
+        t.is(typeof commands[name].run, 'function');
+    }
+});
+
+test('run without command prints usage', async (t) => {
+    const output = getOutput();
+
+    t.is(await run([], output), EXIT_CODES.usage);
+    t.true(output.log.lastCall.args[0].startsWith('Usage:'));
+});
+
+test('run with help', async (t) => {
+    const output = getOutput();
+
+    t.is(await run([ 'dry-run', '--help' ], output), EXIT_CODES.success);
+    t.true(output.log.calledOnce);
+});
+
+test('run with unknown command', async (t) => {
+    const output = getOutput();
+
+    t.is(await run([ 'foo' ], output), EXIT_CODES.usage);
+    t.is(output.error.firstCall.args[0], 'Unknown command foo');
+});
+
+test('validate config', async (t) => {
+    const file = await writeConfig(getConfig());
+    const output = getOutput();
+
+    t.is(await run([ 'validate-config', '--config', file ], output), EXIT_CODES.success);
+    t.true(output.log.calledOnce);
+    t.false(output.error.called);
+});
+
+test('validate invalid config', async (t) => {
+    const config = getConfig();
+    delete config.boards;
+    const file = await writeConfig(config);
+    const output = getOutput();
+
+    t.is(await run([ 'validate-config', '--config', file ], output), EXIT_CODES.failure);
+    t.true(output.error.calledOnce);
+});
+
+test('publish now needs an issue number', async (t) => {
+    const file = await writeConfig(getConfig());
+    const output = getOutput();
+
+    t.is(await run([ 'publish-now', 'foo', '--config', file ], output), EXIT_CODES.usage);
+    t.is(output.error.firstCall.args[0], 'Expected an issue number');
+});
+
+test('list cards needs a column', async (t) => {
+    const file = await writeConfig(getConfig());
+    const output = getOutput();
+
+    t.is(await run([ 'list-cards', '--config', file ], output), EXIT_CODES.usage);
+    t.is(output.error.firstCall.args[0], 'Expected a column name');
+});
+
+const stubCheckBoard = (t, { canWrite = true, canUpdate = true, labels = true } = {}) => {
+    const sandbox = sinon.createSandbox();
+    t.teardown(() => sandbox.restore());
+    sandbox.stub(Repository.prototype, 'setup').resolves();
+    sandbox.stub(Repository.prototype, 'canWrite').resolves(canWrite);
+    sandbox.stub(Repository.prototype, 'hasLabel').resolves(labels);
+    sandbox.stub(Board.prototype, 'setup').resolves();
+    sandbox.stub(Board.prototype, 'boardExists').resolves(true);
+    sandbox.stub(Board.prototype, 'canUpdate').resolves(canUpdate);
+    sandbox.stub(Board.prototype, 'missingColumns').resolves([]);
+    return {
+        getAccount: () => ({
+            client: {}
+        })
+    };
+};
+
+test.serial('check board', async (t) => {
+    const accountManager = stubCheckBoard(t);
+    const output = getOutput();
+    const args = parseArgs([ 'check-board', '--board', 'foo/bar/Tweets' ]);
+
+    t.is(await commands['check-board'].run(args, getConfig(), output, accountManager), EXIT_CODES.success);
+    t.false(output.error.called);
+});
+
+test.serial('check board without push access', async (t) => {
+    const accountManager = stubCheckBoard(t, {
+        canWrite: false
+    });
+    const output = getOutput();
+    const args = parseArgs([ 'check-board', '--board', 'foo/bar/Tweets' ]);
+
+    t.is(await commands['check-board'].run(args, getConfig(), output, accountManager), EXIT_CODES.failure);
+    t.true(output.error.calledWith('  ✗ Token can not push to the repository'));
+});
+
+test.serial('check board without project access', async (t) => {
+    const accountManager = stubCheckBoard(t, {
+        canUpdate: false
+    });
+    const output = getOutput();
+    const args = parseArgs([ 'check-board', '--board', 'foo/bar/Tweets' ]);
+
+    t.is(await commands['check-board'].run(args, getConfig(), output, accountManager), EXIT_CODES.failure);
+    t.true(output.error.calledWith('  ✗ Token can not update the project'));
+});
+
+test.serial('check board with missing labels', async (t) => {
+    const accountManager = stubCheckBoard(t, {
+        labels: false
+    });
+    const output = getOutput();
+    const args = parseArgs([ 'check-board', '--board', 'foo/bar/Tweets' ]);
+
+    t.is(await commands['check-board'].run(args, getConfig(), output, accountManager), EXIT_CODES.failure);
+    t.true(output.error.args.some(([ message ]) => message.startsWith('  ✗ Missing label ')));
+});
+
+test.serial('dry run always lists the cards in dry run mode', async (t) => {
+    const sandbox = sinon.createSandbox();
+    t.teardown(() => sandbox.restore());
+    sandbox.stub(Repository.prototype, 'setup').resolves();
+    sandbox.stub(Board.prototype, 'setup').resolves();
+    sandbox.stub(Board.prototype, 'getBoardID').resolves('1');
+    const getCardsToPublish = sandbox.stub(PublishSource.prototype, 'getCardsToPublish').resolves([]);
+    const config = getConfig();
+    config.boards[0].sources = [
+        {
+            type: 'publish',
+            columns: {
+                source: 'To Tweet',
+                target: 'Tweeted'
+            },
+            accountType: 'twitter',
+            accountName: 'lorem',
+            dryRun: false
+        }
+    ];
+    const output = getOutput();
+    const accountManager = {
+        getAccount: (type) => (type === 'github' ? {
+            client: {}
+        } : Object.create(ContentAccount.prototype))
+    };
+
+    t.is(await commands['dry-run'].run(parseArgs([ 'dry-run', '--board', 'foo/bar/Tweets' ]), config, output, accountManager), EXIT_CODES.success);
+    t.true(getCardsToPublish.calledOnce);
+    t.true(getCardsToPublish.firstCall.thisValue.dryRun);
+});
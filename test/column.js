@@ -407,3 +407,10 @@ test('issues', async (t) => {
 
 test.todo('cards');
 test.todo('waits for cards to be ready');
+
+test('get issue number from content url', (t) => {
+    t.is(Column.getIssueNumber('https://api.github.com/repos/foo/bar/issues/12'), '12');
+    t.is(Column.getIssueNumber('https://api.github.com/repos/foo/bar/pull-requests/3'), '3');
+    t.is(Column.getIssueNumber(undefined), null);
+    t.is(Column.getIssueNumber('https://example.com'), null);
+});
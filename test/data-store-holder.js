@@ -3,6 +3,7 @@ import Emittery from 'emittery';
 import DataStoreHolder from '../lib/data-store-holder';
 import sinon from 'sinon';
 import UpdateManager from '../lib/update-manager';
+import PersistenceManager from '../lib/persistence/manager';
 
 test('constructor', (t) => {
     const updateStore = sinon.spy(() => Promise.resolve());
@@ -85,3 +86,26 @@ test('emits events', (t) => {
 
     t.true(UpdateManager.targets.has(h));
 });
+
+test('persists stores with a storage key', async (t) => {
+    const store = sinon.spy(() => Promise.resolve('foo'));
+    store.persist = true;
+    const Holder = class extends DataStoreHolder {
+        getStorageKey(property) {
+            return `holder:${property}`;
+        }
+    };
+    const h = new Holder({
+        store
+    });
+
+    await h.store;
+
+    t.is(await PersistenceManager.get('holder:store'), 'foo');
+});
+
+test('default storage key does not persist', (t) => {
+    const h = new DataStoreHolder({});
+
+    t.is(h.getStorageKey('store'), undefined);
+});
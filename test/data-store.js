@@ -1,6 +1,7 @@
 import test from 'ava';
 import DataStore from '../lib/data-store';
 import sinon from 'sinon';
+import PersistenceManager from '../lib/persistence/manager';
 
 test.before((t) => {
     t.context.clock = sinon.useFakeTimers();
@@ -134,3 +135,47 @@ test('Throwing fetcher aborts current loading', async (t) => {
     await t.notThrowsAsync(ds.getData());
     t.true(fetcher.calledTwice);
 });
+
+test.serial('invalidate expires cache but keeps data', async (t) => {
+    const DATA = 'lorem ipsum';
+    const fetcher = sinon.spy(() => Promise.resolve(DATA));
+    const ds = new DataStore(fetcher);
+
+    await ds.getData();
+    t.false(ds.cacheExpired);
+
+    ds.invalidate();
+
+    t.true(ds.cacheExpired);
+    t.is(ds.cachedData, DATA);
+    await ds.getData();
+    t.true(fetcher.calledTwice);
+    t.is(fetcher.lastCall.args[0], DATA);
+});
+
+test('restores persisted data before first fetch', async (t) => {
+    const STORED = [ 'foo' ];
+    await PersistenceManager.set('data-store-restore', STORED);
+    const fetcher = sinon.spy((data) => Promise.resolve(data.concat([ 'bar' ])));
+    const ds = new DataStore(fetcher, undefined, () => 'data-store-restore');
+
+    const data = await ds.getData();
+
+    t.true(fetcher.calledOnce);
+    t.deepEqual(fetcher.lastCall.args[0], STORED);
+    t.deepEqual(data, [
+        'foo',
+        'bar'
+    ]);
+    t.deepEqual(await PersistenceManager.get('data-store-restore'), data);
+});
+
+test('does not persist without storage key', async (t) => {
+    const fetcher = sinon.spy(() => Promise.resolve('lorem ipsum'));
+    const ds = new DataStore(fetcher, undefined, () => undefined);
+
+    await ds.getData();
+
+    t.false(ds.needsRestore);
+    t.is(ds.storageKey, undefined);
+});
@@ -0,0 +1,72 @@
+import test from 'ava';
+import DateParser from '../lib/date-parser';
+import { getConfig } from './_stubs';
+
+// Saturday, 12:00 in Berlin, the day before daylight saving time ends.
+const NOW = Date.UTC(2026, 9, 24, 10, 0);
+
+const parse = (str, config = getConfig()) => {
+    const date = DateParser.parse(str, config, NOW);
+    return date && date.toISOString();
+};
+
+test('ISO 8601', (t) => {
+    t.is(parse('2026-11-02T09:00+01:00'), '2026-11-02T08:00:00.000Z');
+    t.is(parse('2026-11-02T09:00:30Z'), '2026-11-02T09:00:30.000Z');
+    t.is(parse('2026-11-02T09:00'), '2026-11-02T08:00:00.000Z');
+    t.is(parse('2026-02-30T09:00'), null);
+});
+
+test('format of the board', (t) => {
+    t.is(parse('2026-11-02 09:00'), '2026-11-02T08:00:00.000Z');
+    t.is(parse('2026-07-01 09:00'), '2026-07-01T07:00:00.000Z');
+});
+
+test('timezone suffix', (t) => {
+    t.is(parse('2026-11-02 09:00 America/New_York'), '2026-11-02T14:00:00.000Z');
+    t.is(parse('2026-11-02 09:00 UTC'), '2026-11-02T09:00:00.000Z');
+    t.is(parse('tomorrow 9:00 GMT'), '2026-10-25T09:00:00.000Z');
+    t.is(parse('2026-11-02 09:00 Mars/Olympus_Mons'), null);
+});
+
+test('relative', (t) => {
+    t.is(parse('in 3 hours'), '2026-10-24T13:00:00.000Z');
+    t.is(parse('in 90 min'), '2026-10-24T11:30:00.000Z');
+    // Keeps the time of day when daylight saving time ends.
+    t.is(parse('in 2 days'), '2026-10-26T11:00:00.000Z');
+    t.is(parse('in 1 week'), '2026-10-31T11:00:00.000Z');
+});
+
+test('today and tomorrow', (t) => {
+    t.is(parse('tomorrow 9:00'), '2026-10-25T08:00:00.000Z');
+    t.is(parse('Today at 5pm'), '2026-10-24T15:00:00.000Z');
+    t.is(parse('today 12am'), '2026-10-23T22:00:00.000Z');
+    t.is(parse('tomorrow 24:00'), null);
+    t.is(parse('tomorrow 13pm'), null);
+});
+
+test('weekday', (t) => {
+    t.is(parse('next monday 14:30'), '2026-10-26T13:30:00.000Z');
+    t.is(parse('Monday at 2:30 pm'), '2026-10-26T13:30:00.000Z');
+    // The same weekday is always the one of next week.
+    t.is(parse('saturday 9am'), '2026-10-31T08:00:00.000Z');
+});
+
+test('invalid dates', (t) => {
+    t.is(parse('someday'), null);
+    t.is(parse(''), null);
+    t.is(parse('in -3 hours'), null);
+    t.is(parse('next month'), null);
+});
+
+test('normalize', (t) => {
+    t.is(DateParser.normalize('tomorrow 9:00 <!-- comment -->', getConfig(), NOW), '2026-10-25 09:00');
+    t.is(DateParser.normalize('2026-11-02T09:00:00Z', getConfig(), NOW), '2026-11-02 10:00');
+    t.is(DateParser.normalize('tomorrow 9:00', {
+        schedulingTime: {
+            format: 'DD.MM.YYYY HH:mm',
+            timezone: -5
+        }
+    }, NOW), '25.10.2026 09:00');
+    t.is(DateParser.normalize('someday', getConfig(), NOW), null);
+});
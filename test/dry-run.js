@@ -0,0 +1,33 @@
+import test from 'ava';
+import sinon from 'sinon';
+import DryRun from '../lib/dry-run';
+
+test.beforeEach((t) => {
+    t.context.log = sinon.stub(console, 'log');
+});
+
+test.afterEach.always((t) => {
+    t.context.log.restore();
+});
+
+test('disabled by default', (t) => {
+    t.false(DryRun.enabled);
+});
+
+test.serial('log action', (t) => {
+    DryRun.log('Close #1');
+
+    t.true(t.context.log.calledOnceWith('[dry run] Close #1'));
+});
+
+test.serial('log action with payload', (t) => {
+    DryRun.log('Tweet', {
+        status: 'foo'
+    });
+
+    t.true(t.context.log.calledOnce);
+    t.is(t.context.log.lastCall.args[0], '[dry run] Tweet');
+    t.deepEqual(JSON.parse(t.context.log.lastCall.args[1]), {
+        status: 'foo'
+    });
+});
@@ -0,0 +1,83 @@
+import test from 'ava';
+import sinon from 'sinon';
+import { graphql, paginate, GraphQLError } from '../lib/graphql';
+
+const getClient = (...responses) => {
+    const request = sinon.stub();
+    responses.forEach((response, index) => {
+        request.onCall(index).resolves({
+            data: response
+        });
+    });
+    return {
+        request
+    };
+};
+
+test('graphql', async (t) => {
+    const client = getClient({
+        data: {
+            viewer: {
+                login: 'foo'
+            }
+        }
+    });
+
+    const data = await graphql(client, 'query { viewer { login } }');
+
+    t.deepEqual(data, {
+        viewer: {
+            login: 'foo'
+        }
+    });
+    t.true(client.request.calledWith('POST /graphql', {
+        query: 'query { viewer { login } }',
+        variables: {}
+    }));
+});
+
+test('graphql with errors', async (t) => {
+    const client = getClient({
+        data: null,
+        errors: [
+            {
+                message: 'foo'
+            },
+            {
+                message: 'bar'
+            }
+        ]
+    });
+
+    const error = await t.throwsAsync(graphql(client, 'query { foo }'), {
+        instanceOf: GraphQLError,
+        message: 'foo\nbar'
+    });
+    t.is(error.errors.length, 2);
+});
+
+test('paginate', async (t) => {
+    const page = (nodes, endCursor) => ({
+        data: {
+            items: {
+                pageInfo: {
+                    hasNextPage: Boolean(endCursor),
+                    endCursor
+                },
+                nodes
+            }
+        }
+    });
+    const client = getClient(page([ 1, 2 ], 'a'), page([ 3 ], null));
+
+    const nodes = await paginate(client, 'query', {
+        foo: 'bar'
+    }, (data) => data.items);
+
+    t.deepEqual(nodes, [ 1, 2, 3 ]);
+    t.deepEqual(client.request.firstCall.args[1].variables, {
+        foo: 'bar',
+        cursor: null
+    });
+    t.is(client.request.secondCall.args[1].variables.cursor, 'a');
+});
@@ -37,6 +37,65 @@ test('comment', async  (t) => {
     t.is(opts.body, commentContent);
 });
 
+test('edit comment', async (t) => {
+    await t.context.issue.editComment(42, 'foo bar');
+
+    const opts = t.context.gh.options.pop();
+    t.is(opts.url, '/repos/:owner/:repo/issues/comments/:comment_id');
+    t.is(opts.owner, t.context.data.owner);
+    t.is(opts.repo, t.context.data.repo);
+    t.is(opts.comment_id, 42);
+    t.is(opts.body, 'foo bar');
+});
+
+test('get comments', async (t) => {
+    const comments = [
+        {
+            id: 42,
+            body: 'foo'
+        }
+    ];
+    t.context.gh.queueResponse({
+        headers: {},
+        data: comments
+    });
+
+    t.deepEqual(await t.context.issue.getComments(), comments);
+
+    const opts = t.context.gh.options.pop();
+    t.is(opts.url, `https://api.github.com/repos/${t.context.data.owner}/${t.context.data.repo}/issues/${t.context.data.number}/comments?per_page=100`);
+    t.is(opts.method, 'GET');
+});
+
+test('get authenticated login is fetched once per client', async (t) => {
+    t.context.gh.queueResponse({
+        headers: {},
+        data: {
+            login: 'queue-bot'
+        }
+    });
+    const other = new Issue(t.context.gh, getIssueData());
+
+    t.is(await t.context.issue.getAuthenticatedLogin(), 'queue-bot');
+    t.is(await other.getAuthenticatedLogin(), 'queue-bot');
+
+    t.is(t.context.gh.options.length, 1);
+    t.is(t.context.gh.options[0].url, '/user');
+});
+
+test('get approving reactions', async (t) => {
+    t.context.gh.queueResponse({
+        headers: {},
+        data: []
+    });
+
+    t.deepEqual(await t.context.issue.getApprovingReactions(), []);
+
+    const opts = t.context.gh.options.pop();
+    t.true(opts.url.endsWith(`/issues/${t.context.data.number}/reactions?content=%2B1&per_page=100`));
+    t.true(opts.headers.accept.includes('squirrel-girl'));
+});
+
 test('set content', async (t) => {
     const newContent = 'foo bar';
     const lastUpdate = t.context.issue.lastUpdate;
@@ -172,3 +231,36 @@ test('close', async (t) => {
     await t.context.issue.close();
     t.is(t.context.gh.options.length, 0);
 });
+
+test('setContent waits for the update', async (t) => {
+    t.context.gh.queueResponse({
+        data: {}
+    });
+
+    await t.context.issue.setContent('foo bar');
+
+    t.is(t.context.gh.options.length, 1);
+    const opts = t.context.gh.options.pop();
+    t.is(opts.issue_number, t.context.data.number);
+    t.is(opts.body, 'foo bar');
+    t.is(t.context.issue.content, 'foo bar');
+});
+
+test('dry run does not change the issue', async (t) => {
+    const issue = t.context.issue;
+
+    await issue.comment('foo', true);
+    await issue.editComment(42, 'foo', true);
+    await issue.addLabel('bar', true);
+    await issue.assign('baz', true);
+    await issue.close(true);
+    await issue.setContent('lorem', true);
+    issue.labels.push('lorem');
+    await issue.removeLabel('lorem', true);
+
+    t.is(t.context.gh.options.length, 0);
+    t.true(issue.state);
+    t.deepEqual(issue.labels, [ 'lorem' ]);
+    t.is(issue.assignee, null);
+    t.is(issue.content, t.context.data.content);
+});
@@ -46,6 +46,7 @@ test('getIssueInfo', (t) => {
     const config = getConfig();
     const input = {
         id: 'foo',
+        node_id: 'I_foo',
         number: 1,
         updated_at: new Date().toString(),
         body: 'lorem ipsum',
@@ -54,6 +55,7 @@ test('getIssueInfo', (t) => {
     };
     const output = {
         id: input.id,
+        nodeId: input.node_id,
         number: input.number,
         repo: config.repo,
         owner: config.owner,
@@ -97,6 +99,7 @@ test('getIssueInfo with assignee and labels', (t) => {
     };
     const output = {
         id: input.id,
+        nodeId: undefined,
         number: input.number,
         repo: config.repo,
         owner: config.owner,
@@ -512,3 +515,163 @@ test.todo('opened event for new open issues');
 test.todo('updated event from open issues');
 test.todo('closed issues');
 test.todo('closed event for new closed issues');
+
+const getWebhookIssue = (state = 'open', updatedAt = Date.now() + 1000) => ({
+    id: 123,
+    number: 1,
+    updated_at: new Date(updatedAt).toString(),
+    body: 'foo bar',
+    title: 'test',
+    state
+});
+
+const getEmptyIssues = () => {
+    const client = getGithubClient();
+    client.queueResponse({
+        data: [],
+        headers: {}
+    });
+    client.queueResponse({
+        data: [],
+        headers: {}
+    });
+    return new Issues(client, getConfig());
+};
+
+test('receive new open issue', async (t) => {
+    const issues = getEmptyIssues();
+    const opened = sinon.spy();
+    issues.on('opened', opened);
+
+    const issue = await issues.receiveIssue(getWebhookIssue());
+
+    const openIssues = await issues.issues;
+    t.is(openIssues.get(1), issue);
+    t.true(opened.calledOnce);
+    t.is(opened.lastCall.args[0], issue);
+});
+
+test('receive update for known issue', async (t) => {
+    const issues = getEmptyIssues();
+    const updated = sinon.spy();
+    issues.on('updated', updated);
+    const issue = await issues.receiveIssue(getWebhookIssue('open', 0));
+
+    const apiData = getWebhookIssue();
+    apiData.body = 'lorem ipsum';
+    const updatedIssue = await issues.receiveIssue(apiData);
+
+    t.is(updatedIssue, issue);
+    t.is(issue.content, apiData.body);
+    t.true(updated.calledOnce);
+});
+
+test('receive outdated issue data', async (t) => {
+    const issues = getEmptyIssues();
+    const updated = sinon.spy();
+    issues.on('updated', updated);
+    const issue = await issues.receiveIssue(getWebhookIssue());
+
+    const apiData = getWebhookIssue('open', 0);
+    apiData.body = 'lorem ipsum';
+    await issues.receiveIssue(apiData);
+
+    t.not(issue.content, apiData.body);
+    t.false(updated.called);
+});
+
+test('receive closed issue', async (t) => {
+    const issues = getEmptyIssues();
+    const closed = sinon.spy();
+    issues.on('closed', closed);
+    const issue = await issues.receiveIssue(getWebhookIssue('open', 0));
+
+    await issues.receiveIssue(getWebhookIssue('closed'));
+
+    const [ openIssues, closedIssues ] = await Promise.all([
+        issues.issues,
+        issues.closedIssues
+    ]);
+    t.false(openIssues.has(1));
+    t.is(closedIssues.get(1), issue);
+    t.false(issue.state);
+    t.true(closed.calledOnce);
+});
+
+test('ignore received pull requests', async (t) => {
+    const issues = getEmptyIssues();
+    const apiData = getWebhookIssue();
+    apiData.pull_request = {};
+
+    const issue = await issues.receiveIssue(apiData);
+
+    t.is(issue, null);
+    const openIssues = await issues.issues;
+    t.is(openIssues.size, 0);
+});
+
+const getComment = (id, createdAt, issueNumber = 1) => ({
+    id,
+    body: 'foo',
+    created_at: new Date(createdAt).toISOString(),
+    issue_url: `https://api.github.com/repos/test/foo/issues/${issueNumber}`
+});
+
+test('comments are not fetched without listeners', async (t) => {
+    const issues = getEmptyIssues();
+
+    const state = await issues.comments;
+
+    t.is(state, undefined);
+});
+
+test('first comments fetch only seeds the state', async (t) => {
+    const issues = getEmptyIssues();
+    const listener = sinon.spy();
+    issues.on('comment', listener);
+
+    const state = await issues.comments;
+
+    t.is(state.lastId, 0);
+    t.is(state.since, new Date().toISOString());
+    t.false(listener.called);
+});
+
+test('fetch new comments', async (t) => {
+    const issues = getEmptyIssues();
+    const listener = sinon.spy();
+    issues.on('comment', listener);
+    await issues.comments;
+
+    issues.githubClient.resetQueue();
+    issues.githubClient.queueResponse({
+        headers: {},
+        data: [
+            getComment(1, -1000),
+            getComment(2, 0, 3),
+            getComment(3, 1000)
+        ]
+    });
+    issues.invalidate('comments');
+    const state = await issues.comments;
+
+    t.true(issues.githubClient.options.pop().url.includes('/issues/comments'));
+    t.true(listener.calledTwice);
+    t.is(listener.firstCall.args[0].issueNumber, 3);
+    t.is(listener.firstCall.args[0].comment.id, 2);
+    t.is(listener.lastCall.args[0].comment.id, 3);
+    t.is(state.lastId, 3);
+    t.is(state.since, new Date(1000).toISOString());
+});
+
+test('receive comment', async (t) => {
+    const issues = getEmptyIssues();
+    const listener = sinon.spy();
+    issues.on('comment', listener);
+
+    await issues.receiveComment(getComment(5, 0));
+    await issues.receiveComment(getComment(5, 0));
+
+    t.true(listener.calledOnce);
+    t.is(listener.lastCall.args[0].issueNumber, 1);
+});
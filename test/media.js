@@ -0,0 +1,116 @@
+import test from 'ava';
+import Media from '../lib/media';
+
+const LIMITS = {
+    size: {
+        image: 10,
+        gif: 20,
+        video: 30
+    },
+    exclusive: [
+        'gif',
+        'video'
+    ]
+};
+
+const getResponse = (data, headers = {}, ok = true) => ({
+    ok,
+    headers: new Map(Object.entries(headers)),
+    buffer: () => Promise.resolve(Buffer.from(data))
+});
+
+test('get type', (t) => {
+    t.is(Media.getType('image/png'), 'image');
+    t.is(Media.getType('image/gif'), 'gif');
+    t.is(Media.getType('video/mp4'), 'video');
+    t.is(Media.getType('application/octet-stream'), null);
+});
+
+test('guess mime type', (t) => {
+    t.is(Media.guessMimeType('https://example.com/foo.JPG'), 'image/jpeg');
+    t.is(Media.guessMimeType('https://example.com/foo.mp4?size=large'), 'video/mp4');
+    t.is(Media.guessMimeType('https://example.com/foo'), null);
+});
+
+test('guess type defaults to image', (t) => {
+    t.is(Media.guessType('https://example.com/foo.gif'), 'gif');
+    t.is(Media.guessType('https://example.com/image'), 'image');
+});
+
+test('get problems', (t) => {
+    t.deepEqual(Media.getProblems([
+        { url: 'https://example.com/foo.png' },
+        { url: 'https://example.com/bar.png' }
+    ], LIMITS), []);
+    t.deepEqual(Media.getProblems([
+        { url: 'https://example.com/foo.mp4' }
+    ], LIMITS), []);
+
+    const problems = Media.getProblems([
+        { url: 'https://example.com/foo.mp4' },
+        { url: 'https://example.com/bar.png' }
+    ], LIMITS);
+    t.is(problems.length, 1);
+    t.true(problems[0].includes('GIF or video'));
+});
+
+test('get problems with unsupported media', (t) => {
+    const problems = Media.getProblems([
+        { url: 'https://example.com/foo.mp4' }
+    ], {
+        size: {
+            image: 10
+        },
+        exclusive: []
+    });
+    t.is(problems.length, 1);
+    t.true(problems[0].includes('video'));
+});
+
+test('load', async (t) => {
+    const media = await Media.load('https://example.com/foo', LIMITS, () => Promise.resolve(getResponse('foo', {
+        'content-type': 'image/png; charset=binary'
+    })));
+
+    t.is(media.mimeType, 'image/png');
+    t.is(media.type, 'image');
+    t.is(media.size, 3);
+    t.is(media.data.toString(), 'foo');
+});
+
+test('load falls back to the extension for generic types', async (t) => {
+    const media = await Media.load('https://example.com/foo.mp4', LIMITS, () => Promise.resolve(getResponse('foo', {
+        'content-type': 'application/octet-stream'
+    })));
+
+    t.is(media.mimeType, 'video/mp4');
+    t.is(media.type, 'video');
+});
+
+test('load throws for failed requests', async (t) => {
+    await t.throwsAsync(Media.load('https://example.com/foo.png', LIMITS, () => Promise.resolve(getResponse('', {}, false))), {
+        instanceOf: Error
+    });
+});
+
+test('load throws for unsupported media', async (t) => {
+    await t.throwsAsync(Media.load('https://example.com/foo', LIMITS, () => Promise.resolve(getResponse('foo', {
+        'content-type': 'text/html'
+    }))), {
+        instanceOf: Error,
+        message: /not supported/
+    });
+});
+
+test('load throws for media that is too big', async (t) => {
+    await t.throwsAsync(Media.load('https://example.com/foo.png', LIMITS, () => Promise.resolve(getResponse('12345678901'))), {
+        instanceOf: Error,
+        message: /at most 10 bytes/
+    });
+    await t.throwsAsync(Media.load('https://example.com/foo.png', LIMITS, () => Promise.resolve(getResponse('', {
+        'content-length': '100'
+    }))), {
+        instanceOf: Error,
+        message: /100 bytes/
+    });
+});
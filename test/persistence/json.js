@@ -0,0 +1,112 @@
+import test from 'ava';
+import fs from 'mz/fs';
+import os from 'os';
+import path from 'path';
+import JSONBackend from '../../lib/persistence/json';
+
+test.beforeEach(async (t) => {
+    t.context.dir = await fs.mkdtemp(path.join(os.tmpdir(), 'content-queue-'));
+    t.context.path = path.join(t.context.dir, 'state.json');
+});
+
+test('get from missing file', async (t) => {
+    const backend = new JSONBackend({
+        path: t.context.path
+    });
+
+    t.is(await backend.get('foo'), undefined);
+});
+
+test('set writes the file', async (t) => {
+    const backend = new JSONBackend({
+        path: t.context.path
+    });
+
+    await backend.set('foo', [ 'bar' ]);
+
+    const content = JSON.parse(await fs.readFile(t.context.path, 'utf8'));
+    t.deepEqual(content, {
+        foo: [ 'bar' ]
+    });
+    t.false(await fs.exists(`${t.context.path}.tmp`));
+});
+
+test('values survive a new instance', async (t) => {
+    const backend = new JSONBackend({
+        path: t.context.path
+    });
+    await backend.set('foo', 'bar');
+    await backend.set('baz', 42);
+    await backend.close();
+
+    const restarted = new JSONBackend({
+        path: t.context.path
+    });
+
+    t.is(await restarted.get('foo'), 'bar');
+    t.is(await restarted.get('baz'), 42);
+});
+
+test('concurrent sets are all written', async (t) => {
+    const backend = new JSONBackend({
+        path: t.context.path
+    });
+
+    await Promise.all([
+        backend.set('a', 1),
+        backend.set('b', 2),
+        backend.set('c', 3)
+    ]);
+
+    const content = JSON.parse(await fs.readFile(t.context.path, 'utf8'));
+    t.deepEqual(content, {
+        a: 1,
+        b: 2,
+        c: 3
+    });
+});
+
+test('delete value', async (t) => {
+    const backend = new JSONBackend({
+        path: t.context.path
+    });
+    await backend.set('foo', 'bar');
+
+    await backend.delete('foo');
+
+    t.is(await backend.get('foo'), undefined);
+    const content = JSON.parse(await fs.readFile(t.context.path, 'utf8'));
+    t.false('foo' in content);
+});
+
+test('stored values are copies', async (t) => {
+    const backend = new JSONBackend({
+        path: t.context.path
+    });
+    const value = {
+        foo: 'bar'
+    };
+    await backend.set('foo', value);
+    value.foo = 'baz';
+
+    t.deepEqual(await backend.get('foo'), {
+        foo: 'bar'
+    });
+});
+
+test('a failed write does not stop later writes', async (t) => {
+    const dir = path.join(t.context.dir, 'missing');
+    const backend = new JSONBackend({
+        path: path.join(dir, 'state.json')
+    });
+
+    await t.throwsAsync(backend.set('foo', 'bar'));
+    await fs.mkdir(dir);
+    await backend.set('baz', 42);
+
+    const content = JSON.parse(await fs.readFile(backend.path, 'utf8'));
+    t.deepEqual(content, {
+        foo: 'bar',
+        baz: 42
+    });
+});
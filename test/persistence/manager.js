@@ -0,0 +1,46 @@
+import test from 'ava';
+import PersistenceManager from '../../lib/persistence/manager';
+import MemoryBackend from '../../lib/persistence/memory';
+import JSONBackend from '../../lib/persistence/json';
+
+test.afterEach.always(() => {
+    PersistenceManager.backend = new MemoryBackend();
+});
+
+test('PersistenceManager is an object', (t) => {
+    t.is(typeof PersistenceManager, 'object');
+});
+
+test('stores in memory by default', (t) => {
+    t.true(PersistenceManager.backend instanceof MemoryBackend);
+});
+
+test.serial('configure backend', (t) => {
+    PersistenceManager.configure({
+        type: 'json',
+        path: 'foo.json'
+    });
+
+    t.true(PersistenceManager.backend instanceof JSONBackend);
+    t.is(PersistenceManager.backend.path, 'foo.json');
+});
+
+test.serial('configure throws for modules that are not backends', (t) => {
+    t.throws(() => PersistenceManager.configure({
+        type: 'backend'
+    }));
+    t.throws(() => PersistenceManager.configure({
+        type: 'manager'
+    }));
+});
+
+test.serial('get and set use the backend', async (t) => {
+    await PersistenceManager.set('foo', 'bar');
+
+    t.is(await PersistenceManager.backend.get('foo'), 'bar');
+    t.is(await PersistenceManager.get('foo'), 'bar');
+
+    await PersistenceManager.delete('foo');
+
+    t.is(await PersistenceManager.get('foo'), undefined);
+});
@@ -0,0 +1,35 @@
+import test from 'ava';
+import MemoryBackend from '../../lib/persistence/memory';
+import PersistenceBackend from '../../lib/persistence/backend';
+
+test('is a persistence backend', (t) => {
+    t.true(new MemoryBackend() instanceof PersistenceBackend);
+});
+
+test('get unknown key', async (t) => {
+    const backend = new MemoryBackend();
+
+    t.is(await backend.get('foo'), undefined);
+});
+
+test('set and get value', async (t) => {
+    const backend = new MemoryBackend();
+    const value = {
+        foo: [ 'bar' ]
+    };
+
+    await backend.set('foo', value);
+    const stored = await backend.get('foo');
+
+    t.deepEqual(stored, value);
+    t.not(stored, value);
+});
+
+test('delete value', async (t) => {
+    const backend = new MemoryBackend();
+    await backend.set('foo', 'bar');
+
+    await backend.delete('foo');
+
+    t.is(await backend.get('foo'), undefined);
+});
@@ -0,0 +1,85 @@
+import test from 'ava';
+import sinon from 'sinon';
+import SQLiteBackend from '../../lib/persistence/sqlite';
+
+const getDatabase = () => {
+    const rows = new Map();
+    const queries = {
+        "SELECT value FROM state WHERE key = ?": {
+            get: (key) => (rows.has(key) ? {
+                value: rows.get(key)
+            } : undefined)
+        },
+        "INSERT OR REPLACE INTO state (key, value) VALUES (?, ?)": {
+            run: (key, value) => rows.set(key, value)
+        },
+        "DELETE FROM state WHERE key = ?": {
+            run: (key) => rows.delete(key)
+        }
+    };
+    const Database = sinon.spy(class {
+        constructor() {
+            this.prepare = sinon.spy((query) => queries[query] || {
+                run: sinon.spy()
+            });
+            this.close = sinon.spy();
+        }
+    });
+    Database.rows = rows;
+    return Database;
+};
+
+test('constructor creates the table', (t) => {
+    const Database = getDatabase();
+    const backend = new SQLiteBackend({
+        path: 'foo.sqlite'
+    }, Database);
+
+    t.true(Database.calledWithNew());
+    t.true(Database.calledWith('foo.sqlite'));
+    t.true(backend.db.prepare.calledWith("CREATE TABLE IF NOT EXISTS state (key TEXT PRIMARY KEY, value TEXT NOT NULL)"));
+});
+
+test('default path', (t) => {
+    const backend = new SQLiteBackend({}, getDatabase());
+
+    t.is(backend.path, 'state.sqlite');
+});
+
+test('set stores JSON', async (t) => {
+    const Database = getDatabase();
+    const backend = new SQLiteBackend({}, Database);
+
+    await backend.set('foo', {
+        bar: 'baz'
+    });
+
+    t.is(Database.rows.get('foo'), '{"bar":"baz"}');
+    t.deepEqual(await backend.get('foo'), {
+        bar: 'baz'
+    });
+});
+
+test('get unknown key', async (t) => {
+    const backend = new SQLiteBackend({}, getDatabase());
+
+    t.is(await backend.get('foo'), undefined);
+});
+
+test('delete value', async (t) => {
+    const Database = getDatabase();
+    const backend = new SQLiteBackend({}, Database);
+    await backend.set('foo', 'bar');
+
+    await backend.delete('foo');
+
+    t.false(Database.rows.has('foo'));
+});
+
+test('close closes the database', async (t) => {
+    const backend = new SQLiteBackend({}, getDatabase());
+
+    await backend.close();
+
+    t.true(backend.db.close.calledOnce);
+});
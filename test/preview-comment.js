@@ -0,0 +1,77 @@
+import test from 'ava';
+import PreviewComment from '../lib/preview-comment';
+import StatusComment from '../lib/status-comment';
+import { getIssue } from './_stubs';
+
+const sections = {
+    Twitter: {
+        title: 'Twitter',
+        body: 'lorem ipsum',
+        resolved: false
+    }
+};
+
+test('render and parse', (t) => {
+    const body = PreviewComment.render(sections);
+
+    t.deepEqual(PreviewComment.parse(body), sections);
+    t.true(body.startsWith('<!-- content-queue:preview '));
+    t.true(body.includes(PreviewComment.HEADER));
+});
+
+test('is separate from the status comment', (t) => {
+    t.is(StatusComment.parse(PreviewComment.render(sections)), null);
+    t.is(PreviewComment.parse(StatusComment.render(sections)), null);
+});
+
+test('render without sections', (t) => {
+    t.true(PreviewComment.render({}).includes(PreviewComment.EMPTY));
+});
+
+const BOT = {
+    login: 'queue-bot'
+};
+
+test('update finds the preview comment', async (t) => {
+    const issue = getIssue();
+    issue.getComments.resolves([
+        {
+            id: 1,
+            user: BOT,
+            body: StatusComment.render({})
+        },
+        {
+            id: 2,
+            user: BOT,
+            body: PreviewComment.render(sections)
+        }
+    ]);
+    const preview = new PreviewComment(issue);
+
+    await preview.update('Twitter', 'Twitter', 'lorem ipsum', false);
+    t.false(issue.editComment.called);
+
+    await preview.update('Twitter', 'Twitter', 'dolor', false);
+    t.true(issue.editComment.calledOnce);
+    t.is(issue.editComment.lastCall.args[0], 2);
+    t.false(issue.comment.called);
+});
+
+test('update ignores preview comments by other users', async (t) => {
+    const issue = getIssue();
+    issue.getComments.resolves([
+        {
+            id: 2,
+            user: {
+                login: 'foo'
+            },
+            body: PreviewComment.render(sections)
+        }
+    ]);
+    const preview = new PreviewComment(issue);
+
+    await preview.update('Twitter', 'Twitter', 'lorem ipsum', false);
+
+    t.true(issue.comment.calledOnce);
+    t.false(issue.editComment.called);
+});
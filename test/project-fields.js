@@ -0,0 +1,361 @@
+import test from 'ava';
+import sinon from 'sinon';
+import ProjectFields from '../lib/project-fields';
+import CardContent from '../lib/card-content';
+import { getConfig } from './_stubs';
+
+const FIELDS = [
+    {
+        id: 'publishAt',
+        name: 'Publish at',
+        dataType: 'DATE'
+    },
+    {
+        id: 'when',
+        name: 'When',
+        dataType: 'TEXT'
+    },
+    {
+        id: 'account',
+        name: 'Account',
+        dataType: 'SINGLE_SELECT',
+        options: [
+            {
+                id: 'twitter',
+                name: 'twitter'
+            },
+            {
+                id: 'mastodon',
+                name: 'mastodon'
+            }
+        ]
+    },
+    {
+        id: 'priority',
+        name: 'Priority',
+        dataType: 'NUMBER'
+    },
+    {
+        id: 'status',
+        name: 'Status',
+        dataType: 'SINGLE_SELECT',
+        options: []
+    }
+];
+
+const getFields = (projectFields) => {
+    const client = {
+        request: sinon.spy(async (route, { query }) => ({
+            data: {
+                data: query.includes('fields(first:') ? {
+                    node: {
+                        fields: {
+                            nodes: FIELDS
+                        }
+                    }
+                } : {}
+            }
+        }))
+    };
+    client.getRequests = (operation) => client.request.args
+        .map((args) => args[1])
+        .filter((args) => args.query.includes(operation));
+    return new ProjectFields({
+        config: Object.assign({}, getConfig(), {
+            projectFields
+        }),
+        githubClient: client,
+        getBoardID: async () => 'project'
+    });
+};
+
+const getCard = (content) => {
+    const card = {
+        content: new CardContent(content, getConfig()),
+        saveContent: sinon.stub().resolves()
+    };
+    return card;
+};
+
+test('enabled with configured fields', (t) => {
+    t.false(getFields().enabled);
+    t.false(getFields({
+        foo: 'bar'
+    }).enabled);
+    t.true(getFields({
+        priority: 'Priority'
+    }).enabled);
+});
+
+test('get field with wrong type', async (t) => {
+    const fields = getFields({
+        priority: 'Publish at',
+        account: 'Missing'
+    });
+
+    await t.throwsAsync(fields.getField('priority'), {
+        message: /"Publish at" field has to be one of NUMBER/
+    });
+    await t.throwsAsync(fields.getField('account'), {
+        message: 'The project has no field "Missing"'
+    });
+});
+
+test('field value is copied into the section', async (t) => {
+    const fields = getFields({
+        schedule: 'Publish at'
+    });
+    const card = getCard(`## Content
+foo
+
+## Scheduled for
+2026-11-02 09:30`);
+
+    await fields.syncCard(card, {
+        id: 'item',
+        fields: {
+            'Publish at': '2026-11-05'
+        }
+    }, false);
+
+    t.is(card.content.getSection('Scheduled for'), '2026-11-05 09:30');
+    t.deepEqual(card.content.getMarker('projectFields'), {
+        schedule: '2026-11-05'
+    });
+    t.true(card.saveContent.calledOnceWith(false));
+    t.is(fields.board.githubClient.getRequests('mutation').length, 0);
+});
+
+test('field value adds the section', async (t) => {
+    const fields = getFields({
+        schedule: 'Publish at',
+        account: 'Account',
+        priority: 'Priority'
+    });
+    const card = getCard(`## Content
+foo`);
+
+    await fields.syncCard(card, {
+        id: 'item',
+        fields: {
+            'Publish at': '2026-11-05',
+            'Account': 'mastodon',
+            'Priority': 2
+        }
+    }, false);
+
+    t.is(card.content.getSection('Scheduled for'), '2026-11-05 00:00');
+    t.is(card.content.getSection('Accounts'), 'mastodon');
+    t.is(card.content.priority, 2);
+});
+
+test('changed section is copied into the field', async (t) => {
+    const fields = getFields({
+        schedule: 'Publish at'
+    });
+    const card = getCard(`<!-- content-queue:projectFields {"schedule":"2026-11-05"} -->
+## Content
+foo
+
+## Scheduled for
+2026-11-07 09:30`);
+    const item = {
+        id: 'item',
+        fields: {
+            'Publish at': '2026-11-05'
+        }
+    };
+
+    await fields.syncCard(card, item, false);
+
+    const [ set ] = fields.board.githubClient.getRequests('updateProjectV2ItemFieldValue');
+    t.deepEqual(set.variables, {
+        project: 'project',
+        item: 'item',
+        field: 'publishAt',
+        value: {
+            date: '2026-11-07'
+        }
+    });
+    t.is(item.fields['Publish at'], '2026-11-07');
+    t.is(card.content.getSection('Scheduled for'), '2026-11-07 09:30');
+    t.deepEqual(card.content.getMarker('projectFields'), {
+        schedule: '2026-11-07'
+    });
+});
+
+test('empty field does not clear the section before the first sync', async (t) => {
+    const fields = getFields({
+        account: 'Account'
+    });
+    const card = getCard(`## Content
+foo
+
+## Accounts
+- Twitter`);
+
+    await fields.syncCard(card, {
+        id: 'item',
+        fields: {}
+    }, false);
+
+    t.true(card.content.hasSection('Accounts'));
+    const [ set ] = fields.board.githubClient.getRequests('updateProjectV2ItemFieldValue');
+    t.deepEqual(set.variables.value, {
+        singleSelectOptionId: 'twitter'
+    });
+});
+
+test('cleared field removes the section', async (t) => {
+    const fields = getFields({
+        priority: 'Priority'
+    });
+    const card = getCard(`<!-- content-queue:projectFields {"priority":"1"} -->
+## Content
+foo
+
+## Priority
+1`);
+
+    await fields.syncCard(card, {
+        id: 'item',
+        fields: {}
+    }, false);
+
+    t.false(card.content.hasSection('Priority'));
+    t.deepEqual(card.content.getMarker('projectFields'), {
+        priority: null
+    });
+});
+
+test('removed section clears the field', async (t) => {
+    const fields = getFields({
+        priority: 'Priority'
+    });
+    const card = getCard(`<!-- content-queue:projectFields {"priority":"1"} -->
+## Content
+foo`);
+
+    await fields.syncCard(card, {
+        id: 'item',
+        fields: {
+            Priority: 1
+        }
+    }, false);
+
+    const [ clear ] = fields.board.githubClient.getRequests('clearProjectV2ItemFieldValue');
+    t.is(clear.variables.field, 'priority');
+});
+
+test('field wins when both changed', async (t) => {
+    const fields = getFields({
+        priority: 'Priority'
+    });
+    const card = getCard(`<!-- content-queue:projectFields {"priority":"1"} -->
+## Content
+foo
+
+## Priority
+2`);
+
+    await fields.syncCard(card, {
+        id: 'item',
+        fields: {
+            Priority: 3
+        }
+    }, false);
+
+    t.is(card.content.priority, 3);
+    t.is(fields.board.githubClient.getRequests('mutation').length, 0);
+});
+
+test('text schedule is normalized in both places', async (t) => {
+    const clock = sinon.useFakeTimers(Date.UTC(2026, 10, 2, 8, 0));
+    const fields = getFields({
+        schedule: 'When'
+    });
+    const card = getCard(`## Content
+foo`);
+    const item = {
+        id: 'item',
+        fields: {
+            When: 'tomorrow 9:00'
+        }
+    };
+
+    await fields.syncCard(card, item, false);
+    clock.restore();
+
+    t.is(card.content.getSection('Scheduled for'), '2026-11-03 09:00');
+    const [ set ] = fields.board.githubClient.getRequests('updateProjectV2ItemFieldValue');
+    t.deepEqual(set.variables.value, {
+        text: '2026-11-03 09:00'
+    });
+    t.is(item.fields.When, '2026-11-03 09:00');
+});
+
+test('in sync fields are left alone', async (t) => {
+    const fields = getFields({
+        schedule: 'Publish at',
+        priority: 'Priority'
+    });
+    const card = getCard(`<!-- content-queue:projectFields {"schedule":"2026-11-05","priority":"1"} -->
+## Content
+foo
+
+## Scheduled for
+2026-11-05 10:00
+
+## Priority
+1`);
+
+    await fields.syncCard(card, {
+        id: 'item',
+        fields: {
+            'Publish at': '2026-11-05',
+            Priority: 1
+        }
+    }, false);
+
+    t.false(card.saveContent.called);
+    t.is(fields.board.githubClient.getRequests('mutation').length, 0);
+});
+
+test('unknown option can not be copied into the field', async (t) => {
+    const fields = getFields({
+        account: 'Account'
+    });
+    const card = getCard(`## Content
+foo
+
+## Accounts
+- bluesky`);
+
+    await t.throwsAsync(fields.syncCard(card, {
+        id: 'item',
+        fields: {}
+    }, false), {
+        message: /"bluesky" is not an option of the "Account" field/
+    });
+});
+
+test('dry run only logs field changes', async (t) => {
+    const fields = getFields({
+        priority: 'Priority'
+    });
+    const card = getCard(`## Content
+foo
+
+## Priority
+1`);
+    const item = {
+        id: 'item',
+        fields: {}
+    };
+
+    await fields.syncCard(card, item, true);
+
+    t.is(fields.board.githubClient.getRequests('mutation').length, 0);
+    t.deepEqual(item.fields, {});
+    t.true(card.saveContent.calledOnceWith(true));
+});
@@ -0,0 +1,405 @@
+import test from 'ava';
+import sinon from 'sinon';
+import ProjectV2Board from '../lib/project-v2-board';
+import ProjectV2Column from '../lib/project-v2-column';
+import { MissingStatusOptionError, NoProjectsError, ProjectNotFoundError } from '../lib/board-errors';
+import { getConfig, getIssue, getRepo } from './_stubs';
+
+const getItem = (id, number, optionId, repo = 'yourUserName/yourRepoName') => ({
+    id,
+    content: {
+        number,
+        repository: {
+            nameWithOwner: repo
+        }
+    },
+    fieldValueByName: optionId ? {
+        optionId
+    } : null
+});
+
+const ITEMS = [
+    getItem('item1', 1, 'ideas'),
+    getItem('item2', 2, 'tweet'),
+    getItem('item3', 3, 'tweet'),
+    getItem('item4', 4, 'ideas', 'other/repo'),
+    {
+        id: 'draft',
+        content: {},
+        fieldValueByName: null
+    },
+    getItem('item5', 5, null)
+];
+
+const getClient = (options = {}) => {
+    const projects = options.projects || [
+        {
+            id: 'project',
+            title: 'Tweets'
+        }
+    ];
+    const pages = options.pages || [ ITEMS ];
+    const client = {};
+    client.request = sinon.spy(async (route, { query, variables }) => {
+        let data = {};
+        if(query.includes('projectsV2(')) {
+            data = {
+                repositoryOwner: {
+                    projectsV2: {
+                        nodes: projects
+                    }
+                }
+            };
+        }
+        else if(query.includes('field(name:')) {
+            data = {
+                node: {
+                    field: {
+                        id: 'status',
+                        options: [
+                            {
+                                id: 'ideas',
+                                name: 'Ideas'
+                            },
+                            {
+                                id: 'tweet',
+                                name: 'To Tweet'
+                            }
+                        ]
+                    }
+                }
+            };
+        }
+        else if(query.includes('items(first:')) {
+            const page = variables.cursor ? parseInt(variables.cursor, 10) : 0;
+            data = {
+                node: {
+                    items: {
+                        pageInfo: {
+                            hasNextPage: page + 1 < pages.length,
+                            endCursor: `${page + 1}`
+                        },
+                        nodes: pages[page]
+                    }
+                }
+            };
+        }
+        else if(query.includes('viewerCanUpdate')) {
+            data = {
+                node: {
+                    viewerCanUpdate: options.canUpdate !== false
+                }
+            };
+        }
+        else if(query.includes('addProjectV2ItemById')) {
+            data = {
+                addProjectV2ItemById: {
+                    item: {
+                        id: 'new'
+                    }
+                }
+            };
+        }
+        return {
+            data: {
+                data
+            }
+        };
+    });
+    client.getRequests = (operation) => client.request.args
+        .map((args) => args[1])
+        .filter((args) => args.query.includes(operation));
+    return client;
+};
+
+const getBoard = (client = getClient()) => {
+    const config = Object.assign({}, getConfig(), {
+        projectVersion: 2
+    });
+    return new ProjectV2Board(client, config, getRepo(), true);
+};
+
+test('get board id', async (t) => {
+    const board = getBoard();
+
+    t.is(await board.getBoardID(), 'project');
+    t.is(board.githubClient.getRequests('projectsV2(')[0].variables.title, 'Tweets');
+});
+
+test('get board id without projects', async (t) => {
+    const board = getBoard(getClient({
+        projects: []
+    }));
+
+    await t.throwsAsync(board.getBoardID(), {
+        instanceOf: NoProjectsError
+    });
+});
+
+test('get board id with other projects', async (t) => {
+    const board = getBoard(getClient({
+        projects: [
+            {
+                id: 'other',
+                title: 'Tweets 2'
+            }
+        ]
+    }));
+
+    await t.throwsAsync(board.getBoardID(), {
+        instanceOf: ProjectNotFoundError
+    });
+});
+
+test('can update', async (t) => {
+    const board = getBoard();
+
+    t.true(await board.canUpdate());
+    t.is(board.githubClient.getRequests('viewerCanUpdate')[0].variables.project, 'project');
+});
+
+test('can not update', async (t) => {
+    const board = getBoard(getClient({
+        canUpdate: false
+    }));
+
+    t.false(await board.canUpdate());
+});
+
+test('columns are the options of the status field', async (t) => {
+    const board = getBoard();
+    await board.ready;
+
+    const columns = await board.columns;
+
+    t.deepEqual(Object.keys(columns), [ 'ideas', 'tweet' ]);
+    t.true(columns.tweet instanceof ProjectV2Column);
+    t.deepEqual(await board.columnIds, {
+        'Ideas': 'ideas',
+        'To Tweet': 'tweet'
+    });
+    t.is(board.githubClient.getRequests('field(name:')[0].variables.field, 'Status');
+});
+
+test('items of other repositories are ignored', async (t) => {
+    const board = getBoard(getClient({
+        pages: [ ITEMS.slice(0, 2), ITEMS.slice(2) ]
+    }));
+
+    const items = await board.getItems();
+
+    t.deepEqual(items, [
+        {
+            id: 'item1',
+            issueNumber: 1,
+            statusId: 'ideas',
+            fields: {}
+        },
+        {
+            id: 'item2',
+            issueNumber: 2,
+            statusId: 'tweet',
+            fields: {}
+        },
+        {
+            id: 'item3',
+            issueNumber: 3,
+            statusId: 'tweet',
+            fields: {}
+        },
+        {
+            id: 'item5',
+            issueNumber: 5,
+            statusId: null,
+            fields: {}
+        }
+    ]);
+    t.is(board.githubClient.getRequests('items(first:').length, 2);
+});
+
+test('items have the values of their fields', async (t) => {
+    const item = getItem('item1', 1, 'ideas');
+    item.fieldValues = {
+        nodes: [
+            {
+                date: '2026-11-05',
+                field: {
+                    name: 'Publish at'
+                }
+            },
+            {
+                number: 2,
+                field: {
+                    name: 'Priority'
+                }
+            },
+            {
+                name: 'To Tweet',
+                field: {
+                    name: 'Status'
+                }
+            },
+            {}
+        ]
+    };
+    const board = getBoard(getClient({
+        pages: [ [ item ] ]
+    }));
+
+    const [ { fields } ] = await board.getItems();
+
+    t.deepEqual(fields, {
+        'Publish at': '2026-11-05',
+        'Priority': 2,
+        'Status': 'To Tweet'
+    });
+});
+
+test('sync fields reports errors on the card', async (t) => {
+    const board = getBoard();
+    const card = {
+        reportError: sinon.stub().resolves()
+    };
+    board.cards.set('item2', card);
+    const error = new Error('foo');
+    board.fields.syncCard = sinon.spy(async (c) => {
+        if(c === card) {
+            throw error;
+        }
+    });
+
+    await board.syncFields(false);
+
+    t.true(board.fields.syncCard.calledOnce);
+    t.true(card.reportError.calledWith('sync the project fields of', error, false));
+});
+
+test('column issues', async (t) => {
+    const board = getBoard();
+    const columns = await board.columns;
+
+    const issues = await columns.tweet.issues;
+
+    t.deepEqual(Object.keys(issues), [ '2', '3' ]);
+    t.is(issues[2].id, 'item2');
+    t.true(await columns.ideas.hasIssue(1));
+    t.false(await columns.ideas.hasIssue(4));
+});
+
+test('add card', async (t) => {
+    const board = getBoard();
+    await board.ready;
+    const columns = await board.columns;
+    const issue = getIssue('foo', 7);
+    issue.nodeId = 'issue7';
+
+    const card = await board.addCard(issue, columns.ideas, false, false);
+
+    t.is(card.id, 'new');
+    t.is(card.column, columns.ideas);
+    const [ add ] = board.githubClient.getRequests('addProjectV2ItemById');
+    t.deepEqual(add.variables, {
+        project: 'project',
+        content: 'issue7'
+    });
+    const [ status ] = board.githubClient.getRequests('updateProjectV2ItemFieldValue');
+    t.deepEqual(status.variables, {
+        project: 'project',
+        item: 'new',
+        field: 'status',
+        option: 'ideas'
+    });
+});
+
+test('move card to column', async (t) => {
+    const board = getBoard();
+    await board.ready;
+    const columns = await board.columns;
+    const card = await board.addCard(getIssue('foo', 1), columns.ideas, true, false);
+    t.is(card.id, 'item1');
+
+    await board.moveCardToColumn(card, columns.tweet, false, 'bottom', false);
+
+    t.is(card.column, columns.tweet);
+    const [ status ] = board.githubClient.getRequests('updateProjectV2ItemFieldValue');
+    t.is(status.variables.item, 'item1');
+    t.is(status.variables.option, 'tweet');
+    const [ move ] = board.githubClient.getRequests('updateProjectV2ItemPosition');
+    t.deepEqual(move.variables, {
+        project: 'project',
+        item: 'item1',
+        after: 'item3'
+    });
+});
+
+test('move card to the top', async (t) => {
+    const board = getBoard();
+    const columns = await board.columns;
+
+    await columns.tweet.moveCard({
+        id: 'item3'
+    }, 'top');
+
+    const [ move ] = board.githubClient.getRequests('updateProjectV2ItemPosition');
+    t.is(move.variables.after, 'item1');
+});
+
+test('remove card', async (t) => {
+    const board = getBoard();
+    await board.ready;
+    const columns = await board.columns;
+    const card = await board.addCard(getIssue('foo', 2), columns.tweet, true, false);
+
+    await columns.tweet.removeCard(card, false, false, false);
+
+    const [ remove ] = board.githubClient.getRequests('deleteProjectV2Item');
+    t.is(remove.variables.item, 'item2');
+    t.false(board.cards.has('item2'));
+});
+
+test('missing columns can not be created', async (t) => {
+    const board = getBoard();
+
+    await t.throwsAsync(board.createColumn('Tweeted'), {
+        instanceOf: MissingStatusOptionError,
+        message: /"Status" field of the project has no option "Tweeted"/
+    });
+});
+
+test('webhook moves cards', async (t) => {
+    const items = ITEMS.slice();
+    const board = getBoard(getClient({
+        pages: [ items ]
+    }));
+    await board.ready;
+    const columns = await board.columns;
+    const card = await board.addCard(getIssue('foo', 1), columns.ideas, true, false);
+    items[0] = getItem('item1', 1, 'tweet');
+
+    await board.handleWebhook('projects_v2_item', {
+        action: 'edited',
+        projects_v2_item: {
+            node_id: 'item1',
+            project_node_id: 'project'
+        }
+    });
+
+    t.is(card.column, columns.tweet);
+});
+
+test('webhook ignores other projects', async (t) => {
+    const board = getBoard();
+    await board.ready;
+    board.receiveItem = sinon.spy();
+
+    await board.handleWebhook('projects_v2_item', {
+        action: 'edited',
+        projects_v2_item: {
+            node_id: 'item1',
+            project_node_id: 'other'
+        }
+    });
+    await board.handleWebhook('project_card', {});
+
+    t.false(board.receiveItem.called);
+});
@@ -0,0 +1,163 @@
+import test from 'ava';
+import PublishFailures from '../lib/publish-failures';
+import PersistenceManager from '../lib/persistence/manager';
+
+const { KINDS } = PublishFailures;
+
+test('classify twitter errors', (t) => {
+    t.is(PublishFailures.classify([ {
+        code: 88
+    } ]), KINDS.RATE_LIMIT);
+    t.is(PublishFailures.classify([ {
+        code: 89
+    } ]), KINDS.AUTH);
+    t.is(PublishFailures.classify([ {
+        code: 186
+    } ]), KINDS.CONTENT);
+    t.is(PublishFailures.classify([ {
+        code: 131
+    } ]), KINDS.NETWORK);
+    t.is(PublishFailures.classify([ {
+        code: 1
+    } ]), KINDS.UNKNOWN);
+});
+
+test('classify http errors', (t) => {
+    t.is(PublishFailures.classify({
+        status: 429
+    }), KINDS.RATE_LIMIT);
+    t.is(PublishFailures.classify({
+        statusCode: 401
+    }), KINDS.AUTH);
+    t.is(PublishFailures.classify({
+        response: {
+            status: 503
+        }
+    }), KINDS.NETWORK);
+    t.is(PublishFailures.classify(new Error('HTTP Error: 422 Unprocessable Entity')), KINDS.CONTENT);
+});
+
+test('classify xrpc errors', (t) => {
+    t.is(PublishFailures.classify({
+        error: 'ExpiredToken',
+        status: 400
+    }), KINDS.AUTH);
+    t.is(PublishFailures.classify({
+        error: 'RateLimitExceeded'
+    }), KINDS.RATE_LIMIT);
+});
+
+test('classify network errors', (t) => {
+    const error = new Error('socket hang up');
+    error.code = 'ECONNRESET';
+    t.is(PublishFailures.classify(error), KINDS.NETWORK);
+});
+
+test('classify errors by message', (t) => {
+    t.is(PublishFailures.classify(new Error('Content is too long')), KINDS.CONTENT);
+    t.is(PublishFailures.classify(new Error('foo')), KINDS.UNKNOWN);
+    t.is(PublishFailures.classify('foo'), KINDS.UNKNOWN);
+});
+
+test('delay grows exponentially up to a maximum', (t) => {
+    const first = PublishFailures.getDelay(KINDS.NETWORK, 1);
+    t.is(PublishFailures.getDelay(KINDS.NETWORK, 2), first * 2);
+    t.is(PublishFailures.getDelay(KINDS.NETWORK, 3), first * 4);
+    t.true(PublishFailures.getDelay(KINDS.NETWORK, 20) < first * Math.pow(2, 19));
+});
+
+test('record transient failure', (t) => {
+    const failures = new PublishFailures();
+    const failure = failures.recordFailure('foo', new Error('foo'), 0);
+
+    t.is(failure.kind, KINDS.UNKNOWN);
+    t.is(failure.attempts, 1);
+    t.false(failure.permanent);
+    t.is(failure.nextAttempt, PublishFailures.getDelay(KINDS.UNKNOWN, 1));
+    t.false(failures.canAttempt('foo', failure.nextAttempt - 1));
+    t.true(failures.canAttempt('foo', failure.nextAttempt));
+    t.true(failures.canAttempt('bar', 0));
+});
+
+test('record permanent failure', (t) => {
+    const failures = new PublishFailures();
+    const failure = failures.recordFailure('foo', {
+        status: 403
+    }, 0);
+
+    t.true(failure.permanent);
+    t.false(failures.canAttempt('foo', Date.now()));
+});
+
+test('failures become permanent after too many attempts', (t) => {
+    const failures = new PublishFailures();
+    let failure;
+    for(let i = 0; i < PublishFailures.MAX_ATTEMPTS; ++i) {
+        failure = failures.recordFailure('foo', new Error('foo'), 0);
+    }
+
+    t.is(failure.attempts, PublishFailures.MAX_ATTEMPTS);
+    t.true(failure.permanent);
+});
+
+test('clear', (t) => {
+    const failures = new PublishFailures();
+    const failure = failures.recordFailure('foo', new Error('foo'), 0);
+
+    t.is(failures.clear('foo'), failure);
+    t.is(failures.get('foo'), undefined);
+    t.true(failures.canAttempt('foo', 0));
+});
+
+test('failures are persisted and restored', async (t) => {
+    const failures = new PublishFailures('failures:persisted');
+    const transient = failures.recordFailure('foo', new Error('foo'), 0);
+    const permanent = failures.recordFailure('bar', {
+        status: 403
+    }, 0);
+
+    const restored = new PublishFailures('failures:persisted');
+    await restored.restore();
+
+    t.deepEqual(restored.get('foo'), transient);
+    t.deepEqual(restored.get('bar'), permanent);
+    t.is(restored.get('bar').nextAttempt, Infinity);
+    t.false(restored.canAttempt('foo', transient.nextAttempt - 1));
+
+    restored.clear('foo');
+    const cleared = new PublishFailures('failures:persisted');
+    await cleared.restore();
+    t.is(cleared.get('foo'), undefined);
+});
+
+test('restore keeps newer failures', async (t) => {
+    await PersistenceManager.set('failures:newer', [ [ 'foo', {
+        kind: KINDS.NETWORK,
+        attempts: 1,
+        permanent: false,
+        nextAttempt: 1
+    } ] ]);
+    const failures = new PublishFailures('failures:newer');
+    const failure = failures.recordFailure('foo', new Error('foo'), 0);
+
+    await failures.restore();
+
+    t.is(failures.get('foo'), failure);
+});
+
+test('read only failures are not persisted', async (t) => {
+    await PersistenceManager.set('failures:read-only', [ [ 'foo', {
+        kind: KINDS.NETWORK,
+        attempts: 1,
+        permanent: false,
+        nextAttempt: 1
+    } ] ]);
+    const failures = new PublishFailures('failures:read-only', true);
+    await failures.restore();
+
+    failures.recordFailure('bar', new Error('bar'), 0);
+    failures.clear('foo');
+
+    t.is((await PersistenceManager.get('failures:read-only')).length, 1);
+    t.is((await PersistenceManager.get('failures:read-only'))[0][0], 'foo');
+});
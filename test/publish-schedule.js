@@ -0,0 +1,140 @@
+import test from 'ava';
+import PublishSchedule from '../lib/publish-schedule';
+
+const BERLIN = {
+    format: 'YYYY-MM-DD HH:mm',
+    region: 'Europe/Berlin'
+};
+const HOUR = 3600000;
+
+// Friday, 00:00 in Berlin.
+const FRIDAY = Date.parse('2026-10-22T22:00:00Z');
+
+const post = (time, slot = null) => ({
+    time,
+    slot
+});
+
+const slots = (schedule, from, to) => schedule.getSlotsBetween(Date.parse(from), Date.parse(to)).map((d) => d.toISOString());
+
+test('list of times is in UTC', (t) => {
+    const schedule = new PublishSchedule([ '09:00', '9:5', '25:00', 'foo' ], BERLIN);
+
+    t.true(schedule.enabled);
+    t.deepEqual(slots(schedule, '2026-10-23T00:00:00Z', '2026-10-24T00:00:00Z'), [
+        '2026-10-23T09:00:00.000Z',
+        '2026-10-23T09:05:00.000Z'
+    ]);
+});
+
+test('without slots', (t) => {
+    t.false(new PublishSchedule(undefined, BERLIN).enabled);
+    t.false(new PublishSchedule([], BERLIN).enabled);
+    t.false(new PublishSchedule({}, BERLIN).enabled);
+    t.is(new PublishSchedule([]).getQuota(0, FRIDAY), Infinity);
+});
+
+test('slots are in the timezone of the board', (t) => {
+    const schedule = new PublishSchedule({
+        slots: [ '09:00' ]
+    }, BERLIN);
+
+    // Daylight saving time ends on sunday.
+    t.deepEqual(slots(schedule, '2026-10-24T00:00:00Z', '2026-10-27T00:00:00Z'), [
+        '2026-10-24T07:00:00.000Z',
+        '2026-10-25T08:00:00.000Z',
+        '2026-10-26T08:00:00.000Z'
+    ]);
+});
+
+test('slots per weekday', (t) => {
+    const schedule = new PublishSchedule({
+        slots: [ '09:00' ],
+        weekdays: {
+            saturday: [ '12:00', '10:00' ],
+            sunday: []
+        }
+    }, BERLIN);
+
+    t.deepEqual(slots(schedule, '2026-10-23T00:00:00Z', '2026-10-26T12:00:00Z'), [
+        '2026-10-23T07:00:00.000Z',
+        '2026-10-24T08:00:00.000Z',
+        '2026-10-24T10:00:00.000Z',
+        '2026-10-26T08:00:00.000Z'
+    ]);
+});
+
+test('blackout dates', (t) => {
+    const schedule = new PublishSchedule({
+        slots: [ '09:00' ],
+        blackoutDates: [ '2026-12-24', '12-25' ]
+    }, BERLIN);
+
+    t.deepEqual(slots(schedule, '2026-12-24T00:00:00Z', '2026-12-27T00:00:00Z'), [
+        '2026-12-26T08:00:00.000Z'
+    ]);
+    t.deepEqual(slots(schedule, '2027-12-25T00:00:00Z', '2027-12-26T00:00:00Z'), []);
+});
+
+test('owed slots', (t) => {
+    const schedule = new PublishSchedule({
+        slots: [ '09:00', '12:00', '18:00' ]
+    }, BERLIN);
+    const noon = FRIDAY + 12 * HOUR;
+    const owed = (since, now, published) => schedule.getOwedSlots(since, now, published).map((d) => d.getTime());
+
+    t.deepEqual(owed(FRIDAY, noon), [ FRIDAY + 9 * HOUR, noon ]);
+    t.deepEqual(owed(FRIDAY + 9 * HOUR, noon), [ noon ]);
+    t.deepEqual(owed(FRIDAY, noon, [ post(noon, FRIDAY + 9 * HOUR), post(noon) ]), [ noon ]);
+    // Slots are owed for a day at most.
+    t.deepEqual(owed(FRIDAY, FRIDAY + 40 * HOUR), [ FRIDAY + 18 * HOUR, FRIDAY + 33 * HOUR, FRIDAY + 36 * HOUR ]);
+});
+
+test('quota counts slots until posts use them', (t) => {
+    const schedule = new PublishSchedule({
+        slots: [ '09:00', '12:00', '18:00' ]
+    }, BERLIN);
+    const noon = FRIDAY + 12 * HOUR;
+
+    t.is(schedule.getQuota(FRIDAY, noon), 2);
+    t.is(schedule.getQuota(FRIDAY, noon + HOUR), 2);
+    t.is(schedule.getQuota(FRIDAY, noon, [ post(FRIDAY + 10 * HOUR, FRIDAY + 9 * HOUR) ]), 1);
+    t.is(schedule.getQuota(FRIDAY, noon, [ post(FRIDAY + 10 * HOUR) ]), 2);
+    t.is(schedule.getQuota(noon, noon + HOUR), 0);
+});
+
+test('quota is capped per day', (t) => {
+    const schedule = new PublishSchedule({
+        slots: [ '09:00', '12:00', '18:00' ],
+        maxPerDay: 2
+    }, BERLIN);
+    const evening = FRIDAY + 19 * HOUR;
+
+    t.is(schedule.getQuota(FRIDAY, evening), 2);
+    t.is(schedule.getQuota(FRIDAY, evening, [ post(FRIDAY + 9 * HOUR) ]), 1);
+    t.is(schedule.getQuota(FRIDAY, evening, [ post(FRIDAY + 9 * HOUR), post(FRIDAY + 12 * HOUR) ]), 0);
+    // Posts of the day before don't count.
+    t.is(schedule.getQuota(FRIDAY, evening, [ post(FRIDAY - HOUR), post(FRIDAY - 2 * HOUR) ]), 2);
+});
+
+test('quota respects the spacing', (t) => {
+    const schedule = new PublishSchedule({
+        slots: [ '09:00', '09:30' ],
+        minSpacing: 60
+    }, BERLIN);
+    const now = FRIDAY + 10 * HOUR;
+
+    t.is(schedule.getQuota(FRIDAY, now), 1);
+    t.is(schedule.getQuota(FRIDAY, now, [ post(now - 30 * 60000) ]), 0);
+    t.is(schedule.getQuota(FRIDAY, now, [ post(now - HOUR) ]), 1);
+    // The slot the spacing did not allow is still owed later.
+    t.is(schedule.getQuota(FRIDAY, now + HOUR, [ post(now, FRIDAY + 9 * HOUR) ]), 1);
+});
+
+test('prune', (t) => {
+    const schedule = new PublishSchedule({
+        slots: [ '09:00' ]
+    }, BERLIN);
+
+    t.deepEqual(schedule.prune([ post(FRIDAY - 3 * 24 * HOUR), post(FRIDAY - HOUR) ], FRIDAY), [ post(FRIDAY - HOUR) ]);
+});
@@ -0,0 +1,123 @@
+import test from 'ava';
+import Recurrence from '../lib/recurrence';
+import ScheduledDate from '../lib/scheduled-date';
+import { getConfig } from './_stubs';
+
+const FORMAT = 'YYYY-MM-DD HH:mm';
+
+const wallClock = (str) => ScheduledDate.parseWallClock(str, FORMAT);
+
+const nextDates = (rule, start, count) => {
+    const dates = [];
+    for(const date of new Recurrence(rule).occurrences(wallClock(start))) {
+        dates.push(ScheduledDate.formatWallClock(date, FORMAT));
+        if(dates.length === count) {
+            break;
+        }
+    }
+    return dates;
+};
+
+test('parse rule', (t) => {
+    const recurrence = new Recurrence(`RRULE:freq=weekly;INTERVAL=2;BYDAY=SU,TU;UNTIL=20271231
+<!-- Remove this section to publish only once. -->`);
+
+    t.is(recurrence.frequency, 'WEEKLY');
+    t.is(recurrence.interval, 2);
+    t.deepEqual(recurrence.weekdays, [ 2, 0 ]);
+    t.is(recurrence.until.toISOString(), '2027-12-31T23:59:59.999Z');
+});
+
+test('invalid rules', (t) => {
+    const invalid = [
+        '',
+        'FREQ=HOURLY',
+        'FREQ=DAILY;INTERVAL=0',
+        'FREQ=DAILY;INTERVAL=two',
+        'FREQ=DAILY;BYDAY=MO',
+        'FREQ=WEEKLY;BYDAY=XY',
+        'FREQ=WEEKLY;UNTIL=tomorrow',
+        'FREQ=WEEKLY;COUNT=3',
+        'FREQ=WEEKLY;BYDAY'
+    ];
+    for(const rule of invalid) {
+        t.throws(() => new Recurrence(rule), {
+            instanceOf: Error
+        }, rule);
+    }
+});
+
+test('daily', (t) => {
+    t.deepEqual(nextDates('FREQ=DAILY;INTERVAL=3', '2026-12-30 09:00', 2), [
+        '2027-01-02 09:00',
+        '2027-01-05 09:00'
+    ]);
+});
+
+test('weekly', (t) => {
+    t.deepEqual(nextDates('FREQ=WEEKLY', '2026-10-20 09:00', 2), [
+        '2026-10-27 09:00',
+        '2026-11-03 09:00'
+    ]);
+});
+
+test('weekly by day', (t) => {
+    // 2026-10-21 is a wednesday.
+    t.deepEqual(nextDates('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH,SU', '2026-10-21 18:30', 5), [
+        '2026-10-22 18:30',
+        '2026-10-25 18:30',
+        '2026-11-02 18:30',
+        '2026-11-05 18:30',
+        '2026-11-08 18:30'
+    ]);
+});
+
+test('monthly skips months without the day', (t) => {
+    t.deepEqual(nextDates('FREQ=MONTHLY', '2027-01-31 12:00', 3), [
+        '2027-03-31 12:00',
+        '2027-05-31 12:00',
+        '2027-07-31 12:00'
+    ]);
+});
+
+test('yearly', (t) => {
+    t.deepEqual(nextDates('FREQ=YEARLY', '2028-02-29 12:00', 1), [
+        '2032-02-29 12:00'
+    ]);
+});
+
+test('next occurrence after a date', (t) => {
+    const recurrence = new Recurrence('FREQ=WEEKLY;UNTIL=20261110');
+    const start = wallClock('2026-10-20 09:00');
+
+    t.is(ScheduledDate.formatWallClock(recurrence.next(start, wallClock('2026-10-20 09:00')), FORMAT), '2026-10-27 09:00');
+    t.is(ScheduledDate.formatWallClock(recurrence.next(start, wallClock('2026-11-01 10:00')), FORMAT), '2026-11-03 09:00');
+    t.is(ScheduledDate.formatWallClock(recurrence.next(start, wallClock('2026-11-03 09:00')), FORMAT), '2026-11-10 09:00');
+    t.is(recurrence.next(start, wallClock('2026-11-10 09:00')), null);
+});
+
+test('next date keeps the wall clock time across daylight saving time', (t) => {
+    const config = getConfig();
+    const recurrence = new Recurrence('FREQ=WEEKLY');
+    const published = new ScheduledDate('2026-10-20 09:00', config);
+
+    const next = recurrence.getNextDate('2026-10-20 09:00', config, published.getTime());
+
+    t.is(next, '2026-10-27 09:00');
+    t.is(published.toISOString(), '2026-10-20T07:00:00.000Z');
+    t.is(new ScheduledDate(next, config).toISOString(), '2026-10-27T08:00:00.000Z');
+});
+
+test('next date skips occurrences in the past', (t) => {
+    const recurrence = new Recurrence('FREQ=DAILY');
+
+    t.is(recurrence.getNextDate('2026-10-20 09:00', getConfig(), Date.parse('2026-10-23T12:00:00Z')), '2026-10-24 09:00');
+});
+
+test('next date with invalid scheduled date', (t) => {
+    const recurrence = new Recurrence('FREQ=DAILY');
+
+    t.throws(() => recurrence.getNextDate('tomorrow', getConfig()), {
+        instanceOf: Error
+    });
+});
@@ -1,6 +1,7 @@
 import test from 'ava';
 import Repository from '../lib/repo';
 import { getGithubClient, getConfig, getColumn, getBoard, getCard } from './_stubs';
+import sinon from 'sinon';
 
 const ACCOUNT_LIST = `- https://example.com/account on Example`;
 
@@ -78,6 +79,28 @@ test('construction ready', async (t) => {
     t.true("issues" in repo);
 });
 
+test('read only construction does not add files', async (t) => {
+    const client = getGithubClient();
+    client.queueResponse({
+        headers: {
+            'x-oauth-scopes': 'public_repo, org:read'
+        }
+    });
+    client.queueResponse({
+        data: {
+            owner: {
+                type: "User"
+            }
+        }
+    });
+    const repo = new Repository(client, getConfig(), ACCOUNT_LIST, '', true);
+    await repo.ready;
+
+    t.true(repo.readOnly);
+    t.true("issues" in repo);
+    t.is(client.options.length, 2);
+});
+
 test('has file', async (t) => {
     const client = getGithubClient();
     client.queueResponse(Promise.reject(new Error()));
@@ -157,6 +180,23 @@ test.failing('add issue tempaltes', async (t) => {
     //TODO test template content
 });
 
+test('add issue templates with multi word names', async (t) => {
+    const client = getGithubClient();
+    client.queueResponse(Promise.reject(new Error()));
+    const repo = new Repository(client, getConfig(), ACCOUNT_LIST);
+
+    await t.throwsAsync(repo.ready);
+
+    repo.hasFile = sinon.stub().resolves(false);
+    repo.addFile = sinon.stub().resolves();
+
+    await repo.addTemplatesFromFormatter('bluesky', getConfig());
+
+    t.true(repo.addFile.calledWith(".github/ISSUE_TEMPLATE/bluesky-post.md"));
+    t.true(repo.addFile.calledWith(".github/ISSUE_TEMPLATE/bluesky-repost.md"));
+    t.true(repo.addFile.calledWith(".github/ISSUE_TEMPLATE/bluesky-quote.md"));
+});
+
 test.failing('add files without any content', async (t) => {
     const client = getGithubClient();
     client.queueResponse(Promise.reject(new Error()));
@@ -601,6 +641,66 @@ test('can not get team members if repo belongs to user', async (t) => {
     await t.throwsAsync(repo.getUsersInTeam('baz'));
 });
 
+test('is collaborator', async (t) => {
+    const client = getGithubClient();
+    const config = getConfig();
+    client.queueResponse(Promise.reject(new Error()));
+    const repo = new Repository(client, config, ACCOUNT_LIST);
+
+    await t.throwsAsync(repo.ready);
+
+    client.queueResponse({
+        status: 204,
+        headers: {}
+    });
+    t.true(await repo.isCollaborator('foo'));
+    const options = client.options.pop();
+    t.is(options.url, '/repos/:owner/:repo/collaborators/:username');
+    t.is(options.username, 'foo');
+
+    const error = new Error('Not Found');
+    error.status = 404;
+    client.queueResponse(Promise.reject(error));
+    t.false(await repo.isCollaborator('bar'));
+
+    client.queueResponse(Promise.reject(new Error('network')));
+    await t.throwsAsync(repo.isCollaborator('baz'));
+});
+
+test('can write', async (t) => {
+    const client = getGithubClient();
+    const config = getConfig();
+    client.queueResponse(Promise.reject(new Error()));
+    const repo = new Repository(client, config, ACCOUNT_LIST);
+
+    await t.throwsAsync(repo.ready);
+
+    client.queueResponse({
+        data: {
+            permissions: {
+                admin: false,
+                push: true,
+                pull: true
+            }
+        }
+    });
+    t.true(await repo.canWrite());
+    const opts = client.options.pop();
+    t.is(opts.url, '/repos/:owner/:repo');
+    t.is(opts.repo, config.repo);
+
+    client.queueResponse({
+        data: {
+            permissions: {
+                admin: false,
+                push: false,
+                pull: true
+            }
+        }
+    });
+    t.false(await repo.canWrite());
+});
+
 test('has required permissions for user', async (t) => {
     const client = getGithubClient();
     client.queueResponse(Promise.reject(new Error()));
@@ -0,0 +1,38 @@
+import test from 'ava';
+import ScheduledDate from '../lib/scheduled-date';
+import defaultConfig from '../config.default.json';
+
+// Each test file runs in its own process, so changing the timezone of the
+// host here does not affect the other tests.
+const HOST_TIMEZONES = [
+    'UTC',
+    'America/Los_Angeles',
+    'Asia/Kolkata',
+    'Pacific/Kiritimati'
+];
+const FORMAT = defaultConfig.boards[0].schedulingTime.format;
+
+const timezoneTest = (t, timezone) => {
+    process.env.TZ = timezone;
+    const date = new ScheduledDate('2026-03-29 03:00', {
+        schedulingTime: {
+            format: FORMAT,
+            region: 'Europe/Berlin'
+        }
+    });
+    const fixed = new ScheduledDate('2026-03-29 03:00', {
+        schedulingTime: {
+            format: FORMAT,
+            timezone: 2
+        }
+    });
+
+    t.is(new Date(Date.UTC(2026, 0, 1)).getTimezoneOffset() === 0, timezone === 'UTC');
+    t.is(date.toISOString(), '2026-03-29T01:00:00.000Z');
+    t.is(fixed.toISOString(), '2026-03-29T01:00:00.000Z');
+};
+timezoneTest.title = (title, timezone) => `${title} (${timezone})`;
+
+for(const timezone of HOST_TIMEZONES) {
+    test.serial('dates do not depend on the timezone of the host', timezoneTest, timezone);
+}
@@ -277,3 +277,141 @@ test('format date with and without timezone is the same for the local tz', (t) =
 
     t.is(formattedWithout, formattedWith);
 });
+
+const FORMAT = defaultConfig.boards[0].schedulingTime.format;
+const MINUTE = 60000;
+
+test('get zone', (t) => {
+    t.truthy(ScheduledDate.getZone({
+        region: 'Europe/Berlin'
+    }).timeZone);
+    t.deepEqual(ScheduledDate.getZone({
+        timezone: -5
+    }), {
+        offset: -5
+    });
+});
+
+test('wall clock', (t) => {
+    const zone = ScheduledDate.getZone({
+        region: 'Europe/Berlin'
+    });
+    const wallClock = ScheduledDate.toWallClock(new Date('2026-07-01T10:00:00Z'), zone);
+
+    t.is(wallClock.toISOString(), '2026-07-01T12:00:00.000Z');
+    t.is(ScheduledDate.fromWallClock(wallClock, zone).toISOString(), '2026-07-01T10:00:00.000Z');
+    t.is(ScheduledDate.formatWallClock(wallClock, 'DD.MM.YYYY HH:mm'), '01.07.2026 12:00');
+    t.is(ScheduledDate.parseWallClock('01.07.2026 12:00', 'DD.MM.YYYY HH:mm').toISOString(), wallClock.toISOString());
+    t.is(ScheduledDate.parseWallClock('2026-07-01 12:00', 'DD.MM.YYYY HH:mm'), null);
+    t.is(ScheduledDate.parseWallClock('2026-02-30 12:00', FORMAT), null);
+    t.is(ScheduledDate.parseWallClock('2026-01-01 25:00', FORMAT), null);
+});
+
+test('date that does not exist is invalid', (t) => {
+    const date = new ScheduledDate('2026-02-30 12:00', {
+        schedulingTime: {
+            format: FORMAT,
+            region: 'Europe/Berlin'
+        }
+    });
+
+    t.false(date.valid);
+});
+
+const getRegionDate = (date, region) => new ScheduledDate(date, {
+    schedulingTime: {
+        format: FORMAT,
+        region
+    }
+});
+
+test('nonexistent time is moved past the gap', (t) => {
+    const date = getRegionDate('2026-03-29 02:30', 'Europe/Berlin');
+
+    t.true(date.valid);
+    t.true(date.nonexistent);
+    t.false(date.ambiguous);
+    t.is(date.instant.toISOString(), '2026-03-29T01:30:00.000Z');
+    t.is(ScheduledDate.formatDate(date, FORMAT, undefined, 'Europe/Berlin'), '2026-03-29 03:30');
+});
+
+test('ambiguous time is the first occurrence', (t) => {
+    const date = getRegionDate('2026-10-25 02:30', 'Europe/Berlin');
+
+    t.true(date.ambiguous);
+    t.false(date.nonexistent);
+    t.is(date.instant.toISOString(), '2026-10-25T00:30:00.000Z');
+});
+
+test('instant is a plain date', (t) => {
+    const date = getRegionDate('2026-07-01 12:00', 'Europe/Berlin');
+
+    t.false(date.instant instanceof ScheduledDate);
+    t.is(date.instant.getTime(), date.getTime());
+});
+
+const DST_TRANSITIONS = [
+    {
+        region: 'Europe/Berlin',
+        days: [ '2026-03-29', '2026-10-25' ]
+    },
+    {
+        region: 'America/New_York',
+        days: [ '2026-03-08', '2026-11-01' ]
+    },
+    {
+        region: 'Australia/Sydney',
+        days: [ '2026-04-05', '2026-10-04' ]
+    },
+    {
+        region: 'Pacific/Chatham',
+        days: [ '2026-04-05', '2026-09-27' ]
+    },
+    {
+        region: 'Asia/Kolkata',
+        days: [ '2026-03-29' ]
+    }
+];
+
+const dstTest = (t, { region, days }) => {
+    const zone = ScheduledDate.getZone({
+        region
+    });
+    for(const day of days) {
+        const start = Date.parse(`${day}T00:00:00Z`) - 24 * 60 * MINUTE;
+        // Every quarter hour of the days around the transition.
+        for(let time = start; time < start + 3 * 24 * 60 * MINUTE; time += 15 * MINUTE) {
+            const formatted = ScheduledDate.formatDate(new Date(time), FORMAT, undefined, region);
+            const date = getRegionDate(formatted, region);
+
+            t.true(date.valid, formatted);
+            t.false(date.nonexistent, formatted);
+            // Formatting the date again results in the same wall clock time.
+            t.is(ScheduledDate.formatDate(date, FORMAT, undefined, region), formatted);
+            if(date.ambiguous) {
+                // The first occurrence, so an earlier or the same instant.
+                t.true(date.getTime() <= time, formatted);
+            }
+            else {
+                t.is(date.getTime(), time, formatted);
+            }
+
+            // Wall clock times resolve to an instant that is not earlier
+            // than the wall clock time in the zone.
+            const wallClock = new Date(Date.parse(`${day}T00:00:00Z`) + (time - start) / 3);
+            const resolved = ScheduledDate.resolveWallClock(wallClock, zone);
+            const roundTrip = ScheduledDate.toWallClock(resolved.instant, zone);
+            if(resolved.nonexistent) {
+                t.true(roundTrip > wallClock);
+            }
+            else {
+                t.is(roundTrip.getTime(), wallClock.getTime());
+            }
+        }
+    }
+};
+dstTest.title = (title, data) => `${title} in ${data.region}`;
+
+for(const data of DST_TRANSITIONS) {
+    test('parse and format across daylight saving time', dstTest, data);
+}
@@ -0,0 +1,240 @@
+import test from 'ava';
+import sinon from 'sinon';
+import CommandsSource from '../../lib/sources/commands';
+import PublishSource from '../../lib/sources/publish';
+import Card from '../../lib/card';
+import Formatter from '../../lib/formatters/formatter';
+import TwitterFormatter from '../../lib/formatters/twitter';
+import PersistenceManager from '../../lib/persistence/manager';
+import { getBoard, getColumn, getConfig, getIssue } from '../_stubs';
+
+const getSource = (isCollaborator = true) => {
+    const board = getBoard({
+        'To Tweet': 1,
+        'Ideas': 2
+    });
+    board.cards = new Map();
+    board.moveCardToColumn.resolves();
+    board.repo.isCollaborator = sinon.stub().resolves(isCollaborator);
+    return new CommandsSource(board.repo, {}, board, {
+        type: 'commands'
+    }, () => Promise.resolve([]));
+};
+
+const addCard = (source, content = Formatter.Format('foo'), column = getColumn(1, 'To Tweet')) => {
+    const issue = getIssue(content, 7);
+    issue.setContent = sinon.spy((body) => {
+        issue.content = body;
+        return Promise.resolve();
+    });
+    issue.comment.resolves();
+    issue.assign.resolves();
+    const card = new Card(issue, getConfig());
+    card.column = column;
+    source._board.cards.set('card', card);
+    return card;
+};
+
+const getComment = (body, login = 'foo') => ({
+    body,
+    user: {
+        login
+    }
+});
+
+test('does not require columns', (t) => {
+    t.deepEqual(CommandsSource.requiredConfig, []);
+    t.deepEqual(CommandsSource.requiredColumns, []);
+});
+
+test('parse', (t) => {
+    t.deepEqual(CommandsSource.parse('Please\r\n/schedule 2026-11-02 09:00\n/move "To Tweet"\n/approve\n /cancel\n> /cancel'), [
+        {
+            name: 'schedule',
+            args: '2026-11-02 09:00',
+            line: '/schedule 2026-11-02 09:00'
+        },
+        {
+            name: 'move',
+            args: '"To Tweet"',
+            line: '/move "To Tweet"'
+        }
+    ]);
+    t.deepEqual(CommandsSource.parse('/cancel'), [
+        {
+            name: 'cancel',
+            args: '',
+            line: '/cancel'
+        }
+    ]);
+    t.deepEqual(CommandsSource.parse('no commands'), []);
+});
+
+test('ignores comments on issues without card', async (t) => {
+    const source = getSource();
+
+    await source.handleComment(7, getComment('/cancel'));
+
+    t.false(source._repo.isCollaborator.called);
+});
+
+test('ignores comments without commands', async (t) => {
+    const source = getSource();
+    const card = addCard(source);
+
+    await source.handleComment(7, getComment('lorem ipsum'));
+
+    t.false(source._repo.isCollaborator.called);
+    t.false(card.issue.comment.called);
+});
+
+test('refuses commands from non-collaborators', async (t) => {
+    const source = getSource(false);
+    const card = addCard(source);
+
+    await source.handleComment(7, getComment('/assign @bar'));
+
+    t.true(source._repo.isCollaborator.calledWith('foo'));
+    t.false(card.issue.assign.called);
+    t.true(card.issue.comment.calledOnce);
+    t.true(card.issue.comment.lastCall.args[0].includes('only collaborators'));
+});
+
+test('runs every command and replies', async (t) => {
+    const source = getSource();
+    const card = addCard(source);
+
+    await source.handleComment(7, getComment('/assign @bar\n/move "Ideas"'));
+
+    t.true(card.issue.assign.calledWith('bar', false));
+    t.true(source._board.moveCardToColumn.calledWith(card, sinon.match.has('name', 'Ideas'), false, 'bottom', false));
+    t.true(card.issue.comment.calledTwice);
+    t.true(card.issue.comment.firstCall.args[0].startsWith('> /assign @bar'));
+    t.true(card.issue.comment.firstCall.args[0].includes('@foo :heavy_check_mark:'));
+});
+
+test('replies with errors of commands', async (t) => {
+    const source = getSource();
+    const card = addCard(source);
+
+    await source.handleComment(7, getComment('/move "Nope"'));
+
+    t.false(source._board.moveCardToColumn.called);
+    t.true(card.issue.comment.lastCall.args[0].includes(':warning: There is no column "Nope"'));
+});
+
+test('schedule', async (t) => {
+    const source = getSource();
+    const card = addCard(source);
+
+    const reply = await source.commandSchedule(card, '2026-11-02 09:00', false);
+
+    t.true(reply.includes('2026-11-02T08:00:00.000Z'));
+    t.is(card.content.getSection(Formatter.SCHEDULED), '2026-11-02 09:00');
+    t.true(card.issue.setContent.calledOnce);
+});
+
+test('schedule with relative date', async (t) => {
+    const source = getSource();
+    const card = addCard(source);
+
+    const clock = sinon.useFakeTimers(Date.UTC(2026, 10, 2, 8, 0));
+
+    const reply = await source.commandSchedule(card, 'in 2 hours', false);
+    clock.restore();
+
+    t.true(reply.includes('2026-11-02T10:00:00.000Z'));
+    t.is(card.content.getSection(Formatter.SCHEDULED), '2026-11-02 11:00');
+});
+
+test('schedule with invalid date', async (t) => {
+    const source = getSource();
+    const card = addCard(source);
+
+    await t.throwsAsync(source.commandSchedule(card, 'someday', false), {
+        instanceOf: Error,
+        message: /YYYY-MM-DD HH:mm/
+    });
+    t.false(card.issue.setContent.called);
+});
+
+test.serial('publish now', async (t) => {
+    const source = getSource();
+    const card = addCard(source);
+
+    await source.commandPublish(card, 'now', false);
+
+    t.true(card.content.getMarker(PublishSource.PUBLISH_NOW_MARKER));
+    t.true(card.issue.setContent.calledOnce);
+    t.true(await PersistenceManager.get(PublishSource.getPublishNowKey(source._board.config, card.issue)));
+});
+
+test('publish now outside of publishing columns', async (t) => {
+    const source = getSource();
+    const card = addCard(source, Formatter.Format('foo'), getColumn(2, 'Ideas'));
+
+    await t.throwsAsync(source.commandPublish(card, 'now', false), {
+        instanceOf: Error,
+        message: /To Tweet/
+    });
+    await t.throwsAsync(source.commandPublish(card, 'later', false), {
+        instanceOf: Error
+    });
+    t.false(card.issue.setContent.called);
+});
+
+test('retweet', async (t) => {
+    const source = getSource();
+    const card = addCard(source);
+    const url = 'https://twitter.com/foo/status/1234';
+
+    await source.commandRetweet(card, url, false);
+
+    t.is(card.content.getSection(TwitterFormatter.RETWEET), url);
+    await t.throwsAsync(source.commandRetweet(card, 'https://example.com', false), {
+        instanceOf: Error
+    });
+});
+
+test('assign requires a username', async (t) => {
+    const source = getSource();
+    const card = addCard(source);
+
+    await t.throwsAsync(source.commandAssign(card, '', false), {
+        instanceOf: Error
+    });
+    t.false(card.issue.assign.called);
+});
+
+test.serial('cancel', async (t) => {
+    const source = getSource();
+    const card = addCard(source, Formatter.Format({
+        content: 'foo',
+        dueDate: new Date()
+    }, getConfig()));
+    card.content.setMarker(PublishSource.PUBLISH_NOW_MARKER, true);
+    await PublishSource.setPublishNow(source._board.config, card.issue, true, false);
+
+    const reply = await source.commandCancel(card, '', false);
+
+    t.is(reply, 'Cancelled publishing it now and the schedule.');
+    t.false(card.content.isScheduled);
+    t.is(card.content.getMarker(PublishSource.PUBLISH_NOW_MARKER), undefined);
+    t.is(await PersistenceManager.get(PublishSource.getPublishNowKey(source._board.config, card.issue)), undefined);
+    t.true(card.issue.setContent.calledOnce);
+    await t.throwsAsync(source.commandCancel(card, '', false), {
+        instanceOf: Error,
+        message: 'Nothing to cancel.'
+    });
+});
+
+test('dry run', async (t) => {
+    const source = getSource();
+    source._config.dryRun = true;
+    const card = addCard(source);
+
+    await source.handleComment(7, getComment('/assign bar'));
+
+    t.true(card.issue.assign.calledWith('bar', true));
+    t.true(card.issue.comment.lastCall.args[1]);
+});
@@ -0,0 +1,211 @@
+import test from 'ava';
+import sinon from 'sinon';
+import CrosspostSource from '../../lib/sources/crosspost';
+import PublishSource from '../../lib/sources/publish';
+import ContentAccount from '../../lib/accounts/content-account';
+import CardContent from '../../lib/card-content';
+import { getBoard, getColumn, getConfig, getIssue } from '../_stubs';
+
+class FakeAccount extends ContentAccount {
+    static get TYPE() {
+        return 'fake';
+    }
+
+    constructor(name) {
+        super({});
+        this.name = name;
+        this.publish = sinon.stub().resolves(`Published on ${name}`);
+        this.isCardHighPrio = sinon.stub().returns(false);
+    }
+}
+
+const getArgs = () => {
+    const board = getBoard({
+        'Foo': 1,
+        'Bar': 2
+    });
+    board.readOnly = true;
+    board.moveCardToColumn.resolves();
+    const accounts = new Map();
+    return [
+        board.repo,
+        {
+            getAccount(type, name) {
+                const key = `${type}:${name}`;
+                if(!accounts.has(key)) {
+                    accounts.set(key, new FakeAccount(key));
+                }
+                return accounts.get(key);
+            }
+        },
+        board,
+        {
+            columns: {
+                target: 'Foo',
+                source: 'Bar'
+            },
+            accounts: [
+                {
+                    accountType: 'twitter',
+                    accountName: 'foo'
+                },
+                {
+                    accountType: 'mastodon',
+                    accountName: 'bar'
+                },
+                {
+                    accountType: 'mastodon',
+                    accountName: 'baz'
+                }
+            ]
+        },
+        () => Promise.resolve([])
+    ];
+};
+
+const getCard = (content) => {
+    const card = {
+        id: 'card',
+        content: new CardContent(content, getConfig()),
+        setStatus: sinon.stub().resolves(),
+        resolveStatus: sinon.stub().resolves(),
+        issue: Object.assign(getIssue(), {
+            close: sinon.stub().resolves()
+        })
+    };
+    card.setMarker = sinon.spy((name, value) => {
+        card.content.setMarker(name, value);
+        return Promise.resolve();
+    });
+    return card;
+};
+
+test('required config', (t) => {
+    t.true(CrosspostSource.requiredConfig.includes('accounts'));
+    t.false(CrosspostSource.requiredConfig.includes('accountType'));
+    t.deepEqual(CrosspostSource.requiredColumns, PublishSource.requiredColumns);
+});
+
+test('constructor sets up all accounts', (t) => {
+    const source = new CrosspostSource(...getArgs());
+
+    t.deepEqual(Array.from(source._accounts.keys()), [
+        'twitter:foo',
+        'mastodon:bar',
+        'mastodon:baz'
+    ]);
+});
+
+test('target accounts default to all accounts', (t) => {
+    const source = new CrosspostSource(...getArgs());
+    const card = getCard(`## Content
+lorem ipsum`);
+
+    t.is(source.getTargetAccounts(card).size, 3);
+});
+
+test('target accounts from the accounts section', (t) => {
+    const source = new CrosspostSource(...getArgs());
+    const card = getCard(`## Content
+lorem ipsum
+
+## Accounts
+- Twitter
+- mastodon:baz
+<!-- One account per line -->`);
+
+    t.deepEqual(Array.from(source.getTargetAccounts(card).keys()), [
+        'twitter:foo',
+        'mastodon:baz'
+    ]);
+});
+
+test('target accounts throws for unknown accounts', (t) => {
+    const source = new CrosspostSource(...getArgs());
+    const card = getCard(`## Content
+lorem ipsum
+
+## Accounts
+- bluesky`);
+
+    t.throws(() => source.getTargetAccounts(card), {
+        instanceOf: Error
+    });
+});
+
+test('card is high priority if it is for any account', (t) => {
+    const source = new CrosspostSource(...getArgs());
+    const card = getCard(`## Content
+lorem ipsum`);
+    t.false(source.isCardHighPrio(card));
+
+    source._accounts.get('mastodon:bar').isCardHighPrio.returns(true);
+    t.true(source.isCardHighPrio(card));
+});
+
+test('publish on all accounts', async (t) => {
+    const args = getArgs();
+    const source = new CrosspostSource(...args);
+    const card = getCard(`## Content
+lorem ipsum`);
+    const target = getColumn(1, 'Foo');
+
+    t.true(await source.publish(card, target));
+
+    for(const account of source._accounts.values()) {
+        t.true(account.publish.calledWith(card, false));
+    }
+    t.true(card.setStatus.calledOnce);
+    t.true(card.setStatus.lastCall.args[2].includes('twitter:foo: Published on twitter:foo'));
+    t.true(card.setStatus.lastCall.args[2].includes('mastodon:baz: Published on mastodon:baz'));
+    t.true(card.issue.close.called);
+    t.true(args[2].moveCardToColumn.calledWith(card, target, false, 'top', false));
+    t.false(card.setMarker.called);
+});
+
+test('publish retries only failed accounts', async (t) => {
+    const args = getArgs();
+    const source = new CrosspostSource(...args);
+    const card = getCard(`## Content
+lorem ipsum
+
+## Accounts
+mastodon`);
+    const target = getColumn(1, 'Foo');
+    const failing = source._accounts.get('mastodon:baz');
+    failing.publish.rejects(new Error('foo'));
+
+    t.false(await source.publish(card, target));
+
+    t.true(card.setStatus.lastCall.args[2].includes('mastodon:baz: Error: foo'));
+    t.is(source.failures.get(card.id).attempts, 1);
+    t.false(args[2].moveCardToColumn.called);
+    t.false(source._accounts.get('twitter:foo').publish.called);
+
+    failing.publish.resolves('Published on mastodon:baz');
+    t.true(await source.publish(card, target));
+
+    t.true(source._accounts.get('mastodon:bar').publish.calledOnce);
+    t.true(failing.publish.calledTwice);
+    t.true(args[2].moveCardToColumn.calledOnce);
+    t.is(card.content.getMarker('crossposted'), undefined);
+    t.true(card.setStatus.lastCall.args[2].includes('mastodon:bar: Published on mastodon:bar'));
+    t.is(source.failures.get(card.id), undefined);
+});
+
+test('publish reports unknown accounts', async (t) => {
+    const args = getArgs();
+    const source = new CrosspostSource(...args);
+    const card = getCard(`## Content
+lorem ipsum
+
+## Accounts
+discourse`);
+
+    t.false(await source.publish(card, getColumn(1, 'Foo')));
+    t.true(card.setStatus.lastCall.args[2].includes('unknown account'));
+    t.true(card.issue.addLabel.calledWith(args[2].config.labels.publishFailed));
+    for(const account of source._accounts.values()) {
+        t.false(account.publish.called);
+    }
+});
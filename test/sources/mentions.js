@@ -1,6 +1,77 @@
 import test from 'ava';
 import MentionsSource from '../../lib/sources/mentions';
 import TwitterAccount from '../../lib/accounts/twitter';
+import MastodonFormatter from '../../lib/formatters/mastodon';
+import CardContent from '../../lib/card-content';
+import Emittery from 'emittery';
+import sinon from 'sinon';
+import TweetFormatter from '../../lib/formatters/twitter';
+import { getBoard, getConfig, getIssue, getTwitterAccount } from '../_stubs';
+
+const MENTION = {
+    id: '1',
+    author: 'foo@example.com',
+    url: 'https://mastodon.example/@foo@example.com/1'
+};
+
+class FakeAccount extends Emittery {
+    static get Formatter() {
+        return MastodonFormatter;
+    }
+
+    constructor() {
+        super();
+        this.hasRepliedTo = sinon.stub().resolves(false);
+    }
+
+    getMentionPermalink(mention) {
+        return mention.url;
+    }
+
+    getMentionAuthor(mention) {
+        return mention.author;
+    }
+
+    formatMention() {
+        return '> lorem ipsum';
+    }
+}
+
+const getArgs = (account = new FakeAccount()) => {
+    const board = getBoard({
+        'Needs Reaction': 1
+    });
+    board.createCard = sinon.stub().resolves();
+    return [
+        board.repo,
+        {
+            getAccount: sinon.spy(() => account)
+        },
+        board,
+        {
+            columns: {
+                target: 'Needs Reaction'
+            },
+            accountType: 'mastodon',
+            accountName: 'foo'
+        },
+        () => Promise.resolve([])
+    ];
+};
+
+let cardId = 0;
+const getMentionCard = (url, Formatter = MastodonFormatter) => ({
+    id: ++cardId,
+    content: new CardContent(Formatter.Format({
+        replyTo: url
+    }, getConfig()), getConfig()),
+    issue: {
+        state: "open",
+        close: sinon.stub().resolves()
+    },
+    comment: sinon.stub().resolves(),
+    reportError: sinon.stub()
+});
 
 test('required columns', (t) => {
     t.true(MentionsSource.requiredColumns.includes('target'));
@@ -36,5 +107,128 @@ test('format tweet', (t) => {
     t.true(formattedTweet.includes(tweet.text));
 });
 
-test.todo('construction');
-test.todo('check issue');
+test('construction uses configured account type', (t) => {
+    const args = getArgs();
+    const source = new MentionsSource(...args);
+
+    t.true(args[1].getAccount.calledWith('mastodon', 'foo'));
+    t.is(source.formatter, MastodonFormatter);
+});
+
+test('construction defaults to twitter account', (t) => {
+    const args = getArgs();
+    delete args[3].accountType;
+    new MentionsSource(...args); // eslint-disable-line no-new
+
+    t.true(args[1].getAccount.calledWith('twitter', 'foo'));
+});
+
+test('mention creates card to reply', async (t) => {
+    const account = new FakeAccount();
+    const args = getArgs(account);
+    const [ , , board ] = args;
+    new MentionsSource(...args); // eslint-disable-line no-new
+
+    await account.emit('mention', MENTION);
+
+    t.true(board.createCard.calledOnce);
+    const [ title, content, column ] = board.createCard.lastCall.args;
+    t.is(title, `Mention by ${MENTION.author}`);
+    const cardContent = new CardContent(content, getConfig());
+    t.is(cardContent.getSection(MastodonFormatter.REPLY_TO), MENTION.url);
+    t.true(cardContent.getSection(MastodonFormatter.META).includes('> lorem ipsum'));
+    t.is(column.name, 'Needs Reaction');
+});
+
+test('mention with closed issue does not create card', async (t) => {
+    const account = new FakeAccount();
+    const args = getArgs(account);
+    const [ repo, , board ] = args;
+    const issue = getIssue(MastodonFormatter.Format({
+        replyTo: MENTION.url
+    }, getConfig()));
+    repo.issues.closedIssues = Promise.resolve(new Map([ [ issue.number, issue ] ]));
+    new MentionsSource(...args); // eslint-disable-line no-new
+
+    await account.emit('mention', MENTION);
+
+    t.false(board.createCard.called);
+});
+
+test('check issue', (t) => {
+    const source = new MentionsSource(...getArgs());
+    const issue = getIssue(MastodonFormatter.Format({
+        replyTo: MENTION.url
+    }, getConfig()));
+
+    t.true(source.checkIssue(issue, MENTION.url));
+    t.false(source.checkIssue(issue, 'https://mastodon.example/@bar/2'));
+    t.false(source.checkIssue(getIssue(), MENTION.url));
+});
+
+test('close cards replied to outside the queue', async (t) => {
+    const account = new FakeAccount();
+    const source = new MentionsSource(...getArgs(account));
+    account.hasRepliedTo.withArgs(MENTION.url).resolves(true);
+    const replied = getMentionCard(MENTION.url);
+    const open = getMentionCard('https://mastodon.example/@bar/2');
+    const column = {
+        cards: Promise.resolve(new Set([ replied, open ])),
+        removeCard: sinon.stub().resolves()
+    };
+
+    await source.closeRepliedCards(column);
+
+    t.true(replied.issue.close.calledOnce);
+    t.true(column.removeCard.calledOnceWith(replied));
+    t.false(open.issue.close.called);
+});
+
+test('close cards replied to outside the queue only once', async (t) => {
+    const account = new FakeAccount();
+    const source = new MentionsSource(...getArgs(account));
+    account.hasRepliedTo.resolves(true);
+    const replied = getMentionCard(MENTION.url);
+    const column = {
+        cards: Promise.resolve(new Set([ replied ])),
+        removeCard: sinon.stub().rejects(new Error('foo'))
+    };
+
+    await source.closeRepliedCards(column);
+    await source.closeRepliedCards(column);
+
+    t.true(replied.issue.close.calledOnce);
+    t.true(replied.comment.calledOnceWith('Manually replied to this'));
+    t.true(replied.reportError.calledOnce);
+});
+
+test('closed mention cards are not checked for replies', async (t) => {
+    const account = new FakeAccount();
+    const source = new MentionsSource(...getArgs(account));
+    const closed = getMentionCard(MENTION.url);
+    closed.issue.state = false;
+    const column = {
+        cards: Promise.resolve(new Set([ closed ])),
+        removeCard: sinon.stub().resolves()
+    };
+
+    await source.closeRepliedCards(column);
+
+    t.false(account.hasRepliedTo.called);
+    t.false(closed.issue.close.called);
+});
+
+test('close cards replied to on twitter', async (t) => {
+    const account = getTwitterAccount('foo');
+    sinon.stub(account, 'hasRepliedTo').resolves(true);
+    const source = new MentionsSource(...getArgs(account));
+    const replied = getMentionCard('https://twitter.com/bar/status/1', TweetFormatter);
+    const column = {
+        cards: Promise.resolve(new Set([ replied ])),
+        removeCard: sinon.stub().resolves()
+    };
+
+    await source.closeRepliedCards(column);
+
+    t.true(replied.comment.calledOnceWith('Manually tweeted a reply to this'));
+});
@@ -1,7 +1,11 @@
 import test from 'ava';
 import PublishSource from '../../lib/sources/publish';
-import { getBoard, getAccountManager, getColumn } from '../_stubs';
+import Card from '../../lib/card';
+import CardContent from '../../lib/card-content';
+import { getBoard, getAccountManager, getColumn, getIssue, getConfig } from '../_stubs';
 import sinon from 'sinon';
+import PersistenceManager from '../../lib/persistence/manager';
+import ScheduledDate from '../../lib/scheduled-date';
 
 // Ensure update manager never calls update during tests unless we explicitly want it to.
 test.before((t) => {
@@ -12,6 +16,9 @@ test.after((t) => {
     t.context.clock.restore();
 });
 
+// Every source gets its own account, so their persisted state is separate.
+let accountCount = 0;
+
 const getArgs = () => {
     const board = getBoard({
         'Foo': 1,
@@ -28,7 +35,7 @@ const getArgs = () => {
             },
             schedule: [],
             accountType: 'twitter',
-            accountName: 'lorem'
+            accountName: `lorem${++accountCount}`
         },
         () => Promise.resolve([ getColumn(1, 'Foo') ])
     ];
@@ -52,15 +59,104 @@ test('constructor', (t) => {
     t.is(source.lastUpdate, Date.now());
 });
 
+test.serial('constructor restores persisted last update', async (t) => {
+    const args = getArgs();
+    const lastUpdate = Date.now() - 1000;
+    await PersistenceManager.set(new PublishSource(...args).getStorageKey('lastUpdate'), lastUpdate);
+
+    const source = new PublishSource(...args);
+    await source.restored;
+
+    t.is(source.lastUpdate, lastUpdate);
+});
+
+test.serial('restore persists the first run', async (t) => {
+    const source = new PublishSource(...getArgs());
+    await source.restored;
+
+    t.is(await PersistenceManager.get(source.getStorageKey('lastUpdate')), source.lastUpdate);
+});
+
+test.serial('restore does not persist the first run in dry run', async (t) => {
+    const args = getArgs();
+    args[3].dryRun = true;
+    const source = new PublishSource(...args);
+    await source.restored;
+
+    t.is(await PersistenceManager.get(source.getStorageKey('lastUpdate')), undefined);
+});
+
 test.todo('events');
 test.todo('init');
 test.todo('tweet');
-test.todo('getUTCHourMinuteDate with fictures');
 
-test.serial('getUTCHourMinuteDate', (t) => {
+test.serial('constructor restores persisted publish times', async (t) => {
+    const args = getArgs();
+    const published = [ {
+        time: 42,
+        slot: null
+    } ];
+    await PersistenceManager.set(new PublishSource(...args).getStorageKey('published'), published);
+
+    const source = new PublishSource(...args);
+    await source.restored;
+
+    t.deepEqual(source.published, published);
+});
+
+test.serial('record published persists publish times', async (t) => {
+    const source = new PublishSource(...getArgs());
+    await source.restored;
+    source.published = [];
+
+    source.recordPublished();
+
+    const published = [ {
+        time: Date.now(),
+        slot: null
+    } ];
+    t.deepEqual(source.published, published);
+    t.deepEqual(await PersistenceManager.get(source.getStorageKey('published')), published);
+});
+
+test.serial('record published uses the oldest owed slot', async (t) => {
+    const source = new PublishSource(...getArgs());
+    await source.restored;
     const now = new Date();
+    source._config.schedule.push(`${now.getUTCHours()}:${now.getUTCMinutes() + 1}`);
+    source._config.schedule.push(`${now.getUTCHours()}:${now.getUTCMinutes() + 2}`);
+    t.context.clock.tick(180000);
+    const slot = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), now.getUTCHours(), now.getUTCMinutes() + 1);
+
+    source.recordPublished(false);
+    source.recordPublished();
+
+    t.is(source.published[0].slot, null);
+    t.is(source.published[1].slot, slot);
+    t.is(source.getCurrentQuota(), 1);
+});
+
+test.serial('record published does not persist in dry run', async (t) => {
+    const args = getArgs();
+    args[3].dryRun = true;
+    const source = new PublishSource(...args);
+    await source.restored;
+
+    source.recordPublished();
+
+    t.is(source.published.length, 1);
+    t.is(await PersistenceManager.get(source.getStorageKey('published')), undefined);
+});
+
+test.serial('constructor restores persisted failures', async (t) => {
+    const args = getArgs();
+    const failure = new PublishSource(...args).failures.recordFailure('foo', new Error('foo'));
+
+    const source = new PublishSource(...args);
+    await source.restored;
 
-    t.is(PublishSource.getUTCHourMinuteDate(now.getUTCHours(), now.getUTCMinutes()), now.getTime());
+    t.deepEqual(source.failures.get('foo'), failure);
+    t.false(source.failures.canAttempt('foo'));
 });
 
 test('get current quota is infinite without schedule', (t) => {
@@ -90,6 +186,708 @@ test.serial('get current quota', (t) => {
     t.is(quota, 2);
 });
 
+test.serial('get current quota only uses up slots by publishing', (t) => {
+    const source = new PublishSource(...getArgs());
+    const lastUpdate = source.lastUpdate;
+    const now = new Date();
+    source._config.schedule.push(`${now.getUTCHours() + 1}:${now.getUTCMinutes()}`);
+
+    t.context.clock.tick(3700001);
+
+    t.is(source.getCurrentQuota(), 1);
+    t.is(source.lastUpdate, lastUpdate);
+    t.is(source.getCurrentQuota(), 1);
+
+    source.recordPublished();
+    t.is(source.getCurrentQuota(), 0);
+});
+
+test.serial('get current quota respects the spacing of the schedule', (t) => {
+    const source = new PublishSource(...getArgs());
+    const { timezone, region } = getConfig().schedulingTime;
+    const inMinutes = (minutes) => ScheduledDate.formatDate(new Date(Date.now() + minutes * 60000), 'HH:mm', timezone, region);
+    source._config.schedule = {
+        slots: [ inMinutes(30), inMinutes(40) ],
+        minSpacing: 60
+    };
+    source.published = [ {
+        time: Date.now(),
+        slot: null
+    } ];
+
+    t.context.clock.tick(3000000);
+
+    t.is(source.getCurrentQuota(), 0);
+    source.published = [ {
+        time: Date.now() - 3600000,
+        slot: null
+    } ];
+    t.is(source.getCurrentQuota(), 1);
+});
+
+test.serial('get current quota defers slots the spacing does not allow', (t) => {
+    const source = new PublishSource(...getArgs());
+    const { timezone, region } = getConfig().schedulingTime;
+    const inMinutes = (minutes) => ScheduledDate.formatDate(new Date(Date.now() + minutes * 60000), 'HH:mm', timezone, region);
+    source._config.schedule = {
+        slots: [ inMinutes(30), inMinutes(40) ],
+        minSpacing: 60
+    };
+
+    t.context.clock.tick(3000000);
+
+    t.is(source.getCurrentQuota(), 1);
+    source.recordPublished();
+    t.is(source.getCurrentQuota(), 0);
+
+    t.context.clock.tick(3600000);
+    t.is(source.getCurrentQuota(), 1);
+    source.recordPublished();
+
+    t.context.clock.tick(3600000);
+    t.is(source.getCurrentQuota(), 0);
+});
+
+test('get cards to publish', async (t) => {
+    const args = getArgs();
+    const source = new PublishSource(...args);
+    source._repo.updateCard = sinon.stub().resolves();
+    source._account.isCardHighPrio = sinon.spy(() => false);
+    const getCard = (isScheduled, ready = true) => ({
+        ready,
+        content: {
+            isScheduled,
+            getMarker: () => undefined
+        },
+        issue: {
+            hasLabel: () => false
+        }
+    });
+    const cards = [
+        getCard(false),
+        getCard(false, false),
+        getCard(true),
+        getCard(false)
+    ];
+    const sourceColumn = await source.getColumn('source');
+    for(const card of cards) {
+        sourceColumn.cards.add(card);
+    }
+    source.getCurrentQuota = sinon.spy(() => 2);
+
+    const toPublish = await source.getCardsToPublish();
+
+    t.deepEqual(toPublish, [
+        cards[2],
+        cards[0]
+    ]);
+    t.true(source.getCurrentQuota.called);
+    t.is(source._repo.updateCard.callCount, cards.length);
+});
+
+test('get cards to publish orders by priority', async (t) => {
+    const source = new PublishSource(...getArgs());
+    source._repo.updateCard = sinon.stub().resolves();
+    source._account.isCardHighPrio = sinon.spy(() => false);
+    const getCard = (priority, isScheduled = false) => ({
+        ready: true,
+        content: {
+            isScheduled,
+            priority,
+            getMarker: () => undefined
+        },
+        issue: {
+            hasLabel: () => false
+        }
+    });
+    const cards = [
+        getCard(null),
+        getCard(2),
+        getCard(null, true),
+        getCard(1, true),
+        getCard(1)
+    ];
+    const sourceColumn = await source.getColumn('source');
+    for(const card of cards) {
+        sourceColumn.cards.add(card);
+    }
+    source.getCurrentQuota = sinon.spy(() => 4);
+
+    t.deepEqual(await source.getCardsToPublish(), [
+        cards[3],
+        cards[2],
+        cards[4],
+        cards[1]
+    ]);
+});
+
+test('get cards to publish without cards', async (t) => {
+    const source = new PublishSource(...getArgs());
+    source.getCurrentQuota = sinon.spy();
+
+    t.deepEqual(await source.getCardsToPublish(), []);
+    t.false(source.getCurrentQuota.called);
+});
+
+const getFailingCard = () => ({
+    id: 'foo',
+    content: new CardContent('lorem ipsum', getConfig()),
+    setStatus: sinon.stub().resolves(),
+    resolveStatus: sinon.stub().resolves(),
+    issue: getIssue()
+});
+
+test('publish returns false when publishing fails', async (t) => {
+    const source = new PublishSource(...getArgs());
+    source._account.publish = sinon.stub().rejects(new Error('foo'));
+    source._account.isCardHighPrio = sinon.spy(() => false);
+    const card = getFailingCard();
+
+    t.false(await source.publish(card, getColumn(1, 'Foo')));
+    t.true(card.setStatus.calledOnce);
+    t.is(card.setStatus.lastCall.args[0], 'publish');
+    t.true(card.setStatus.lastCall.args[2].includes('Error: foo'));
+    t.is(source.failures.get(card.id).attempts, 1);
+    t.false(source.failures.canAttempt(card.id));
+});
+
+test('publish failure lists the posts of the thread that are already published', async (t) => {
+    const source = new PublishSource(...getArgs());
+    source._account.publish = sinon.stub().rejects(new Error('foo'));
+    source._account.isCardHighPrio = sinon.spy(() => false);
+    const card = getFailingCard();
+    card.content.setMarker(source._account.threadMarker, [ {
+        id: '1',
+        url: 'https://example.com/1'
+    } ]);
+
+    t.false(await source.publish(card, getColumn(1, 'Foo')));
+    t.true(card.setStatus.lastCall.args[2].includes('- https://example.com/1'));
+});
+
+test('publish updates the status comment when failing again', async (t) => {
+    const source = new PublishSource(...getArgs());
+    source._account.publish = sinon.stub().rejects(new Error('foo'));
+    const card = new Card(getIssue(), getConfig());
+    card.issue.comment.resolves({
+        data: {
+            id: 42
+        }
+    });
+
+    await source.publish(card, getColumn(1, 'Foo'));
+    await source.publish(card, getColumn(1, 'Foo'));
+
+    t.true(card.issue.comment.calledOnce);
+    t.true(card.issue.editComment.calledOnce);
+    t.is(card.issue.editComment.lastCall.args[0], 42);
+    t.true(card.issue.editComment.lastCall.args[1].includes('attempt 2'));
+    t.false(card.issue.addLabel.called);
+});
+
+test('publish labels permanent failures', async (t) => {
+    const args = getArgs();
+    const source = new PublishSource(...args);
+    source._account.publish = sinon.stub().rejects([ {
+        code: 187,
+        message: 'Status is a duplicate.'
+    } ]);
+    source._account.isCardHighPrio = sinon.spy(() => false);
+    const card = getFailingCard();
+
+    t.false(await source.publish(card, getColumn(1, 'Foo')));
+
+    t.true(source.failures.get(card.id).permanent);
+    t.true(card.issue.addLabel.calledWith(args[2].config.labels.publishFailed, false));
+    t.true(card.setStatus.lastCall.args[1].includes('content rejected'));
+});
+
+test('publish replaces the failure in the status comment once published', async (t) => {
+    const source = new PublishSource(...getArgs());
+    source._account.publish = sinon.stub().rejects(new Error('foo'));
+    const card = new Card(getIssue(), getConfig());
+    card.issue.comment.resolves({
+        data: {
+            id: 42
+        }
+    });
+    card.issue.close = sinon.stub().resolves();
+
+    await source.publish(card, getColumn(1, 'Foo'));
+    source._account.publish.resolves('bar');
+
+    t.true(await source.publish(card, getColumn(1, 'Foo')));
+    t.is(source.failures.get(card.id), undefined);
+    t.true(card.issue.editComment.calledWith(42));
+    const body = card.issue.editComment.lastCall.args[1];
+    t.true(body.includes('bar'));
+    t.false(body.includes('Error: foo'));
+});
+
+test('publish in dry run', async (t) => {
+    const args = getArgs();
+    args[3].dryRun = true;
+    const source = new PublishSource(...args);
+    source._account.publish = sinon.stub().resolves('foo');
+    source._account.isCardHighPrio = sinon.spy(() => false);
+    const card = {
+        id: 'bar',
+        setStatus: sinon.stub().resolves(),
+        resolveStatus: sinon.stub().resolves(),
+        issue: {
+            close: sinon.stub().resolves()
+        }
+    };
+    const target = getColumn(1, 'Foo');
+
+    t.true(await source.publish(card, target));
+
+    t.true(source._account.publish.calledWith(card, true));
+    t.true(card.issue.close.calledWith(true));
+    t.true(card.setStatus.calledWith('publish', sinon.match.string, 'foo', true));
+    t.true(args[2].moveCardToColumn.calledWith(card, target, false, 'top', true));
+    t.true(source.dryRunPublished.has(card.id));
+});
+
+test('get cards to publish skips cards published in dry run', async (t) => {
+    const source = new PublishSource(...getArgs());
+    source._repo.updateCard = sinon.stub().resolves();
+    source._account.isCardHighPrio = sinon.spy(() => false);
+    const card = {
+        id: 'foo',
+        ready: true,
+        content: {
+            isScheduled: false,
+            getMarker: () => undefined
+        }
+    };
+    const sourceColumn = await source.getColumn('source');
+    sourceColumn.cards.add(card);
+    source.dryRunPublished.add(card.id);
+    source.getCurrentQuota = sinon.spy(() => Infinity);
+
+    t.deepEqual(await source.getCardsToPublish(), []);
+});
+
+const getRetryCard = () => ({
+    id: 'foo',
+    ready: true,
+    content: {
+        isScheduled: false,
+        getMarker: () => undefined
+    },
+    issue: getIssue()
+});
+
+test('get cards to publish waits before retrying failed cards', async (t) => {
+    const source = new PublishSource(...getArgs());
+    source._repo.updateCard = sinon.stub().resolves();
+    source._account.isCardHighPrio = sinon.spy(() => false);
+    const card = getRetryCard();
+    const sourceColumn = await source.getColumn('source');
+    sourceColumn.cards.add(card);
+    source.getCurrentQuota = sinon.spy(() => Infinity);
+    source.failures.recordFailure(card.id, new Error('foo'));
+
+    t.deepEqual(await source.getCardsToPublish(), []);
+
+    source.failures.get(card.id).nextAttempt = Date.now();
+    t.deepEqual(await source.getCardsToPublish(), [ card ]);
+});
+
+test('get cards to publish retries permanent failures once unlabeled', async (t) => {
+    const source = new PublishSource(...getArgs());
+    source._repo.updateCard = sinon.stub().resolves();
+    source._account.isCardHighPrio = sinon.spy(() => false);
+    const card = getRetryCard();
+    const sourceColumn = await source.getColumn('source');
+    sourceColumn.cards.add(card);
+    source.getCurrentQuota = sinon.spy(() => Infinity);
+    source.failures.recordFailure(card.id, {
+        status: 401
+    });
+    card.issue.addLabel(source.failedLabel);
+
+    t.deepEqual(await source.getCardsToPublish(), []);
+
+    card.issue.removeLabel(source.failedLabel);
+    t.deepEqual(await source.getCardsToPublish(), [ card ]);
+    t.is(source.failures.get(card.id), undefined);
+});
+
+test('get cards to publish includes valid cards marked to publish now', async (t) => {
+    const source = new PublishSource(...getArgs());
+    source._repo.updateCard = sinon.stub().resolves();
+    source._account.isCardHighPrio = sinon.spy(() => false);
+    const card = getRetryCard();
+    card.ready = false;
+    card.valid = true;
+    card.content.getMarker = (name) => name === PublishSource.PUBLISH_NOW_MARKER;
+    card.issue = getIssue('lorem', 42);
+    await PublishSource.setPublishNow(source._board.config, card.issue, true, false);
+    const waiting = getRetryCard();
+    waiting.id = 'bar';
+    const sourceColumn = await source.getColumn('source');
+    sourceColumn.cards.add(waiting);
+    sourceColumn.cards.add(card);
+    source.getCurrentQuota = sinon.spy(() => 1);
+
+    t.deepEqual(await source.getCardsToPublish(), [ card ]);
+
+    card.valid = false;
+    t.deepEqual(await source.getCardsToPublish(), [ waiting ]);
+});
+
+test('get cards to publish ignores publish now markers the queue did not add', async (t) => {
+    const source = new PublishSource(...getArgs());
+    source._repo.updateCard = sinon.stub().resolves();
+    source._account.isCardHighPrio = sinon.spy(() => false);
+    const card = getRetryCard();
+    card.ready = false;
+    card.valid = true;
+    card.content.getMarker = (name) => name === PublishSource.PUBLISH_NOW_MARKER;
+    card.issue = getIssue('lorem', 43);
+    const sourceColumn = await source.getColumn('source');
+    sourceColumn.cards.add(card);
+    source.getCurrentQuota = sinon.spy(() => 1);
+
+    t.false(await source.isPublishNow(card));
+    t.deepEqual(await source.getCardsToPublish(), []);
+});
+
+test('set publish now does not persist in dry run', async (t) => {
+    const config = getConfig();
+    const issue = getIssue('lorem', 44);
+
+    await PublishSource.setPublishNow(config, issue, true, true);
+
+    t.is(await PersistenceManager.get(PublishSource.getPublishNowKey(config, issue)), undefined);
+});
+
+test('approvals are only required when configured', (t) => {
+    const source = new PublishSource(...getArgs());
+    t.is(source.approvals, null);
+
+    const args = getArgs();
+    args[2].config = Object.assign({}, args[2].config, {
+        approvals: {
+            count: 2
+        }
+    });
+    t.is(new PublishSource(...args).approvals.required, 2);
+});
+
+test('get cards to publish skips cards without approval', async (t) => {
+    const source = new PublishSource(...getArgs());
+    source._repo.updateCard = sinon.stub().resolves();
+    source._account.isCardHighPrio = sinon.spy(() => false);
+    source.approvals = {
+        getState: sinon.stub().resolves({
+            approved: false,
+            approvers: [ 'foo' ],
+            required: 2
+        }),
+        check: sinon.stub()
+    };
+    const card = Object.assign(getRetryCard(), {
+        setStatus: sinon.stub().resolves(),
+        resolveStatus: sinon.stub().resolves()
+    });
+    const sourceColumn = await source.getColumn('source');
+    sourceColumn.cards.add(card);
+    source.getCurrentQuota = sinon.spy(() => Infinity);
+
+    t.deepEqual(await source.getCardsToPublish(), []);
+    t.true(source.approvals.getState.calledWith(card));
+
+    source.approvals.getState.resolves({
+        approved: true,
+        approvers: [ 'foo', 'bar' ],
+        required: 2
+    });
+    t.deepEqual(await source.getCardsToPublish(), [ card ]);
+    // Listing the cards does not change them.
+    t.false(source.approvals.check.called);
+    t.false(card.setStatus.called);
+    t.false(card.resolveStatus.called);
+});
+
+test('sync approvals records approvals and shows missing ones', async (t) => {
+    const source = new PublishSource(...getArgs());
+    source.approvals = {
+        check: sinon.stub().resolves({
+            approved: false,
+            approvers: [ 'foo' ],
+            required: 2
+        })
+    };
+    const card = Object.assign(getRetryCard(), {
+        valid: true,
+        setStatus: sinon.stub().resolves(),
+        resolveStatus: sinon.stub().resolves()
+    });
+    const invalid = Object.assign(getRetryCard(), {
+        id: 'bar',
+        valid: false
+    });
+    const sourceColumn = await source.getColumn('source');
+    sourceColumn.cards.add(card);
+    sourceColumn.cards.add(invalid);
+
+    await source.syncApprovals(sourceColumn);
+
+    t.true(source.approvals.check.calledOnceWith(card, false));
+    t.true(card.setStatus.calledWith('approval'));
+    t.true(card.setStatus.lastCall.args[2].includes('1 of 2'));
+
+    source.approvals.check.resolves({
+        approved: true,
+        approvers: [ 'foo', 'bar' ],
+        required: 2
+    });
+    await source.syncApprovals(sourceColumn);
+
+    t.true(card.resolveStatus.calledWith('approval', false));
+});
+
+const getSchedulingSource = () => {
+    const args = getArgs();
+    const source = new PublishSource(...args);
+    Object.assign(source._account, {
+        canSchedule: sinon.stub().returns(true),
+        schedule: sinon.stub().resolves('42'),
+        reschedule: sinon.stub().resolves(),
+        cancelScheduled: sinon.stub().resolves(),
+        isScheduled: sinon.stub().resolves(true),
+        findScheduledPost: sinon.stub().resolves(null)
+    });
+    source.cardPublished = sinon.stub().resolves();
+    return source;
+};
+
+const getSchedulingCard = (time, marker, raw = 'foo') => ({
+    id: 'bar',
+    valid: true,
+    content: {
+        isScheduled: true,
+        date: {
+            valid: true,
+            getTime: () => time
+        },
+        withoutMarkers: raw,
+        getMarker: () => marker
+    },
+    issue: getIssue(),
+    setMarker: sinon.stub().resolves(),
+    setStatus: sinon.stub().resolves(),
+    resolveStatus: sinon.stub().resolves(),
+    reportError: sinon.stub().resolves()
+});
+
+test('unapproved cards are not scheduled on the account', async (t) => {
+    const source = getSchedulingSource();
+    source.approvals = {
+        check: sinon.stub().resolves({
+            approved: false,
+            approvers: [],
+            required: 1
+        })
+    };
+    const card = getSchedulingCard(Date.now() + 3600000);
+
+    await source.syncScheduledCard(card, getColumn(1, 'Foo'), false);
+
+    t.false(source._account.schedule.called);
+});
+
+test('sync scheduled card schedules it on the account', async (t) => {
+    const source = getSchedulingSource();
+    const date = new Date(Date.now() + 3600000);
+    const card = getSchedulingCard(date.getTime());
+
+    await source.syncScheduledCard(card, getColumn(1, 'Foo'), false);
+
+    t.true(source._account.schedule.calledWith(card, date, false));
+    t.true(card.setMarker.calledOnce);
+    t.is(card.setMarker.lastCall.args[0], source.scheduledMarker);
+    t.deepEqual(card.setMarker.lastCall.args[1], {
+        id: '42',
+        at: date.toISOString(),
+        hash: PublishSource.getContentHash(card)
+    });
+    t.true(card.setStatus.calledWith('schedule', sinon.match.string, sinon.match(date.toISOString()), false));
+});
+
+test('sync scheduled card in dry run', async (t) => {
+    const source = getSchedulingSource();
+    const card = getSchedulingCard(Date.now() + 3600000);
+
+    await source.syncScheduledCard(card, getColumn(1, 'Foo'), true);
+
+    t.true(source._account.schedule.calledOnce);
+    t.false(card.setMarker.called);
+    t.true(source.dryRunPublished.has(card.id));
+});
+
+test('sync scheduled card leaves cards the account can not schedule', async (t) => {
+    const source = getSchedulingSource();
+    source._account.canSchedule.returns(false);
+    const card = getSchedulingCard(Date.now() + 3600000);
+
+    await source.syncScheduledCard(card, getColumn(1, 'Foo'), false);
+
+    t.false(source._account.schedule.called);
+    t.false(card.setMarker.called);
+});
+
+test('sync scheduled card keeps unchanged scheduled post', async (t) => {
+    const source = getSchedulingSource();
+    const date = new Date(Date.now() + 3600000);
+    const card = getSchedulingCard(date.getTime());
+    card.content.getMarker = (name) => name === source.scheduledMarker ? {
+        id: '42',
+        at: date.toISOString(),
+        hash: PublishSource.getContentHash(card)
+    } : undefined;
+
+    await source.syncScheduledCard(card, getColumn(1, 'Foo'), false);
+
+    t.false(source._account.schedule.called);
+    t.false(source._account.reschedule.called);
+    t.false(source._account.cancelScheduled.called);
+    t.false(card.setMarker.called);
+});
+
+test('sync scheduled card reschedules when the date changes', async (t) => {
+    const source = getSchedulingSource();
+    const date = new Date(Date.now() + 3600000);
+    const card = getSchedulingCard(date.getTime());
+    const marker = {
+        id: '42',
+        at: new Date(Date.now() + 7200000).toISOString(),
+        hash: PublishSource.getContentHash(card)
+    };
+    card.content.getMarker = (name) => name === source.scheduledMarker ? marker : undefined;
+
+    await source.syncScheduledCard(card, getColumn(1, 'Foo'), false);
+
+    t.true(source._account.reschedule.calledWith('42', date, false));
+    t.false(source._account.schedule.called);
+    t.deepEqual(card.setMarker.lastCall.args[1], Object.assign({}, marker, {
+        at: date.toISOString()
+    }));
+});
+
+test('sync scheduled card schedules again when the content changes', async (t) => {
+    const source = getSchedulingSource();
+    const date = new Date(Date.now() + 3600000);
+    const card = getSchedulingCard(date.getTime());
+    card.content.getMarker = (name) => name === source.scheduledMarker ? {
+        id: '41',
+        at: date.toISOString(),
+        hash: 'outdated'
+    } : undefined;
+
+    await source.syncScheduledCard(card, getColumn(1, 'Foo'), false);
+
+    t.true(source._account.cancelScheduled.calledWith('41', false));
+    t.true(source._account.schedule.calledOnce);
+    t.is(card.setMarker.firstCall.args[1], undefined);
+    t.is(card.setMarker.lastCall.args[1].id, '42');
+});
+
+test('sync scheduled card moves published cards', async (t) => {
+    const source = getSchedulingSource();
+    source._account.isScheduled.resolves(false);
+    source._account.findScheduledPost.resolves('https://example.com/@foo/1');
+    const at = new Date(Date.now() - 60000);
+    const card = getSchedulingCard(at.getTime(), {
+        id: '42',
+        at: at.toISOString()
+    });
+    const target = getColumn(1, 'Foo');
+
+    await source.syncScheduledCard(card, target, false);
+
+    t.true(source._account.findScheduledPost.calledWith(card, at));
+    t.true(card.setMarker.calledWith(source.scheduledMarker, undefined, false));
+    t.true(source.cardPublished.calledWith(card, sinon.match('https://example.com/@foo/1'), target, false));
+    t.false(source._account.schedule.called);
+});
+
+test('sync scheduled card does not move cards whose post is missing', async (t) => {
+    const source = getSchedulingSource();
+    source._account.isScheduled.resolves(false);
+    source._account.canSchedule.returns(false);
+    const at = new Date(Date.now() - 60000);
+    const card = getSchedulingCard(at.getTime(), {
+        id: '42',
+        at: at.toISOString()
+    });
+
+    await source.syncScheduledCard(card, getColumn(1, 'Foo'), false);
+
+    t.true(source._account.findScheduledPost.calledOnce);
+    t.false(source.cardPublished.called);
+    t.true(card.setMarker.calledWith(source.scheduledMarker, undefined, false));
+    t.true(card.setStatus.calledWith('schedule', sinon.match(':warning:'), sinon.match(at.toISOString()), false));
+});
+
+test('sync scheduled card schedules again when the post was deleted before its time', async (t) => {
+    const source = getSchedulingSource();
+    source._account.isScheduled.resolves(false);
+    const date = new Date(Date.now() + 3600000);
+    const card = getSchedulingCard(date.getTime());
+    const marker = {
+        id: '41',
+        at: date.toISOString(),
+        hash: PublishSource.getContentHash(card)
+    };
+    card.content.getMarker = (name) => name === source.scheduledMarker ? marker : undefined;
+
+    await source.syncScheduledCard(card, getColumn(1, 'Foo'), false);
+
+    t.false(source._account.findScheduledPost.called);
+    t.false(source.cardPublished.called);
+    t.false(source._account.cancelScheduled.called);
+    t.true(source._account.schedule.calledWith(card, date, false));
+    t.is(card.setMarker.lastCall.args[1].id, '42');
+});
+
+test('sync scheduled cancels posts of cards that left the source column', async (t) => {
+    const source = getSchedulingSource();
+    const card = getSchedulingCard(Date.now() + 3600000, {
+        id: '42'
+    });
+    source._board.cards.set(card.id, card);
+    const sourceColumn = await source.getColumn('source');
+    source.syncScheduledCard = sinon.stub().resolves();
+
+    try {
+        await source.syncScheduled(sourceColumn, getColumn(1, 'Foo'));
+    }
+    finally {
+        source._board.cards.delete(card.id);
+    }
+
+    t.true(source._account.cancelScheduled.calledWith('42', false));
+    t.true(card.setMarker.calledWith(source.scheduledMarker, undefined, false));
+    t.true(card.resolveStatus.calledWith('schedule', false));
+    t.false(source.syncScheduledCard.called);
+});
+
+test('does not publish on read only boards', (t) => {
+    const args = getArgs();
+    args[2].readOnly = true;
+    args[2].ready = {
+        then: sinon.spy()
+    };
+
+    new PublishSource(...args);
+
+    t.false(args[2].ready.then.called);
+});
+
 test.failing('card published', async (t) => { //TODO method moved
     const args = getArgs();
     const source = new PublishSource(...args);
@@ -115,3 +913,156 @@ test.failing('card published', async (t) => { //TODO method moved
     t.true(card.comment.lastCall.args[0].includes(url));
     t.true(card.issue.close.called);
 });
+
+const getRepeatingCard = (repeat) => {
+    const issue = getIssue(`<!-- content-queue:publish-now true -->
+## Content
+foo
+
+## Scheduled for
+2026-10-20 09:00
+
+## Repeat
+${repeat}`);
+    issue.title = 'Community call';
+    issue.close = sinon.stub().resolves();
+    issue.comment.resolves({
+        data: {
+            id: 1
+        }
+    });
+    return new Card(issue, getConfig());
+};
+
+test('published repeating cards are copied for the next occurrence', async (t) => {
+    const args = getArgs();
+    const source = new PublishSource(...args);
+    args[2].moveCardToColumn.resolves();
+    args[2].createCard = sinon.stub().resolves({
+        issue: {
+            number: 5
+        }
+    });
+    const card = getRepeatingCard('FREQ=WEEKLY');
+
+    await source.cardPublished(card, 'published', getColumn(1, 'Foo'), false);
+
+    t.true(args[2].createCard.calledOnce);
+    const [ title, content, column, position, dryRun ] = args[2].createCard.lastCall.args;
+    t.is(title, 'Community call');
+    t.is(content, `## Content
+foo
+
+## Scheduled for
+2026-10-27 09:00
+
+## Repeat
+FREQ=WEEKLY`);
+    t.is(column.name, 'Bar');
+    t.is(position, 'bottom');
+    t.false(dryRun);
+    const status = card.issue.editComment.lastCall.args[1];
+    t.true(status.includes('The next post is scheduled for 2026-10-27 09:00 in #5.'));
+});
+
+test('repeating cards are not copied after their last occurrence', async (t) => {
+    const args = getArgs();
+    const source = new PublishSource(...args);
+    args[2].createCard = sinon.stub().resolves();
+    const card = getRepeatingCard('FREQ=WEEKLY;UNTIL=20261026');
+    card.setStatus = sinon.stub().resolves();
+
+    await source.repeatCard(card, false);
+
+    t.false(args[2].createCard.called);
+    t.true(card.setStatus.calledWith('repeat', sinon.match.string, 'This was the last post of the series.', false));
+});
+
+test('cards without repeat section are not copied', async (t) => {
+    const args = getArgs();
+    const source = new PublishSource(...args);
+    args[2].createCard = sinon.stub().resolves();
+
+    await source.repeatCard(new Card(getIssue(`## Content
+foo`), getConfig()), false);
+
+    t.false(args[2].createCard.called);
+});
+
+const getPollCard = (poll) => {
+    const issue = getIssue(`<!-- content-queue:poll:twitter:lorem ${JSON.stringify(poll)} -->
+## Tweet Content
+Which one?`);
+    issue.setContent = sinon.stub().resolves();
+    return new Card(issue, getConfig());
+};
+
+test('results of closed polls are commented', async (t) => {
+    const args = getArgs();
+    args[3].accountName = 'lorem';
+    const source = new PublishSource(...args);
+    source._account.name = 'lorem';
+    source._account.getPollResults = sinon.stub().resolves({
+        closed: true,
+        options: [
+            {
+                title: 'a',
+                votes: 3
+            },
+            {
+                title: 'b',
+                votes: 1
+            }
+        ]
+    });
+    const card = getPollCard({
+        id: '2',
+        closes: Date.now()
+    });
+    args[2].cards = new Map([ [ 'poll', card ] ]);
+
+    await source.reportPolls(false);
+
+    t.true(source._account.getPollResults.calledOnceWith('2'));
+    t.true(card.issue.comment.calledOnceWith(`:bar_chart: The poll on twitter:lorem closed with 4 votes:
+
+| Option | Votes | Share |
+| --- | ---: | ---: |
+| a | 3 | 75% |
+| b | 1 | 25% |`, false));
+    t.deepEqual(card.content.getMarker('poll:twitter:lorem'), {
+        id: '2',
+        closes: Date.now(),
+        reported: true
+    });
+});
+
+test('results of open or reported polls are not commented', async (t) => {
+    const args = getArgs();
+    const source = new PublishSource(...args);
+    source._account.name = 'lorem';
+    source._account.getPollResults = sinon.stub().resolves({
+        closed: false,
+        options: []
+    });
+    const open = getPollCard({
+        id: '1',
+        closes: Date.now() + 1000
+    });
+    const reported = getPollCard({
+        id: '2',
+        closes: Date.now(),
+        reported: true
+    });
+    const late = getPollCard({
+        id: '3',
+        closes: Date.now()
+    });
+    args[2].cards = new Map([ [ 'open', open ], [ 'reported', reported ], [ 'late', late ] ]);
+
+    await source.reportPolls(false);
+
+    t.true(source._account.getPollResults.calledOnceWith('3'));
+    t.false(late.issue.comment.called);
+    t.false(late.issue.setContent.called);
+});
@@ -1,6 +1,7 @@
 import test from 'ava';
 import Source from '../../lib/sources/source';
 import { getBoard } from '../_stubs';
+import DryRun from '../../lib/dry-run';
 
 test('constructor', (t) => {
     const repo = 'a';
@@ -50,3 +51,44 @@ test('getColumn', async (t) => {
     t.is(column.name, 'Foo');
     t.is(column.id, "1");
 });
+
+test('getStorageKey', (t) => {
+    const board = getBoard();
+    const s = new Source(board.repo, 'b', board, {
+        type: 'foo',
+        columns: {
+            target: 'Bar',
+            source: 'Baz'
+        }
+    });
+
+    t.is(s.getStorageKey('lorem'), `${board.config.owner}/${board.config.repo}/${board.config.projectName}:foo[source=Baz,target=Bar]:lorem`);
+});
+
+test.serial('dryRun follows global setting', (t) => {
+    const board = getBoard();
+    const s = new Source(board.repo, 'b', board, {});
+
+    t.false(s.dryRun);
+    DryRun.enabled = true;
+    try {
+        t.true(s.dryRun);
+    }
+    finally {
+        DryRun.enabled = false;
+    }
+});
+
+test.serial('dryRun source config overrides global setting', (t) => {
+    const board = getBoard();
+    const s = new Source(board.repo, 'b', board, {
+        dryRun: false
+    });
+    DryRun.enabled = true;
+    try {
+        t.false(s.dryRun);
+    }
+    finally {
+        DryRun.enabled = false;
+    }
+});
@@ -3,6 +3,7 @@ import SquadSource from '../../lib/sources/squad';
 import { getRepo, getBoard } from '../_stubs';
 import RotatingList from '../../lib/rotating-list';
 import sinon from 'sinon';
+import PersistenceManager from '../../lib/persistence/manager';
 
 test('required columns', (t) => {
     const columns = SquadSource.requiredColumns;
@@ -20,7 +21,12 @@ test('Constructor with hard coded squad', async (t) => {
         'foo',
         'bar'
     ];
-    const source = new SquadSource(getRepo(), 'lorem', getBoard(), {
+    const source = new SquadSource(getRepo(), 'lorem', getBoard({
+        'Target': 'foo'
+    }), {
+        columns: {
+            target: 'Target'
+        },
         squad
     });
 
@@ -30,9 +36,14 @@ test('Constructor with hard coded squad', async (t) => {
 });
 
 test('Constructor with team squad', async (t) => {
-    const board = getBoard();
+    const board = getBoard({
+        'Target': 'foo'
+    });
     const repo = board.repo;
     const source = new SquadSource(repo, 'lorem', board, {
+        columns: {
+            target: 'Target'
+        },
         squadTeam: 'foo'
     });
     repo.getUsersInTeam.resolves([
@@ -47,6 +58,49 @@ test('Constructor with team squad', async (t) => {
 
 test.todo('Test squad team data store keeps position');
 
+test('Constructor restores persisted rotation', async (t) => {
+    const board = getBoard({
+        'Restored': 'foo'
+    });
+    const config = {
+        type: 'squad',
+        columns: {
+            target: 'Restored'
+        },
+        squad: [
+            'foo',
+            'bar',
+            'baz'
+        ]
+    };
+    const first = new SquadSource(board.repo, 'lorem', board, config);
+    await PersistenceManager.set(first.getStorageKey('next'), 'bar');
+
+    const source = new SquadSource(board.repo, 'lorem', board, config);
+    const squad = await source.squad;
+
+    t.is(squad.getNext(), 'bar');
+});
+
+test('get next member persists rotation', async (t) => {
+    const board = getBoard({
+        'Persisted': 'foo'
+    });
+    const source = new SquadSource(board.repo, 'lorem', board, {
+        type: 'squad',
+        columns: {
+            target: 'Persisted'
+        },
+        squad: [
+            'foo',
+            'bar'
+        ]
+    });
+
+    t.is(await source.getNextMember(), 'foo');
+    t.is(await PersistenceManager.get(source.getStorageKey('next')), 'bar');
+});
+
 test('process cards', async (t) => {
     const board = getBoard({
         'Target': 'foo'
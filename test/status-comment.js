@@ -0,0 +1,152 @@
+import test from 'ava';
+import StatusComment from '../lib/status-comment';
+import { getIssue } from './_stubs';
+
+const getStatusIssue = (comments = []) => {
+    const issue = getIssue();
+    issue.getComments.resolves(comments);
+    issue.comment.resolves({
+        data: {
+            id: 42
+        }
+    });
+    return issue;
+};
+
+test('render and parse', (t) => {
+    const sections = {
+        foo: {
+            title: 'Foo',
+            body: 'lorem --> ipsum',
+            resolved: false
+        },
+        bar: {
+            title: 'Bar',
+            body: 'dolor',
+            resolved: true
+        }
+    };
+    const body = StatusComment.render(sections);
+
+    t.deepEqual(StatusComment.parse(body), sections);
+    t.true(body.endsWith('**Foo**\nlorem --> ipsum'));
+    t.true(body.includes('<del>Bar</del>'));
+});
+
+test('parse other comments', (t) => {
+    t.is(StatusComment.parse('lorem ipsum'), null);
+});
+
+test('render without active sections', (t) => {
+    t.true(StatusComment.render({}).includes('Nothing to do'));
+});
+
+test('update posts the comment once', async (t) => {
+    const issue = getStatusIssue();
+    const status = new StatusComment(issue);
+
+    t.false(status.loaded);
+    await Promise.all([
+        status.update('foo', 'Foo', 'lorem', false),
+        status.update('bar', 'Bar', 'ipsum', false)
+    ]);
+
+    t.true(status.loaded);
+    t.true(issue.getComments.calledOnce);
+    t.true(issue.comment.calledOnce);
+    t.true(issue.editComment.calledOnce);
+    t.is(issue.editComment.lastCall.args[0], 42);
+    const sections = StatusComment.parse(issue.editComment.lastCall.args[1]);
+    t.deepEqual(Object.keys(sections), [
+        'foo',
+        'bar'
+    ]);
+});
+
+const BOT = {
+    login: 'queue-bot'
+};
+
+test('update edits the existing comment', async (t) => {
+    const issue = getStatusIssue([
+        {
+            id: 1,
+            user: BOT,
+            body: 'lorem ipsum'
+        },
+        {
+            id: 7,
+            user: BOT,
+            body: StatusComment.render({
+                foo: {
+                    title: 'Foo',
+                    body: 'lorem',
+                    resolved: false
+                }
+            })
+        }
+    ]);
+    const status = new StatusComment(issue);
+
+    await status.update('foo', 'Foo', 'lorem', false);
+    t.false(issue.editComment.called);
+
+    await status.update('foo', 'Foo', 'ipsum', false);
+    t.false(issue.comment.called);
+    t.true(issue.editComment.calledWith(7));
+    t.is(StatusComment.parse(issue.editComment.lastCall.args[1]).foo.body, 'ipsum');
+});
+
+test('update ignores status comments by other users', async (t) => {
+    const issue = getStatusIssue([
+        {
+            id: 7,
+            user: {
+                login: 'foo'
+            },
+            body: StatusComment.render({
+                foo: {
+                    title: 'Foo',
+                    body: 'lorem',
+                    resolved: false
+                }
+            })
+        }
+    ]);
+    const status = new StatusComment(issue);
+
+    await status.update('foo', 'Foo', 'lorem', false);
+
+    t.true(issue.comment.calledOnce);
+    t.false(issue.editComment.calledWith(7));
+});
+
+test('resolve', async (t) => {
+    const issue = getStatusIssue();
+    const status = new StatusComment(issue);
+
+    await status.resolve('foo', false);
+    t.false(issue.comment.called);
+
+    await status.update('foo', 'Foo', 'lorem', false);
+    await status.resolve('foo', false);
+    t.true(issue.editComment.calledOnce);
+    t.true(StatusComment.parse(issue.editComment.lastCall.args[1]).foo.resolved);
+
+    await status.resolve('foo', false);
+    t.true(issue.editComment.calledOnce);
+
+    await status.update('foo', 'Foo', 'lorem', false);
+    t.true(issue.editComment.calledTwice);
+    t.false(StatusComment.parse(issue.editComment.lastCall.args[1]).foo.resolved);
+});
+
+test('dry run', async (t) => {
+    const issue = getStatusIssue();
+    const status = new StatusComment(issue);
+
+    await status.update('foo', 'Foo', 'lorem', true);
+
+    t.true(issue.comment.calledOnce);
+    t.true(issue.comment.lastCall.args[1]);
+});
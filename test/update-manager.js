@@ -126,3 +126,17 @@ test.serial("interval calls update on all data stores", (t) => {
     clearInterval(UpdateManager.interval);
     UpdateManager.interval = undefined;
 });
+
+test.serial("cache time without webhooks", (t) => {
+    t.is(UpdateManager.getCacheTime(), UpdateManager.UPDATE_INTERVAL);
+    t.is(UpdateManager.getCacheTime(true), UpdateManager.UPDATE_INTERVAL);
+});
+
+test.serial("cache time with webhooks", (t) => {
+    UpdateManager.webhooksEnabled = true;
+
+    t.is(UpdateManager.getCacheTime(), UpdateManager.UPDATE_INTERVAL);
+    t.is(UpdateManager.getCacheTime(true), UpdateManager.FALLBACK_INTERVAL);
+
+    UpdateManager.webhooksEnabled = false;
+});
@@ -0,0 +1,120 @@
+import test from 'ava';
+import MastodonValidator from '../../lib/validators/mastodon';
+import CardContent from '../../lib/card-content';
+import { getConfig } from '../_stubs';
+
+const getCard = (content) => ({
+    content: new CardContent(content, getConfig())
+});
+
+test('preview quote', (t) => {
+    const validator = new MastodonValidator(getConfig());
+    const card = getCard(`## Toot Content
+lorem ipsum
+
+## Quote
+https://mastodon.example/@foo/5`);
+
+    t.true(validator.preview(card).startsWith(':speech_balloon: Quotes https://mastodon.example/@foo/5'));
+});
+
+test('validate quote', (t) => {
+    const validator = new MastodonValidator(getConfig());
+
+    t.deepEqual(validator.validate(getCard(`## Toot Content
+lorem ipsum
+
+## Quote
+https://mastodon.example/@foo/5`).content), []);
+
+    t.deepEqual(validator.validate(getCard(`## Toot Content
+lorem ipsum
+
+## Quote
+https://example.com/foo`).content), [
+        'The URL of the toot to quote is invalid. Please use the toot permalink.'
+    ]);
+});
+
+test('quote reduces the length of the first toot', (t) => {
+    const validator = new MastodonValidator(getConfig());
+    const quote = `
+
+## Quote
+https://mastodon.example/@foo/5`;
+
+    t.deepEqual(validator.validate(getCard(`## Toot Content
+${'a'.repeat(500)}`).content), []);
+    t.deepEqual(validator.validate(getCard(`## Toot Content
+${'a'.repeat(475)}${quote}`).content), []);
+    t.deepEqual(validator.validate(getCard(`## Toot Content
+${'a'.repeat(476)}${quote}`).content), [
+        'Content is too long by 1 for a toot. Please shorten the text to fit into 475 characters.'
+    ]);
+    t.deepEqual(validator.validate(getCard(`## Thread
+${'a'.repeat(476)}
+---
+${'b'.repeat(500)}${quote}`).content), [
+        'Toot 1 of the thread is too long by 1. Please shorten it to fit into 475 characters or split it into multiple toots.'
+    ]);
+});
+
+test('validate poll', (t) => {
+    const validator = new MastodonValidator(getConfig());
+
+    t.deepEqual(validator.validate(getCard(`## Toot Content
+Which one?
+
+## Poll
+- a
+- ${'b'.repeat(50)}
+Duration: 30 days
+Multiple choice: yes`).content), []);
+
+    t.deepEqual(validator.validate(getCard(`## Toot Content
+Which one?
+
+## Poll
+- a
+- ${'b'.repeat(51)}
+Duration: 31 days`).content), [
+        `Poll options can be at most 50 characters long on Mastodon. Please shorten "${'b'.repeat(51)}".`,
+        'Poll can be open for 5 minutes up to 30 days on Mastodon.'
+    ]);
+});
+
+test('preview options', (t) => {
+    const validator = new MastodonValidator(getConfig());
+    const card = getCard(`## Toot Content
+lorem ipsum
+
+## Options
+Visibility: unlisted
+Language: de
+Sensitive: no
+Replies: mentioned`);
+
+    t.true(validator.preview(card).endsWith(':gear: Options: visibility unlisted, language de, sensitive no'));
+});
+
+test('validate options', (t) => {
+    const validator = new MastodonValidator(getConfig());
+
+    t.deepEqual(validator.validate(getCard(`## Toot Content
+lorem ipsum
+
+## Options
+Visibility: direct
+Language: deu
+Sensitive: yes`).content), []);
+
+    t.deepEqual(validator.validate(getCard(`## Toot Content
+lorem ipsum
+
+## Options
+Visibility: friends
+Language: german`).content), [
+        '"friends" is not a valid value of the "visibility" option on Mastodon. Please use one of public, unlisted, private, direct.',
+        '"german" is not a valid value of the "language" option on Mastodon.'
+    ]);
+});
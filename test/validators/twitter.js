@@ -0,0 +1,227 @@
+import test from 'ava';
+import TwitterValidator from '../../lib/validators/twitter';
+import CardContent from '../../lib/card-content';
+import { getConfig } from '../_stubs';
+
+const getCard = (content) => ({
+    content: new CardContent(content, getConfig())
+});
+
+test('preview tweet', (t) => {
+    const validator = new TwitterValidator(getConfig());
+    const card = getCard(`## Content
+lorem ipsum https://example.com/a/very/long/path/that/is/shortened/by/twitter ![A cat](https://example.com/cat.png)
+
+## Reply to
+https://twitter.com/foo/status/1234`);
+
+    const preview = validator.preview(card);
+
+    t.is(preview, `:leftwards_arrow_with_hook: In reply to https://twitter.com/foo/status/1234
+
+\`\`\`
+lorem ipsum https://example.com/a/very/long/path/that/is/shortened/by/twitter
+\`\`\`
+245 characters left
+<img src="https://example.com/cat.png" alt="A cat" height="100">`);
+});
+
+test('preview prefers the tweet content', (t) => {
+    const validator = new TwitterValidator(getConfig());
+    const card = getCard(`## Content
+lorem ipsum
+
+## Tweet Content
+foo \`\`\`bar\`\`\` ![](https://example.com/cat.mp4)`);
+
+    const preview = validator.preview(card);
+
+    t.true(preview.startsWith('````\nfoo ```bar```\n````'));
+    t.true(preview.includes(':movie_camera: [video](https://example.com/cat.mp4)'));
+});
+
+test('preview thread', (t) => {
+    const validator = new TwitterValidator(getConfig());
+    const card = getCard(`## Thread
+foo
+---
+bar`);
+
+    const preview = validator.preview(card);
+
+    t.true(preview.startsWith('Tweet 1 of 2:\n```\nfoo\n```\n277 characters left'));
+    t.true(preview.includes('Tweet 2 of 2:\n```\nbar\n```'));
+});
+
+test('preview retweet', (t) => {
+    const validator = new TwitterValidator(getConfig());
+    const card = getCard(`## Retweet
+https://twitter.com/foo/status/1234`);
+
+    t.is(validator.preview(card), ':repeat: Retweets https://twitter.com/foo/status/1234');
+});
+
+test('preview quote', (t) => {
+    const validator = new TwitterValidator(getConfig());
+    const card = getCard(`## Tweet Content
+lorem ipsum
+
+## Quote
+https://twitter.com/foo/status/1234`);
+
+    t.true(validator.preview(card).startsWith(':speech_balloon: Quotes https://twitter.com/foo/status/1234'));
+});
+
+test('validate quote', (t) => {
+    const validator = new TwitterValidator(getConfig());
+
+    t.deepEqual(validator.validate(getCard(`## Tweet Content
+lorem ipsum
+
+## Quote
+https://twitter.com/foo/status/1234`).content), []);
+
+    const errors = validator.validate(getCard(`## Tweet Content
+lorem ipsum ![A cat](https://example.com/cat.png)
+
+## Quote
+https://example.com/foo`).content);
+    t.is(errors.length, 2);
+    t.true(errors[0].includes('tweet to quote is invalid'));
+    t.true(errors[1].startsWith('Can not attach media to a tweet that quotes'));
+});
+
+test('preview poll', (t) => {
+    const validator = new TwitterValidator(getConfig());
+    const card = getCard(`## Tweet Content
+Which one?
+
+## Poll
+- a
+- b
+Duration: 2 days`);
+
+    t.true(validator.preview(card).includes(`\`\`\`
+Which one?
+\`\`\`
+270 characters left
+
+:bar_chart: Poll open for 2 days:
+- a
+- b`));
+});
+
+test('validate poll', (t) => {
+    const validator = new TwitterValidator(getConfig());
+
+    t.deepEqual(validator.validate(getCard(`## Tweet Content
+Which one?
+
+## Poll
+- a
+- b`).content), []);
+
+    const errors = validator.validate(getCard(`## Tweet Content
+Which one? ![A cat](https://example.com/cat.png)
+
+## Poll
+- a
+- ${'b'.repeat(26)}
+- c
+- d
+- e
+Duration: 8 days
+Multiple choice: yes`).content);
+    t.deepEqual(errors, [
+        'Poll needs 2 to 4 options on Twitter, but has 5.',
+        `Poll options can be at most 25 characters long on Twitter. Please shorten "${'b'.repeat(26)}".`,
+        'Poll can be open for 5 minutes up to 7 days on Twitter.',
+        'Polls on Twitter can not allow several answers. Please remove the "Multiple choice" line.',
+        'Can not attach media to a post with a poll. Please remove the media or the "Poll" section.'
+    ]);
+
+    const [ error ] = validator.validate(getCard(`## Tweet Content
+Which one?
+
+## Poll
+- a
+maybe`).content);
+    t.true(error.startsWith('Poll can not be parsed: "maybe" is neither an option nor a setting'));
+});
+
+test('preview options', (t) => {
+    const validator = new TwitterValidator(getConfig());
+    const card = getCard(`## Tweet Content
+lorem ipsum
+
+## Options
+Visibility: unlisted
+Sensitive: no
+Replies: mentioned`);
+
+    t.true(validator.preview(card).endsWith(':gear: Options: sensitive no, replies mentioned'));
+});
+
+test('validate options', (t) => {
+    const validator = new TwitterValidator(getConfig());
+
+    t.deepEqual(validator.validate(getCard(`## Tweet Content
+lorem ipsum
+
+## Options
+Visibility: unlisted
+Replies: following`).content), []);
+
+    t.deepEqual(validator.validate(getCard(`## Tweet Content
+lorem ipsum ![A cat](https://example.com/cat.png)
+
+## Options
+Sensitive: yes
+Replies: nobody`).content), [
+        '"nobody" is not a valid value of the "replies" option on Twitter. Please use one of everyone, following, mentioned.'
+    ]);
+
+    t.deepEqual(validator.validate(getCard(`## Tweet Content
+lorem ipsum ![A cat](https://example.com/cat.png)
+
+## Options
+Sensitive: yes
+Replies: following`).content), [
+        'Can not mark media as sensitive in tweets with restricted replies. Please remove the "Sensitive" or the "Replies" option.'
+    ]);
+
+    // Without media there is nothing to mark as sensitive.
+    t.deepEqual(validator.validate(getCard(`## Tweet Content
+lorem ipsum
+
+## Options
+Sensitive: yes
+Replies: following`).content), []);
+});
+
+test('preview too long tweet', (t) => {
+    const validator = new TwitterValidator(getConfig());
+    const card = getCard(`## Content
+${'a'.repeat(290)}`);
+
+    t.true(validator.preview(card).endsWith(':x: 10 characters too many'));
+});
+
+test('preview scheduled time in the board timezone', (t) => {
+    const validator = new TwitterValidator(getConfig());
+    const card = getCard(`## Content
+foo
+
+## Scheduled for
+2026-11-02 09:00`);
+
+    t.true(validator.preview(card).endsWith(':calendar: Scheduled for 2026-11-02 09:00 (Europe/Berlin, 2026-11-02 08:00 UTC)'));
+});
+
+test('preview without content throws', (t) => {
+    const validator = new TwitterValidator(getConfig());
+
+    t.throws(() => validator.preview(getCard('## Foo\nbar')), {
+        instanceOf: Error
+    });
+});
@@ -0,0 +1,74 @@
+import test from 'ava';
+import Validator from '../../lib/validators/validator';
+import CardContent from '../../lib/card-content';
+import { getConfig } from '../_stubs';
+
+test('valid repeat rule', (t) => {
+    const validator = new Validator(getConfig());
+    const content = new CardContent(`## Content
+foo
+
+## Scheduled for
+2099-10-20 09:00
+
+## Repeat
+FREQ=WEEKLY;BYDAY=TU`, getConfig());
+
+    t.deepEqual(validator.validate(content), []);
+});
+
+test('invalid repeat rule', (t) => {
+    const validator = new Validator(getConfig());
+    const content = new CardContent(`## Content
+foo
+
+## Repeat
+FREQ=HOURLY`, getConfig());
+
+    const errors = validator.validate(content);
+
+    t.is(errors.length, 2);
+    t.true(errors[0].includes('FREQ has to be one of'));
+    t.true(errors[1].includes('Scheduled for'));
+});
+
+test('invalid priority', (t) => {
+    const validator = new Validator(getConfig());
+    const content = new CardContent(`## Content
+foo
+
+## Priority
+urgent`, getConfig());
+
+    const errors = validator.validate(content);
+
+    t.is(errors.length, 1);
+    t.true(errors[0].includes('Priority'));
+});
+
+test('invalid options', (t) => {
+    const validator = new Validator(getConfig());
+    const content = new CardContent(`## Content
+foo
+
+## Options
+Visibility`, getConfig());
+
+    const errors = validator.validate(content);
+
+    t.is(errors.length, 1);
+    t.true(errors[0].startsWith('Options can not be parsed: "Visibility" is not an option'));
+});
+
+test('missing alt text', (t) => {
+    const content = new CardContent(`## Content
+first ![](https://example.com/foo.png) second ![bar](https://example.com/bar.png)`, getConfig());
+    t.deepEqual(new Validator(getConfig()).validate(content), []);
+
+    const errors = new Validator(getConfig(), {
+        requireAltText: true
+    }).validate(content);
+
+    t.is(errors.length, 1);
+    t.true(errors[0].startsWith('1 image in the "Content" section has no alt text'));
+});
@@ -0,0 +1,117 @@
+import test from 'ava';
+import http from 'http';
+import crypto from 'crypto';
+import WebhookServer from '../lib/webhook-server';
+
+const SECRET = 'lorem ipsum';
+
+const sign = (body, secret = SECRET) => `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+const deliver = (server, body, headers = {}, path = '/webhook') => new Promise((resolve, reject) => {
+    const request = http.request({
+        port: server.server.address().port,
+        method: 'POST',
+        path,
+        headers
+    }, (response) => {
+        response.resume();
+        response.on('end', () => resolve(response.statusCode));
+    });
+    request.on('error', reject);
+    request.end(body);
+});
+
+test.beforeEach(async (t) => {
+    t.context.server = new WebhookServer({
+        secret: SECRET,
+        port: 0
+    });
+    await t.context.server.listen();
+});
+
+test.afterEach.always((t) => {
+    return t.context.server.close();
+});
+
+test('verify valid signature', (t) => {
+    const body = '{"foo":"bar"}';
+    t.true(WebhookServer.verifySignature(SECRET, body, sign(body)));
+});
+
+test('verify signature with wrong secret', (t) => {
+    const body = '{"foo":"bar"}';
+    t.false(WebhookServer.verifySignature(SECRET, body, sign(body, 'foo')));
+});
+
+test('verify missing signature', (t) => {
+    t.false(WebhookServer.verifySignature(SECRET, '{}', undefined));
+});
+
+test('verify sha1 signature', (t) => {
+    const body = '{"foo":"bar"}';
+    const signature = `sha1=${crypto.createHmac('sha1', SECRET).update(body).digest('hex')}`;
+    t.true(WebhookServer.verifySignature(SECRET, body, signature, 'sha1'));
+});
+
+test('default path', (t) => {
+    t.is(t.context.server.path, '/webhook');
+});
+
+test('emits event for signed delivery', async (t) => {
+    const payload = {
+        action: 'opened'
+    };
+    const body = JSON.stringify(payload);
+    const received = t.context.server.once('issues');
+
+    const status = await deliver(t.context.server, body, {
+        'X-GitHub-Event': 'issues',
+        'X-Hub-Signature-256': sign(body)
+    });
+
+    t.is(status, 202);
+    t.deepEqual(await received, payload);
+});
+
+test('rejects delivery with invalid signature', async (t) => {
+    const body = JSON.stringify({});
+    let emitted = false;
+    t.context.server.onAny(() => {
+        emitted = true;
+    });
+
+    const status = await deliver(t.context.server, body, {
+        'X-GitHub-Event': 'issues',
+        'X-Hub-Signature-256': sign(body, 'foo')
+    });
+
+    t.is(status, 401);
+    t.false(emitted);
+});
+
+test('rejects unsigned delivery', async (t) => {
+    const status = await deliver(t.context.server, '{}', {
+        'X-GitHub-Event': 'issues'
+    });
+
+    t.is(status, 401);
+});
+
+test('rejects delivery without event', async (t) => {
+    const body = JSON.stringify({});
+    const status = await deliver(t.context.server, body, {
+        'X-Hub-Signature-256': sign(body)
+    });
+
+    t.is(status, 400);
+});
+
+test('unknown path', async (t) => {
+    const body = JSON.stringify({});
+    const status = await deliver(t.context.server, body, {
+        'X-GitHub-Event': 'issues',
+        'X-Hub-Signature-256': sign(body)
+    }, '/foo');
+
+    t.is(status, 404);
+});